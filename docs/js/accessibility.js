@@ -0,0 +1,92 @@
+/**
+ * Accessibility - Text alternatives and change announcements
+ *
+ * Describes what the scale and plan view show in words, and works out
+ * what a screen reader should hear when the reach changes: the tendency,
+ * the channel pattern and any process that has just become active.
+ * main.js puts the text into the page; nothing here touches the DOM.
+ */
+
+const Accessibility = {
+    // |log10 ratio| above which the tilt is described as clear / strong
+    tiltSteps: { clear: 0.5, strong: 1 },
+
+    /**
+     * Describe the balance scale's tilt
+     * @param {number} ratio - Balance ratio
+     * @returns {string}
+     */
+    describeScale(ratio) {
+        const stateName = Balance.getState(ratio);
+        const value = I18n.formatNumber(ratio, { maximumFractionDigits: 2 });
+        if (stateName === 'equilibrium') {
+            return I18n.t('a11y.scale.level', { ratio: value });
+        }
+
+        const imbalance = Math.abs(Math.log10(ratio));
+        let strength = 'slightly';
+        if (imbalance >= this.tiltSteps.strong) strength = 'strongly';
+        else if (imbalance >= this.tiltSteps.clear) strength = 'clearly';
+
+        return I18n.t(`a11y.scale.${stateName}`, {
+            strength: I18n.t(`a11y.tilt.${strength}`),
+            ratio: value
+        });
+    },
+
+    /**
+     * Describe the channel pattern drawn in the plan view
+     * @param {string} pattern - Channel pattern
+     * @returns {string}
+     */
+    describePattern(pattern) {
+        return I18n.t(`a11y.pattern.${pattern}`);
+    },
+
+    /**
+     * What the announcer compares between updates
+     * @param {number} ratio - Balance ratio
+     * @param {string} pattern - Channel pattern
+     * @param {Array} processes - Result of Balance.getActiveProcesses()
+     * @returns {{state: string, pattern: string, processes: Array<{id: string, name: string}>}}
+     */
+    snapshot(ratio, pattern, processes) {
+        return {
+            state: Balance.getState(ratio),
+            pattern,
+            processes: processes.map(({ id, name }) => ({ id, name }))
+        };
+    },
+
+    /**
+     * Sentence announcing what changed between two snapshots
+     * @param {Object|null} previous - Last announced snapshot
+     * @param {Object} current - Snapshot now
+     * @returns {string} Empty if nothing worth announcing changed
+     */
+    getAnnouncement(previous, current) {
+        if (!previous) return '';
+
+        const parts = [];
+        if (current.state !== previous.state) {
+            parts.push(I18n.t('a11y.announce.tendency', { state: I18n.t(`state.${current.state}`) }));
+        }
+        if (current.pattern !== previous.pattern) {
+            parts.push(I18n.t('a11y.announce.pattern', { pattern: I18n.t(`pattern.${current.pattern}`) }));
+        }
+
+        const before = new Set(previous.processes.map(process => process.id));
+        const started = current.processes.filter(process => !before.has(process.id));
+        if (started.length) {
+            parts.push(I18n.t('a11y.announce.processes', {
+                processes: started.map(process => process.name).join(', ')
+            }));
+        }
+        return parts.join(' ');
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Accessibility;
+}
@@ -13,11 +13,70 @@
  *   > 1 : Aggradation (sediment supply exceeds transport capacity)
  *   < 1 : Degradation (transport capacity exceeds sediment supply)
  *   = 1 : Equilibrium (balance between supply and capacity)
+ *
+ * Two unit modes are supported:
+ *   'relative' - unitless classroom mode, sliders map to log-scaled values
+ *   'physical' - sliders map to real quantities (t/yr, mm, m³/s, m/m) and
+ *                each term is normalized by a reference (equilibrium) value
  */
 
 const Balance = {
+    // Active unit mode: 'relative' | 'physical'
+    unitMode: 'relative',
+
+    // Physical ranges covered by the 1-100 sliders (log-scaled)
+    physicalRanges: {
+        Qs: { min: 1e1, max: 1e7, unit: 't/yr' },
+        D50: { min: 0.1, max: 100, unit: 'mm' },
+        Qw: { min: 0.1, max: 1e4, unit: 'm³/s' },
+        S: { min: 1e-5, max: 1e-1, unit: 'm/m' }
+    },
+
+    // Reference values at equilibrium (null = physical value at slider 50)
+    reference: { Qs: null, D50: null, Qw: null, S: null },
+
+    // Half-width of the equilibrium band around log10(ratio) = 0
+    equilibriumBand: 0.05,
+
+    // Process rules, evaluated in order by getActiveProcesses. The rules
+    // come from data/process-rules.json (see ProcessRules); this is the
+    // fallback for pages that cannot fetch it (file://): one process per
+    // tendency.
+    processRules: [
+        {
+            id: 'bed-incision', name: 'Bed incision', type: 'degradation', severity: 'moderate',
+            description: 'Excess transport capacity scours the bed and lowers the channel.',
+            when: { state: 'degradation' }
+        },
+        {
+            id: 'bar-formation', name: 'Bar formation', type: 'aggradation', severity: 'low',
+            description: 'Surplus sediment is deposited as bars in the channel.',
+            when: { state: 'aggradation' }
+        },
+        {
+            id: 'transport-balance', name: 'Sediment transport balance', type: 'equilibrium', severity: 'low',
+            description: 'Sediment supply matches transport capacity.',
+            when: { state: 'equilibrium' }
+        }
+    ],
+
+    // Rules as shipped, before any edits in the rules editor (set by
+    // ProcessRules); catalog translations apply to their text only
+    shippedRules: null,
+
+    // Channel pattern heuristic thresholds (fractions of the slider range)
+    patternThresholds: {
+        straightDischarge: 0.15,      // Below this discharge the channel stays straight
+        braidingIndex: 0.5,           // Above this braiding index the channel braids
+        wanderingIndex: 0.42,         // Between this and braidingIndex gravel beds wander
+        wanderingGrainSize: 0.5,      // Minimum grain size for wandering (gravel)
+        anastomosingSlope: 0.3,       // Below this slope and grain size, non-degrading
+        anastomosingGrainSize: 0.35   // channels anastomose
+    },
+
     /**
      * Calculate the balance ratio from parameters
+     * In physical mode the slider values are converted to real quantities first.
      * @param {number} Qs - Sediment discharge (1-100)
      * @param {number} D50 - Sediment size (1-100)
      * @param {number} Qw - Water discharge (1-100)
@@ -25,6 +84,15 @@ const Balance = {
      * @returns {number} Balance ratio
      */
     calculateRatio(Qs, D50, Qw, S) {
+        if (this.unitMode === 'physical') {
+            return this.calculatePhysicalRatio(
+                this.toPhysical('Qs', Qs),
+                this.toPhysical('D50', D50),
+                this.toPhysical('Qw', Qw),
+                this.toPhysical('S', S)
+            );
+        }
+
         const sedimentTerm = this.mapDischarge(Qs) * this.mapD50(D50);
         const waterTerm = this.mapDischarge(Qw) * this.mapSlope(S);
 
@@ -34,6 +102,96 @@ const Balance = {
         return sedimentTerm / waterTerm;
     },
 
+    /**
+     * Calculate the balance ratio from physical quantities.
+     * Each term is normalized by its reference value, so the ratio is 1
+     * when all four parameters sit at their reference (equilibrium) values.
+     * @param {number} Qs - Sediment discharge (t/yr)
+     * @param {number} D50 - Median grain size (mm)
+     * @param {number} Qw - Water discharge (m³/s)
+     * @param {number} S - Channel slope (m/m)
+     * @returns {number} Balance ratio
+     */
+    calculatePhysicalRatio(Qs, D50, Qw, S) {
+        const ref = this.getReferenceValues();
+        const sedimentTerm = (Qs / ref.Qs) * (D50 / ref.D50);
+        const waterTerm = (Qw / ref.Qw) * (S / ref.S);
+
+        if (waterTerm === 0) return Infinity;
+
+        return sedimentTerm / waterTerm;
+    },
+
+    /**
+     * Switch between unitless and physical unit modes
+     * @param {string} mode - 'relative' | 'physical'
+     */
+    setUnitMode(mode) {
+        this.unitMode = mode === 'physical' ? 'physical' : 'relative';
+    },
+
+    /**
+     * Map a slider value (1-100) to a physical quantity (log-scaled)
+     * @param {string} key - 'Qs' | 'D50' | 'Qw' | 'S'
+     * @param {number} value - Slider value (1-100)
+     * @returns {number} Physical value in the unit of physicalRanges[key]
+     */
+    toPhysical(key, value) {
+        const range = this.physicalRanges[key];
+        const ratio = (value - 1) / 99;
+        const logMin = Math.log10(range.min);
+        const logMax = Math.log10(range.max);
+        return Math.pow(10, logMin + ratio * (logMax - logMin));
+    },
+
+    /**
+     * Map a physical quantity back to a slider value (inverse of toPhysical).
+     * Result is not rounded or clamped.
+     * @param {string} key - 'Qs' | 'D50' | 'Qw' | 'S'
+     * @param {number} physicalValue - Value in the unit of physicalRanges[key]
+     * @returns {number} Slider value
+     */
+    fromPhysical(key, physicalValue) {
+        const range = this.physicalRanges[key];
+        const logMin = Math.log10(range.min);
+        const logMax = Math.log10(range.max);
+        const ratio = (Math.log10(physicalValue) - logMin) / (logMax - logMin);
+        return 1 + ratio * 99;
+    },
+
+    /**
+     * Get the reference (equilibrium) value for a parameter
+     * @param {string} key - 'Qs' | 'D50' | 'Qw' | 'S'
+     * @returns {number} Physical reference value
+     */
+    getReference(key) {
+        const value = this.reference[key];
+        return value > 0 ? value : this.toPhysical(key, 50);
+    },
+
+    /**
+     * Get all reference values
+     * @returns {{Qs: number, D50: number, Qw: number, S: number}}
+     */
+    getReferenceValues() {
+        return {
+            Qs: this.getReference('Qs'),
+            D50: this.getReference('D50'),
+            Qw: this.getReference('Qw'),
+            S: this.getReference('S')
+        };
+    },
+
+    /**
+     * Set a reference value; a non-positive value restores the default
+     * @param {string} key - 'Qs' | 'D50' | 'Qw' | 'S'
+     * @param {number|null} value - Physical reference value
+     */
+    setReference(key, value) {
+        if (!(key in this.reference)) return;
+        this.reference[key] = value > 0 ? value : null;
+    },
+
     /**
      * Map a discharge slider (1-100) to log-scaled value.
      * Both Qs and Qw use the same mapping so they have symmetric influence.
@@ -81,11 +239,29 @@ const Balance = {
     getState(ratio) {
         // Use an imbalance threshold (log10 ratio)
         const imbalance = this.getImbalanceIndex(ratio);
-        if (imbalance < -0.05) return 'degradation';
-        if (imbalance > 0.05) return 'aggradation';
+        if (imbalance < -this.equilibriumBand) return 'degradation';
+        if (imbalance > this.equilibriumBand) return 'aggradation';
         return 'equilibrium';
     },
 
+    /**
+     * Explain a balance state, optionally naming the parameter change behind it
+     * @param {string} stateName - 'degradation' | 'equilibrium' | 'aggradation'
+     * @param {string} [changedKey] - 'Qs' | 'D50' | 'Qw' | 'S'
+     * @param {string} [direction] - 'increased' | 'decreased'
+     * @returns {string}
+     */
+    getWhySentence(stateName, changedKey, direction) {
+        const stateDescription = I18n.t(`why.${stateName}`);
+        if (stateName === 'equilibrium' || !changedKey || !direction) {
+            return stateDescription;
+        }
+
+        // The parameter phrase is declined per language, so it has its own key
+        const cause = I18n.t(`why.${direction}`, { param: I18n.t(`why.param.${changedKey}`) });
+        return `${stateDescription} ${cause}`;
+    },
+
     /**
      * Calculate log10 imbalance index
      * @param {number} ratio - Balance ratio
@@ -96,6 +272,24 @@ const Balance = {
         return Math.log10(clampedRatio);
     },
 
+    /**
+     * Find the slope slider value that would restore equilibrium (ratio = 1)
+     * for the given sediment and water parameters. The ratio is log-linear
+     * in the slider value, so one finite difference gives the exact answer.
+     * @param {number} Qs - Sediment discharge (1-100)
+     * @param {number} D50 - Sediment size (1-100)
+     * @param {number} Qw - Water discharge (1-100)
+     * @param {number} S - Current slope slider value (1-100)
+     * @returns {number} Slope slider value (not clamped to 1-100)
+     */
+    getEquilibriumSlope(Qs, D50, Qw, S) {
+        const logRatio = Math.log10(this.calculateRatio(Qs, D50, Qw, S));
+        const logRatioNext = Math.log10(this.calculateRatio(Qs, D50, Qw, S + 1));
+        const sensitivity = logRatio - logRatioNext;
+        if (sensitivity === 0) return S;
+        return S + logRatio / sensitivity;
+    },
+
     /**
      * Calculate tilt angle for the balance scale
      * Uses logarithmic scale for visual representation
@@ -134,6 +328,8 @@ const Balance = {
      * Determine channel pattern based on parameters
      * Geomorphologically correct relationships:
      * - Braided: high sediment load, coarse sediment (high D50), steep slopes
+     * - Wandering: gravel beds just below the braiding threshold
+     * - Anastomosing: low slope, fine cohesive sediment, not degrading
      * - Meandering: moderate conditions, finer sediment, adequate discharge
      * - Straight: very low discharge only (rare in nature)
      *
@@ -142,20 +338,59 @@ const Balance = {
      * @param {number} Qw - Water discharge
      * @param {number} S - Slope
      * @param {number} ratio - Balance ratio
-     * @returns {string} 'straight' | 'meandering' | 'braided'
+     * @returns {string} 'straight' | 'meandering' | 'braided' | 'wandering' | 'anastomosing'
      */
     getChannelPattern(Qs, D50, Qw, S, ratio) {
-        const sedimentLoad = Qs / 100;
-        const grainSize = D50 / 100;  // 0-1, higher = coarser
-        const slope = S / 100;
         const discharge = Qw / 100;
 
         // Straight channels: only when discharge is very low (not enough energy to meander)
         // This is rare - most rivers with any flow will meander
-        if (discharge < 0.15) {
+        if (discharge < this.patternThresholds.straightDischarge) {
             return 'straight';
         }
 
+        // Threshold set so default values (50/50/50/50) show meandering
+        const thresholds = this.patternThresholds;
+        const braidingIndex = this.getBraidingIndex(Qs, D50, Qw, S, ratio);
+        if (braidingIndex > thresholds.braidingIndex) {
+            return 'braided';
+        }
+
+        // Wandering: gravel-bed rivers in transition, single thread with
+        // occasional islands and secondary channels
+        if (braidingIndex > thresholds.wanderingIndex && D50 / 100 >= thresholds.wanderingGrainSize) {
+            return 'wandering';
+        }
+
+        // Anastomosing: low-energy, fine cohesive sediment and slow
+        // aggradation build stable vegetated islands between channels
+        if (S / 100 < thresholds.anastomosingSlope &&
+            D50 / 100 < thresholds.anastomosingGrainSize &&
+            this.getState(ratio) !== 'degradation') {
+            return 'anastomosing';
+        }
+
+        // Meandering is the default pattern for most rivers
+        // Rivers meander when they have enough discharge to erode banks
+        // but not enough sediment/slope/coarseness to braid
+        return 'meandering';
+    },
+
+    /**
+     * Calculate the braiding index used by getChannelPattern
+     * @param {number} Qs - Sediment discharge (1-100)
+     * @param {number} D50 - Sediment size (1-100)
+     * @param {number} Qw - Water discharge (1-100)
+     * @param {number} S - Slope (1-100)
+     * @param {number} ratio - Balance ratio
+     * @returns {number} Braiding index (braided above patternThresholds.braidingIndex)
+     */
+    getBraidingIndex(Qs, D50, Qw, S, ratio) {
+        const sedimentLoad = Qs / 100;
+        const grainSize = D50 / 100;  // 0-1, higher = coarser
+        const slope = S / 100;
+        const discharge = Qw / 100;
+
         // Braiding requires BOTH sufficient stream power to rework sediment across
         // the full valley width AND excess sediment supply relative to capacity.
         // Key factors promoting braiding:
@@ -173,57 +408,125 @@ const Balance = {
         // Discharge acts as an enabler: scale braiding potential by how much
         // flow energy is available. Below ~30% discharge, braiding is suppressed.
         const dischargeScaling = Math.min(discharge / 0.3, 1.0);
-        const braidingIndex = braidingPotential * dischargeScaling;
+        return braidingPotential * dischargeScaling;
+    },
 
-        // Threshold set so default values (50/50/50/50) show meandering
-        if (braidingIndex > 0.5) {
-            return 'braided';
-        }
+    /**
+     * Replace the process rules and equilibrium band (see ProcessRules)
+     * @param {Object[]} rules - Process rules in evaluation order
+     * @param {number} equilibriumBand - Half-width of the equilibrium band (log10 ratio)
+     */
+    setProcessRules(rules, equilibriumBand) {
+        this.processRules = rules;
+        this.equilibriumBand = equilibriumBand;
+    },
 
-        // Meandering is the default pattern for most rivers
-        // Rivers meander when they have enough discharge to erode banks
-        // but not enough sediment/slope/coarseness to braid
-        return 'meandering';
+    /**
+     * Check a numeric value against an { above, below } condition (both strict)
+     * @param {number} value - Value to test
+     * @param {Object} condition - { above?: number, below?: number }
+     * @returns {boolean}
+     */
+    inRange(value, condition) {
+        if (value === undefined) return false;
+        if (condition.above !== undefined && !(value > condition.above)) return false;
+        if (condition.below !== undefined && !(value < condition.below)) return false;
+        return true;
+    },
+
+    /**
+     * Check whether a process rule fires for a context
+     * @param {Object} rule - Process rule
+     * @param {Object} context - { state, pattern, ratio, streamPower, Qs, D50, Qw, S }
+     * @returns {boolean}
+     */
+    ruleMatches(rule, context) {
+        return Object.entries(rule.when || {}).every(([key, condition]) => {
+            if (key === 'state' || key === 'pattern') {
+                const allowed = Array.isArray(condition) ? condition : [condition];
+                return allowed.includes(context[key]);
+            }
+            return this.inRange(context[key], condition);
+        });
+    },
+
+    /**
+     * Values that process rule conditions are tested against
+     * @param {number} ratio - Balance ratio
+     * @param {number} Qw - Water discharge
+     * @param {number} S - Slope
+     * @param {string} [pattern] - Channel pattern
+     * @param {Object} [params] - { Qs, D50 }
+     * @returns {Object} { state, pattern, ratio, streamPower, Qs, D50, Qw, S }
+     */
+    getProcessContext(ratio, Qw, S, pattern, params = {}) {
+        return {
+            state: this.getState(ratio),
+            pattern,
+            ratio,
+            streamPower: this.calculateStreamPower(Qw, S),
+            Qs: params.Qs,
+            D50: params.D50,
+            Qw,
+            S
+        };
     },
 
     /**
      * Get active geomorphic processes based on balance state
+     * Processes come from processRules; each fires when all of its
+     * conditions hold.
      * @param {number} ratio - Balance ratio
      * @param {number} Qw - Water discharge
      * @param {number} S - Slope
-     * @returns {Array<{name: string, type: string}>} Active processes
+     * @param {string} [pattern] - Channel pattern; enables pattern-specific processes
+     * @param {Object} [params] - { Qs, D50 } for rules with conditions on them
+     * @returns {Array<{id: string, name: string, type: string, severity: string, description: string}>} Active processes
      */
-    getActiveProcesses(ratio, Qw, S) {
-        const state = this.getState(ratio);
-        const streamPower = this.calculateStreamPower(Qw, S);
-        const processes = [];
+    getActiveProcesses(ratio, Qw, S, pattern, params = {}) {
+        const context = this.getProcessContext(ratio, Qw, S, pattern, params);
 
-        if (state === 'degradation') {
-            processes.push({ name: 'Bed incision', type: 'degradation' });
-            if (streamPower > 0.3) {
-                processes.push({ name: 'Bank erosion', type: 'degradation' });
-            }
-            if (streamPower > 0.5) {
-                processes.push({ name: 'Knickpoint migration', type: 'degradation' });
-            }
-            if (ratio < 0.5) {
-                processes.push({ name: 'Bed armoring', type: 'degradation' });
-            }
-        } else if (state === 'aggradation') {
-            processes.push({ name: 'Bar formation', type: 'aggradation' });
-            if (ratio > 1.5) {
-                processes.push({ name: 'Channel widening', type: 'aggradation' });
-            }
-            if (ratio > 2) {
-                processes.push({ name: 'Avulsion risk', type: 'aggradation' });
-            }
-            processes.push({ name: 'Overbank deposition', type: 'aggradation' });
-        } else {
-            processes.push({ name: 'Sediment transport balance', type: 'equilibrium' });
-            processes.push({ name: 'Dynamic equilibrium', type: 'equilibrium' });
-        }
+        return this.processRules
+            .filter(rule => this.ruleMatches(rule, context))
+            .map(rule => ({
+                id: rule.id,
+                name: this.getProcessName(rule),
+                type: rule.type,
+                severity: rule.severity,
+                description: this.getProcessDescription(rule)
+            }));
+    },
+
+    /**
+     * Process name in the active language; see getProcessText()
+     * @param {Object} rule - Process rule
+     * @returns {string}
+     */
+    getProcessName(rule) {
+        return this.getProcessText(rule, 'name');
+    },
+
+    /**
+     * Process description in the active language; see getProcessText()
+     * @param {Object} rule - Process rule
+     * @returns {string}
+     */
+    getProcessDescription(rule) {
+        return this.getProcessText(rule, 'description');
+    },
 
-        return processes;
+    /**
+     * Catalog text for a rule field while it matches the shipped rule;
+     * text changed in the rules editor, and rules that were not shipped,
+     * are shown as written
+     * @param {Object} rule - Process rule
+     * @param {string} field - 'name' | 'description'
+     * @returns {string}
+     */
+    getProcessText(rule, field) {
+        const shipped = (this.shippedRules || this.processRules).find(item => item.id === rule.id);
+        if (!shipped || shipped[field] !== rule[field]) return rule[field];
+        return I18n.t(`process.${rule.id}.${field}`, {}, rule[field]);
     }
 };
 
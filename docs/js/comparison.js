@@ -0,0 +1,127 @@
+/**
+ * Comparison - Before / after scenario pair
+ *
+ * Holds two independent sets of slider values and evaluates each the
+ * way the main views do (ratio, imbalance index, pattern, active
+ * processes). diff() summarizes what changes from 'before' to 'after'.
+ */
+
+const Comparison = {
+    // Slider range
+    min: 1,
+    max: 100,
+
+    // Slider values { Qs, D50, Qw, S } for each side
+    sides: { before: null, after: null },
+
+    /**
+     * Default pair: equilibrium before, a sediment pulse after
+     * @returns {{before: Object, after: Object}}
+     */
+    defaults() {
+        return {
+            before: { Qs: 50, D50: 50, Qw: 50, S: 50 },
+            after: { Qs: 65, D50: 50, Qw: 50, S: 50 }
+        };
+    },
+
+    /**
+     * Restore the default pair
+     */
+    reset() {
+        this.sides = this.defaults();
+    },
+
+    /**
+     * Set one parameter on one side
+     * @param {string} side - 'before' | 'after'
+     * @param {string} key - 'Qs' | 'D50' | 'Qw' | 'S'
+     * @param {number} value - Slider value, clamped to 1-100
+     */
+    setValue(side, key, value) {
+        const params = this.sides[side];
+        if (!params || !(key in params) || !Number.isFinite(value)) return;
+        params[key] = Math.max(this.min, Math.min(this.max, Math.round(value)));
+    },
+
+    /**
+     * Replace all parameters on one side (e.g. from the main sliders)
+     * @param {string} side - 'before' | 'after'
+     * @param {Object} params - { Qs, D50, Qw, S }
+     */
+    setSide(side, params) {
+        if (!this.sides[side]) return;
+        Object.keys(this.sides[side]).forEach(key => this.setValue(side, key, params[key]));
+    },
+
+    /**
+     * Exchange the before and after parameters
+     */
+    swap() {
+        const { before, after } = this.sides;
+        this.sides = { before: after, after: before };
+    },
+
+    /**
+     * Evaluate one parameter set as the main views would
+     * @param {Object} params - { Qs, D50, Qw, S } slider values
+     * @returns {Object} { params, ratio, imbalance, state, pattern, processes }
+     */
+    evaluate(params) {
+        const { Qs, D50, Qw, S } = params;
+        const ratio = Balance.calculateRatio(Qs, D50, Qw, S);
+        const pattern = PatternClassifiers.getPattern(Qs, D50, Qw, S, ratio);
+
+        return {
+            params: { Qs, D50, Qw, S },
+            ratio,
+            imbalance: Balance.getImbalanceIndex(ratio),
+            state: Balance.getState(ratio),
+            pattern,
+            processes: Balance.getActiveProcesses(ratio, Qw, S, pattern, params)
+        };
+    },
+
+    /**
+     * Summarize the change from one evaluation to another
+     * @param {Object} before - evaluate() result
+     * @param {Object} after - evaluate() result
+     * @returns {Object} { ratio, imbalance, state, pattern, added, removed };
+     *   ratio carries the factor after / before, imbalance the difference,
+     *   state and pattern whether they changed, added / removed the processes
+     */
+    diff(before, after) {
+        const beforeIds = new Set(before.processes.map(process => process.id));
+        const afterIds = new Set(after.processes.map(process => process.id));
+
+        return {
+            ratio: { before: before.ratio, after: after.ratio, factor: after.ratio / before.ratio },
+            imbalance: {
+                before: before.imbalance,
+                after: after.imbalance,
+                change: after.imbalance - before.imbalance
+            },
+            state: { before: before.state, after: after.state, changed: before.state !== after.state },
+            pattern: { before: before.pattern, after: after.pattern, changed: before.pattern !== after.pattern },
+            added: after.processes.filter(process => !beforeIds.has(process.id)),
+            removed: before.processes.filter(process => !afterIds.has(process.id))
+        };
+    },
+
+    /**
+     * Evaluate both sides and their difference
+     * @returns {{before: Object, after: Object, diff: Object}}
+     */
+    compare() {
+        const before = this.evaluate(this.sides.before);
+        const after = this.evaluate(this.sides.after);
+        return { before, after, diff: this.diff(before, after) };
+    }
+};
+
+Comparison.reset();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Comparison;
+}
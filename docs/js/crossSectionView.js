@@ -0,0 +1,173 @@
+/**
+ * Cross-Section View - Channel Cross-Section D3 Visualization
+ *
+ * Draws the channel across the valley: floodplain, banks, bed and
+ * water surface. Dimensions come from HydraulicGeometry, so the channel
+ * widens and shallows under aggradation and deepens and incises under
+ * degradation. The dashed outline marks the regime (equilibrium) channel.
+ */
+
+const CrossSectionView = {
+    svg: null,
+    width: 0,
+    height: 0,
+    margin: { top: 10, right: 20, bottom: 10, left: 20 },
+    sectionGroup: null,
+
+    /**
+     * Initialize the cross-section visualization
+     * @param {string} containerId - DOM element ID for the container
+     */
+    init(containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        // Clear existing content
+        container.innerHTML = '';
+
+        // Get container dimensions
+        const rect = container.getBoundingClientRect();
+        this.width = (rect.width || 600) - this.margin.left - this.margin.right;
+        this.height = (rect.height || 160) - this.margin.top - this.margin.bottom;
+
+        // Create SVG
+        this.svg = d3.select(`#${containerId}`)
+            .append('svg')
+            .attr('width', '100%')
+            .attr('height', '100%')
+            .attr('viewBox', `0 0 ${this.width + this.margin.left + this.margin.right} ${this.height + this.margin.top + this.margin.bottom}`)
+            .attr('preserveAspectRatio', 'xMidYMid meet')
+            .append('g')
+            .attr('transform', `translate(${this.margin.left}, ${this.margin.top})`);
+
+        // Background (sky)
+        this.svg.append('rect')
+            .attr('x', 0)
+            .attr('y', 0)
+            .attr('width', this.width)
+            .attr('height', this.height)
+            .attr('fill', '#f4f8fb')
+            .attr('rx', 4);
+
+        this.sectionGroup = this.svg.append('g').attr('class', 'section-group');
+
+        // Layers in drawing order
+        this.sectionGroup.append('path').attr('class', 'xs-ground').attr('fill', '#e8e4d9').attr('stroke', '#8b4513').attr('stroke-width', 2);
+        this.sectionGroup.append('path').attr('class', 'xs-deposit').attr('fill', '#cd853f').attr('opacity', 0.8);
+        this.sectionGroup.append('path').attr('class', 'xs-water').attr('fill', '#5dade2').attr('opacity', 0.7);
+        this.sectionGroup.append('path').attr('class', 'xs-regime')
+            .attr('fill', 'none')
+            .attr('stroke', '#7f8c8d')
+            .attr('stroke-width', 1.5)
+            .attr('stroke-dasharray', '5,4');
+    },
+
+    /**
+     * Update the cross-section with new parameters
+     * @param {number} ratio - Balance ratio
+     * @param {Object} params - { Qs, D50, Qw, S }
+     * @param {number} duration - Animation duration in ms
+     */
+    update(ratio, params, duration = 500) {
+        if (!this.sectionGroup) return;
+
+        const geometry = HydraulicGeometry.compute(params, ratio);
+        const { width, depth, bankHeight, baseWidth, baseDepth } = geometry;
+
+        // Scale to the regime channel so adjustments remain visible
+        const xScale = d3.scaleLinear()
+            .domain([-1.5 * baseWidth, 1.5 * baseWidth])
+            .range([0, this.width]);
+        const yScale = d3.scaleLinear()
+            .domain([-2.2 * baseDepth, 0.8 * baseDepth])
+            .range([this.height - 5, 35]);
+
+        // Bank run in metres, a fixed fraction of the regime width
+        const run = 0.08 * baseWidth;
+        const bottom = -2.2 * baseDepth;
+        const bedY = -bankHeight;
+        const regimeBedY = -baseDepth;
+
+        const ground = [
+            [-1.5 * baseWidth, bottom],
+            [-1.5 * baseWidth, 0],
+            [-width / 2 - run, 0],
+            [-width / 2, bedY],
+            [width / 2, bedY],
+            [width / 2 + run, 0],
+            [1.5 * baseWidth, 0],
+            [1.5 * baseWidth, bottom]
+        ];
+
+        const regime = [
+            [-baseWidth / 2 - run, 0],
+            [-baseWidth / 2, regimeBedY],
+            [baseWidth / 2, regimeBedY],
+            [baseWidth / 2 + run, 0]
+        ];
+
+        // Deposited layer between the regime bed and an aggraded bed
+        const deposit = geometry.bedChange > 0
+            ? [[-width / 2, regimeBedY], [-width / 2, bedY], [width / 2, bedY], [width / 2, regimeBedY]]
+            : [[-width / 2, bedY], [-width / 2, bedY], [width / 2, bedY], [width / 2, bedY]];
+
+        // Water surface at bed + depth; banks are linear so interpolate the run
+        const waterY = bedY + depth;
+        const waterRun = run * depth / bankHeight;
+        const water = [
+            [-width / 2 - waterRun, waterY],
+            [-width / 2, bedY],
+            [width / 2, bedY],
+            [width / 2 + waterRun, waterY]
+        ];
+
+        const toPath = points => d3.line()
+            .x(d => xScale(d[0]))
+            .y(d => yScale(d[1]))(points) + 'Z';
+
+        const paths = {
+            'xs-ground': toPath(ground),
+            'xs-deposit': toPath(deposit),
+            'xs-water': toPath(water),
+            'xs-regime': d3.line().x(d => xScale(d[0])).y(d => yScale(d[1]))(regime)
+        };
+
+        Object.entries(paths).forEach(([className, d]) => {
+            this.sectionGroup.select(`.${className}`)
+                .transition()
+                .duration(duration)
+                .ease(d3.easeQuadOut)
+                .attr('d', d);
+        });
+
+        this.updateLabel(geometry);
+    },
+
+    /**
+     * Update the dimension label
+     * @param {Object} geometry - Result of HydraulicGeometry.compute()
+     */
+    updateLabel(geometry) {
+        const format = value => I18n.formatFixed(value, value < 10 ? 2 : 1);
+
+        // Remove existing label
+        this.svg.selectAll('.section-label').remove();
+
+        this.svg.append('text')
+            .attr('class', 'section-label')
+            .attr('x', 10)
+            .attr('y', 16)
+            .attr('fill', '#7f8c8d')
+            .attr('font-size', '12px')
+            .attr('font-weight', '500')
+            .text(`W = ${format(geometry.width)} m · d = ${format(geometry.depth)} m · U = ${format(geometry.velocity)} m/s`);
+
+        this.svg.append('text')
+            .attr('class', 'section-label')
+            .attr('x', 10)
+            .attr('y', 30)
+            .attr('fill', '#7f8c8d')
+            .attr('font-size', '11px')
+            .text(I18n.t('crossSection.bankHeight', { height: format(geometry.bankHeight) }));
+    }
+};
@@ -0,0 +1,121 @@
+/**
+ * Hydraulic Geometry - Channel dimensions from discharge
+ *
+ * Leopold & Maddock (1953) at-a-station / downstream relations:
+ *
+ *   W = a · Qw^b     (width, m)
+ *   d = c · Qw^f     (depth, m)
+ *   U = k · Qw^m     (velocity, m/s)
+ *
+ * Continuity (Qw = W · d · U) requires a·c·k = 1 and b + f + m = 1.
+ *
+ * The regime geometry is then adjusted for the current Lane tendency,
+ * following the processes (by id) reported by Balance.getActiveProcesses:
+ * aggradation widens and shallows the channel, degradation deepens it
+ * and incises the bed below the floodplain.
+ */
+
+const HydraulicGeometry = {
+    // Typical downstream exponents (Leopold & Maddock, 1953)
+    coefficients: {
+        a: 4.0, b: 0.5,     // width
+        c: 0.4, f: 0.4,     // depth
+        k: 0.625, m: 0.1    // velocity (k = 1 / (a·c))
+    },
+
+    /**
+     * Regime channel geometry for a discharge
+     * @param {number} Qw - Water discharge (m³/s)
+     * @returns {{width: number, depth: number, velocity: number}}
+     */
+    regime(Qw) {
+        const { a, b, c, f, k, m } = this.coefficients;
+        return {
+            width: a * Math.pow(Qw, b),
+            depth: c * Math.pow(Qw, f),
+            velocity: k * Math.pow(Qw, m)
+        };
+    },
+
+    /**
+     * Adjust regime geometry for the current balance state
+     * @param {Object} base - Result of regime()
+     * @param {number} ratio - Balance ratio
+     * @param {Array<{id: string}>} processes - Active processes
+     * @returns {Object} { width, depth, velocity, bankHeight, bedChange, baseWidth, baseDepth }
+     *   bedChange > 0 is aggradation of the bed, < 0 is incision
+     */
+    adjust(base, ratio, processes) {
+        const ids = new Set(processes.map(p => p.id));
+        const magnitude = Math.min(Math.abs(Balance.getImbalanceIndex(ratio)), 1);
+
+        let width = base.width;
+        let depth = base.depth;
+        let bedChange = 0;
+
+        if (ids.has('channel-widening')) {
+            // Widen and shallow at constant velocity (continuity)
+            const factor = 1 + 0.6 * magnitude;
+            width *= factor;
+            depth /= factor;
+        }
+        if (ids.has('bar-formation')) {
+            bedChange += 0.3 * magnitude * base.depth;
+        }
+        if (ids.has('bed-incision')) {
+            // Deepen and narrow, bed lowered below the original floodplain level
+            const factor = 1 + 0.4 * magnitude;
+            depth *= factor;
+            width /= factor;
+            bedChange -= 0.8 * magnitude * base.depth;
+        }
+        if (ids.has('bank-erosion')) {
+            width *= 1 + 0.2 * magnitude;
+        }
+
+        const velocity = base.width * base.depth * base.velocity / (width * depth);
+
+        return {
+            width,
+            depth,
+            velocity,
+            bankHeight: base.depth - bedChange,
+            bedChange,
+            baseWidth: base.width,
+            baseDepth: base.depth
+        };
+    },
+
+    /**
+     * Adjusted geometry for slider parameters
+     * @param {Object} params - { Qs, D50, Qw, S } slider values
+     * @param {number} ratio - Balance ratio
+     * @returns {Object} See adjust()
+     */
+    compute(params, ratio) {
+        const base = this.regime(Balance.toPhysical('Qw', params.Qw));
+        const processes = Balance.getActiveProcesses(ratio, params.Qw, params.S, null, params);
+        return this.adjust(base, ratio, processes);
+    },
+
+    /**
+     * Map a channel width (m) to a drawing width in pixels.
+     * Log-scaled across the regime widths of the Qw slider range.
+     * @param {number} width - Channel width (m)
+     * @param {number} minPx - Pixels at the smallest regime width
+     * @param {number} maxPx - Pixels at the largest regime width
+     * @returns {number}
+     */
+    toPixels(width, minPx, maxPx) {
+        const range = Balance.physicalRanges.Qw;
+        const logMin = Math.log10(this.regime(range.min).width);
+        const logMax = Math.log10(this.regime(range.max).width);
+        const t = (Math.log10(width) - logMin) / (logMax - logMin);
+        return minPx + t * (maxPx - minPx);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HydraulicGeometry;
+}
@@ -0,0 +1,330 @@
+/**
+ * Hydrograph - Time series input and playback
+ *
+ * A hydrograph is a list of points { time, label, Qw, Qs } in physical
+ * units: time in days, Qw in m³/s and Qs in t/yr (Balance.physicalRanges).
+ * Qs is null when the series only gives discharge; the Qs slider is then
+ * held at its current value.
+ *
+ * CSV input: one row per time step with columns date, Qw and optionally
+ * Qs, or Qw alone. A header row is optional; recognized names are
+ * date/time, Qw/Q/discharge and Qs/sediment. Dates may be ISO dates or
+ * plain day numbers. The delimiter is detected from the first row (tab,
+ * semicolon or comma); with tabs or semicolons a decimal comma is read
+ * as a decimal point, as in spreadsheets saved in many European locales.
+ *
+ * Playback steps through the points, reports slider values for each and
+ * collects the resulting balance ratio for the time series plot.
+ */
+
+const Hydrograph = {
+    // Synthetic hydrographs, scaled to a base flow (m³/s); names and
+    // descriptions are catalog entries hydrograph.<id>.name/.description
+    synthetic: {
+        snowmelt: {
+            days: 365,
+            flow(day, base) {
+                const melt = 4 * Math.exp(-Math.pow((day - 150) / 30, 2) / 2);
+                const diurnal = 0.15 * melt * Math.sin(day * 2.1);
+                return base * (0.6 + melt + diurnal);
+            }
+        },
+        storm: {
+            days: 60,
+            flow(day, base) {
+                const storms = [{ start: 8, peak: 8 }, { start: 27, peak: 5 }, { start: 41, peak: 12 }];
+                return base * storms.reduce((total, storm) => {
+                    const t = day - storm.start;
+                    if (t < 0) return total;
+                    // One-day rise, then exponential recession (2-day time constant)
+                    return total + storm.peak * (t < 1 ? t : Math.exp(-(t - 1) / 2));
+                }, 0.5);
+            }
+        },
+        regulated: {
+            days: 365,
+            flow(day, base) {
+                const seasonal = 1 + 0.2 * Math.sin((day - 60) / 365 * 2 * Math.PI);
+                const release = day >= 120 && day < 125 ? 2 : 0;
+                return base * (seasonal + release);
+            }
+        }
+    },
+
+    // Column name aliases for CSV headers (lowercase)
+    columns: {
+        time: ['date', 'time', 'day', 'datetime'],
+        Qw: ['qw', 'q', 'discharge', 'flow'],
+        Qs: ['qs', 'sediment', 'sediment load', 'load']
+    },
+
+    series: null,      // { name, points, hasQs }
+    index: 0,          // Next point to play
+    records: [],       // Played points with their ratio and state
+    timer: null,
+    stepInterval: 150, // ms between points while playing
+
+    /**
+     * Build a synthetic hydrograph
+     * @param {string} id - Key of synthetic
+     * @param {number} baseQw - Base flow (m³/s)
+     * @returns {Object|null} Series { name, points, hasQs }
+     */
+    createSynthetic(id, baseQw) {
+        const template = this.synthetic[id];
+        if (!template) return null;
+
+        const points = [];
+        for (let day = 0; day < template.days; day++) {
+            points.push({
+                time: day,
+                label: I18n.t('hydrograph.day', { day: day + 1 }),
+                Qw: template.flow(day, baseQw),
+                Qs: null
+            });
+        }
+        return { name: I18n.t(`hydrograph.${id}.name`), points, hasQs: false };
+    },
+
+    /**
+     * Find the index of a column from its header name
+     * @param {string[]} header - Lowercased header cells
+     * @param {string} key - Key of columns
+     * @returns {number} Column index or -1
+     */
+    findColumn(header, key) {
+        return header.findIndex(cell => this.columns[key].includes(cell.replace(/\s*\(.*\)$/, '')));
+    },
+
+    /**
+     * Parse a CSV hydrograph
+     * @param {string} text - CSV text
+     * @param {string} name - Series name (usually the file name)
+     * @returns {{series: Object|null, errors: string[]}}
+     */
+    parseCSV(text, name) {
+        // Keep each row's line number in the text for error messages
+        const lines = text.split(/\r?\n/)
+            .map((line, index) => ({ text: line.trim(), number: index + 1 }))
+            .filter(line => line.text && !line.text.startsWith('#'));
+
+        if (!lines.length) {
+            return { series: null, errors: [I18n.t('hydrograph.error.noRows')] };
+        }
+
+        const delimiter = this.detectDelimiter(lines[0].text);
+        const toNumber = cell => this.parseNumber(cell, delimiter !== ',');
+        const rows = lines.map(line => line.text.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, '$1')));
+
+        // Every row needs the first row's columns; guessing would shift values
+        const width = rows[0].length;
+        const ragged = rows
+            .map((row, index) => ({ row, index }))
+            .filter(({ row }) => row.length !== width)
+            .map(({ row, index }) => I18n.t('hydrograph.error.columns', { line: lines[index].number, expected: width, count: row.length }));
+        if (ragged.length) {
+            return { series: null, errors: this.limitErrors(ragged) };
+        }
+
+        // A header is a first row whose Qw cell is not a number
+        let columns = width === 1 ? { time: -1, Qw: 0, Qs: -1 } : { time: 0, Qw: 1, Qs: width > 2 ? 2 : -1 };
+        if (Number.isNaN(toNumber(rows[0][columns.Qw]))) {
+            lines.shift();
+            const header = rows.shift().map(cell => cell.toLowerCase());
+            columns = {
+                time: this.findColumn(header, 'time'),
+                Qw: this.findColumn(header, 'Qw'),
+                Qs: this.findColumn(header, 'Qs')
+            };
+            if (columns.Qw < 0) {
+                return { series: null, errors: [I18n.t('hydrograph.error.noDischarge', { names: this.columns.Qw.join(', ') })] };
+            }
+        }
+
+        const errors = [];
+        const points = [];
+        const dated = columns.time >= 0 && rows.length > 0 && Number.isNaN(Number(rows[0][columns.time]))
+            && !Number.isNaN(Date.parse(rows[0][columns.time]));
+
+        rows.forEach((row, index) => {
+            const line = lines[index].number;
+            const Qw = toNumber(row[columns.Qw]);
+            const Qs = columns.Qs >= 0 ? toNumber(row[columns.Qs]) : null;
+            const label = columns.time >= 0 ? row[columns.time] : String(index + 1);
+
+            let time = index;
+            if (columns.time >= 0) {
+                time = dated ? Date.parse(label) / 86400000 : toNumber(label);
+            }
+
+            if (!(Qw > 0)) {
+                errors.push(I18n.t('hydrograph.error.discharge', { line, value: row[columns.Qw] ?? '' }));
+            } else if (Qs !== null && !(Qs > 0)) {
+                errors.push(I18n.t('hydrograph.error.sediment', { line, value: row[columns.Qs] ?? '' }));
+            } else if (!Number.isFinite(time)) {
+                errors.push(I18n.t('hydrograph.error.time', { line, label }));
+            } else if (points.length && time <= points[points.length - 1].time) {
+                errors.push(I18n.t('hydrograph.error.order', { line, label }));
+            } else {
+                points.push({ time, label, Qw, Qs });
+            }
+        });
+
+        if (points.length < 2 && !errors.length) {
+            errors.push(I18n.t('hydrograph.error.tooShort'));
+        }
+        if (errors.length) return { series: null, errors: this.limitErrors(errors) };
+
+        // Shift time so the series starts at day 0
+        const start = points[0].time;
+        points.forEach(point => { point.time -= start; });
+
+        return { series: { name, points, hasQs: columns.Qs >= 0 }, errors: [] };
+    },
+
+    /**
+     * Delimiter of a CSV file, from its first row: tab, then semicolon,
+     * then comma (also for a single column)
+     * @param {string} line - First non-comment line
+     * @returns {string}
+     */
+    detectDelimiter(line) {
+        return ['\t', ';'].find(delimiter => line.includes(delimiter)) || ',';
+    },
+
+    /**
+     * Read a CSV cell as a number; the whole cell must be numeric
+     * @param {string} cell
+     * @param {boolean} decimalComma - Read ',' as the decimal separator
+     * @returns {number} NaN if the cell is not a number
+     */
+    parseNumber(cell, decimalComma) {
+        const text = decimalComma ? String(cell).replace(',', '.') : String(cell);
+        return text.trim() === '' ? NaN : Number(text);
+    },
+
+    /**
+     * Keep the first five error messages and count the rest
+     * @param {string[]} errors
+     * @returns {string[]}
+     */
+    limitErrors(errors) {
+        if (errors.length <= 5) return errors;
+        return [...errors.slice(0, 5), I18n.t('validate.more', { count: errors.length - 5 })];
+    },
+
+    /**
+     * Make a series current and rewind
+     * @param {Object} series - { name, points, hasQs }
+     */
+    load(series) {
+        this.stop();
+        this.series = series;
+        this.rewind();
+    },
+
+    /**
+     * Return to the start and clear played records
+     */
+    rewind() {
+        this.index = 0;
+        this.records = [];
+    },
+
+    /**
+     * Slider values for a point
+     * @param {Object} point - Hydrograph point
+     * @returns {Object} { Qw } and { Qs } when the point has a sediment load
+     */
+    toSliders(point) {
+        const clamp = value => Math.max(1, Math.min(100, Math.round(value)));
+        const values = { Qw: clamp(Balance.fromPhysical('Qw', point.Qw)) };
+        if (point.Qs !== null) values.Qs = clamp(Balance.fromPhysical('Qs', point.Qs));
+        return values;
+    },
+
+    /**
+     * Store the model result for a played point
+     * @param {Object} point - Hydrograph point
+     * @param {number} ratio - Balance ratio at that point
+     */
+    record(point, ratio) {
+        this.records.push({ time: point.time, label: point.label, ratio, state: Balance.getState(ratio) });
+    },
+
+    /**
+     * Time spent in each tendency. Each record lasts until the next one;
+     * the last lasts as long as the step before it.
+     * @param {Object[]} [records] - Played records (default: this.records)
+     * @returns {{degradation: number, equilibrium: number, aggradation: number, total: number}} Days
+     */
+    summarize(records = this.records) {
+        const totals = { degradation: 0, equilibrium: 0, aggradation: 0, total: 0 };
+
+        records.forEach((record, i) => {
+            const next = records[i + 1];
+            const previous = records[i - 1];
+            let duration = 1;
+            if (next) {
+                duration = next.time - record.time;
+            } else if (previous) {
+                duration = record.time - previous.time;
+            }
+            totals[record.state] += duration;
+            totals.total += duration;
+        });
+
+        return totals;
+    },
+
+    /**
+     * Whether every point has been played
+     * @returns {boolean}
+     */
+    isFinished() {
+        return !this.series || this.index >= this.series.points.length;
+    },
+
+    /**
+     * Play from the current point
+     * @param {Function} onStep - Called with each point
+     * @param {Function} onEnd - Called after the last point
+     */
+    start(onStep, onEnd) {
+        this.stop();
+        if (!this.series) return;
+        if (this.isFinished()) this.rewind();
+
+        this.timer = d3.interval(() => {
+            onStep(this.series.points[this.index]);
+            this.index++;
+            if (this.isFinished()) {
+                this.stop();
+                if (onEnd) onEnd();
+            }
+        }, this.stepInterval);
+    },
+
+    /**
+     * Pause playback
+     */
+    stop() {
+        if (this.timer) {
+            this.timer.stop();
+            this.timer = null;
+        }
+    },
+
+    /**
+     * Whether playback is running
+     * @returns {boolean}
+     */
+    isPlaying() {
+        return this.timer !== null;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Hydrograph;
+}
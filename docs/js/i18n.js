@@ -0,0 +1,173 @@
+/**
+ * I18n - Message catalogs, language switching and number formatting
+ *
+ * Catalogs live in js/locales/<locale>.js and register themselves with
+ * register(). Keys are dotted paths ('state.aggradation'); a key missing
+ * from the active locale falls back to English, then to the caller's
+ * fallback, then to the key itself so gaps stay visible.
+ *
+ * Messages may contain {name} placeholders filled from t()'s params.
+ * Static page text is marked up in index.html:
+ *   data-i18n="key"            textContent
+ *   data-i18n-html="key"       innerHTML (catalog text is trusted markup)
+ *   data-i18n-attr="attr:key;attr:key"
+ *
+ * Content files (scenarios, lessons, quiz banks, process rules and
+ * definitions) stay in the language they were written in.
+ */
+
+const I18n = {
+    storageKey: 'lane-balance-locale',
+    fallback: 'en',
+    locale: 'en',
+
+    // { locale: { key: message } } and { locale: native language name }
+    catalogs: {},
+    names: {},
+
+    /**
+     * Add (or extend) a locale's catalog
+     * @param {string} locale - BCP 47 language tag, e.g. 'cs'
+     * @param {string} name - Language name in that language, for the switcher
+     * @param {Object} messages - { key: message }
+     */
+    register(locale, name, messages) {
+        this.catalogs[locale] = Object.assign(this.catalogs[locale] || {}, messages);
+        this.names[locale] = name;
+    },
+
+    /**
+     * Registered locales in registration order
+     * @returns {Array<{id: string, name: string}>}
+     */
+    available() {
+        return Object.keys(this.catalogs).map(id => ({ id, name: this.names[id] }));
+    },
+
+    /**
+     * Pick the starting locale: the saved choice, then the browser's
+     * preferred languages, then English
+     * @returns {string}
+     */
+    detect() {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(this.storageKey);
+        } catch (error) {
+            // Storage unavailable (private mode, file://)
+        }
+        if (saved && this.catalogs[saved]) return saved;
+
+        const preferred = (typeof navigator !== 'undefined' && navigator.languages) || [];
+        for (const tag of preferred) {
+            const language = tag.toLowerCase().split('-')[0];
+            if (this.catalogs[language]) return language;
+        }
+        return this.fallback;
+    },
+
+    /**
+     * Switch the active locale
+     * @param {string} locale
+     * @param {boolean} persist - Remember the choice in this browser
+     * @returns {boolean} False if the locale has no catalog
+     */
+    setLocale(locale, persist = true) {
+        if (!this.catalogs[locale]) return false;
+        this.locale = locale;
+
+        if (typeof document !== 'undefined') {
+            document.documentElement.lang = locale;
+        }
+        if (persist) {
+            try {
+                localStorage.setItem(this.storageKey, locale);
+            } catch (error) {
+                // Storage unavailable; the choice lasts for this page only
+            }
+        }
+        return true;
+    },
+
+    /**
+     * Look up a message and fill its {placeholders}
+     * @param {string} key - Dotted message key
+     * @param {Object} params - Placeholder values
+     * @param {string} fallback - Used when no catalog has the key
+     * @returns {string}
+     */
+    t(key, params = {}, fallback) {
+        const active = this.catalogs[this.locale] || {};
+        const english = this.catalogs[this.fallback] || {};
+        let message = key in active ? active[key] : english[key];
+        if (message === undefined) message = fallback !== undefined ? fallback : key;
+
+        return message.replace(/\{(\w+)\}/g, (match, name) =>
+            (name in params ? String(params[name]) : match));
+    },
+
+    /**
+     * Whether the active locale or English defines a key
+     * @param {string} key
+     * @returns {boolean}
+     */
+    has(key) {
+        return key in (this.catalogs[this.locale] || {}) || key in (this.catalogs[this.fallback] || {});
+    },
+
+    /**
+     * Format a number with the active locale's decimal and group separators
+     * @param {number} value
+     * @param {Object} options - Intl.NumberFormat options
+     * @returns {string}
+     */
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    },
+
+    /**
+     * Format a number with a fixed count of decimals, like toFixed()
+     * @param {number} value
+     * @param {number} digits - Decimals
+     * @returns {string}
+     */
+    formatFixed(value, digits) {
+        return this.formatNumber(value, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    },
+
+    /**
+     * Format a number in exponent notation, like toExponential() but with
+     * the locale's decimal separator and no '+' (e.g. '9,33e3')
+     * @param {number} value
+     * @param {number} digits - Decimals of the mantissa
+     * @returns {string}
+     */
+    formatExponential(value, digits) {
+        const [mantissa, exponent] = value.toExponential(digits).split('e');
+        return `${this.formatFixed(Number(mantissa), digits)}e${Number(exponent)}`;
+    },
+
+    /**
+     * Apply the active catalog to data-i18n markup under root
+     * @param {Element|Document} root
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-html]').forEach(element => {
+            element.innerHTML = this.t(element.dataset.i18nHtml);
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) element.setAttribute(attribute, this.t(key));
+            });
+        });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
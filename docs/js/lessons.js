@@ -0,0 +1,469 @@
+/**
+ * Lessons - Guided step-by-step lessons
+ *
+ * A lesson is a list of steps. Each step shows narrative text, can
+ * highlight parts of the page (CSS selectors), set and lock sliders, and
+ * can wait for a goal before the lesson moves on. Goals use the same
+ * conditions as process rules (see ProcessRules), e.g.
+ * { "pattern": "braided" } or { "state": "aggradation", "ratio": { "above": 2 } }.
+ *
+ * JSON format (version 1):
+ * {
+ *   "format": "lane-balance-lesson",
+ *   "version": 1,
+ *   "id": "braiding",
+ *   "title": "How rivers braid",
+ *   "steps": [
+ *     {
+ *       "title": "More sediment",
+ *       "text": "Paragraphs separated by blank lines.",
+ *       "highlight": ["#qs-slider", "#plan-viz"],   // optional
+ *       "set": { "Qs": 50, "D50": 50 },             // optional slider values
+ *       "lock": ["D50", "Qw", "S"],                 // optional, sliders locked during the step
+ *       "task": "Make the river braid.",            // optional
+ *       "goal": { "pattern": "braided" }            // optional
+ *     }
+ *   ]
+ * }
+ *
+ * Markdown format: "# Title" names the lesson and each "## Heading"
+ * starts a step. Lines beginning with highlight:, set:, lock:, task: or
+ * goal: are directives; everything else is narrative text.
+ *
+ *   ## More sediment
+ *   Raise the sediment supply and watch the plan view.
+ *   highlight: #qs-slider, #plan-viz
+ *   set: Qs = 50, D50 = 50
+ *   lock: D50, Qw, S
+ *   task: Make the river braid.
+ *   goal: pattern = braided
+ *   goal: ratio > 2
+ *
+ * Lessons listed in data/lessons/index.json replace the built-in lesson
+ * when served over http(s).
+ */
+
+const Lessons = {
+    FORMAT: 'lane-balance-lesson',
+    VERSION: 1,
+    indexUrl: 'data/lessons/index.json',
+
+    params: ['Qs', 'D50', 'Qw', 'S'],
+    directives: ['highlight', 'set', 'lock', 'task', 'goal'],
+
+    // Available lessons and where they came from: 'built-in' | 'file'
+    lessons: [],
+    source: 'built-in',
+
+    // Lesson being run (null when idle) and its current step
+    active: null,
+    stepIndex: 0,
+
+    // Built-in lesson, mirrored by data/lessons/introduction.json
+    builtIn: {
+        format: 'lane-balance-lesson',
+        version: 1,
+        id: 'introduction',
+        title: 'Introduction to Lane\'s balance',
+        steps: [
+            {
+                title: 'The balance',
+                text: 'Lane\'s balance weighs the sediment a river is given (amount Qs and size D50) '
+                    + 'against its ability to move it (discharge Qw and slope S).\n\n'
+                    + 'The scale starts level: supply matches transport capacity and the reach is in equilibrium.',
+                highlight: ['#scale-viz'],
+                set: { Qs: 50, D50: 50, Qw: 50, S: 50 },
+                lock: ['Qs', 'D50', 'Qw', 'S']
+            },
+            {
+                title: 'Starve the river',
+                text: 'Only the sediment supply slider is free. Lower it and watch the scale tip '
+                    + 'toward the water side.',
+                highlight: ['#qs-slider', '#scale-viz'],
+                lock: ['D50', 'Qw', 'S'],
+                task: 'Push the reach into degradation.',
+                goal: { state: 'degradation' }
+            },
+            {
+                title: 'Processes follow the balance',
+                text: 'With spare transport capacity the river takes sediment from its own bed. '
+                    + 'The Active Processes list shows what that looks like in the field.',
+                highlight: ['#process-list'],
+                lock: ['Qs', 'D50', 'Qw', 'S']
+            },
+            {
+                title: 'Make the river braid',
+                text: 'Now flood the reach with sediment. The plan view changes pattern once the supply '
+                    + 'far exceeds what the flow can carry.',
+                highlight: ['#qs-slider', '#plan-viz'],
+                lock: ['D50', 'Qw', 'S'],
+                task: 'Make the river braid.',
+                goal: { pattern: 'braided' }
+            },
+            {
+                title: 'Restore the balance with slope',
+                text: 'A river that receives more sediment than it can carry builds up its bed and steepens. '
+                    + 'Use the slope slider to bring the scale back to level.',
+                highlight: ['#s-slider', '#scale-viz'],
+                lock: ['Qs', 'D50', 'Qw'],
+                task: 'Return to equilibrium by changing S only.',
+                goal: { state: 'equilibrium' }
+            }
+        ]
+    },
+
+    /**
+     * Use the built-in lesson, then replace it with the lessons in the index file
+     * @returns {Promise<string[]>} Errors from the index and lesson files
+     */
+    init() {
+        this.lessons = [this.builtIn];
+        this.source = 'built-in';
+        if (typeof fetch === 'undefined' || window.location.protocol === 'file:') {
+            return Promise.resolve([]);
+        }
+
+        const base = this.indexUrl.slice(0, this.indexUrl.lastIndexOf('/') + 1);
+        const fetchText = url => fetch(url).then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.text();
+        });
+
+        return fetchText(this.indexUrl)
+            .then(text => {
+                const index = JSON.parse(text);
+                if (!index || !Array.isArray(index.lessons)) {
+                    return [`${this.indexUrl}: ${I18n.t('lessons.error.index')}`];
+                }
+
+                return Promise.all(index.lessons.map(name => fetchText(base + name)
+                    .then(lessonText => ({ name, ...this.parse(lessonText, name) }))
+                    .catch(error => ({ name, doc: null, errors: [error.message] }))))
+                    .then(results => {
+                        const loaded = results.filter(result => result.doc).map(result => result.doc);
+                        if (loaded.length) {
+                            this.lessons = loaded;
+                            this.source = 'file';
+                        }
+                        return results.flatMap(result => result.errors.map(message => `${base}${result.name}: ${message}`));
+                    });
+            })
+            .catch(() => []);
+    },
+
+    /**
+     * Parse a "key op value" goal line from Markdown into a goal object
+     * @param {string} expression - e.g. "pattern = braided", "ratio > 2"
+     * @param {Object} goal - Goal to add the condition to
+     * @returns {string|null} Error message, or null
+     */
+    parseGoalLine(expression, goal) {
+        const match = expression.match(/^(\w+)\s*(=|>|<)\s*(.+)$/);
+        if (!match) return I18n.t('lessons.error.goal', { goal: expression });
+
+        const [, key, op, value] = match;
+        if (op === '=') {
+            const values = value.split(/\s*(?:,|\bor\b)\s*/).filter(Boolean);
+            goal[key] = values.length === 1 ? values[0] : values;
+            return null;
+        }
+
+        const number = Number(value);
+        if (!Number.isFinite(number)) return I18n.t('lessons.error.goalNumber', { goal: expression, op });
+        goal[key] = { ...(goal[key] || {}), [op === '>' ? 'above' : 'below']: number };
+        return null;
+    },
+
+    /**
+     * Convert a Markdown lesson to a lesson document
+     * @param {string} text - Markdown text
+     * @param {string} name - File name, used for the id when the lesson has no title
+     * @returns {{doc: Object, errors: string[]}} Document to validate, and syntax errors
+     */
+    parseMarkdown(text, name) {
+        const doc = { format: this.FORMAT, version: this.VERSION, id: '', title: '', steps: [] };
+        const errors = [];
+        let step = null;
+        let paragraphs = [];
+        let paragraph = [];
+
+        const endParagraph = () => {
+            if (paragraph.length) paragraphs.push(paragraph.join(' '));
+            paragraph = [];
+        };
+        const endStep = () => {
+            endParagraph();
+            if (step) step.text = paragraphs.join('\n\n');
+            paragraphs = [];
+        };
+
+        text.split(/\r?\n/).forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            const lineNumber = index + 1;
+
+            if (/^#\s/.test(line)) {
+                doc.title = line.slice(2).trim();
+                return;
+            }
+            if (/^##\s/.test(line)) {
+                endStep();
+                step = { title: line.slice(3).trim(), text: '' };
+                doc.steps.push(step);
+                return;
+            }
+            if (!line) {
+                endParagraph();
+                return;
+            }
+
+            const directive = line.match(/^(\w+):\s*(.*)$/);
+            const key = directive && directive[1].toLowerCase();
+            if (!directive || !this.directives.includes(key)) {
+                if (step) paragraph.push(line);
+                return;
+            }
+            if (!step) {
+                errors.push(I18n.t('lessons.error.directive', { line: lineNumber, key }));
+                return;
+            }
+
+            const value = directive[2].trim();
+            const list = value.split(',').map(item => item.trim()).filter(Boolean);
+            if (key === 'highlight' || key === 'lock') {
+                step[key] = list;
+            } else if (key === 'task') {
+                step.task = value;
+            } else if (key === 'set') {
+                step.set = step.set || {};
+                list.forEach(item => {
+                    const [param, number] = item.split('=').map(part => part.trim());
+                    step.set[param] = Number(number);
+                });
+            } else {
+                step.goal = step.goal || {};
+                const error = this.parseGoalLine(value, step.goal);
+                if (error) errors.push(I18n.t('validate.line', { line: lineNumber, message: error }));
+            }
+        });
+        endStep();
+
+        doc.id = (doc.title || name.replace(/\.\w+$/, ''))
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+
+        return { doc, errors };
+    },
+
+    /**
+     * Validate a single step
+     * @param {*} step - Step to check
+     * @param {string} path - Field path for messages
+     * @param {string[]} errors - Collected error messages
+     */
+    validateStep(step, path, errors) {
+        if (typeof step !== 'object' || step === null || Array.isArray(step)) {
+            errors.push(I18n.t('validate.object', { path }));
+            return;
+        }
+
+        ['title', 'text'].forEach(key => {
+            if (typeof step[key] !== 'string') errors.push(I18n.t('validate.string', { path: `${path}.${key}` }));
+        });
+        if (step.task !== undefined && typeof step.task !== 'string') {
+            errors.push(I18n.t('validate.string', { path: `${path}.task` }));
+        }
+        if (step.highlight !== undefined
+            && (!Array.isArray(step.highlight) || step.highlight.some(selector => typeof selector !== 'string'))) {
+            errors.push(I18n.t('lessons.error.highlight', { path: `${path}.highlight` }));
+        }
+        if (step.lock !== undefined) {
+            if (!Array.isArray(step.lock)) {
+                errors.push(I18n.t('lessons.error.lock', { path: `${path}.lock` }));
+            } else {
+                step.lock.filter(key => !this.params.includes(key)).forEach(key => {
+                    errors.push(I18n.t('lessons.error.lockParam', {
+                        path: `${path}.lock`, value: JSON.stringify(key), params: this.params.join(', ')
+                    }));
+                });
+            }
+        }
+        if (step.set !== undefined) {
+            if (typeof step.set !== 'object' || step.set === null || Array.isArray(step.set)) {
+                errors.push(I18n.t('validate.sliderValues', { path: `${path}.set` }));
+            } else {
+                Object.entries(step.set).forEach(([key, value]) => {
+                    if (!this.params.includes(key)) {
+                        errors.push(I18n.t('validate.param', { path: `${path}.set.${key}`, params: this.params.join(', ') }));
+                    } else if (typeof value !== 'number' || !(value >= 1 && value <= 100)) {
+                        errors.push(I18n.t('validate.sliderValue', { path: `${path}.set.${key}`, value: JSON.stringify(value) }));
+                    }
+                });
+            }
+        }
+
+        if (step.goal === undefined) return;
+        if (typeof step.goal !== 'object' || step.goal === null || Array.isArray(step.goal)) {
+            errors.push(I18n.t('validate.object', { path: `${path}.goal` }));
+            return;
+        }
+        Object.entries(step.goal).forEach(([key, condition]) => {
+            const conditionPath = `${path}.goal.${key}`;
+            if (key === 'state') {
+                ProcessRules.validateChoice(condition, ProcessRules.states, conditionPath, errors);
+            } else if (key === 'pattern') {
+                ProcessRules.validateChoice(condition, ProcessRules.patterns, conditionPath, errors);
+            } else if (ProcessRules.rangeKeys.includes(key)) {
+                ProcessRules.validateRange(condition, conditionPath, errors);
+            } else {
+                errors.push(I18n.t('validate.condition', { path: conditionPath, keys: ProcessRules.rangeKeys.join(', ') }));
+            }
+        });
+    },
+
+    /**
+     * Validate a lesson document
+     * @param {*} doc - Parsed lesson
+     * @returns {string[]} Error messages (empty if valid)
+     */
+    validate(doc) {
+        if (typeof doc !== 'object' || doc === null || Array.isArray(doc)) {
+            return [I18n.t('lessons.error.notObject')];
+        }
+        if (doc.format !== this.FORMAT) {
+            return [I18n.t('lessons.error.format', { format: this.FORMAT })];
+        }
+
+        const errors = [];
+        if (doc.version !== this.VERSION) {
+            errors.push(I18n.t('validate.version', { version: this.VERSION, value: JSON.stringify(doc.version) }));
+        }
+        ['id', 'title'].forEach(key => {
+            if (typeof doc[key] !== 'string' || !doc[key].trim()) {
+                errors.push(I18n.t('validate.nonEmptyString', { path: key }));
+            }
+        });
+        if (!Array.isArray(doc.steps) || !doc.steps.length) {
+            errors.push(I18n.t('validate.nonEmptyList', { path: 'steps' }));
+            return errors;
+        }
+        doc.steps.forEach((step, index) => this.validateStep(step, `steps[${index}]`, errors));
+
+        return errors;
+    },
+
+    /**
+     * Parse and validate a lesson file, JSON or Markdown
+     * @param {string} text - File contents
+     * @param {string} name - File name; ".md" selects Markdown
+     * @returns {{doc: Object|null, errors: string[]}}
+     */
+    parse(text, name) {
+        let doc;
+        if (/\.(md|markdown)$/i.test(name)) {
+            const result = this.parseMarkdown(text, name);
+            if (result.errors.length) return { doc: null, errors: result.errors };
+            doc = result.doc;
+        } else {
+            try {
+                doc = JSON.parse(text);
+            } catch (error) {
+                return { doc: null, errors: [I18n.t('lessons.error.json', { message: error.message })] };
+            }
+        }
+
+        const errors = this.validate(doc);
+        return { doc: errors.length ? null : doc, errors };
+    },
+
+    /**
+     * Add a lesson, replacing one with the same id
+     * @param {Object} doc - Validated lesson
+     */
+    add(doc) {
+        this.lessons = this.lessons.filter(lesson => lesson.id !== doc.id).concat(doc);
+    },
+
+    /**
+     * Find a lesson by id
+     * @param {string} id - Lesson id
+     * @returns {Object|undefined}
+     */
+    get(id) {
+        return this.lessons.find(lesson => lesson.id === id);
+    },
+
+    /**
+     * Start a lesson at its first step
+     * @param {string} id - Lesson id
+     * @returns {Object|null} First step
+     */
+    start(id) {
+        const lesson = this.get(id);
+        if (!lesson) return null;
+
+        this.active = lesson;
+        this.stepIndex = 0;
+        return this.current();
+    },
+
+    /**
+     * Leave the running lesson
+     */
+    stop() {
+        this.active = null;
+        this.stepIndex = 0;
+    },
+
+    /**
+     * The step being shown
+     * @returns {Object|null}
+     */
+    current() {
+        return this.active ? this.active.steps[this.stepIndex] : null;
+    },
+
+    /**
+     * Move forward or back by one step
+     * @param {number} delta - +1 or -1
+     * @returns {Object|null} New step
+     */
+    go(delta) {
+        if (!this.active) return null;
+        this.stepIndex = Math.max(0, Math.min(this.active.steps.length - 1, this.stepIndex + delta));
+        return this.current();
+    },
+
+    /**
+     * Whether the current step is the last
+     * @returns {boolean}
+     */
+    isLast() {
+        return Boolean(this.active) && this.stepIndex === this.active.steps.length - 1;
+    },
+
+    /**
+     * Sliders locked by the current step
+     * @returns {string[]}
+     */
+    getLocked() {
+        const step = this.current();
+        return step && step.lock ? step.lock : [];
+    },
+
+    /**
+     * Whether the current step's goal holds (steps without a goal always pass)
+     * @param {Object} context - Result of Balance.getProcessContext()
+     * @returns {boolean}
+     */
+    isGoalMet(context) {
+        const step = this.current();
+        if (!step || !step.goal) return true;
+        return Balance.ruleMatches({ when: step.goal }, context);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Lessons;
+}
@@ -0,0 +1,542 @@
+/**
+ * Czech messages
+ *
+ * Keys left out here fall back to the English catalog.
+ */
+
+I18n.register('cs', 'Čeština', {
+    'app.title': 'Laneovy váhy',
+    'app.subtitle': 'Interaktivní vizualizace fluviální geomorfologie',
+    'app.pageTitle': 'Laneovy váhy - interaktivní fluviální geomorfologie',
+    'app.language': 'Jazyk',
+
+    'param.Qs.descRelative': 'Přísun sedimentu (rel. jednotky)',
+    'param.Qs.descPhysical': 'Přísun sedimentu (10-10<sup>7</sup> t/rok, log)',
+    'param.Qs.tooltip': 'Kolik sedimentu vstupuje do úseku.',
+    'param.D50.descRelative': 'Velikost zrn (0,1-100 mm, log)',
+    'param.D50.descPhysical': 'Medián velikosti zrn (0,1-100 mm, log)',
+    'param.D50.tooltip': 'Velikost zrn určuje pohyblivost; hrubší materiál se přenáší hůře.',
+    'param.Qw.descRelative': 'Průtok vody (rel. jednotky)',
+    'param.Qw.descPhysical': 'Průtok vody (0,1-10<sup>4</sup> m&sup3;/s, log)',
+    'param.Qw.tooltip': 'Síla proudu a transportní kapacita.',
+    'param.S.descRelative': 'Sklon koryta (0,1-100, log)',
+    'param.S.descPhysical': 'Sklon koryta (10<sup>-5</sup>-0,1 m/m, log)',
+    'param.S.tooltip': 'Sklon zvyšuje výkon toku a transportní kapacitu.',
+    'param.Qs.physicalLabel': 'Qs v t/rok',
+    'param.D50.physicalLabel': 'D50 v mm',
+    'param.Qw.physicalLabel': 'Qw v m³/s',
+    'param.S.physicalLabel': 'S v m/m',
+
+    'slider.low': 'Nízký',
+    'slider.high': 'Vysoký',
+    'slider.fine': 'Jemné',
+    'slider.coarse': 'Hrubé',
+    'slider.flat': 'Plochý',
+    'slider.steep': 'Strmý',
+
+    'controls.reset': 'Obnovit rovnováhu',
+    'controls.pause': 'Pauza',
+    'controls.play': 'Přehrát',
+
+    'display.title': 'Zobrazení',
+    'display.tooltips': 'Zobrazit vysvětlivky',
+    'display.numeric': 'Zobrazit číselné hodnoty',
+    'display.units': 'Fyzikální jednotky',
+    'display.screenshot': 'Snímek obrazovky',
+    'display.copyLink': 'Kopírovat odkaz',
+    'display.copied': 'Zkopírováno!',
+    'display.copyFailed': 'Kopírování selhalo',
+    'display.sound': 'Sonifikace (zvuk)',
+    'display.soundTitle': 'Výška tónu a poloha ve stereu sledují nerovnováhu, zvukový charakter sleduje typ koryta a zvonek ohlásí překročení pásma rovnováhy',
+    'display.soundUnavailable': 'Zvuk vyžaduje Web Audio, které tento prohlížeč nepodporuje',
+
+    'stateFile.title': 'Soubor scénáře',
+    'stateFile.save': 'Uložit JSON',
+    'stateFile.load': 'Načíst JSON',
+    'stateFile.notesPlaceholder': 'Poznámky uložené se souborem',
+    'stateFile.notes': 'Poznámky',
+    'stateFile.saved': 'Stav uložen.',
+    'stateFile.error.notObject': 'Soubor neobsahuje objekt JSON.',
+    'stateFile.error.format': 'Nejde o soubor stavu Laneovy rovnováhy (očekáváno "format": "{format}").',
+    'stateFile.error.json': 'Soubor není platný JSON: {message}',
+
+    'transport.formula': 'Transportní vzorec',
+    'transport.width': 'Šířka',
+    'transport.auto': 'auto',
+    'transport.capacity': 'Transportní kapacita ({load}): {capacity} t/rok oproti přísunu {supply} t/rok',
+    'transport.belowThreshold': 'Transportní kapacita ({load}): pod prahem pohybu',
+    'transport.surplus': 'přebytek {value} t/rok',
+    'transport.deficit': 'deficit {value} t/rok',
+    'transport.index': 'Transportní index = {index} ({balance}, {state})',
+    'transport.agrees': 'souhlasí s Laneovou tendencí',
+    'transport.disagrees': 'Laneova tendence je {state}',
+    'transport.load.bedload': 'splaveniny dnové',
+    'transport.load.total load': 'celkové splaveniny',
+
+    'reference.title': 'Referenční hodnoty (rovnováha)',
+
+    'history.title': 'Historie',
+    'history.undo': 'Zpět',
+    'history.redo': 'Znovu',
+    'history.undoTitle': 'Zpět (Ctrl+Z)',
+    'history.redoTitle': 'Znovu (Ctrl+Shift+Z)',
+    'history.position': 'Pozice v historii',
+    'history.initial': 'Výchozí stav',
+    'history.loadedFile': 'Načtený soubor',
+    'history.changed': 'Změna {param}',
+    'history.entered': 'Zadáno {param}',
+    'history.simulation': 'Simulace profilu',
+    'history.phase': 'Fázový diagram: {x}, {y}',
+    'history.scenario': 'Scénář: {name}',
+    'history.hydrograph': 'Hydrogram: {name}',
+    'history.ratingCoupled': 'Měrná křivka propojena',
+    'history.ratingUncoupled': 'Měrná křivka odpojena',
+    'history.network': 'Síť: {name}',
+    'history.reset': 'Obnovení rovnováhy',
+    'history.quiz': 'Kvíz: {id}',
+    'history.lesson': 'Lekce: {title}',
+
+    'processes.title': 'Aktivní procesy:',
+
+    'simulation.title': 'Simulace podélného profilu:',
+    'simulation.play': 'Přehrát',
+    'simulation.step': 'Krok',
+    'simulation.reset': 'Obnovit profil',
+    'simulation.timeStep': 'Časový krok',
+    'simulation.status': 't = {time} let · sklon úseku {slope} m/m · dno na vtoku {change} m',
+    'simulation.saturated': 'sklon na maximu, přebytečné splaveniny procházejí úsekem',
+    'simulation.dt.1': '1 rok',
+    'simulation.dt.10': '10 let',
+    'simulation.dt.100': '100 let',
+    'simulation.dt.1000': '1000 let',
+
+    'scenarios.title': 'Scénáře:',
+    'scenarios.play': 'Přehrát scénář',
+    'scenarios.select': 'Scénář',
+    'scenarios.outcome': '{state} - {processes}',
+    'scenarios.expected': 'Očekáváno: {outcome}',
+    'scenarios.model': 'Model: {outcome}',
+    'scenarios.dam-closure.name': 'Uzavření přehrady',
+    'scenarios.dam-closure.narrative': 'Nová přehrada zachytí v nádrži téměř všechny splaveniny a tlumí povodně. Pod hrází řeka nese „hladovou vodu“: čistý průtok s volnou transportní kapacitou.',
+    'scenarios.gravel-mining.name': 'Těžba štěrku',
+    'scenarios.gravel-mining.narrative': 'Těžba štěrku z koryta odebírá hrubou frakci dnových splavenin. Dolů po toku se dostává méně a jemnějšího sedimentu, takže proud eroduje dno, aby schodek vyrovnal.',
+    'scenarios.urbanization.name': 'Urbanizace',
+    'scenarios.urbanization.narrative': 'Střechy, silnice a dešťová kanalizace mění srážky v odtok rychleji. Vyšší a prudší průtoky zvyšují transportní kapacitu, zatímco přísun sedimentu zůstává stejný.',
+    'scenarios.channel-straightening.name': 'Napřímení koryta',
+    'scenarios.channel-straightening.narrative': 'Odříznutí meandrů zkracuje koryto při stejném výškovém rozdílu. Větší sklon zvyšuje výkon proudu a úsek se začne zahlubovat, často se stupněm postupujícím proti proudu.',
+    'scenarios.wildfire.name': 'Požár',
+    'scenarios.wildfire.narrative': 'Požár zbaví svahy vegetace. Bouřky po požáru přinášejí velké objemy popela, písku a štěrku, které převyšují to, co řeka dokáže unést.',
+
+    'hydrograph.title': 'Hydrogram:',
+    'hydrograph.series': 'Řada',
+    'hydrograph.speed': 'Rychlost',
+    'hydrograph.play': 'Přehrát',
+    'hydrograph.rewind': 'Na začátek',
+    'hydrograph.load': 'Načíst CSV',
+    'hydrograph.csvNote': 'Sloupce CSV: datum, Qw (m³/s) a volitelně Qs (t/rok). Bez Qs zůstává posuvník Qs beze změny.',
+    'hydrograph.slow': 'Pomalu',
+    'hydrograph.normal': 'Normálně',
+    'hydrograph.fast': 'Rychle',
+    'hydrograph.fileQwQs': 'Qw a Qs ze souboru.',
+    'hydrograph.fileQw': 'Qw ze souboru; Qs beze změny.',
+    'hydrograph.loaded': 'Načteno {count} kroků ze souboru {name}.',
+    'hydrograph.step': 'Krok {step} z {count} · {label}',
+    'hydrograph.steps': '{count} kroků · {days} dní',
+    'hydrograph.time': '{state}: {days} d ({percent} %)',
+    'hydrograph.day': 'Den {day}',
+    'hydrograph.error.noRows': 'Soubor nemá žádné řádky.',
+    'hydrograph.error.columns': 'Řádek {line}: očekáváno {expected} sloupců, nalezeno {count}.',
+    'hydrograph.error.noDischarge': 'Chybí sloupec průtoku (očekáván jeden z {names}).',
+    'hydrograph.error.discharge': 'Řádek {line}: průtok musí být kladné číslo (nalezeno "{value}").',
+    'hydrograph.error.sediment': 'Řádek {line}: splaveniny musí být kladné číslo (nalezeno "{value}").',
+    'hydrograph.error.time': 'Řádek {line}: "{label}" není datum ani číslo dne.',
+    'hydrograph.error.order': 'Řádek {line}: čas musí narůstat ({label}).',
+    'hydrograph.error.tooShort': 'Hydrogram potřebuje alespoň dva řádky.',
+    'hydrograph.snowmelt.name': 'Tání sněhu',
+    'hydrograph.snowmelt.description': 'Jeden rok s nízkým zimním průtokem, širokou jarní kulminací z tání sněhu a letním poklesem.',
+    'hydrograph.storm.name': 'Přívalové bouřky',
+    'hydrograph.storm.description': 'Šedesát dní nízkého průtoku přerušených třemi bouřkami: prudké vzestupy a rychlé poklesy.',
+    'hydrograph.regulated.name': 'Regulovaný',
+    'hydrograph.regulated.description': 'Jeden rok pod přehradou: zploštělý sezónní cyklus a pětidenní ekologický povodňový průtok.',
+
+    'rating.title': 'Měrná křivka splavenin:',
+    'rating.couple': 'Propojit Q<sub>s</sub> s Q<sub>w</sub>',
+    'rating.fit': 'Proložit data',
+    'rating.reset': 'Obnovit křivku',
+    'rating.coefficient': 'Koeficient měrné křivky a',
+    'rating.exponent': 'Exponent měrné křivky b',
+    'rating.dataPlaceholder': 'Dvojice Qw, Qs k proložení (m³/s, t/rok), jedna na řádek',
+    'rating.data': 'Data měrné křivky',
+    'rating.legendCurve': 'Měrná křivka (přísun)',
+    'rating.legendCapacity': 'Transportní kapacita',
+    'rating.needPairs': 'K proložení jsou potřeba alespoň dvě dvojice s různým Qw.',
+    'rating.fitted': 'Proloženo {count} dvojic: a = {a}, b = {b}, R² = {r2}.',
+    'rating.skipped': 'Přeskočeno: {error}',
+    'rating.regime.supply-limited': 'Omezeno přísunem: proud by unesl {capacity} t/rok, ale přitéká jen {supply} t/rok, takže rozdíl bere ze dna.',
+    'rating.regime.transport-limited': 'Omezeno transportem: přitéká {supply} t/rok, ale proud unese jen {capacity} t/rok, takže se přebytek ukládá.',
+    'rating.regime.belowThreshold': 'Omezeno transportem: proud je pod prahem pohybu, takže se přiváděných {supply} t/rok ukládá.',
+    'rating.regime.balanced': 'Vyrovnáno: přísun ({supply} t/rok) odpovídá transportní kapacitě ({capacity} t/rok).',
+    'rating.coupled': 'Propojeno',
+    'rating.ifCoupled': 'Při propojení',
+    'rating.trend.aggradation': 'Při b = {b} roste přísun s průtokem rychleji než transportní kapacita, takže zvýšení Qw naklání váhy k agradaci a snížení k degradaci.',
+    'rating.trend.degradation': 'Při b = {b} roste přísun s průtokem pomaleji než transportní kapacita, takže zvýšení Qw naklání váhy k degradaci a snížení k agradaci.',
+    'rating.trend.none': 'Při b = {b} rostou přísun i transportní kapacita stejně rychle, takže samotné Qw váhy nenakloní.',
+    'rating.error.pair': 'Řádek {line}: očekávána dvě kladná čísla, Qw a Qs (nalezeno "{text}").',
+
+    'network.title': 'Říční síť:',
+    'network.reach': 'Úsek',
+    'network.inflowQw': 'Přítok Q<sub>w</sub>',
+    'network.inflowQs': 'Přítok Q<sub>s</sub>',
+    'network.qsIn': 'Q<sub>s</sub> na vstupu (t/rok)',
+    'network.ratio': 'Poměr',
+    'network.qsOut': 'Q<sub>s</sub> na výstupu (t/rok)',
+    'network.add': 'Přidat úsek',
+    'network.reset': 'Obnovit síť',
+    'network.note': 'Každý úsek předává sediment dál poté, co uloží nebo erodací odebere polovinu své Laneovy nerovnováhy. Přítoky přidávají Q<sub>w</sub> a Q<sub>s</sub> na začátku svého úseku (prázdné pole = žádný přítok). Kliknutím na úsek jej načtete do posuvníků a pohledů.',
+    'network.reachNameLabel': 'Název úseku {number}',
+    'network.reachName': 'Úsek {number}',
+    'network.headwater': 'pramenná oblast',
+    'network.tributary': 'přítok',
+    'network.none': 'žádný',
+    'network.load': 'Načíst',
+    'network.loadLabel': 'Načíst {name} do pohledů',
+    'network.removeLabel': 'Odebrat {name}',
+    'network.stores': 'poměr {ratio} · ukládá {percent} % Qs',
+    'network.erodes': 'poměr {ratio} · eroduje {percent} % Qs',
+    'network.upstream': 'proti proudu',
+    'network.downstream': 'po proudu →',
+    'network.default.headwaters': 'Pramenná oblast',
+    'network.default.upperValley': 'Horní údolí',
+    'network.default.middle': 'Střední úsek',
+    'network.default.lowland': 'Nížina',
+
+    'comparison.title': 'Srovnání před / po',
+    'comparison.before': 'Před',
+    'comparison.copy': 'Převzít hlavní posuvníky',
+    'comparison.after': 'Po',
+    'comparison.diffTitle': 'Před &rarr; po',
+    'comparison.swap': 'Prohodit strany',
+    'comparison.reset': 'Obnovit',
+    'comparison.note': 'Nastavte dva stavy úseku vedle sebe. Každá strana má vlastní posuvníky; souhrn níže ukazuje, jak se od stavu před ke stavu po mění rovnováha, půdorysný typ koryta a aktivní procesy.',
+    'comparison.summary': 'Poměr {ratio} · {state} · {pattern}',
+    'comparison.unchanged': 'beze změny ({value})',
+    'comparison.none': 'žádné',
+    'comparison.diff.ratio': 'Poměr: {before} → {after} (×{factor})',
+    'comparison.diff.imbalance': 'Index nerovnováhy I: {before} → {after} ({change})',
+    'comparison.diff.state': 'Tendence: {change}',
+    'comparison.diff.pattern': 'Typ koryta: {change}',
+    'comparison.diff.added': 'Přibylé procesy: {processes}',
+    'comparison.diff.removed': 'Zaniklé procesy: {processes}',
+
+    'lessons.title': 'Lekce:',
+    'lessons.start': 'Spustit lekci',
+    'lessons.load': 'Načíst lekci',
+    'lessons.note': 'Lekce jsou soubory JSON nebo Markdown; příklady najdete v data/lessons/.',
+    'lessons.back': 'Zpět',
+    'lessons.next': 'Další',
+    'lessons.select': 'Lekce',
+    'lessons.exit': 'Ukončit lekci',
+    'lessons.loaded': 'Načteno „{title}“ ({count} kroků).',
+    'lessons.finished': 'Dokončeno „{title}“.',
+    'lessons.filesIgnored': 'Některé soubory lekcí byly přeskočeny:',
+    'lessons.progress': 'Krok {number} z {count}',
+    'lessons.reachTarget': 'Dosáhněte cíle:',
+    'lessons.finish': 'Dokončit',
+    'lessons.now': 'nyní {value}',
+    'lessons.error.notObject': 'Lekce musí být objekt JSON.',
+    'lessons.error.format': 'Nejde o lekci (očekáváno "format": "{format}").',
+    'lessons.error.json': 'Lekce není platný JSON: {message}',
+    'lessons.error.index': '"lessons" musí být seznam názvů souborů.',
+    'lessons.error.goal': 'Cíl "{goal}" musí mít tvar "pattern = braided" nebo "ratio > 2".',
+    'lessons.error.goalNumber': 'Cíl "{goal}" potřebuje za "{op}" číslo.',
+    'lessons.error.directive': 'Řádek {line}: "{key}:" musí následovat po nadpisu "## Krok".',
+    'lessons.error.highlight': '"{path}" musí být seznam selektorů CSS.',
+    'lessons.error.lock': '"{path}" musí být seznam parametrů.',
+    'lessons.error.lockParam': '"{path}" obsahuje neznámý parametr {value} (použijte {params}).',
+
+    'quiz.title': 'Kvíz:',
+    'quiz.start': 'Spustit kvíz',
+    'quiz.load': 'Načíst sadu otázek',
+    'quiz.export': 'Exportovat výsledky',
+    'quiz.startPrompt': 'Spusťte kvíz a dostanete první otázku.',
+    'quiz.tendency': 'Tendence',
+    'quiz.pattern': 'Typ koryta',
+    'quiz.process': 'Jeden aktivní proces',
+    'quiz.reveal': 'Odhalit',
+    'quiz.next': 'Další otázka',
+    'quiz.note': 'Předpovězte, jak úsek zareaguje, než se pohledy pohnou. Posuvníky jsou zamčené, dokud neodhalíte odpověď.',
+    'quiz.increases': '{param} se zvýší o {percent} %',
+    'quiz.decreases': '{param} se sníží o {percent} %',
+    'quiz.and': ' a ',
+    'quiz.ratioMoves': 'Poměr rovnováhy se změní z {before} na {after}.',
+    'quiz.fileIgnored': 'Soubor s otázkami byl přeskočen:',
+    'quiz.loaded': 'Načteno {count} otázek ze souboru {name}.',
+    'quiz.builtIn': 'vestavěná',
+    'quiz.bank': 'Sada otázek',
+    'quiz.source': '{title} ({count} otázek, {source})',
+    'quiz.progress': 'Otázka {number} z {count}',
+    'quiz.answer.state': 'Tendence: {answer}',
+    'quiz.answer.stateWrong': 'Tendence: {answer} (vaše předpověď: {prediction})',
+    'quiz.answer.pattern': 'Typ koryta: {answer}',
+    'quiz.answer.patternWrong': 'Typ koryta: {answer} (vaše předpověď: {prediction})',
+    'quiz.answer.process': 'Proces: {process} je aktivní (aktivní: {active})',
+    'quiz.answer.processWrong': 'Proces: {process} není aktivní (aktivní: {active})',
+    'quiz.showScore': 'Zobrazit skóre',
+    'quiz.complete': 'Kvíz dokončen',
+    'quiz.scoreTotal': 'Skóre: {points} / {possible} ({percent} %)',
+    'quiz.scoreParts': 'Tendence {state}/{total} · Typ koryta {pattern}/{total} · Proces {process}/{total}',
+    'quiz.error.notObject': 'Sada otázek musí být objekt JSON.',
+    'quiz.error.format': 'Nejde o sadu otázek (očekáváno "format": "{format}").',
+    'quiz.error.json': 'Sada otázek není platný JSON: {message}',
+    'quiz.error.change': '"{path}" musí být objekt s alespoň jedním parametrem.',
+    'quiz.error.percent': '"{path}" musí být nenulová procentní změna větší než -100 (nalezeno {value}).',
+
+    'rules.title': 'Editor pravidel procesů',
+    'rules.apply': 'Použít',
+    'rules.reset': 'Obnovit',
+    'rules.download': 'Stáhnout JSON',
+    'rules.help': 'Pravidlo platí, když jsou splněny všechny jeho podmínky <code>when</code>: <code>state</code> a <code>pattern</code> přijímají hodnotu nebo seznam, <code>ratio</code>, <code>streamPower</code>, <code>Qs</code>, <code>D50</code>, <code>Qw</code> a <code>S</code> přijímají <code>{"above": x}</code> a/nebo <code>{"below": y}</code>. <code>equilibriumBand</code> je poloviční šířka pásma rovnováhy v log<sub>10</sub>(poměru).',
+    'rules.text': 'Pravidla procesů (JSON)',
+    'rules.fileIgnored': 'Soubor pravidel byl přeskočen:',
+    'rules.notApplied': 'Pravidla nebyla použita:',
+    'rules.applied': 'Použito {count} pravidel (uloženo v tomto prohlížeči).',
+    'rules.resetDone': 'Pravidla obnovena.',
+    'rules.source.builtIn': 'Záložní pravidla ({url} nenačten)',
+    'rules.source.file': 'Načteno z {url}',
+    'rules.source.edited': 'Upravená pravidla (uložena v tomto prohlížeči)',
+    'rules.error.notObject': 'Pravidla musí být objekt JSON.',
+    'rules.error.format': 'Nejde o dokument s pravidly (očekáváno "format": "{format}").',
+    'rules.error.json': 'Pravidla nejsou platný JSON: {message}',
+    'rules.error.band': '"equilibriumBand" musí být číslo alespoň 0 (nalezeno {value}).',
+
+    'phase.title': 'Fázový diagram:',
+    'phase.horizontal': 'Vodorovně',
+    'phase.vertical': 'Svisle',
+    'phase.colorBy': 'Barva podle',
+    'phase.tendency': 'Tendence',
+    'phase.pattern': 'Typ koryta',
+    'phase.note': 'Zbylé dva parametry zůstávají na současných hodnotách. Přetažením značky nastavíte oba zobrazené posuvníky.',
+    'phase.equilibriumLine': 'Čára rovnováhy',
+
+    'views.profile': 'Podélný profil',
+    'views.crossSection': 'Příčný profil (hydraulická geometrie)',
+    'views.plan': 'Půdorys (typ koryta)',
+    'views.flow': 'Proud ->',
+
+    'pattern.classifier': 'Klasifikace',
+    'pattern.bankAngle': 'Úhel břehu &phi;&prime;',
+    'pattern.straight': 'Přímé',
+    'pattern.meandering': 'Meandrující',
+    'pattern.braided': 'Divočící',
+    'pattern.wandering': 'Přechodné (wandering)',
+    'pattern.anastomosing': 'Anastomózní',
+    'pattern.straight.label': 'Přímé koryto',
+    'pattern.meandering.label': 'Meandrující koryto',
+    'pattern.braided.label': 'Divočící koryto',
+    'pattern.wandering.label': 'Přechodné koryto (wandering)',
+    'pattern.anastomosing.label': 'Anastomózní koryta',
+    'pattern.heuristic.name': 'Heuristika Laneovy rovnováhy',
+    'pattern.heuristic.citation': 'Index větvení ze splavenin, zrnitosti, sklonu a nerovnováhy',
+    'pattern.heuristic.discharge': 'Qw / Qw_min',
+    'pattern.heuristic.braiding': 'IV / IV_t',
+    'pattern.leopold-wolman.name': 'Leopold & Wolman (1957)',
+    'pattern.leopold-wolman.citation': 'Divočící nad prahovým sklonem S_t = 0.012 · Q^-0.44',
+    'pattern.van-den-berg.name': 'van den Berg (1995)',
+    'pattern.van-den-berg.citation': 'Divočící, když měrný výkon proudu ω = 2100 · S · √Q překročí 900 · D50^0.42 (W/m², D50 v m)',
+    'pattern.parker.name': 'Parker (1976)',
+    'pattern.parker.citation': 'Divočící, když S / Fr překročí poměr hloubky a šířky h / B',
+    'pattern.millar.name': 'Millar (2000)',
+    'pattern.millar.citation': 'Divočící nad S* = 0.0002 · D50^0.61 · φ\'^1.75 · Q^-0.25 (pevnost břehu φ\')',
+
+    'footer.equation': 'Přísun sedimentu &times; velikost zrn úměrné průtoku vody &times; sklonu',
+    'footer.conceptual': 'Laneovy váhy jsou koncepční model, ne přesný zákon, ale pomáhají intuici i při správě toků.',
+    'footer.demo': 'Koncepční ukázka pro výuku a diskusi.',
+    'footer.repository': 'Repozitář na GitHubu',
+
+    'state.degradation': 'Degradace',
+    'state.equilibrium': 'Rovnováha',
+    'state.aggradation': 'Agradace',
+
+    'screenshot.unavailable': 'Snímek obrazovky není k dispozici - knihovnu se nepodařilo načíst',
+    'screenshot.failed': 'Snímek obrazovky se nepodařilo pořídit',
+
+    'file.couldNotLoad': 'Soubor {name} nelze načíst:',
+    'file.loaded': 'Načteno {name}.',
+    'file.couldNotRead': 'Soubor {name} nelze přečíst: {message}',
+
+    'why.equilibrium': 'Přísun sedimentu a transportní kapacita jsou v rovnováze.',
+    'why.aggradation': 'Přísun sedimentu převyšuje transportní kapacitu.',
+    'why.degradation': 'Transportní kapacita převyšuje přísun sedimentu.',
+    'why.increased': 'Přispělo k tomu zvýšení {param}.',
+    'why.decreased': 'Přispělo k tomu snížení {param}.',
+    'why.param.Qs': 'přísunu sedimentu (Qs)',
+    'why.param.D50': 'velikosti zrn (D50)',
+    'why.param.Qw': 'průtoku vody (Qw)',
+    'why.param.S': 'sklonu koryta (S)',
+
+    'locks.quiz': 'Zamčeno, dokud neodhalíte odpověď kvízu',
+    'locks.lesson': 'Zamčeno pro tento krok lekce',
+    'locks.rating': 'Qs sleduje Qw podle měrné křivky splavenin',
+    'locks.ratingOff': 'Během kvízu nebo lekce zůstává propojení vypnuté',
+
+    'tendency.aggradation': 'Tendence: agradace',
+    'tendency.degradation': 'Tendence: degradace',
+    'tendency.equilibrium': 'Tendence: blízko rovnováhy',
+    'tendency.imbalance': 'Index nerovnováhy I = {value}',
+
+    'condition.state': 'Tendence',
+    'condition.pattern': 'Typ koryta',
+    'condition.ratio': 'Poměr rovnováhy',
+    'condition.streamPower': 'Relativní výkon toku',
+    'condition.is': '{label} je {values}',
+    'condition.or': ' nebo ',
+    'condition.and': ' a ',
+
+    'processCard.close': 'Zavřít podrobnosti procesu',
+    'processCard.why': 'Proč je aktivní',
+    'processCard.references': 'Literatura',
+    'processCard.always': 'Vždy aktivní (bez podmínek).',
+    'processCard.schematic': 'Schéma: {name}',
+
+    'schematic.originalBed': 'původní dno',
+    'schematic.crossSection': 'Příčný profil',
+    'schematic.longProfile': 'Podélný profil  (proud ->)',
+    'schematic.bedSurface': 'Povrch dna  (proud ->)',
+    'schematic.planView': 'Půdorys  (proud ->)',
+    'schematic.reach': 'Úsek  (proud ->)',
+    'schematic.in': 'vstup',
+    'schematic.out': 'výstup',
+    'schematic.knickpoint': 'stupeň',
+
+    'axis.qw': 'Qw (m³/s)',
+    'axis.logRatio': 'log₁₀ poměru',
+    'axis.timeDays': 'Čas (dny)',
+    'axis.qs': 'Qs (t/rok)',
+
+    'scale.degradation': 'DEGRAD.',
+    'scale.aggradation': 'AGRAD.',
+
+    'profile.degradation': 'Zahloubení pod původní dno',
+    'profile.equilibrium': 'Dno v rovnovážném sklonu',
+    'profile.aggradation': 'Klín nánosů',
+    'profile.legend.valley': 'Sklon údolí',
+    'profile.legend.grade': 'Rovnovážný sklon',
+    'profile.legend.bed': 'Dno',
+
+    'crossSection.bankHeight': 'Výška břehu {height} m · čárkovaně = režimové koryto',
+
+    'a11y.sliderKeys': 'Šipky mění hodnotu o 1; Shift se šipkou nebo Page Up a Page Down ji mění o 10. Home a End skočí na kraj rozsahu.',
+    'a11y.phaseLabel': 'Značka fázového diagramu: šipky vlevo a vpravo mění {x}, šipky nahoru a dolů mění {y}; se Shiftem po 10',
+    'a11y.tilt.slightly': 'mírně',
+    'a11y.tilt.clearly': 'zřetelně',
+    'a11y.tilt.strongly': 'výrazně',
+    'a11y.scale.level': 'Váhy jsou v rovnováze: sedimentové zatížení a výkon toku jsou vyrovnané (poměr {ratio}).',
+    'a11y.scale.aggradation': 'Váhy se {strength} naklánějí k agradaci: sedimentové zatížení převažuje nad výkonem toku (poměr {ratio}).',
+    'a11y.scale.degradation': 'Váhy se {strength} naklánějí k degradaci: výkon toku převažuje nad sedimentovým zatížením (poměr {ratio}).',
+    'a11y.pattern.straight': 'Půdorys: jediné přímé koryto s malou křivolakostí.',
+    'a11y.pattern.meandering': 'Půdorys: jediné koryto vinoucí se v pravidelných meandrech.',
+    'a11y.pattern.braided': 'Půdorys: několik mělkých ramen, která se kolem lavic dělí a opět spojují.',
+    'a11y.pattern.wandering': 'Půdorys: hlavní koryto přesouvající se kolem lavic a ostrovů, s vedlejšími rameny.',
+    'a11y.pattern.anastomosing': 'Půdorys: několik stabilních koryt oddělených zarostlými ostrovy.',
+    'a11y.announce.tendency': 'Tendence nyní: {state}.',
+    'a11y.announce.pattern': 'Typ koryta nyní: {pattern}.',
+    'a11y.announce.processes': 'Nově aktivní: {processes}.',
+
+    'export.figure': 'Vektorový obrázek',
+    'export.report': 'Váhy, půdorys, tendence a parametry',
+    'export.scale': 'Váhy',
+    'export.plan': 'Půdorys',
+    'export.svg': 'Export SVG',
+    'export.pdf': 'Export PDF',
+    'export.pdfUnavailable': 'Export do PDF není k dispozici: knihovny pro PDF se nepodařilo načíst',
+    'export.failed': 'PDF se nepodařilo vytvořit',
+    'export.parameters': 'Parametry',
+    'export.parameter': 'Parametr',
+    'export.value': 'Posuvník / fyzikální hodnota',
+    'export.param.Qs': 'Přísun sedimentu Qs',
+    'export.param.D50': 'Medián velikosti zrn D50',
+    'export.param.Qw': 'Průtok vody Qw',
+    'export.param.S': 'Sklon koryta S',
+
+    'report.title': 'Zpráva',
+    'report.questions': 'Otázky do pracovního listu',
+    'report.print': 'Tisk',
+    'report.html': 'Stáhnout HTML',
+    'report.pdf': 'Stáhnout PDF',
+    'report.heading': 'Zpráva – Laneovy váhy',
+    'report.created': 'Vytvořeno {date}',
+    'report.state': 'Stav rovnováhy',
+    'report.ratio': 'Poměr rovnováhy',
+    'report.imbalance': 'Index nerovnováhy I',
+    'report.tendency': 'Tendence',
+    'report.pattern': 'Typ koryta',
+    'report.parameter': 'Parametr',
+    'report.slider': 'Posuvník (1-100)',
+    'report.physical': 'Fyzikální hodnota',
+    'report.processes': 'Aktivní procesy',
+    'report.noProcesses': 'Žádné procesy nejsou aktivní.',
+    'report.questionsTitle': 'Otázky',
+    'report.question.1': 'Který parametr byste změnili, aby se úsek vrátil do rovnováhy, a jakým směrem?',
+    'report.question.2': 'Co byste očekávali v terénu, kdyby tato tendence trvala několik desetiletí?',
+    'report.question.3': 'Které z aktivních procesů byste mohli ověřit v terénu a jak?',
+    'report.notes': 'Poznámky',
+
+    'process.avulsion-risk.description': 'Zvýšené dno činí náhlý přesun toku do nové trasy pravděpodobným.',
+    'process.avulsion-risk.name': 'Riziko avulze',
+    'process.avulsion.description': 'Nová ramena vznikají avulzí, zatímco stará přetrvávají.',
+    'process.avulsion.name': 'Avulze',
+    'process.bank-erosion.description': 'Silný proud podemílá a odnáší materiál břehů.',
+    'process.bank-erosion.name': 'Břehová eroze',
+    'process.bar-formation.description': 'Přebytečný sediment se ukládá v korytě jako lavice.',
+    'process.bar-formation.name': 'Vznik lavic',
+    'process.bed-armoring.description': 'Jemné částice jsou vyplaveny a zůstává hrubá povrchová vrstva.',
+    'process.bed-armoring.name': 'Dlažba dna',
+    'process.bed-incision.description': 'Přebytek transportní kapacity vymílá dno a snižuje koryto.',
+    'process.bed-incision.name': 'Zahlubování dna',
+    'process.channel-widening.description': 'Nánosy odklánějí proud do břehů a koryto se rozšiřuje.',
+    'process.channel-widening.name': 'Rozšiřování koryta',
+    'process.chute-cutoff.description': 'Proud se prořezává přes lavice a ostrovy a otevírá nová ramena.',
+    'process.chute-cutoff.name': 'Průtrž přes lavici',
+    'process.dynamic-equilibrium.description': 'Eroze a ukládání se v čase vzájemně vyrovnávají.',
+    'process.dynamic-equilibrium.name': 'Dynamická rovnováha',
+    'process.island-stabilization.description': 'Vegetace zpevňuje sediment ostrovů a fixuje ramena na místě.',
+    'process.island-stabilization.name': 'Stabilizace zarostlých ostrovů',
+    'process.knickpoint-migration.description': 'Stupeň v podélném profilu dna se posouvá proti proudu.',
+    'process.knickpoint-migration.name': 'Zpětná eroze stupně',
+    'process.overbank-deposition.description': 'Povodně rozlévají sediment do údolní nivy.',
+    'process.overbank-deposition.name': 'Ukládání v nivě',
+    'process.secondary-channel-switching.description': 'Proud se přesouvá mezi hlavním korytem a vedlejšími rameny.',
+    'process.secondary-channel-switching.name': 'Přesouvání vedlejších ramen',
+    'process.transport-balance.description': 'Přísun sedimentu odpovídá transportní kapacitě.',
+    'process.transport-balance.name': 'Rovnováha transportu sedimentu',
+    'process.vertical-accretion.description': 'Jemný povodňový sediment pomalu zvyšuje nivu.',
+    'process.vertical-accretion.name': 'Vertikální akrece',
+
+    'validate.missing': 'Chybí povinné pole "{path}".',
+    'validate.notNull': '"{path}" nesmí být null.',
+    'validate.type.string': '"{path}" musí být řetězec (nalezeno {value}).',
+    'validate.type.number': '"{path}" musí být číslo (nalezeno {value}).',
+    'validate.type.integer': '"{path}" musí být celé číslo (nalezeno {value}).',
+    'validate.type.boolean': '"{path}" musí být logická hodnota (nalezeno {value}).',
+    'validate.type.object': '"{path}" musí být objekt (nalezeno {value}).',
+    'validate.string': '"{path}" musí být řetězec.',
+    'validate.nonEmptyString': '"{path}" musí být neprázdný řetězec.',
+    'validate.object': '"{path}" musí být objekt.',
+    'validate.list': '"{path}" musí být seznam.',
+    'validate.nonEmptyList': '"{path}" musí být neprázdný seznam.',
+    'validate.between': '"{path}" musí být mezi {min} a {max} (nalezeno {value}).',
+    'validate.greaterThan': '"{path}" musí být větší než {min} (nalezeno {value}).',
+    'validate.oneOf': '"{path}" musí být jedno z {options} (nalezeno {value}).',
+    'validate.unknownField': 'Neznámé pole "{path}".',
+    'validate.version': '"version" musí být {version} (nalezeno {value}).',
+    'validate.duplicate': '"{path}" opakuje "{id}".',
+    'validate.range': '"{path}" musí být objekt s "above" a/nebo "below".',
+    'validate.bound': '"{path}" není mez; použijte "above" nebo "below".',
+    'validate.rangeNumber': '"{path}" musí být číslo (nalezeno {value}).',
+    'validate.condition': '"{path}" není známá podmínka (použijte state, pattern, {keys}).',
+    'validate.param': '"{path}" není parametr (použijte {params}).',
+    'validate.sliderValues': '"{path}" musí být objekt s hodnotami posuvníků.',
+    'validate.sliderValue': '"{path}" musí být hodnota posuvníku od 1 do 100 (nalezeno {value}).',
+    'validate.line': 'Řádek {line}: {message}',
+    'validate.more': '...a dalších {count}.'
+});
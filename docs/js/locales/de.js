@@ -0,0 +1,542 @@
+/**
+ * German messages
+ *
+ * Keys left out here fall back to the English catalog.
+ */
+
+I18n.register('de', 'Deutsch', {
+    'app.title': 'Lanes Waage',
+    'app.subtitle': 'Interaktive Visualisierung der fluvialen Geomorphologie',
+    'app.pageTitle': 'Lanes Waage - interaktive fluviale Geomorphologie',
+    'app.language': 'Sprache',
+
+    'param.Qs.descRelative': 'Sedimentzufuhr (rel. Einheiten)',
+    'param.Qs.descPhysical': 'Sedimentzufuhr (10-10<sup>7</sup> t/a, log)',
+    'param.Qs.tooltip': 'Wie viel Sediment in den Abschnitt gelangt.',
+    'param.D50.descRelative': 'Korngröße (0,1-100 mm, log)',
+    'param.D50.descPhysical': 'Mittlere Korngröße (0,1-100 mm, log)',
+    'param.D50.tooltip': 'Die Korngröße bestimmt die Beweglichkeit; gröberes Material ist schwerer zu transportieren.',
+    'param.Qw.descRelative': 'Abfluss (rel. Einheiten)',
+    'param.Qw.descPhysical': 'Abfluss (0,1-10<sup>4</sup> m&sup3;/s, log)',
+    'param.Qw.tooltip': 'Strömungsstärke und Transportkapazität.',
+    'param.S.descRelative': 'Gefälle (0,1-100, log)',
+    'param.S.descPhysical': 'Gefälle (10<sup>-5</sup>-0,1 m/m, log)',
+    'param.S.tooltip': 'Das Gefälle trägt zur Strömungsleistung und Transportkapazität bei.',
+    'param.Qs.physicalLabel': 'Qs in t/a',
+    'param.D50.physicalLabel': 'D50 in mm',
+    'param.Qw.physicalLabel': 'Qw in m³/s',
+    'param.S.physicalLabel': 'S in m/m',
+
+    'slider.low': 'Gering',
+    'slider.high': 'Hoch',
+    'slider.fine': 'Fein',
+    'slider.coarse': 'Grob',
+    'slider.flat': 'Flach',
+    'slider.steep': 'Steil',
+
+    'controls.reset': 'Gleichgewicht herstellen',
+    'controls.pause': 'Pause',
+    'controls.play': 'Abspielen',
+
+    'display.title': 'Anzeige',
+    'display.tooltips': 'Erklärungen anzeigen',
+    'display.numeric': 'Zahlenwerte anzeigen',
+    'display.units': 'Physikalische Einheiten',
+    'display.screenshot': 'Bildschirmfoto',
+    'display.copyLink': 'Link kopieren',
+    'display.copied': 'Kopiert!',
+    'display.copyFailed': 'Kopieren fehlgeschlagen',
+    'display.sound': 'Sonifikation (Ton)',
+    'display.soundTitle': 'Tonhöhe und Stereoposition folgen dem Ungleichgewicht, der Klangcharakter dem Gerinnemuster, und ein Glockenton markiert das Überschreiten des Gleichgewichtsbands',
+    'display.soundUnavailable': 'Ton benötigt Web Audio, das dieser Browser nicht unterstützt',
+
+    'stateFile.title': 'Szenariodatei',
+    'stateFile.save': 'JSON speichern',
+    'stateFile.load': 'JSON laden',
+    'stateFile.notesPlaceholder': 'Notizen, die mit der Datei gespeichert werden',
+    'stateFile.notes': 'Notizen',
+    'stateFile.saved': 'Zustand gespeichert.',
+    'stateFile.error.notObject': 'Die Datei enthält kein JSON-Objekt.',
+    'stateFile.error.format': 'Keine Zustandsdatei von Lane\'s Balance (erwartet "format": "{format}").',
+    'stateFile.error.json': 'Die Datei ist kein gültiges JSON: {message}',
+
+    'transport.formula': 'Transportformel',
+    'transport.width': 'Breite',
+    'transport.auto': 'auto',
+    'transport.capacity': 'Transportkapazität ({load}): {capacity} t/a gegenüber Zufuhr {supply} t/a',
+    'transport.belowThreshold': 'Transportkapazität ({load}): unter der Bewegungsschwelle',
+    'transport.surplus': 'Überschuss {value} t/a',
+    'transport.deficit': 'Defizit {value} t/a',
+    'transport.index': 'Transportindex = {index} ({balance}, {state})',
+    'transport.agrees': 'stimmt mit der Lane-Tendenz überein',
+    'transport.disagrees': 'Lane-Tendenz ist {state}',
+    'transport.load.bedload': 'Geschiebe',
+    'transport.load.total load': 'Gesamtfracht',
+
+    'reference.title': 'Referenz (Gleichgewicht)',
+
+    'history.title': 'Verlauf',
+    'history.undo': 'Rückgängig',
+    'history.redo': 'Wiederholen',
+    'history.undoTitle': 'Rückgängig (Strg+Z)',
+    'history.redoTitle': 'Wiederholen (Strg+Umschalt+Z)',
+    'history.position': 'Position im Verlauf',
+    'history.initial': 'Ausgangszustand',
+    'history.loadedFile': 'Datei geladen',
+    'history.changed': '{param} geändert',
+    'history.entered': '{param} eingegeben',
+    'history.simulation': 'Profilsimulation',
+    'history.phase': 'Phasendiagramm: {x}, {y}',
+    'history.scenario': 'Szenario: {name}',
+    'history.hydrograph': 'Ganglinie: {name}',
+    'history.ratingCoupled': 'Schlüsselkurve gekoppelt',
+    'history.ratingUncoupled': 'Schlüsselkurve entkoppelt',
+    'history.network': 'Netz: {name}',
+    'history.reset': 'Gleichgewicht hergestellt',
+    'history.quiz': 'Quiz: {id}',
+    'history.lesson': 'Lektion: {title}',
+
+    'processes.title': 'Aktive Prozesse:',
+
+    'simulation.title': 'Profilsimulation:',
+    'simulation.play': 'Abspielen',
+    'simulation.step': 'Schritt',
+    'simulation.reset': 'Profil zurücksetzen',
+    'simulation.timeStep': 'Zeitschritt',
+    'simulation.status': 't = {time} a · Gefälle des Abschnitts {slope} m/m · Sohle am Zulauf {change} m',
+    'simulation.saturated': 'Gefälle am Maximum, überschüssige Fracht wird durchgereicht',
+    'simulation.dt.1': '1 a',
+    'simulation.dt.10': '10 a',
+    'simulation.dt.100': '100 a',
+    'simulation.dt.1000': '1000 a',
+
+    'scenarios.title': 'Szenarien:',
+    'scenarios.play': 'Szenario abspielen',
+    'scenarios.select': 'Szenario',
+    'scenarios.outcome': '{state} - {processes}',
+    'scenarios.expected': 'Erwartet: {outcome}',
+    'scenarios.model': 'Modell: {outcome}',
+    'scenarios.dam-closure.name': 'Staudammbau',
+    'scenarios.dam-closure.narrative': 'Ein neuer Damm hält fast das gesamte Geschiebe im Stausee zurück und dämpft Hochwasser. Unterhalb des Damms führt der Fluss „hungriges Wasser“: klaren Abfluss mit freier Transportkapazität.',
+    'scenarios.gravel-mining.name': 'Kiesabbau',
+    'scenarios.gravel-mining.narrative': 'Kiesentnahme aus dem Gerinne entfernt den groben Anteil des Geschiebes. Flussabwärts kommt weniger und feineres Sediment an, sodass die Strömung die Sohle erodiert, um das Defizit auszugleichen.',
+    'scenarios.urbanization.name': 'Urbanisierung',
+    'scenarios.urbanization.narrative': 'Dächer, Straßen und Regenwasserkanäle wandeln Niederschlag schneller in Abfluss um. Höhere und stoßartigere Abflüsse erhöhen die Transportkapazität, während die Sedimentzufuhr gleich bleibt.',
+    'scenarios.channel-straightening.name': 'Begradigung',
+    'scenarios.channel-straightening.narrative': 'Das Abschneiden von Mäanderbögen verkürzt das Gerinne bei gleichem Höhenunterschied. Das steilere Gefälle erhöht die Strömungsleistung und der Abschnitt tieft sich ein, oft mit einem flussaufwärts wandernden Gefällsknick.',
+    'scenarios.wildfire.name': 'Waldbrand',
+    'scenarios.wildfire.narrative': 'Ein Waldbrand entfernt die Vegetation von den Hängen. Unwetter nach dem Brand liefern große Mengen Asche, Sand und Kies, mehr als der Fluss transportieren kann.',
+
+    'hydrograph.title': 'Abflussganglinie:',
+    'hydrograph.series': 'Reihe',
+    'hydrograph.speed': 'Tempo',
+    'hydrograph.play': 'Abspielen',
+    'hydrograph.rewind': 'Zurückspulen',
+    'hydrograph.load': 'CSV laden',
+    'hydrograph.csvNote': 'CSV-Spalten: Datum, Qw (m³/s) und optional Qs (t/a). Ohne Qs bleibt der Qs-Regler stehen.',
+    'hydrograph.slow': 'Langsam',
+    'hydrograph.normal': 'Normal',
+    'hydrograph.fast': 'Schnell',
+    'hydrograph.fileQwQs': 'Qw und Qs aus der Datei.',
+    'hydrograph.fileQw': 'Qw aus der Datei; Qs bleibt unverändert.',
+    'hydrograph.loaded': '{count} Schritte aus {name} geladen.',
+    'hydrograph.step': 'Schritt {step} von {count} · {label}',
+    'hydrograph.steps': '{count} Schritte · {days} Tage',
+    'hydrograph.time': '{state}: {days} d ({percent} %)',
+    'hydrograph.day': 'Tag {day}',
+    'hydrograph.error.noRows': 'Die Datei hat keine Zeilen.',
+    'hydrograph.error.columns': 'Zeile {line}: {expected} Spalten erwartet, {count} gefunden.',
+    'hydrograph.error.noDischarge': 'Keine Abflussspalte (erwartet eine von {names}).',
+    'hydrograph.error.discharge': 'Zeile {line}: Der Abfluss muss eine positive Zahl sein ("{value}" gefunden).',
+    'hydrograph.error.sediment': 'Zeile {line}: Die Sedimentfracht muss eine positive Zahl sein ("{value}" gefunden).',
+    'hydrograph.error.time': 'Zeile {line}: "{label}" ist weder Datum noch Tagesnummer.',
+    'hydrograph.error.order': 'Zeile {line}: Die Zeit muss zunehmen ({label}).',
+    'hydrograph.error.tooShort': 'Eine Ganglinie braucht mindestens zwei Zeilen.',
+    'hydrograph.snowmelt.name': 'Schneeschmelze',
+    'hydrograph.snowmelt.description': 'Ein Jahr mit niedrigem Winterabfluss, einer breiten Schneeschmelzspitze im Frühjahr und Rückgang im Sommer.',
+    'hydrograph.storm.name': 'Sturzfluten',
+    'hydrograph.storm.description': 'Sechzig Tage Niedrigwasser mit drei Unwettern: steile Anstiege und schnelle Rückgänge.',
+    'hydrograph.regulated.name': 'Reguliert',
+    'hydrograph.regulated.description': 'Ein Jahr unterhalb eines Damms: abgeflachter Jahresgang und eine fünftägige ökologische Hochwasserabgabe.',
+
+    'rating.title': 'Sediment-Schlüsselkurve:',
+    'rating.couple': 'Q<sub>s</sub> an Q<sub>w</sub> koppeln',
+    'rating.fit': 'An Daten anpassen',
+    'rating.reset': 'Kurve zurücksetzen',
+    'rating.coefficient': 'Koeffizient a der Schlüsselkurve',
+    'rating.exponent': 'Exponent b der Schlüsselkurve',
+    'rating.dataPlaceholder': 'Wertepaare Qw, Qs zum Anpassen (m³/s, t/a), eines pro Zeile',
+    'rating.data': 'Daten der Schlüsselkurve',
+    'rating.legendCurve': 'Schlüsselkurve (Zufuhr)',
+    'rating.legendCapacity': 'Transportkapazität',
+    'rating.needPairs': 'Zum Anpassen sind mindestens zwei Paare mit verschiedenem Qw nötig.',
+    'rating.fitted': '{count} Paare angepasst: a = {a}, b = {b}, R² = {r2}.',
+    'rating.skipped': 'Übersprungen: {error}',
+    'rating.regime.supply-limited': 'Zufuhrbegrenzt: Die Strömung könnte {capacity} t/a transportieren, es werden aber nur {supply} t/a zugeführt, also holt sie sich die Differenz aus der Sohle.',
+    'rating.regime.transport-limited': 'Transportbegrenzt: {supply} t/a werden zugeführt, die Strömung kann aber nur {capacity} t/a transportieren, also wird der Überschuss abgelagert.',
+    'rating.regime.belowThreshold': 'Transportbegrenzt: Die Strömung liegt unter der Bewegungsschwelle, also werden die zugeführten {supply} t/a abgelagert.',
+    'rating.regime.balanced': 'Ausgeglichen: Die Zufuhr ({supply} t/a) entspricht der Transportkapazität ({capacity} t/a).',
+    'rating.coupled': 'Gekoppelt',
+    'rating.ifCoupled': 'Bei Kopplung',
+    'rating.trend.aggradation': 'Mit b = {b} wächst die Zufuhr mit dem Abfluss schneller als die Transportkapazität, also neigt ein höheres Qw die Waage zur Auflandung und ein niedrigeres zur Eintiefung.',
+    'rating.trend.degradation': 'Mit b = {b} wächst die Zufuhr mit dem Abfluss langsamer als die Transportkapazität, also neigt ein höheres Qw die Waage zur Eintiefung und ein niedrigeres zur Auflandung.',
+    'rating.trend.none': 'Mit b = {b} wachsen Zufuhr und Transportkapazität gleich schnell, also neigt Qw allein die Waage nicht.',
+    'rating.error.pair': 'Zeile {line}: zwei positive Zahlen Qw und Qs erwartet ("{text}" gefunden).',
+
+    'network.title': 'Flussnetz:',
+    'network.reach': 'Abschnitt',
+    'network.inflowQw': 'Zufluss Q<sub>w</sub>',
+    'network.inflowQs': 'Zufluss Q<sub>s</sub>',
+    'network.qsIn': 'Q<sub>s</sub> ein (t/a)',
+    'network.ratio': 'Verhältnis',
+    'network.qsOut': 'Q<sub>s</sub> aus (t/a)',
+    'network.add': 'Abschnitt hinzufügen',
+    'network.reset': 'Netz zurücksetzen',
+    'network.note': 'Jeder Abschnitt gibt sein Sediment weiter, nachdem er die Hälfte seines Lane-Ungleichgewichts abgelagert oder erodiert hat. Nebenflüsse fügen Q<sub>w</sub> und Q<sub>s</sub> am Anfang ihres Abschnitts hinzu (leer lassen für keinen). Ein Klick auf einen Abschnitt lädt ihn in die Regler und Ansichten.',
+    'network.reachNameLabel': 'Name von Abschnitt {number}',
+    'network.reachName': 'Abschnitt {number}',
+    'network.headwater': 'Quellgebiet',
+    'network.tributary': 'Nebenfluss',
+    'network.none': 'keiner',
+    'network.load': 'Laden',
+    'network.loadLabel': '{name} in die Ansichten laden',
+    'network.removeLabel': '{name} entfernen',
+    'network.stores': 'Verhältnis {ratio} · lagert {percent} % von Qs ab',
+    'network.erodes': 'Verhältnis {ratio} · erodiert {percent} % von Qs',
+    'network.upstream': 'flussaufwärts',
+    'network.downstream': 'flussabwärts →',
+    'network.default.headwaters': 'Quellgebiet',
+    'network.default.upperValley': 'Oberes Tal',
+    'network.default.middle': 'Mittellauf',
+    'network.default.lowland': 'Tiefland',
+
+    'comparison.title': 'Vorher-Nachher-Vergleich',
+    'comparison.before': 'Vorher',
+    'comparison.copy': 'Hauptregler übernehmen',
+    'comparison.after': 'Nachher',
+    'comparison.diffTitle': 'Vorher &rarr; Nachher',
+    'comparison.swap': 'Seiten tauschen',
+    'comparison.reset': 'Zurücksetzen',
+    'comparison.note': 'Stellen Sie zwei Zustände des Abschnitts nebeneinander. Jede Seite hat eigene Regler; die Zusammenfassung unten zeigt, wie sich Gleichgewicht, Laufform und aktive Prozesse von vorher zu nachher ändern.',
+    'comparison.summary': 'Verhältnis {ratio} · {state} · {pattern}',
+    'comparison.unchanged': 'unverändert ({value})',
+    'comparison.none': 'keine',
+    'comparison.diff.ratio': 'Verhältnis: {before} → {after} (×{factor})',
+    'comparison.diff.imbalance': 'Ungleichgewichtsindex I: {before} → {after} ({change})',
+    'comparison.diff.state': 'Tendenz: {change}',
+    'comparison.diff.pattern': 'Laufform: {change}',
+    'comparison.diff.added': 'Neue Prozesse: {processes}',
+    'comparison.diff.removed': 'Entfallene Prozesse: {processes}',
+
+    'lessons.title': 'Lektionen:',
+    'lessons.start': 'Lektion starten',
+    'lessons.load': 'Lektion laden',
+    'lessons.note': 'Lektionen sind JSON- oder Markdown-Dateien; Beispiele stehen in data/lessons/.',
+    'lessons.back': 'Zurück',
+    'lessons.next': 'Weiter',
+    'lessons.select': 'Lektion',
+    'lessons.exit': 'Lektion beenden',
+    'lessons.loaded': '„{title}“ geladen ({count} Schritte).',
+    'lessons.finished': '„{title}“ abgeschlossen.',
+    'lessons.filesIgnored': 'Einige Lektionsdateien wurden übersprungen:',
+    'lessons.progress': 'Schritt {number} von {count}',
+    'lessons.reachTarget': 'Erreichen Sie das Ziel:',
+    'lessons.finish': 'Abschließen',
+    'lessons.now': 'jetzt {value}',
+    'lessons.error.notObject': 'Eine Lektion muss ein JSON-Objekt sein.',
+    'lessons.error.format': 'Keine Lektion (erwartet "format": "{format}").',
+    'lessons.error.json': 'Die Lektion ist kein gültiges JSON: {message}',
+    'lessons.error.index': '"lessons" muss eine Liste von Dateinamen sein.',
+    'lessons.error.goal': 'Das Ziel "{goal}" muss die Form "pattern = braided" oder "ratio > 2" haben.',
+    'lessons.error.goalNumber': 'Das Ziel "{goal}" braucht eine Zahl nach "{op}".',
+    'lessons.error.directive': 'Zeile {line}: "{key}:" muss nach einer Überschrift "## Schritt" stehen.',
+    'lessons.error.highlight': '"{path}" muss eine Liste von CSS-Selektoren sein.',
+    'lessons.error.lock': '"{path}" muss eine Liste von Parametern sein.',
+    'lessons.error.lockParam': '"{path}" enthält den unbekannten Parameter {value} (verwenden Sie {params}).',
+
+    'quiz.title': 'Quiz:',
+    'quiz.start': 'Quiz starten',
+    'quiz.load': 'Fragenkatalog laden',
+    'quiz.export': 'Ergebnisse exportieren',
+    'quiz.startPrompt': 'Starten Sie das Quiz, um die erste Frage zu erhalten.',
+    'quiz.tendency': 'Tendenz',
+    'quiz.pattern': 'Laufform',
+    'quiz.process': 'Ein aktiver Prozess',
+    'quiz.reveal': 'Auflösen',
+    'quiz.next': 'Nächste Frage',
+    'quiz.note': 'Sagen Sie voraus, wie der Abschnitt reagiert, bevor sich die Ansichten bewegen. Die Regler sind gesperrt, bis Sie die Antwort auflösen.',
+    'quiz.increases': '{param} steigt um {percent} %',
+    'quiz.decreases': '{param} sinkt um {percent} %',
+    'quiz.and': ' und ',
+    'quiz.ratioMoves': 'Das Verhältnis der Waage ändert sich von {before} auf {after}.',
+    'quiz.fileIgnored': 'Fragenkatalog übersprungen:',
+    'quiz.loaded': '{count} Fragen aus {name} geladen.',
+    'quiz.builtIn': 'eingebaut',
+    'quiz.bank': 'Fragenkatalog',
+    'quiz.source': '{title} ({count} Fragen, {source})',
+    'quiz.progress': 'Frage {number} von {count}',
+    'quiz.answer.state': 'Tendenz: {answer}',
+    'quiz.answer.stateWrong': 'Tendenz: {answer} (Ihre Vorhersage: {prediction})',
+    'quiz.answer.pattern': 'Laufform: {answer}',
+    'quiz.answer.patternWrong': 'Laufform: {answer} (Ihre Vorhersage: {prediction})',
+    'quiz.answer.process': 'Prozess: {process} ist aktiv (aktiv: {active})',
+    'quiz.answer.processWrong': 'Prozess: {process} ist nicht aktiv (aktiv: {active})',
+    'quiz.showScore': 'Punktzahl anzeigen',
+    'quiz.complete': 'Quiz abgeschlossen',
+    'quiz.scoreTotal': 'Punkte: {points} / {possible} ({percent} %)',
+    'quiz.scoreParts': 'Tendenz {state}/{total} · Laufform {pattern}/{total} · Prozess {process}/{total}',
+    'quiz.error.notObject': 'Ein Fragenkatalog muss ein JSON-Objekt sein.',
+    'quiz.error.format': 'Kein Fragenkatalog (erwartet "format": "{format}").',
+    'quiz.error.json': 'Der Fragenkatalog ist kein gültiges JSON: {message}',
+    'quiz.error.change': '"{path}" muss ein Objekt mit mindestens einem Parameter sein.',
+    'quiz.error.percent': '"{path}" muss eine prozentuale Änderung ungleich null über -100 sein ({value} gefunden).',
+
+    'rules.title': 'Editor für Prozessregeln',
+    'rules.apply': 'Anwenden',
+    'rules.reset': 'Zurücksetzen',
+    'rules.download': 'JSON herunterladen',
+    'rules.help': 'Eine Regel greift, wenn alle ihre <code>when</code>-Bedingungen erfüllt sind: <code>state</code> und <code>pattern</code> nehmen einen Wert oder eine Liste, <code>ratio</code>, <code>streamPower</code>, <code>Qs</code>, <code>D50</code>, <code>Qw</code> und <code>S</code> nehmen <code>{"above": x}</code> und/oder <code>{"below": y}</code>. <code>equilibriumBand</code> ist die halbe Breite des Gleichgewichtsbandes in log<sub>10</sub>(Verhältnis).',
+    'rules.text': 'Prozessregeln (JSON)',
+    'rules.fileIgnored': 'Regeldatei übersprungen:',
+    'rules.notApplied': 'Regeln nicht angewendet:',
+    'rules.applied': '{count} Regeln angewendet (in diesem Browser gespeichert).',
+    'rules.resetDone': 'Regeln zurückgesetzt.',
+    'rules.source.builtIn': 'Ersatzregeln ({url} nicht geladen)',
+    'rules.source.file': 'Geladen aus {url}',
+    'rules.source.edited': 'Bearbeitete Regeln (in diesem Browser gespeichert)',
+    'rules.error.notObject': 'Regeln müssen ein JSON-Objekt sein.',
+    'rules.error.format': 'Kein Regeldokument (erwartet "format": "{format}").',
+    'rules.error.json': 'Die Regeln sind kein gültiges JSON: {message}',
+    'rules.error.band': '"equilibriumBand" muss eine Zahl von mindestens 0 sein ({value} gefunden).',
+
+    'phase.title': 'Phasendiagramm:',
+    'phase.horizontal': 'Horizontal',
+    'phase.vertical': 'Vertikal',
+    'phase.colorBy': 'Färben nach',
+    'phase.tendency': 'Tendenz',
+    'phase.pattern': 'Laufform',
+    'phase.note': 'Die beiden anderen Parameter bleiben auf ihren aktuellen Werten. Ziehen Sie die Markierung, um beide Regler zu setzen.',
+    'phase.equilibriumLine': 'Gleichgewichtslinie',
+
+    'views.profile': 'Längsprofil',
+    'views.crossSection': 'Querschnitt (hydraulische Geometrie)',
+    'views.plan': 'Grundriss (Laufform)',
+    'views.flow': 'Strömung ->',
+
+    'pattern.classifier': 'Klassifikation',
+    'pattern.bankAngle': 'Uferwinkel &phi;&prime;',
+    'pattern.straight': 'Gestreckt',
+    'pattern.meandering': 'Mäandrierend',
+    'pattern.braided': 'Verzweigt',
+    'pattern.wandering': 'Pendelnd',
+    'pattern.anastomosing': 'Anastomosierend',
+    'pattern.straight.label': 'Gestreckter Lauf',
+    'pattern.meandering.label': 'Mäandrierender Lauf',
+    'pattern.braided.label': 'Verzweigter Lauf',
+    'pattern.wandering.label': 'Pendelnder Lauf',
+    'pattern.anastomosing.label': 'Anastomosierende Läufe',
+    'pattern.heuristic.name': 'Heuristik nach Lanes Waage',
+    'pattern.heuristic.citation': 'Verzweigungsindex aus Sedimentfracht, Korngröße, Gefälle und Ungleichgewicht',
+    'pattern.heuristic.discharge': 'Qw / Qw_min',
+    'pattern.heuristic.braiding': 'VI / VI_t',
+    'pattern.leopold-wolman.name': 'Leopold & Wolman (1957)',
+    'pattern.leopold-wolman.citation': 'Verzweigt oberhalb des Grenzgefälles S_t = 0.012 · Q^-0.44',
+    'pattern.van-den-berg.name': 'van den Berg (1995)',
+    'pattern.van-den-berg.citation': 'Verzweigt, wenn die spezifische Strömungsleistung ω = 2100 · S · √Q den Wert 900 · D50^0.42 übersteigt (W/m², D50 in m)',
+    'pattern.parker.name': 'Parker (1976)',
+    'pattern.parker.citation': 'Verzweigt, wenn S / Fr das Tiefen-Breiten-Verhältnis h / B übersteigt',
+    'pattern.millar.name': 'Millar (2000)',
+    'pattern.millar.citation': 'Verzweigt oberhalb S* = 0.0002 · D50^0.61 · φ\'^1.75 · Q^-0.25 (Uferfestigkeit φ\')',
+
+    'footer.equation': 'Sedimentfracht &times; Korngröße proportional zu Abfluss &times; Gefälle',
+    'footer.conceptual': 'Lanes Waage ist ein konzeptionelles Modell und kein strenges Gesetz, aber hilfreich für die Anschauung und das Flussmanagement.',
+    'footer.demo': 'Konzeptionelle Demonstration für Lehre und Diskussion.',
+    'footer.repository': 'GitHub-Repository',
+
+    'state.degradation': 'Eintiefung',
+    'state.equilibrium': 'Gleichgewicht',
+    'state.aggradation': 'Auflandung',
+
+    'screenshot.unavailable': 'Bildschirmfoto nicht verfügbar - die Bibliothek konnte nicht geladen werden',
+    'screenshot.failed': 'Bildschirmfoto fehlgeschlagen',
+
+    'file.couldNotLoad': '{name} konnte nicht geladen werden:',
+    'file.loaded': '{name} geladen.',
+    'file.couldNotRead': '{name} konnte nicht gelesen werden: {message}',
+
+    'why.equilibrium': 'Sedimentzufuhr und Transportkapazität sind im Gleichgewicht.',
+    'why.aggradation': 'Die Sedimentzufuhr übersteigt die Transportkapazität.',
+    'why.degradation': 'Die Transportkapazität übersteigt die Sedimentzufuhr.',
+    'why.increased': 'Dazu beigetragen hat die Zunahme {param}.',
+    'why.decreased': 'Dazu beigetragen hat die Abnahme {param}.',
+    'why.param.Qs': 'der Sedimentzufuhr (Qs)',
+    'why.param.D50': 'der Korngröße (D50)',
+    'why.param.Qw': 'des Abflusses (Qw)',
+    'why.param.S': 'des Gefälles (S)',
+
+    'locks.quiz': 'Gesperrt, bis Sie die Quizantwort auflösen',
+    'locks.lesson': 'Für diesen Lektionsschritt gesperrt',
+    'locks.rating': 'Qs folgt Qw über die Sediment-Schlüsselkurve',
+    'locks.ratingOff': 'Die Kopplung bleibt während des Quiz oder einer Lektion aus',
+
+    'tendency.aggradation': 'Tendenz: Auflandung',
+    'tendency.degradation': 'Tendenz: Eintiefung',
+    'tendency.equilibrium': 'Tendenz: nahe am Gleichgewicht',
+    'tendency.imbalance': 'Ungleichgewichtsindex I = {value}',
+
+    'condition.state': 'Tendenz',
+    'condition.pattern': 'Laufform',
+    'condition.ratio': 'Verhältnis der Waage',
+    'condition.streamPower': 'Relative Strömungsleistung',
+    'condition.is': '{label} ist {values}',
+    'condition.or': ' oder ',
+    'condition.and': ' und ',
+
+    'processCard.close': 'Prozessdetails schließen',
+    'processCard.why': 'Warum er aktiv ist',
+    'processCard.references': 'Literatur',
+    'processCard.always': 'Immer aktiv (keine Bedingungen).',
+    'processCard.schematic': 'Schema: {name}',
+
+    'schematic.originalBed': 'ursprüngliche Sohle',
+    'schematic.crossSection': 'Querschnitt',
+    'schematic.longProfile': 'Längsprofil  (Strömung ->)',
+    'schematic.bedSurface': 'Sohloberfläche  (Strömung ->)',
+    'schematic.planView': 'Grundriss  (Strömung ->)',
+    'schematic.reach': 'Abschnitt  (Strömung ->)',
+    'schematic.in': 'ein',
+    'schematic.out': 'aus',
+    'schematic.knickpoint': 'Gefällsknick',
+
+    'axis.qw': 'Qw (m³/s)',
+    'axis.logRatio': 'log₁₀ Verhältnis',
+    'axis.timeDays': 'Zeit (Tage)',
+    'axis.qs': 'Qs (t/a)',
+
+    'scale.degradation': 'EINTIEF.',
+    'scale.aggradation': 'AUFLAD.',
+
+    'profile.degradation': 'Eintiefung unter die ursprüngliche Sohle',
+    'profile.equilibrium': 'Sohle im Gleichgewichtsgefälle',
+    'profile.aggradation': 'Ablagerungskeil',
+    'profile.legend.valley': 'Talgefälle',
+    'profile.legend.grade': 'Gleichgewicht',
+    'profile.legend.bed': 'Sohle',
+
+    'crossSection.bankHeight': 'Uferhöhe {height} m · gestrichelt = Regimegerinne',
+
+    'a11y.sliderKeys': 'Pfeiltasten ändern den Wert um 1; Umschalt mit einer Pfeiltaste oder Bild auf und Bild ab ändern ihn um 10. Pos1 und Ende springen an die Enden.',
+    'a11y.phaseLabel': 'Markierung im Phasendiagramm: Pfeile links und rechts ändern {x}, Pfeile hoch und runter ändern {y}; mit Umschalt in Zehnerschritten',
+    'a11y.tilt.slightly': 'leicht',
+    'a11y.tilt.clearly': 'deutlich',
+    'a11y.tilt.strongly': 'stark',
+    'a11y.scale.level': 'Die Waage ist ausgeglichen: Sedimentfracht und Strömungsleistung halten sich die Waage (Verhältnis {ratio}).',
+    'a11y.scale.aggradation': 'Die Waage neigt sich {strength} zur Auflandung: Die Sedimentfracht überwiegt die Strömungsleistung (Verhältnis {ratio}).',
+    'a11y.scale.degradation': 'Die Waage neigt sich {strength} zur Eintiefung: Die Strömungsleistung überwiegt die Sedimentfracht (Verhältnis {ratio}).',
+    'a11y.pattern.straight': 'Draufsicht: ein einzelnes gerades Gerinne mit geringer Windung.',
+    'a11y.pattern.meandering': 'Draufsicht: ein einzelnes Gerinne, das sich in regelmäßigen Mäanderschleifen windet.',
+    'a11y.pattern.braided': 'Draufsicht: mehrere flache Rinnen, die sich um Bänke teilen und wieder vereinen.',
+    'a11y.pattern.wandering': 'Draufsicht: ein Hauptgerinne, das sich um Bänke und Inseln verlagert, mit Nebenrinnen.',
+    'a11y.pattern.anastomosing': 'Draufsicht: mehrere stabile Gerinne, getrennt durch bewachsene Inseln.',
+    'a11y.announce.tendency': 'Tendenz jetzt: {state}.',
+    'a11y.announce.pattern': 'Gerinnemuster jetzt: {pattern}.',
+    'a11y.announce.processes': 'Neu aktiv: {processes}.',
+
+    'export.figure': 'Vektorgrafik',
+    'export.report': 'Waage, Draufsicht, Tendenz und Parameter',
+    'export.scale': 'Waage',
+    'export.plan': 'Draufsicht',
+    'export.svg': 'SVG exportieren',
+    'export.pdf': 'PDF exportieren',
+    'export.pdfUnavailable': 'PDF-Export nicht verfügbar: Die PDF-Bibliotheken konnten nicht geladen werden',
+    'export.failed': 'Das PDF konnte nicht erstellt werden',
+    'export.parameters': 'Parameter',
+    'export.parameter': 'Parameter',
+    'export.value': 'Regler / physikalischer Wert',
+    'export.param.Qs': 'Sedimentzufuhr Qs',
+    'export.param.D50': 'Mittlere Korngröße D50',
+    'export.param.Qw': 'Abfluss Qw',
+    'export.param.S': 'Gefälle S',
+
+    'report.title': 'Bericht',
+    'report.questions': 'Arbeitsblattfragen',
+    'report.print': 'Drucken',
+    'report.html': 'HTML herunterladen',
+    'report.pdf': 'PDF herunterladen',
+    'report.heading': 'Bericht zu Lanes Waage',
+    'report.created': 'Erstellt am {date}',
+    'report.state': 'Gleichgewichtszustand',
+    'report.ratio': 'Verhältnis der Waage',
+    'report.imbalance': 'Ungleichgewichtsindex I',
+    'report.tendency': 'Tendenz',
+    'report.pattern': 'Gerinnemuster',
+    'report.parameter': 'Parameter',
+    'report.slider': 'Regler (1-100)',
+    'report.physical': 'Physikalischer Wert',
+    'report.processes': 'Aktive Prozesse',
+    'report.noProcesses': 'Keine Prozesse aktiv.',
+    'report.questionsTitle': 'Fragen',
+    'report.question.1': 'Welchen Parameter würden Sie ändern, um den Abschnitt wieder ins Gleichgewicht zu bringen, und in welche Richtung?',
+    'report.question.2': 'Was würden Sie im Gelände erwarten, wenn diese Tendenz mehrere Jahrzehnte anhielte?',
+    'report.question.3': 'Welche der aktiven Prozesse könnten Sie vor Ort bestätigen, und wie?',
+    'report.notes': 'Notizen',
+
+    'process.avulsion-risk.description': 'Die aufgehöhte Sohle macht eine plötzliche Laufverlegung wahrscheinlich.',
+    'process.avulsion-risk.name': 'Avulsionsgefahr',
+    'process.avulsion.description': 'Neue Rinnen entstehen durch Avulsion, während alte bestehen bleiben.',
+    'process.avulsion.name': 'Avulsion',
+    'process.bank-erosion.description': 'Energiereiche Strömung unterspült die Ufer und trägt Ufermaterial ab.',
+    'process.bank-erosion.name': 'Ufererosion',
+    'process.bar-formation.description': 'Überschüssiges Sediment lagert sich als Bänke im Gerinne ab.',
+    'process.bar-formation.name': 'Bankbildung',
+    'process.bed-armoring.description': 'Feinmaterial wird ausgewaschen, zurück bleibt eine grobe Deckschicht.',
+    'process.bed-armoring.name': 'Sohlpanzerung',
+    'process.bed-incision.description': 'Überschüssige Transportkapazität räumt die Sohle aus und tieft das Gerinne ein.',
+    'process.bed-incision.name': 'Sohleneintiefung',
+    'process.channel-widening.description': 'Ablagerungen lenken die Strömung gegen die Ufer, und das Gerinne verbreitert sich.',
+    'process.channel-widening.name': 'Gerinneaufweitung',
+    'process.chute-cutoff.description': 'Die Strömung schneidet durch Bänke und Inseln und öffnet neue Rinnen.',
+    'process.chute-cutoff.name': 'Rinnendurchbruch',
+    'process.dynamic-equilibrium.description': 'Erosion und Ablagerung gleichen sich über die Zeit aus.',
+    'process.dynamic-equilibrium.name': 'Dynamisches Gleichgewicht',
+    'process.island-stabilization.description': 'Vegetation bindet das Inselsediment und hält die Rinnen an Ort und Stelle.',
+    'process.island-stabilization.name': 'Stabilisierung bewachsener Inseln',
+    'process.knickpoint-migration.description': 'Eine Stufe im Sohlprofil wandert flussaufwärts.',
+    'process.knickpoint-migration.name': 'Rückschreitende Erosion',
+    'process.overbank-deposition.description': 'Hochwasser verteilen Sediment über die Aue.',
+    'process.overbank-deposition.name': 'Auenablagerung',
+    'process.secondary-channel-switching.description': 'Die Strömung verlagert sich zwischen Hauptgerinne und Nebenrinnen.',
+    'process.secondary-channel-switching.name': 'Wechsel der Nebenrinnen',
+    'process.transport-balance.description': 'Die Sedimentzufuhr entspricht der Transportkapazität.',
+    'process.transport-balance.name': 'Ausgeglichener Sedimenttransport',
+    'process.vertical-accretion.description': 'Feines Hochwassersediment höht die Aue langsam auf.',
+    'process.vertical-accretion.name': 'Vertikale Auflandung',
+
+    'validate.missing': 'Pflichtfeld "{path}" fehlt.',
+    'validate.notNull': '"{path}" darf nicht null sein.',
+    'validate.type.string': '"{path}" muss eine Zeichenkette sein ({value} gefunden).',
+    'validate.type.number': '"{path}" muss eine Zahl sein ({value} gefunden).',
+    'validate.type.integer': '"{path}" muss eine ganze Zahl sein ({value} gefunden).',
+    'validate.type.boolean': '"{path}" muss ein Wahrheitswert sein ({value} gefunden).',
+    'validate.type.object': '"{path}" muss ein Objekt sein ({value} gefunden).',
+    'validate.string': '"{path}" muss eine Zeichenkette sein.',
+    'validate.nonEmptyString': '"{path}" muss eine nicht leere Zeichenkette sein.',
+    'validate.object': '"{path}" muss ein Objekt sein.',
+    'validate.list': '"{path}" muss eine Liste sein.',
+    'validate.nonEmptyList': '"{path}" muss eine nicht leere Liste sein.',
+    'validate.between': '"{path}" muss zwischen {min} und {max} liegen ({value} gefunden).',
+    'validate.greaterThan': '"{path}" muss größer als {min} sein ({value} gefunden).',
+    'validate.oneOf': '"{path}" muss einer der Werte {options} sein ({value} gefunden).',
+    'validate.unknownField': 'Unbekanntes Feld "{path}".',
+    'validate.version': '"version" muss {version} sein ({value} gefunden).',
+    'validate.duplicate': '"{path}" wiederholt "{id}".',
+    'validate.range': '"{path}" muss ein Objekt mit "above" und/oder "below" sein.',
+    'validate.bound': '"{path}" ist keine Grenze; verwenden Sie "above" oder "below".',
+    'validate.rangeNumber': '"{path}" muss eine Zahl sein ({value} gefunden).',
+    'validate.condition': '"{path}" ist keine bekannte Bedingung (verwenden Sie state, pattern, {keys}).',
+    'validate.param': '"{path}" ist kein Parameter (verwenden Sie {params}).',
+    'validate.sliderValues': '"{path}" muss ein Objekt mit Schiebereglerwerten sein.',
+    'validate.sliderValue': '"{path}" muss ein Schiebereglerwert von 1 bis 100 sein ({value} gefunden).',
+    'validate.line': 'Zeile {line}: {message}',
+    'validate.more': '...und {count} weitere.'
+});
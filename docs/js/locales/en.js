@@ -0,0 +1,513 @@
+/**
+ * English messages - the reference catalog
+ *
+ * Every key used in the code and in index.html is defined here; other
+ * locales fall back to these messages for keys they leave out. Process
+ * names and descriptions come from the process rules themselves.
+ */
+
+I18n.register('en', 'English', {
+    'app.title': 'Lane\'s Balance',
+    'app.subtitle': 'Interactive Fluvial Geomorphology Visualization',
+    'app.pageTitle': 'Lane\'s Balance - Interactive Fluvial Geomorphology',
+    'app.language': 'Language',
+
+    'param.Qs.descRelative': 'Sediment Discharge (rel. units)',
+    'param.Qs.descPhysical': 'Sediment Discharge (10-10<sup>7</sup> t/yr, log)',
+    'param.Qs.tooltip': 'How much sediment enters the reach.',
+    'param.D50.descRelative': 'Sediment Size (0.1-100 mm, log)',
+    'param.D50.descPhysical': 'Median Grain Size (0.1-100 mm, log)',
+    'param.D50.tooltip': 'Grain size controls mobility; coarser material is harder to transport.',
+    'param.Qw.descRelative': 'Water Discharge (rel. units)',
+    'param.Qw.descPhysical': 'Water Discharge (0.1-10<sup>4</sup> m&sup3;/s, log)',
+    'param.Qw.tooltip': 'Flow strength and transport capacity.',
+    'param.S.descRelative': 'Channel Slope (0.1-100, log)',
+    'param.S.descPhysical': 'Channel Slope (10<sup>-5</sup>-0.1 m/m, log)',
+    'param.S.tooltip': 'Slope contributes to stream power and transport capacity.',
+    'param.Qs.physicalLabel': 'Qs in t/yr',
+    'param.D50.physicalLabel': 'D50 in mm',
+    'param.Qw.physicalLabel': 'Qw in m³/s',
+    'param.S.physicalLabel': 'S in m/m',
+
+    'slider.low': 'Low',
+    'slider.high': 'High',
+    'slider.fine': 'Fine',
+    'slider.coarse': 'Coarse',
+    'slider.flat': 'Flat',
+    'slider.steep': 'Steep',
+
+    'controls.reset': 'Reset to Equilibrium',
+    'controls.pause': 'Pause',
+    'controls.play': 'Play',
+
+    'display.title': 'Display',
+    'display.tooltips': 'Show explanations',
+    'display.numeric': 'Show numeric mode',
+    'display.units': 'Physical units',
+    'display.screenshot': 'Screenshot',
+    'display.copyLink': 'Copy link',
+    'display.copied': 'Copied!',
+    'display.copyFailed': 'Copy failed',
+    'display.sound': 'Sonification (sound)',
+    'display.soundTitle': 'Pitch and stereo position follow the imbalance, the texture follows the channel pattern, and a chime marks crossing the equilibrium band',
+    'display.soundUnavailable': 'Sound needs Web Audio, which this browser does not support',
+
+    'stateFile.title': 'Scenario File',
+    'stateFile.save': 'Save JSON',
+    'stateFile.load': 'Load JSON',
+    'stateFile.notesPlaceholder': 'Notes saved with the file',
+    'stateFile.notes': 'Notes',
+    'stateFile.saved': 'State saved.',
+    'stateFile.error.notObject': 'File does not contain a JSON object.',
+    'stateFile.error.format': 'Not a Lane\'s Balance state file (expected "format": "{format}").',
+    'stateFile.error.json': 'File is not valid JSON: {message}',
+
+    'transport.formula': 'Transport formula',
+    'transport.width': 'Width',
+    'transport.auto': 'auto',
+    'transport.capacity': 'Transport capacity ({load}): {capacity} t/yr vs supply {supply} t/yr',
+    'transport.belowThreshold': 'Transport capacity ({load}): below threshold of motion',
+    'transport.surplus': 'surplus {value} t/yr',
+    'transport.deficit': 'deficit {value} t/yr',
+    'transport.index': 'Transport index = {index} ({balance}, {state})',
+    'transport.agrees': 'agrees with Lane tendency',
+    'transport.disagrees': 'Lane tendency is {state}',
+    'transport.load.bedload': 'bedload',
+    'transport.load.total load': 'total load',
+
+    'reference.title': 'Reference (equilibrium)',
+
+    'history.title': 'History',
+    'history.undo': 'Undo',
+    'history.redo': 'Redo',
+    'history.undoTitle': 'Undo (Ctrl+Z)',
+    'history.redoTitle': 'Redo (Ctrl+Shift+Z)',
+    'history.position': 'History position',
+    'history.initial': 'Initial state',
+    'history.loadedFile': 'Loaded file',
+    'history.changed': '{param} changed',
+    'history.entered': '{param} entered',
+    'history.simulation': 'Profile simulation',
+    'history.phase': 'Phase diagram: {x}, {y}',
+    'history.scenario': 'Scenario: {name}',
+    'history.hydrograph': 'Hydrograph: {name}',
+    'history.ratingCoupled': 'Rating curve coupled',
+    'history.ratingUncoupled': 'Rating curve uncoupled',
+    'history.network': 'Network: {name}',
+    'history.reset': 'Reset to equilibrium',
+    'history.quiz': 'Quiz: {id}',
+    'history.lesson': 'Lesson: {title}',
+
+    'processes.title': 'Active Processes:',
+
+    'simulation.title': 'Profile Simulation:',
+    'simulation.play': 'Play',
+    'simulation.step': 'Step',
+    'simulation.reset': 'Reset profile',
+    'simulation.timeStep': 'Time step',
+    'simulation.status': 't = {time} yr · reach slope {slope} m/m · inlet bed {change} m',
+    'simulation.saturated': 'slope at its maximum, excess supply passes through',
+    'simulation.dt.1': '1 yr',
+    'simulation.dt.10': '10 yr',
+    'simulation.dt.100': '100 yr',
+    'simulation.dt.1000': '1000 yr',
+
+    'scenarios.title': 'Scenarios:',
+    'scenarios.play': 'Play scenario',
+    'scenarios.select': 'Scenario',
+    'scenarios.outcome': '{state} - {processes}',
+    'scenarios.expected': 'Expected: {outcome}',
+    'scenarios.model': 'Model: {outcome}',
+    'scenarios.dam-closure.name': 'Dam closure',
+    'scenarios.dam-closure.narrative': 'A new dam traps nearly all bedload in its reservoir and attenuates floods. Below the dam the river carries "hungry water": clear flow with spare transport capacity.',
+    'scenarios.gravel-mining.name': 'Gravel mining',
+    'scenarios.gravel-mining.narrative': 'In-channel gravel extraction removes the coarse fraction of the bed load. Less and finer sediment is delivered downstream, so the flow erodes the bed to make up the deficit.',
+    'scenarios.urbanization.name': 'Urbanization',
+    'scenarios.urbanization.narrative': 'Roofs, roads and storm drains turn rainfall into runoff faster. Higher and flashier discharges increase transport capacity while sediment supply stays the same.',
+    'scenarios.channel-straightening.name': 'Channel straightening',
+    'scenarios.channel-straightening.narrative': 'Cutting off meander bends shortens the channel over the same drop in elevation. The steeper slope raises stream power and the reach starts to cut down, often with a knickpoint moving upstream.',
+    'scenarios.wildfire.name': 'Wildfire',
+    'scenarios.wildfire.narrative': 'A wildfire strips vegetation from the hillslopes. Post-fire storms deliver large volumes of ash, sand and gravel that exceed what the river can carry.',
+
+    'hydrograph.title': 'Hydrograph:',
+    'hydrograph.series': 'Series',
+    'hydrograph.speed': 'Speed',
+    'hydrograph.play': 'Play',
+    'hydrograph.rewind': 'Rewind',
+    'hydrograph.load': 'Load CSV',
+    'hydrograph.csvNote': 'CSV columns: date, Qw (m³/s) and optionally Qs (t/yr). Without Qs the Qs slider is held.',
+    'hydrograph.slow': 'Slow',
+    'hydrograph.normal': 'Normal',
+    'hydrograph.fast': 'Fast',
+    'hydrograph.fileQwQs': 'Qw and Qs from the file.',
+    'hydrograph.fileQw': 'Qw from the file; Qs held.',
+    'hydrograph.loaded': 'Loaded {count} steps from {name}.',
+    'hydrograph.step': 'Step {step} of {count} · {label}',
+    'hydrograph.steps': '{count} steps · {days} days',
+    'hydrograph.time': '{state}: {days} d ({percent}%)',
+    'hydrograph.day': 'Day {day}',
+    'hydrograph.error.noRows': 'The file has no rows.',
+    'hydrograph.error.columns': 'Line {line}: expected {expected} columns, got {count}.',
+    'hydrograph.error.noDischarge': 'No discharge column (expected one of {names}).',
+    'hydrograph.error.discharge': 'Line {line}: discharge must be a positive number (got "{value}").',
+    'hydrograph.error.sediment': 'Line {line}: sediment load must be a positive number (got "{value}").',
+    'hydrograph.error.time': 'Line {line}: "{label}" is not a date or day number.',
+    'hydrograph.error.order': 'Line {line}: time must increase ({label}).',
+    'hydrograph.error.tooShort': 'A hydrograph needs at least two rows.',
+    'hydrograph.snowmelt.name': 'Snowmelt',
+    'hydrograph.snowmelt.description': 'One year of low winter flow, a broad spring snowmelt peak and summer recession.',
+    'hydrograph.storm.name': 'Flashy storms',
+    'hydrograph.storm.description': 'Sixty days of low flow hit by three storms: sharp rises and fast recessions.',
+    'hydrograph.regulated.name': 'Regulated',
+    'hydrograph.regulated.description': 'One year below a dam: a flattened seasonal cycle and a five-day environmental flood release.',
+
+    'rating.title': 'Sediment Rating Curve:',
+    'rating.couple': 'Couple Q<sub>s</sub> to Q<sub>w</sub>',
+    'rating.fit': 'Fit to data',
+    'rating.reset': 'Reset curve',
+    'rating.coefficient': 'Rating curve coefficient a',
+    'rating.exponent': 'Rating curve exponent b',
+    'rating.dataPlaceholder': 'Qw, Qs pairs to fit (m³/s, t/yr), one per line',
+    'rating.data': 'Rating curve data',
+    'rating.legendCurve': 'Rating curve (supply)',
+    'rating.legendCapacity': 'Transport capacity',
+    'rating.needPairs': 'Need at least two pairs with different Qw to fit.',
+    'rating.fitted': 'Fitted {count} pairs: a = {a}, b = {b}, R² = {r2}.',
+    'rating.skipped': 'Skipped {error}',
+    'rating.regime.supply-limited': 'Supply-limited: the flow could carry {capacity} t/yr but only {supply} t/yr is supplied, so it takes the difference from the bed.',
+    'rating.regime.transport-limited': 'Transport-limited: {supply} t/yr is supplied but the flow can carry only {capacity} t/yr, so the surplus is deposited.',
+    'rating.regime.belowThreshold': 'Transport-limited: the flow is below the threshold of motion, so the {supply} t/yr supplied is deposited.',
+    'rating.regime.balanced': 'Balanced: supply ({supply} t/yr) matches transport capacity ({capacity} t/yr).',
+    'rating.coupled': 'Coupled',
+    'rating.ifCoupled': 'If coupled',
+    'rating.trend.aggradation': 'With b = {b}, supply grows faster with discharge than transport capacity, so raising Qw tilts the beam toward aggradation and lowering it toward degradation.',
+    'rating.trend.degradation': 'With b = {b}, supply grows more slowly with discharge than transport capacity, so raising Qw tilts the beam toward degradation and lowering it toward aggradation.',
+    'rating.trend.none': 'With b = {b}, supply and transport capacity grow at the same rate, so Qw alone does not tilt the beam.',
+    'rating.error.pair': 'Line {line}: expected two positive numbers, Qw and Qs (got "{text}").',
+
+    'network.title': 'River Network:',
+    'network.reach': 'Reach',
+    'network.inflowQw': 'Inflow Q<sub>w</sub>',
+    'network.inflowQs': 'Inflow Q<sub>s</sub>',
+    'network.qsIn': 'Q<sub>s</sub> in (t/yr)',
+    'network.ratio': 'Ratio',
+    'network.qsOut': 'Q<sub>s</sub> out (t/yr)',
+    'network.add': 'Add reach',
+    'network.reset': 'Reset network',
+    'network.note': 'Each reach passes on its sediment after storing or eroding half of its Lane imbalance. Tributaries add Q<sub>w</sub> and Q<sub>s</sub> at the top of their reach (leave blank for none). Click a reach to load it into the sliders and views.',
+    'network.reachNameLabel': 'Reach {number} name',
+    'network.reachName': 'Reach {number}',
+    'network.headwater': 'headwater',
+    'network.tributary': 'tributary',
+    'network.none': 'none',
+    'network.load': 'Load',
+    'network.loadLabel': 'Load {name} into the views',
+    'network.removeLabel': 'Remove {name}',
+    'network.stores': 'ratio {ratio} · stores {percent}% of Qs',
+    'network.erodes': 'ratio {ratio} · erodes {percent}% of Qs',
+    'network.upstream': 'upstream',
+    'network.downstream': 'downstream →',
+    'network.default.headwaters': 'Headwaters',
+    'network.default.upperValley': 'Upper valley',
+    'network.default.middle': 'Middle reach',
+    'network.default.lowland': 'Lowland',
+
+    'comparison.title': 'Before / After Comparison',
+    'comparison.before': 'Before',
+    'comparison.copy': 'Copy main sliders',
+    'comparison.after': 'After',
+    'comparison.diffTitle': 'Before &rarr; After',
+    'comparison.swap': 'Swap sides',
+    'comparison.reset': 'Reset',
+    'comparison.note': 'Set up two states of the reach side by side. Each side has its own sliders; the summary below lists how the balance, pattern and active processes change from before to after.',
+    'comparison.summary': 'Ratio {ratio} · {state} · {pattern}',
+    'comparison.unchanged': 'unchanged ({value})',
+    'comparison.none': 'none',
+    'comparison.diff.ratio': 'Ratio: {before} → {after} (×{factor})',
+    'comparison.diff.imbalance': 'Imbalance index I: {before} → {after} ({change})',
+    'comparison.diff.state': 'Tendency: {change}',
+    'comparison.diff.pattern': 'Pattern: {change}',
+    'comparison.diff.added': 'Processes added: {processes}',
+    'comparison.diff.removed': 'Processes removed: {processes}',
+
+    'lessons.title': 'Lessons:',
+    'lessons.start': 'Start lesson',
+    'lessons.load': 'Load lesson',
+    'lessons.note': 'Lessons are JSON or Markdown files; see data/lessons/ for examples.',
+    'lessons.back': 'Back',
+    'lessons.next': 'Next',
+    'lessons.select': 'Lesson',
+    'lessons.exit': 'Exit lesson',
+    'lessons.loaded': 'Loaded "{title}" ({count} steps).',
+    'lessons.finished': 'Finished "{title}".',
+    'lessons.filesIgnored': 'Some lesson files were ignored:',
+    'lessons.progress': 'Step {number} of {count}',
+    'lessons.reachTarget': 'Reach the target:',
+    'lessons.finish': 'Finish',
+    'lessons.now': 'now {value}',
+    'lessons.error.notObject': 'Lesson must be a JSON object.',
+    'lessons.error.format': 'Not a lesson (expected "format": "{format}").',
+    'lessons.error.json': 'Lesson is not valid JSON: {message}',
+    'lessons.error.index': '"lessons" must be a list of file names.',
+    'lessons.error.goal': 'Goal "{goal}" must look like "pattern = braided" or "ratio > 2".',
+    'lessons.error.goalNumber': 'Goal "{goal}" needs a number after "{op}".',
+    'lessons.error.directive': 'Line {line}: "{key}:" must come after a "## Step" heading.',
+    'lessons.error.highlight': '"{path}" must be a list of CSS selectors.',
+    'lessons.error.lock': '"{path}" must be a list of parameters.',
+    'lessons.error.lockParam': '"{path}" has unknown parameter {value} (use {params}).',
+
+    'quiz.title': 'Quiz:',
+    'quiz.start': 'Start quiz',
+    'quiz.load': 'Load bank',
+    'quiz.export': 'Export results',
+    'quiz.startPrompt': 'Start the quiz to get the first question.',
+    'quiz.tendency': 'Tendency',
+    'quiz.pattern': 'Channel pattern',
+    'quiz.process': 'One active process',
+    'quiz.reveal': 'Reveal',
+    'quiz.next': 'Next question',
+    'quiz.note': 'Predict how the reach responds before the views move. The sliders are locked until you reveal the answer.',
+    'quiz.increases': '{param} increases by {percent}%',
+    'quiz.decreases': '{param} decreases by {percent}%',
+    'quiz.and': ' and ',
+    'quiz.ratioMoves': 'The balance ratio moves from {before} to {after}.',
+    'quiz.fileIgnored': 'Quiz bank file ignored:',
+    'quiz.loaded': 'Loaded {count} questions from {name}.',
+    'quiz.builtIn': 'built-in',
+    'quiz.bank': 'Quiz bank',
+    'quiz.source': '{title} ({count} questions, {source})',
+    'quiz.progress': 'Question {number} of {count}',
+    'quiz.answer.state': 'Tendency: {answer}',
+    'quiz.answer.stateWrong': 'Tendency: {answer} (you predicted {prediction})',
+    'quiz.answer.pattern': 'Pattern: {answer}',
+    'quiz.answer.patternWrong': 'Pattern: {answer} (you predicted {prediction})',
+    'quiz.answer.process': 'Process: {process} is active (active: {active})',
+    'quiz.answer.processWrong': 'Process: {process} is not active (active: {active})',
+    'quiz.showScore': 'Show score',
+    'quiz.complete': 'Quiz complete',
+    'quiz.scoreTotal': 'Score: {points} / {possible} ({percent}%)',
+    'quiz.scoreParts': 'Tendency {state}/{total} · Pattern {pattern}/{total} · Process {process}/{total}',
+    'quiz.error.notObject': 'Quiz bank must be a JSON object.',
+    'quiz.error.format': 'Not a quiz bank (expected "format": "{format}").',
+    'quiz.error.json': 'Quiz bank is not valid JSON: {message}',
+    'quiz.error.change': '"{path}" must be an object with at least one parameter.',
+    'quiz.error.percent': '"{path}" must be a non-zero percent change above -100 (got {value}).',
+
+    'rules.title': 'Process Rules Editor',
+    'rules.apply': 'Apply',
+    'rules.reset': 'Reset',
+    'rules.download': 'Download JSON',
+    'rules.help': 'Each rule fires when all of its <code>when</code> conditions hold: <code>state</code> and <code>pattern</code> take a value or a list, <code>ratio</code>, <code>streamPower</code>, <code>Qs</code>, <code>D50</code>, <code>Qw</code> and <code>S</code> take <code>{"above": x}</code> and/or <code>{"below": y}</code>. <code>equilibriumBand</code> is the half-width of the equilibrium band in log<sub>10</sub>(ratio).',
+    'rules.text': 'Process rules (JSON)',
+    'rules.fileIgnored': 'Rules file ignored:',
+    'rules.notApplied': 'Rules not applied:',
+    'rules.applied': 'Applied {count} rules (saved in this browser).',
+    'rules.resetDone': 'Rules reset.',
+    'rules.source.builtIn': 'Fallback rules ({url} not loaded)',
+    'rules.source.file': 'Loaded from {url}',
+    'rules.source.edited': 'Edited rules (saved in this browser)',
+    'rules.error.notObject': 'Rules must be a JSON object.',
+    'rules.error.format': 'Not a rules document (expected "format": "{format}").',
+    'rules.error.json': 'Rules are not valid JSON: {message}',
+    'rules.error.band': '"equilibriumBand" must be a number of at least 0 (got {value}).',
+
+    'phase.title': 'Phase Diagram:',
+    'phase.horizontal': 'Horizontal',
+    'phase.vertical': 'Vertical',
+    'phase.colorBy': 'Color by',
+    'phase.tendency': 'Tendency',
+    'phase.pattern': 'Channel pattern',
+    'phase.note': 'The other two parameters are held at their current values. Drag the marker to set both swept sliders.',
+    'phase.equilibriumLine': 'Equilibrium line',
+
+    'views.profile': 'Profile View (Long Section)',
+    'views.crossSection': 'Cross-Section (Hydraulic Geometry)',
+    'views.plan': 'Plan View (Channel Pattern)',
+    'views.flow': 'Flow ->',
+
+    'pattern.classifier': 'Classifier',
+    'pattern.bankAngle': 'Bank angle &phi;&prime;',
+    'pattern.straight': 'Straight',
+    'pattern.meandering': 'Meandering',
+    'pattern.braided': 'Braided',
+    'pattern.wandering': 'Wandering',
+    'pattern.anastomosing': 'Anastomosing',
+    'pattern.straight.label': 'Straight Channel',
+    'pattern.meandering.label': 'Meandering Channel',
+    'pattern.braided.label': 'Braided Channel',
+    'pattern.wandering.label': 'Wandering Channel',
+    'pattern.anastomosing.label': 'Anastomosing Channels',
+    'pattern.heuristic.name': 'Lane\'s balance heuristic',
+    'pattern.heuristic.citation': 'Braiding index from sediment load, grain size, slope and imbalance',
+    'pattern.heuristic.discharge': 'Qw / Qw_min',
+    'pattern.heuristic.braiding': 'BI / BI_t',
+    'pattern.leopold-wolman.name': 'Leopold & Wolman (1957)',
+    'pattern.leopold-wolman.citation': 'Braided above the slope threshold S_t = 0.012 · Q^-0.44',
+    'pattern.van-den-berg.name': 'van den Berg (1995)',
+    'pattern.van-den-berg.citation': 'Braided when specific stream power ω = 2100 · S · √Q exceeds 900 · D50^0.42 (W/m², D50 in m)',
+    'pattern.parker.name': 'Parker (1976)',
+    'pattern.parker.citation': 'Braided when S / Fr exceeds the depth-width ratio h / B',
+    'pattern.millar.name': 'Millar (2000)',
+    'pattern.millar.citation': 'Braided above S* = 0.0002 · D50^0.61 · φ\'^1.75 · Q^-0.25 (bank strength φ\')',
+
+    'footer.equation': 'Sediment load &times; Grain size proportional to Water discharge &times; Slope',
+    'footer.conceptual': 'Lane\'s balance is conceptual, not a strict law, but it is useful for intuition and river management.',
+    'footer.demo': 'Conceptual demonstration for learning and discussion.',
+    'footer.repository': 'GitHub Repository',
+
+    'state.degradation': 'Degradation',
+    'state.equilibrium': 'Equilibrium',
+    'state.aggradation': 'Aggradation',
+
+    'screenshot.unavailable': 'Screenshot feature unavailable - library failed to load',
+    'screenshot.failed': 'Failed to capture screenshot',
+
+    'file.couldNotLoad': 'Could not load {name}:',
+    'file.loaded': 'Loaded {name}.',
+    'file.couldNotRead': 'Could not read {name}: {message}',
+
+    'why.equilibrium': 'Sediment supply and transport capacity are balanced.',
+    'why.aggradation': 'Sediment supply exceeds transport capacity.',
+    'why.degradation': 'Transport capacity exceeds sediment supply.',
+    'why.increased': 'The increased {param} contributed to this.',
+    'why.decreased': 'The decreased {param} contributed to this.',
+    'why.param.Qs': 'sediment supply (Qs)',
+    'why.param.D50': 'sediment size (D50)',
+    'why.param.Qw': 'water discharge (Qw)',
+    'why.param.S': 'channel slope (S)',
+
+    'locks.quiz': 'Locked until you reveal the quiz answer',
+    'locks.lesson': 'Locked for this lesson step',
+    'locks.rating': 'Qs follows Qw through the sediment rating curve',
+    'locks.ratingOff': 'Coupling stays off during the quiz or a lesson',
+
+    'tendency.aggradation': 'Tendency: Aggradation',
+    'tendency.degradation': 'Tendency: Degradation',
+    'tendency.equilibrium': 'Tendency: Near equilibrium',
+    'tendency.imbalance': 'Imbalance index I = {value}',
+
+    'condition.state': 'Tendency',
+    'condition.pattern': 'Channel pattern',
+    'condition.ratio': 'Balance ratio',
+    'condition.streamPower': 'Relative stream power',
+    'condition.is': '{label} is {values}',
+    'condition.or': ' or ',
+    'condition.and': ' and ',
+
+    'processCard.close': 'Close process details',
+    'processCard.why': 'Why it is active',
+    'processCard.references': 'References',
+    'processCard.always': 'Always active (no conditions).',
+    'processCard.schematic': 'Schematic: {name}',
+
+    'schematic.originalBed': 'original bed',
+    'schematic.crossSection': 'Cross-section',
+    'schematic.longProfile': 'Long profile  (flow ->)',
+    'schematic.bedSurface': 'Bed surface  (flow ->)',
+    'schematic.planView': 'Plan view  (flow ->)',
+    'schematic.reach': 'Reach  (flow ->)',
+    'schematic.in': 'in',
+    'schematic.out': 'out',
+    'schematic.knickpoint': 'knickpoint',
+
+    'axis.qw': 'Qw (m³/s)',
+    'axis.logRatio': 'log₁₀ ratio',
+    'axis.timeDays': 'Time (days)',
+    'axis.qs': 'Qs (t/yr)',
+
+    'scale.degradation': 'DEGRAD.',
+    'scale.aggradation': 'AGGR.',
+
+    'profile.degradation': 'Incision below original bed',
+    'profile.equilibrium': 'Bed at grade',
+    'profile.aggradation': 'Wedge of deposition',
+    'profile.legend.valley': 'Valley slope',
+    'profile.legend.grade': 'Grade',
+    'profile.legend.bed': 'Bed',
+
+    'crossSection.bankHeight': 'Bank height {height} m · dashed = regime channel',
+
+    'a11y.sliderKeys': 'Arrow keys change the value by 1; Shift with an arrow key, or Page Up and Page Down, change it by 10. Home and End jump to either end.',
+    'a11y.phaseLabel': 'Phase diagram marker: left and right arrows change {x}, up and down arrows change {y}; hold Shift for steps of 10',
+    'a11y.tilt.slightly': 'slightly',
+    'a11y.tilt.clearly': 'clearly',
+    'a11y.tilt.strongly': 'strongly',
+    'a11y.scale.level': 'The balance is level: sediment load and stream power are in equilibrium (ratio {ratio}).',
+    'a11y.scale.aggradation': 'The balance tips {strength} towards aggradation: sediment load outweighs stream power (ratio {ratio}).',
+    'a11y.scale.degradation': 'The balance tips {strength} towards degradation: stream power outweighs sediment load (ratio {ratio}).',
+    'a11y.pattern.straight': 'Plan view: a single straight channel with little sinuosity.',
+    'a11y.pattern.meandering': 'Plan view: a single channel winding in regular meander loops.',
+    'a11y.pattern.braided': 'Plan view: several shallow channels dividing and rejoining around bars.',
+    'a11y.pattern.wandering': 'Plan view: a main channel shifting around bars and islands, with side channels.',
+    'a11y.pattern.anastomosing': 'Plan view: several stable channels separated by vegetated islands.',
+    'a11y.announce.tendency': 'Tendency now: {state}.',
+    'a11y.announce.pattern': 'Channel pattern now: {pattern}.',
+    'a11y.announce.processes': 'Newly active: {processes}.',
+
+    'export.figure': 'Vector figure',
+    'export.report': 'Scale, plan view, tendency and parameters',
+    'export.scale': 'Balance scale',
+    'export.plan': 'Plan view',
+    'export.svg': 'Export SVG',
+    'export.pdf': 'Export PDF',
+    'export.pdfUnavailable': 'PDF export unavailable: could not load the PDF libraries',
+    'export.failed': 'Could not create the PDF',
+    'export.parameters': 'Parameters',
+    'export.parameter': 'Parameter',
+    'export.value': 'Slider / physical value',
+    'export.param.Qs': 'Sediment supply Qs',
+    'export.param.D50': 'Median grain size D50',
+    'export.param.Qw': 'Water discharge Qw',
+    'export.param.S': 'Channel slope S',
+
+    'report.title': 'Report',
+    'report.questions': 'Worksheet questions',
+    'report.print': 'Print',
+    'report.html': 'Download HTML',
+    'report.pdf': 'Download PDF',
+    'report.heading': 'Lane\'s Balance report',
+    'report.created': 'Created {date}',
+    'report.state': 'Balance state',
+    'report.ratio': 'Balance ratio',
+    'report.imbalance': 'Imbalance index I',
+    'report.tendency': 'Tendency',
+    'report.pattern': 'Channel pattern',
+    'report.parameter': 'Parameter',
+    'report.slider': 'Slider (1-100)',
+    'report.physical': 'Physical value',
+    'report.processes': 'Active processes',
+    'report.noProcesses': 'No processes are active.',
+    'report.questionsTitle': 'Questions',
+    'report.question.1': 'Which parameter would you change to bring the reach back to equilibrium, and in which direction?',
+    'report.question.2': 'What would you expect to see in the field if this tendency lasted for several decades?',
+    'report.question.3': 'Which of the active processes could you confirm on site, and how?',
+    'report.notes': 'Notes',
+
+    'validate.missing': 'Missing required field "{path}".',
+    'validate.notNull': '"{path}" must not be null.',
+    'validate.type.string': '"{path}" must be a string (got {value}).',
+    'validate.type.number': '"{path}" must be a number (got {value}).',
+    'validate.type.integer': '"{path}" must be an integer (got {value}).',
+    'validate.type.boolean': '"{path}" must be a boolean (got {value}).',
+    'validate.type.object': '"{path}" must be an object (got {value}).',
+    'validate.string': '"{path}" must be a string.',
+    'validate.nonEmptyString': '"{path}" must be a non-empty string.',
+    'validate.object': '"{path}" must be an object.',
+    'validate.list': '"{path}" must be a list.',
+    'validate.nonEmptyList': '"{path}" must be a non-empty list.',
+    'validate.between': '"{path}" must be between {min} and {max} (got {value}).',
+    'validate.greaterThan': '"{path}" must be greater than {min} (got {value}).',
+    'validate.oneOf': '"{path}" must be one of {options} (got {value}).',
+    'validate.unknownField': 'Unknown field "{path}".',
+    'validate.version': '"version" must be {version} (got {value}).',
+    'validate.duplicate': '"{path}" duplicates "{id}".',
+    'validate.range': '"{path}" must be an object with "above" and/or "below".',
+    'validate.bound': '"{path}" is not a bound; use "above" or "below".',
+    'validate.rangeNumber': '"{path}" must be a number (got {value}).',
+    'validate.condition': '"{path}" is not a known condition (use state, pattern, {keys}).',
+    'validate.param': '"{path}" is not a parameter (use {params}).',
+    'validate.sliderValues': '"{path}" must be an object of slider values.',
+    'validate.sliderValue': '"{path}" must be a slider value from 1 to 100 (got {value}).',
+    'validate.line': 'Line {line}: {message}',
+    'validate.more': '...and {count} more.'
+});
@@ -0,0 +1,542 @@
+/**
+ * Spanish messages
+ *
+ * Keys left out here fall back to the English catalog.
+ */
+
+I18n.register('es', 'Español', {
+    'app.title': 'La balanza de Lane',
+    'app.subtitle': 'Visualización interactiva de geomorfología fluvial',
+    'app.pageTitle': 'La balanza de Lane - geomorfología fluvial interactiva',
+    'app.language': 'Idioma',
+
+    'param.Qs.descRelative': 'Aporte de sedimentos (unid. rel.)',
+    'param.Qs.descPhysical': 'Aporte de sedimentos (10-10<sup>7</sup> t/año, log)',
+    'param.Qs.tooltip': 'Cuánto sedimento entra en el tramo.',
+    'param.D50.descRelative': 'Tamaño del sedimento (0,1-100 mm, log)',
+    'param.D50.descPhysical': 'Tamaño medio de grano (0,1-100 mm, log)',
+    'param.D50.tooltip': 'El tamaño de grano controla la movilidad; el material más grueso es más difícil de transportar.',
+    'param.Qw.descRelative': 'Caudal (unid. rel.)',
+    'param.Qw.descPhysical': 'Caudal (0,1-10<sup>4</sup> m&sup3;/s, log)',
+    'param.Qw.tooltip': 'Fuerza de la corriente y capacidad de transporte.',
+    'param.S.descRelative': 'Pendiente del cauce (0,1-100, log)',
+    'param.S.descPhysical': 'Pendiente del cauce (10<sup>-5</sup>-0,1 m/m, log)',
+    'param.S.tooltip': 'La pendiente contribuye a la potencia de la corriente y a la capacidad de transporte.',
+    'param.Qs.physicalLabel': 'Qs en t/año',
+    'param.D50.physicalLabel': 'D50 en mm',
+    'param.Qw.physicalLabel': 'Qw en m³/s',
+    'param.S.physicalLabel': 'S en m/m',
+
+    'slider.low': 'Bajo',
+    'slider.high': 'Alto',
+    'slider.fine': 'Fino',
+    'slider.coarse': 'Grueso',
+    'slider.flat': 'Llana',
+    'slider.steep': 'Empinada',
+
+    'controls.reset': 'Volver al equilibrio',
+    'controls.pause': 'Pausa',
+    'controls.play': 'Reproducir',
+
+    'display.title': 'Visualización',
+    'display.tooltips': 'Mostrar explicaciones',
+    'display.numeric': 'Mostrar valores numéricos',
+    'display.units': 'Unidades físicas',
+    'display.screenshot': 'Captura de pantalla',
+    'display.copyLink': 'Copiar enlace',
+    'display.copied': '¡Copiado!',
+    'display.copyFailed': 'No se pudo copiar',
+    'display.sound': 'Sonificación (sonido)',
+    'display.soundTitle': 'El tono y la posición estéreo siguen el desequilibrio, la textura sigue la morfología del cauce y una campanilla marca el cruce de la banda de equilibrio',
+    'display.soundUnavailable': 'El sonido necesita Web Audio, que este navegador no admite',
+
+    'stateFile.title': 'Archivo de escenario',
+    'stateFile.save': 'Guardar JSON',
+    'stateFile.load': 'Cargar JSON',
+    'stateFile.notesPlaceholder': 'Notas guardadas con el archivo',
+    'stateFile.notes': 'Notas',
+    'stateFile.saved': 'Estado guardado.',
+    'stateFile.error.notObject': 'El archivo no contiene un objeto JSON.',
+    'stateFile.error.format': 'No es un archivo de estado de la balanza de Lane (se esperaba "format": "{format}").',
+    'stateFile.error.json': 'El archivo no es JSON válido: {message}',
+
+    'transport.formula': 'Fórmula de transporte',
+    'transport.width': 'Anchura',
+    'transport.auto': 'auto',
+    'transport.capacity': 'Capacidad de transporte ({load}): {capacity} t/año frente a un aporte de {supply} t/año',
+    'transport.belowThreshold': 'Capacidad de transporte ({load}): por debajo del umbral de movimiento',
+    'transport.surplus': 'excedente de {value} t/año',
+    'transport.deficit': 'déficit de {value} t/año',
+    'transport.index': 'Índice de transporte = {index} ({balance}, {state})',
+    'transport.agrees': 'coincide con la tendencia de Lane',
+    'transport.disagrees': 'la tendencia de Lane es {state}',
+    'transport.load.bedload': 'carga de fondo',
+    'transport.load.total load': 'carga total',
+
+    'reference.title': 'Referencia (equilibrio)',
+
+    'history.title': 'Historial',
+    'history.undo': 'Deshacer',
+    'history.redo': 'Rehacer',
+    'history.undoTitle': 'Deshacer (Ctrl+Z)',
+    'history.redoTitle': 'Rehacer (Ctrl+Mayús+Z)',
+    'history.position': 'Posición en el historial',
+    'history.initial': 'Estado inicial',
+    'history.loadedFile': 'Archivo cargado',
+    'history.changed': '{param} modificado',
+    'history.entered': '{param} introducido',
+    'history.simulation': 'Simulación del perfil',
+    'history.phase': 'Diagrama de fases: {x}, {y}',
+    'history.scenario': 'Escenario: {name}',
+    'history.hydrograph': 'Hidrograma: {name}',
+    'history.ratingCoupled': 'Curva de aforo acoplada',
+    'history.ratingUncoupled': 'Curva de aforo desacoplada',
+    'history.network': 'Red: {name}',
+    'history.reset': 'Vuelta al equilibrio',
+    'history.quiz': 'Cuestionario: {id}',
+    'history.lesson': 'Lección: {title}',
+
+    'processes.title': 'Procesos activos:',
+
+    'simulation.title': 'Simulación del perfil longitudinal:',
+    'simulation.play': 'Reproducir',
+    'simulation.step': 'Paso',
+    'simulation.reset': 'Reiniciar perfil',
+    'simulation.timeStep': 'Paso de tiempo',
+    'simulation.status': 't = {time} años · pendiente del tramo {slope} m/m · lecho a la entrada {change} m',
+    'simulation.saturated': 'pendiente al máximo, el exceso de aporte atraviesa el tramo',
+    'simulation.dt.1': '1 año',
+    'simulation.dt.10': '10 años',
+    'simulation.dt.100': '100 años',
+    'simulation.dt.1000': '1000 años',
+
+    'scenarios.title': 'Escenarios:',
+    'scenarios.play': 'Reproducir escenario',
+    'scenarios.select': 'Escenario',
+    'scenarios.outcome': '{state} - {processes}',
+    'scenarios.expected': 'Esperado: {outcome}',
+    'scenarios.model': 'Modelo: {outcome}',
+    'scenarios.dam-closure.name': 'Cierre de una presa',
+    'scenarios.dam-closure.narrative': 'Una nueva presa retiene en su embalse casi toda la carga de fondo y atenúa las crecidas. Aguas abajo el río lleva "aguas hambrientas": flujo limpio con capacidad de transporte sobrante.',
+    'scenarios.gravel-mining.name': 'Extracción de grava',
+    'scenarios.gravel-mining.narrative': 'La extracción de grava en el cauce elimina la fracción gruesa de la carga de fondo. Llega aguas abajo menos sedimento y más fino, por lo que el flujo erosiona el lecho para compensar el déficit.',
+    'scenarios.urbanization.name': 'Urbanización',
+    'scenarios.urbanization.narrative': 'Tejados, calles y colectores pluviales convierten la lluvia en escorrentía más rápido. Caudales mayores y más súbitos aumentan la capacidad de transporte mientras el aporte de sedimentos se mantiene.',
+    'scenarios.channel-straightening.name': 'Rectificación del cauce',
+    'scenarios.channel-straightening.narrative': 'Cortar los meandros acorta el cauce con el mismo desnivel. La mayor pendiente aumenta la potencia del flujo y el tramo empieza a incidirse, a menudo con un escalón que remonta aguas arriba.',
+    'scenarios.wildfire.name': 'Incendio forestal',
+    'scenarios.wildfire.narrative': 'Un incendio elimina la vegetación de las laderas. Las tormentas posteriores aportan grandes volúmenes de ceniza, arena y grava que superan lo que el río puede transportar.',
+
+    'hydrograph.title': 'Hidrograma:',
+    'hydrograph.series': 'Serie',
+    'hydrograph.speed': 'Velocidad',
+    'hydrograph.play': 'Reproducir',
+    'hydrograph.rewind': 'Rebobinar',
+    'hydrograph.load': 'Cargar CSV',
+    'hydrograph.csvNote': 'Columnas del CSV: fecha, Qw (m³/s) y opcionalmente Qs (t/año). Sin Qs, el control de Qs se mantiene fijo.',
+    'hydrograph.slow': 'Lenta',
+    'hydrograph.normal': 'Normal',
+    'hydrograph.fast': 'Rápida',
+    'hydrograph.fileQwQs': 'Qw y Qs del archivo.',
+    'hydrograph.fileQw': 'Qw del archivo; Qs se mantiene.',
+    'hydrograph.loaded': 'Cargados {count} pasos de {name}.',
+    'hydrograph.step': 'Paso {step} de {count} · {label}',
+    'hydrograph.steps': '{count} pasos · {days} días',
+    'hydrograph.time': '{state}: {days} d ({percent} %)',
+    'hydrograph.day': 'Día {day}',
+    'hydrograph.error.noRows': 'El archivo no tiene filas.',
+    'hydrograph.error.columns': 'Línea {line}: se esperaban {expected} columnas, hay {count}.',
+    'hydrograph.error.noDischarge': 'No hay columna de caudal (se esperaba una de {names}).',
+    'hydrograph.error.discharge': 'Línea {line}: el caudal debe ser un número positivo (se encontró "{value}").',
+    'hydrograph.error.sediment': 'Línea {line}: la carga de sedimentos debe ser un número positivo (se encontró "{value}").',
+    'hydrograph.error.time': 'Línea {line}: "{label}" no es una fecha ni un número de día.',
+    'hydrograph.error.order': 'Línea {line}: el tiempo debe aumentar ({label}).',
+    'hydrograph.error.tooShort': 'Un hidrograma necesita al menos dos filas.',
+    'hydrograph.snowmelt.name': 'Deshielo',
+    'hydrograph.snowmelt.description': 'Un año con caudal invernal bajo, un amplio pico de deshielo en primavera y recesión en verano.',
+    'hydrograph.storm.name': 'Tormentas súbitas',
+    'hydrograph.storm.description': 'Sesenta días de caudal bajo con tres tormentas: subidas bruscas y recesiones rápidas.',
+    'hydrograph.regulated.name': 'Regulado',
+    'hydrograph.regulated.description': 'Un año aguas abajo de una presa: ciclo estacional aplanado y una crecida ambiental de cinco días.',
+
+    'rating.title': 'Curva de aforo de sedimentos:',
+    'rating.couple': 'Acoplar Q<sub>s</sub> a Q<sub>w</sub>',
+    'rating.fit': 'Ajustar a los datos',
+    'rating.reset': 'Restablecer curva',
+    'rating.coefficient': 'Coeficiente a de la curva de aforo',
+    'rating.exponent': 'Exponente b de la curva de aforo',
+    'rating.dataPlaceholder': 'Pares Qw, Qs para ajustar (m³/s, t/año), uno por línea',
+    'rating.data': 'Datos de la curva de aforo',
+    'rating.legendCurve': 'Curva de aforo (aporte)',
+    'rating.legendCapacity': 'Capacidad de transporte',
+    'rating.needPairs': 'Se necesitan al menos dos pares con Qw distinto para el ajuste.',
+    'rating.fitted': 'Ajustados {count} pares: a = {a}, b = {b}, R² = {r2}.',
+    'rating.skipped': 'Omitido: {error}',
+    'rating.regime.supply-limited': 'Limitado por el aporte: la corriente podría transportar {capacity} t/año pero solo recibe {supply} t/año, así que toma la diferencia del lecho.',
+    'rating.regime.transport-limited': 'Limitado por el transporte: llegan {supply} t/año pero la corriente solo puede transportar {capacity} t/año, así que el excedente se deposita.',
+    'rating.regime.belowThreshold': 'Limitado por el transporte: la corriente está por debajo del umbral de movimiento, así que las {supply} t/año aportadas se depositan.',
+    'rating.regime.balanced': 'Equilibrado: el aporte ({supply} t/año) coincide con la capacidad de transporte ({capacity} t/año).',
+    'rating.coupled': 'Acoplado',
+    'rating.ifCoupled': 'Si se acopla',
+    'rating.trend.aggradation': 'Con b = {b}, el aporte crece con el caudal más deprisa que la capacidad de transporte, así que subir Qw inclina la balanza hacia la agradación y bajarlo hacia la degradación.',
+    'rating.trend.degradation': 'Con b = {b}, el aporte crece con el caudal más despacio que la capacidad de transporte, así que subir Qw inclina la balanza hacia la degradación y bajarlo hacia la agradación.',
+    'rating.trend.none': 'Con b = {b}, el aporte y la capacidad de transporte crecen al mismo ritmo, así que Qw por sí solo no inclina la balanza.',
+    'rating.error.pair': 'Línea {line}: se esperaban dos números positivos, Qw y Qs (se encontró "{text}").',
+
+    'network.title': 'Red fluvial:',
+    'network.reach': 'Tramo',
+    'network.inflowQw': 'Entrada Q<sub>w</sub>',
+    'network.inflowQs': 'Entrada Q<sub>s</sub>',
+    'network.qsIn': 'Q<sub>s</sub> de entrada (t/año)',
+    'network.ratio': 'Razón',
+    'network.qsOut': 'Q<sub>s</sub> de salida (t/año)',
+    'network.add': 'Añadir tramo',
+    'network.reset': 'Restablecer red',
+    'network.note': 'Cada tramo transmite su sedimento tras almacenar o erosionar la mitad de su desequilibrio de Lane. Los afluentes añaden Q<sub>w</sub> y Q<sub>s</sub> al inicio de su tramo (déjelo en blanco si no hay). Haga clic en un tramo para cargarlo en los controles y las vistas.',
+    'network.reachNameLabel': 'Nombre del tramo {number}',
+    'network.reachName': 'Tramo {number}',
+    'network.headwater': 'cabecera',
+    'network.tributary': 'afluente',
+    'network.none': 'ninguno',
+    'network.load': 'Cargar',
+    'network.loadLabel': 'Cargar {name} en las vistas',
+    'network.removeLabel': 'Quitar {name}',
+    'network.stores': 'razón {ratio} · almacena el {percent} % de Qs',
+    'network.erodes': 'razón {ratio} · erosiona el {percent} % de Qs',
+    'network.upstream': 'aguas arriba',
+    'network.downstream': 'aguas abajo →',
+    'network.default.headwaters': 'Cabecera',
+    'network.default.upperValley': 'Valle alto',
+    'network.default.middle': 'Tramo medio',
+    'network.default.lowland': 'Llanura',
+
+    'comparison.title': 'Comparación antes / después',
+    'comparison.before': 'Antes',
+    'comparison.copy': 'Copiar controles principales',
+    'comparison.after': 'Después',
+    'comparison.diffTitle': 'Antes &rarr; después',
+    'comparison.swap': 'Intercambiar lados',
+    'comparison.reset': 'Restablecer',
+    'comparison.note': 'Compare dos estados del tramo lado a lado. Cada lado tiene sus propios controles; el resumen de abajo indica cómo cambian el equilibrio, la morfología en planta y los procesos activos de antes a después.',
+    'comparison.summary': 'Razón {ratio} · {state} · {pattern}',
+    'comparison.unchanged': 'sin cambios ({value})',
+    'comparison.none': 'ninguno',
+    'comparison.diff.ratio': 'Razón: {before} → {after} (×{factor})',
+    'comparison.diff.imbalance': 'Índice de desequilibrio I: {before} → {after} ({change})',
+    'comparison.diff.state': 'Tendencia: {change}',
+    'comparison.diff.pattern': 'Morfología: {change}',
+    'comparison.diff.added': 'Procesos nuevos: {processes}',
+    'comparison.diff.removed': 'Procesos que desaparecen: {processes}',
+
+    'lessons.title': 'Lecciones:',
+    'lessons.start': 'Empezar lección',
+    'lessons.load': 'Cargar lección',
+    'lessons.note': 'Las lecciones son archivos JSON o Markdown; hay ejemplos en data/lessons/.',
+    'lessons.back': 'Atrás',
+    'lessons.next': 'Siguiente',
+    'lessons.select': 'Lección',
+    'lessons.exit': 'Salir de la lección',
+    'lessons.loaded': 'Cargada «{title}» ({count} pasos).',
+    'lessons.finished': 'Terminada «{title}».',
+    'lessons.filesIgnored': 'Se omitieron algunos archivos de lecciones:',
+    'lessons.progress': 'Paso {number} de {count}',
+    'lessons.reachTarget': 'Alcance el objetivo:',
+    'lessons.finish': 'Terminar',
+    'lessons.now': 'ahora {value}',
+    'lessons.error.notObject': 'Una lección debe ser un objeto JSON.',
+    'lessons.error.format': 'No es una lección (se esperaba "format": "{format}").',
+    'lessons.error.json': 'La lección no es JSON válido: {message}',
+    'lessons.error.index': '"lessons" debe ser una lista de nombres de archivo.',
+    'lessons.error.goal': 'El objetivo "{goal}" debe tener la forma "pattern = braided" o "ratio > 2".',
+    'lessons.error.goalNumber': 'El objetivo "{goal}" necesita un número después de "{op}".',
+    'lessons.error.directive': 'Línea {line}: "{key}:" debe ir después de un encabezado "## Paso".',
+    'lessons.error.highlight': '"{path}" debe ser una lista de selectores CSS.',
+    'lessons.error.lock': '"{path}" debe ser una lista de parámetros.',
+    'lessons.error.lockParam': '"{path}" tiene el parámetro desconocido {value} (use {params}).',
+
+    'quiz.title': 'Cuestionario:',
+    'quiz.start': 'Empezar cuestionario',
+    'quiz.load': 'Cargar banco',
+    'quiz.export': 'Exportar resultados',
+    'quiz.startPrompt': 'Empiece el cuestionario para recibir la primera pregunta.',
+    'quiz.tendency': 'Tendencia',
+    'quiz.pattern': 'Morfología del cauce',
+    'quiz.process': 'Un proceso activo',
+    'quiz.reveal': 'Revelar',
+    'quiz.next': 'Siguiente pregunta',
+    'quiz.note': 'Prediga cómo responde el tramo antes de que se muevan las vistas. Los controles quedan bloqueados hasta que revele la respuesta.',
+    'quiz.increases': '{param} aumenta un {percent} %',
+    'quiz.decreases': '{param} disminuye un {percent} %',
+    'quiz.and': ' y ',
+    'quiz.ratioMoves': 'La razón de la balanza pasa de {before} a {after}.',
+    'quiz.fileIgnored': 'Se omitió el archivo del banco de preguntas:',
+    'quiz.loaded': 'Se cargaron {count} preguntas de {name}.',
+    'quiz.builtIn': 'integrado',
+    'quiz.bank': 'Banco de preguntas',
+    'quiz.source': '{title} ({count} preguntas, {source})',
+    'quiz.progress': 'Pregunta {number} de {count}',
+    'quiz.answer.state': 'Tendencia: {answer}',
+    'quiz.answer.stateWrong': 'Tendencia: {answer} (su predicción: {prediction})',
+    'quiz.answer.pattern': 'Morfología: {answer}',
+    'quiz.answer.patternWrong': 'Morfología: {answer} (su predicción: {prediction})',
+    'quiz.answer.process': 'Proceso: {process} está activo (activos: {active})',
+    'quiz.answer.processWrong': 'Proceso: {process} no está activo (activos: {active})',
+    'quiz.showScore': 'Ver puntuación',
+    'quiz.complete': 'Cuestionario terminado',
+    'quiz.scoreTotal': 'Puntuación: {points} / {possible} ({percent} %)',
+    'quiz.scoreParts': 'Tendencia {state}/{total} · Morfología {pattern}/{total} · Proceso {process}/{total}',
+    'quiz.error.notObject': 'El banco de preguntas debe ser un objeto JSON.',
+    'quiz.error.format': 'No es un banco de preguntas (se esperaba "format": "{format}").',
+    'quiz.error.json': 'El banco de preguntas no es JSON válido: {message}',
+    'quiz.error.change': '"{path}" debe ser un objeto con al menos un parámetro.',
+    'quiz.error.percent': '"{path}" debe ser un cambio porcentual distinto de cero y mayor que -100 (se encontró {value}).',
+
+    'rules.title': 'Editor de reglas de procesos',
+    'rules.apply': 'Aplicar',
+    'rules.reset': 'Restablecer',
+    'rules.download': 'Descargar JSON',
+    'rules.help': 'Una regla se activa cuando se cumplen todas sus condiciones <code>when</code>: <code>state</code> y <code>pattern</code> admiten un valor o una lista; <code>ratio</code>, <code>streamPower</code>, <code>Qs</code>, <code>D50</code>, <code>Qw</code> y <code>S</code> admiten <code>{"above": x}</code> y/o <code>{"below": y}</code>. <code>equilibriumBand</code> es la semianchura de la banda de equilibrio en log<sub>10</sub>(razón).',
+    'rules.text': 'Reglas de procesos (JSON)',
+    'rules.fileIgnored': 'Se omitió el archivo de reglas:',
+    'rules.notApplied': 'Reglas no aplicadas:',
+    'rules.applied': 'Aplicadas {count} reglas (guardadas en este navegador).',
+    'rules.resetDone': 'Reglas restablecidas.',
+    'rules.source.builtIn': 'Reglas de reserva ({url} no cargado)',
+    'rules.source.file': 'Cargadas desde {url}',
+    'rules.source.edited': 'Reglas editadas (guardadas en este navegador)',
+    'rules.error.notObject': 'Las reglas deben ser un objeto JSON.',
+    'rules.error.format': 'No es un documento de reglas (se esperaba "format": "{format}").',
+    'rules.error.json': 'Las reglas no son JSON válido: {message}',
+    'rules.error.band': '"equilibriumBand" debe ser un número mayor o igual que 0 (se encontró {value}).',
+
+    'phase.title': 'Diagrama de fases:',
+    'phase.horizontal': 'Horizontal',
+    'phase.vertical': 'Vertical',
+    'phase.colorBy': 'Colorear por',
+    'phase.tendency': 'Tendencia',
+    'phase.pattern': 'Morfología del cauce',
+    'phase.note': 'Los otros dos parámetros se mantienen en sus valores actuales. Arrastre el marcador para fijar ambos controles.',
+    'phase.equilibriumLine': 'Línea de equilibrio',
+
+    'views.profile': 'Perfil longitudinal',
+    'views.crossSection': 'Sección transversal (geometría hidráulica)',
+    'views.plan': 'Vista en planta (morfología del cauce)',
+    'views.flow': 'Flujo ->',
+
+    'pattern.classifier': 'Clasificador',
+    'pattern.bankAngle': 'Ángulo de la orilla &phi;&prime;',
+    'pattern.straight': 'Recto',
+    'pattern.meandering': 'Meandriforme',
+    'pattern.braided': 'Trenzado',
+    'pattern.wandering': 'Divagante',
+    'pattern.anastomosing': 'Anastomosado',
+    'pattern.straight.label': 'Cauce recto',
+    'pattern.meandering.label': 'Cauce meandriforme',
+    'pattern.braided.label': 'Cauce trenzado',
+    'pattern.wandering.label': 'Cauce divagante',
+    'pattern.anastomosing.label': 'Cauces anastomosados',
+    'pattern.heuristic.name': 'Heurística de la balanza de Lane',
+    'pattern.heuristic.citation': 'Índice de trenzado a partir de carga de sedimentos, tamaño de grano, pendiente y desequilibrio',
+    'pattern.heuristic.discharge': 'Qw / Qw_min',
+    'pattern.heuristic.braiding': 'IT / IT_t',
+    'pattern.leopold-wolman.name': 'Leopold & Wolman (1957)',
+    'pattern.leopold-wolman.citation': 'Trenzado por encima de la pendiente umbral S_t = 0.012 · Q^-0.44',
+    'pattern.van-den-berg.name': 'van den Berg (1995)',
+    'pattern.van-den-berg.citation': 'Trenzado cuando la potencia específica ω = 2100 · S · √Q supera 900 · D50^0.42 (W/m², D50 en m)',
+    'pattern.parker.name': 'Parker (1976)',
+    'pattern.parker.citation': 'Trenzado cuando S / Fr supera la relación profundidad-anchura h / B',
+    'pattern.millar.name': 'Millar (2000)',
+    'pattern.millar.citation': 'Trenzado por encima de S* = 0.0002 · D50^0.61 · φ\'^1.75 · Q^-0.25 (resistencia de la orilla φ\')',
+
+    'footer.equation': 'Carga de sedimentos &times; tamaño de grano proporcional a caudal &times; pendiente',
+    'footer.conceptual': 'La balanza de Lane es conceptual, no una ley estricta, pero resulta útil para la intuición y la gestión de ríos.',
+    'footer.demo': 'Demostración conceptual para el aprendizaje y el debate.',
+    'footer.repository': 'Repositorio en GitHub',
+
+    'state.degradation': 'Degradación',
+    'state.equilibrium': 'Equilibrio',
+    'state.aggradation': 'Agradación',
+
+    'screenshot.unavailable': 'Captura no disponible: no se pudo cargar la biblioteca',
+    'screenshot.failed': 'No se pudo hacer la captura de pantalla',
+
+    'file.couldNotLoad': 'No se pudo cargar {name}:',
+    'file.loaded': '{name} cargado.',
+    'file.couldNotRead': 'No se pudo leer {name}: {message}',
+
+    'why.equilibrium': 'El aporte de sedimentos y la capacidad de transporte están equilibrados.',
+    'why.aggradation': 'El aporte de sedimentos supera la capacidad de transporte.',
+    'why.degradation': 'La capacidad de transporte supera el aporte de sedimentos.',
+    'why.increased': 'Contribuyó a ello el aumento {param}.',
+    'why.decreased': 'Contribuyó a ello la disminución {param}.',
+    'why.param.Qs': 'del aporte de sedimentos (Qs)',
+    'why.param.D50': 'del tamaño del sedimento (D50)',
+    'why.param.Qw': 'del caudal (Qw)',
+    'why.param.S': 'de la pendiente del cauce (S)',
+
+    'locks.quiz': 'Bloqueado hasta que revele la respuesta del cuestionario',
+    'locks.lesson': 'Bloqueado en este paso de la lección',
+    'locks.rating': 'Qs sigue a Qw a través de la curva de aforo de sedimentos',
+    'locks.ratingOff': 'El acoplamiento permanece desactivado durante el cuestionario o una lección',
+
+    'tendency.aggradation': 'Tendencia: agradación',
+    'tendency.degradation': 'Tendencia: degradación',
+    'tendency.equilibrium': 'Tendencia: cerca del equilibrio',
+    'tendency.imbalance': 'Índice de desequilibrio I = {value}',
+
+    'condition.state': 'Tendencia',
+    'condition.pattern': 'Morfología del cauce',
+    'condition.ratio': 'Razón de la balanza',
+    'condition.streamPower': 'Potencia relativa de la corriente',
+    'condition.is': '{label} es {values}',
+    'condition.or': ' o ',
+    'condition.and': ' y ',
+
+    'processCard.close': 'Cerrar detalles del proceso',
+    'processCard.why': 'Por qué está activo',
+    'processCard.references': 'Referencias',
+    'processCard.always': 'Siempre activo (sin condiciones).',
+    'processCard.schematic': 'Esquema: {name}',
+
+    'schematic.originalBed': 'lecho original',
+    'schematic.crossSection': 'Sección transversal',
+    'schematic.longProfile': 'Perfil longitudinal  (flujo ->)',
+    'schematic.bedSurface': 'Superficie del lecho  (flujo ->)',
+    'schematic.planView': 'Vista en planta  (flujo ->)',
+    'schematic.reach': 'Tramo  (flujo ->)',
+    'schematic.in': 'entrada',
+    'schematic.out': 'salida',
+    'schematic.knickpoint': 'escalón',
+
+    'axis.qw': 'Qw (m³/s)',
+    'axis.logRatio': 'log₁₀ razón',
+    'axis.timeDays': 'Tiempo (días)',
+    'axis.qs': 'Qs (t/año)',
+
+    'scale.degradation': 'DEGRAD.',
+    'scale.aggradation': 'AGRAD.',
+
+    'profile.degradation': 'Incisión bajo el lecho original',
+    'profile.equilibrium': 'Lecho en pendiente de equilibrio',
+    'profile.aggradation': 'Cuña de sedimentación',
+    'profile.legend.valley': 'Pendiente del valle',
+    'profile.legend.grade': 'Equilibrio',
+    'profile.legend.bed': 'Lecho',
+
+    'crossSection.bankHeight': 'Altura de la orilla {height} m · discontinua = cauce de régimen',
+
+    'a11y.sliderKeys': 'Las flechas cambian el valor en 1; Mayús con una flecha, o Re Pág y Av Pág, lo cambian en 10. Inicio y Fin saltan a los extremos.',
+    'a11y.phaseLabel': 'Marcador del diagrama de fases: las flechas izquierda y derecha cambian {x}, arriba y abajo cambian {y}; con Mayús, en pasos de 10',
+    'a11y.tilt.slightly': 'ligeramente',
+    'a11y.tilt.clearly': 'claramente',
+    'a11y.tilt.strongly': 'fuertemente',
+    'a11y.scale.level': 'La balanza está nivelada: la carga de sedimentos y la potencia de la corriente están en equilibrio (razón {ratio}).',
+    'a11y.scale.aggradation': 'La balanza se inclina {strength} hacia la agradación: la carga de sedimentos supera a la potencia de la corriente (razón {ratio}).',
+    'a11y.scale.degradation': 'La balanza se inclina {strength} hacia la degradación: la potencia de la corriente supera a la carga de sedimentos (razón {ratio}).',
+    'a11y.pattern.straight': 'Vista en planta: un único cauce recto y poco sinuoso.',
+    'a11y.pattern.meandering': 'Vista en planta: un único cauce que serpentea en meandros regulares.',
+    'a11y.pattern.braided': 'Vista en planta: varios canales poco profundos que se dividen y se unen alrededor de barras.',
+    'a11y.pattern.wandering': 'Vista en planta: un cauce principal que se desplaza alrededor de barras e islas, con canales secundarios.',
+    'a11y.pattern.anastomosing': 'Vista en planta: varios cauces estables separados por islas con vegetación.',
+    'a11y.announce.tendency': 'Tendencia ahora: {state}.',
+    'a11y.announce.pattern': 'Morfología del cauce ahora: {pattern}.',
+    'a11y.announce.processes': 'Nuevos procesos activos: {processes}.',
+
+    'export.figure': 'Figura vectorial',
+    'export.report': 'Balanza, vista en planta, tendencia y parámetros',
+    'export.scale': 'Balanza',
+    'export.plan': 'Vista en planta',
+    'export.svg': 'Exportar SVG',
+    'export.pdf': 'Exportar PDF',
+    'export.pdfUnavailable': 'Exportación a PDF no disponible: no se pudieron cargar las bibliotecas de PDF',
+    'export.failed': 'No se pudo crear el PDF',
+    'export.parameters': 'Parámetros',
+    'export.parameter': 'Parámetro',
+    'export.value': 'Control / valor físico',
+    'export.param.Qs': 'Aporte de sedimentos Qs',
+    'export.param.D50': 'Tamaño medio de grano D50',
+    'export.param.Qw': 'Caudal Qw',
+    'export.param.S': 'Pendiente del cauce S',
+
+    'report.title': 'Informe',
+    'report.questions': 'Preguntas de la hoja de trabajo',
+    'report.print': 'Imprimir',
+    'report.html': 'Descargar HTML',
+    'report.pdf': 'Descargar PDF',
+    'report.heading': 'Informe de la balanza de Lane',
+    'report.created': 'Creado el {date}',
+    'report.state': 'Estado de la balanza',
+    'report.ratio': 'Razón de la balanza',
+    'report.imbalance': 'Índice de desequilibrio I',
+    'report.tendency': 'Tendencia',
+    'report.pattern': 'Morfología del cauce',
+    'report.parameter': 'Parámetro',
+    'report.slider': 'Control (1-100)',
+    'report.physical': 'Valor físico',
+    'report.processes': 'Procesos activos',
+    'report.noProcesses': 'No hay procesos activos.',
+    'report.questionsTitle': 'Preguntas',
+    'report.question.1': '¿Qué parámetro cambiaría para devolver el tramo al equilibrio, y en qué sentido?',
+    'report.question.2': '¿Qué esperaría ver en campo si esta tendencia durara varias décadas?',
+    'report.question.3': '¿Cuáles de los procesos activos podría confirmar en el sitio, y cómo?',
+    'report.notes': 'Notas',
+
+    'process.avulsion-risk.description': 'El lecho elevado hace probable un cambio brusco a un nuevo curso.',
+    'process.avulsion-risk.name': 'Riesgo de avulsión',
+    'process.avulsion.description': 'Se forman canales nuevos por avulsión mientras los antiguos persisten.',
+    'process.avulsion.name': 'Avulsión',
+    'process.bank-erosion.description': 'Una corriente enérgica socava las orillas y arrastra su material.',
+    'process.bank-erosion.name': 'Erosión de orillas',
+    'process.bar-formation.description': 'El sedimento sobrante se deposita en el cauce en forma de barras.',
+    'process.bar-formation.name': 'Formación de barras',
+    'process.bed-armoring.description': 'Los finos se lavan y queda una capa superficial gruesa.',
+    'process.bed-armoring.name': 'Acorazamiento del lecho',
+    'process.bed-incision.description': 'El exceso de capacidad de transporte socava el lecho y hace descender el cauce.',
+    'process.bed-incision.name': 'Incisión del lecho',
+    'process.channel-widening.description': 'Los depósitos desvían la corriente hacia las orillas y el cauce se ensancha.',
+    'process.channel-widening.name': 'Ensanchamiento del cauce',
+    'process.chute-cutoff.description': 'La corriente corta a través de barras e islas y abre nuevos canales.',
+    'process.chute-cutoff.name': 'Corte por canal secundario',
+    'process.dynamic-equilibrium.description': 'La erosión y la sedimentación se compensan con el tiempo.',
+    'process.dynamic-equilibrium.name': 'Equilibrio dinámico',
+    'process.island-stabilization.description': 'La vegetación fija el sedimento de las islas y mantiene los canales en su sitio.',
+    'process.island-stabilization.name': 'Estabilización de islas vegetadas',
+    'process.knickpoint-migration.description': 'Un escalón en el perfil del lecho retrocede aguas arriba.',
+    'process.knickpoint-migration.name': 'Migración de escalones',
+    'process.overbank-deposition.description': 'Las crecidas desbordan y dejan sedimento en la llanura de inundación.',
+    'process.overbank-deposition.name': 'Sedimentación en la llanura',
+    'process.secondary-channel-switching.description': 'El flujo se desplaza entre el cauce principal y los canales laterales.',
+    'process.secondary-channel-switching.name': 'Alternancia de canales secundarios',
+    'process.transport-balance.description': 'El aporte de sedimentos coincide con la capacidad de transporte.',
+    'process.transport-balance.name': 'Equilibrio del transporte de sedimentos',
+    'process.vertical-accretion.description': 'El sedimento fino de desbordamiento eleva lentamente la llanura de inundación.',
+    'process.vertical-accretion.name': 'Acreción vertical',
+
+    'validate.missing': 'Falta el campo obligatorio "{path}".',
+    'validate.notNull': '"{path}" no puede ser null.',
+    'validate.type.string': '"{path}" debe ser una cadena (se encontró {value}).',
+    'validate.type.number': '"{path}" debe ser un número (se encontró {value}).',
+    'validate.type.integer': '"{path}" debe ser un entero (se encontró {value}).',
+    'validate.type.boolean': '"{path}" debe ser un booleano (se encontró {value}).',
+    'validate.type.object': '"{path}" debe ser un objeto (se encontró {value}).',
+    'validate.string': '"{path}" debe ser una cadena.',
+    'validate.nonEmptyString': '"{path}" debe ser una cadena no vacía.',
+    'validate.object': '"{path}" debe ser un objeto.',
+    'validate.list': '"{path}" debe ser una lista.',
+    'validate.nonEmptyList': '"{path}" debe ser una lista no vacía.',
+    'validate.between': '"{path}" debe estar entre {min} y {max} (se encontró {value}).',
+    'validate.greaterThan': '"{path}" debe ser mayor que {min} (se encontró {value}).',
+    'validate.oneOf': '"{path}" debe ser uno de {options} (se encontró {value}).',
+    'validate.unknownField': 'Campo desconocido "{path}".',
+    'validate.version': '"version" debe ser {version} (se encontró {value}).',
+    'validate.duplicate': '"{path}" repite "{id}".',
+    'validate.range': '"{path}" debe ser un objeto con "above" y/o "below".',
+    'validate.bound': '"{path}" no es un límite; use "above" o "below".',
+    'validate.rangeNumber': '"{path}" debe ser un número (se encontró {value}).',
+    'validate.condition': '"{path}" no es una condición conocida (use state, pattern, {keys}).',
+    'validate.param': '"{path}" no es un parámetro (use {params}).',
+    'validate.sliderValues': '"{path}" debe ser un objeto con valores de los controles deslizantes.',
+    'validate.sliderValue': '"{path}" debe ser un valor de control deslizante entre 1 y 100 (se encontró {value}).',
+    'validate.line': 'Línea {line}: {message}',
+    'validate.more': '...y {count} más.'
+});
@@ -16,200 +16,2619 @@ const state = {
     // Derived values
     balanceRatio: 1.0,  // (Qs*D50)/(Qw*S), 1.0 = equilibrium
 
+    // Transport capacity estimate
+    transportFormula: 'mpm',  // Key of Transport.formulas
+    channelWidth: null,       // Channel width (m), null = hydraulic geometry
+
+    // Profile simulation
+    simulationDt: 10,         // Years per step
+
+    // Hydrograph playback
+    hydrographId: 'snowmelt', // Key of Hydrograph.synthetic, or 'csv'
+    hydrographStart: null,    // Slider values before playback began
+
+    // Phase diagram
+    phaseX: 'Qs',             // Parameter on the horizontal axis
+    phaseY: 'S',              // Parameter on the vertical axis
+    phaseColor: 'state',      // 'state' | 'pattern'
+
     // Animation timing
     animationDuration: 400,
 
-    // To track changes
-    previousState: {},
-    lastChanged: null,
-};
+    // To track changes
+    previousState: {},
+    lastChanged: null,
+};
+
+// DOM element IDs for each parameter's controls
+const PARAM_CONTROLS = {
+    Qs: { slider: 'qs-slider', output: 'qs-value', physical: 'qs-physical', reference: 'qs-reference' },
+    D50: { slider: 'd50-slider', output: 'd50-value', physical: 'd50-physical', reference: 'd50-reference' },
+    Qw: { slider: 'qw-slider', output: 'qw-value', physical: 'qw-physical', reference: 'qw-reference' },
+    S: { slider: 's-slider', output: 's-value', physical: 's-physical', reference: 's-reference' }
+};
+
+// Independent scale, plan and process views for the before / after comparison
+const comparisonViews = {
+    before: { scale: ScaleView.create(), plan: PlanView.create(), process: ProcessView.create() },
+    after: { scale: ScaleView.create(), plan: PlanView.create(), process: ProcessView.create() }
+};
+
+// Store references for cleanup
+let resizeHandler = null;
+
+// Debounced URL update (assigned in init)
+let scheduleUrlUpdate = () => {};
+
+// Slider change not yet in the history: each arrow key press fires a
+// change event, so a run of them is recorded once the keys rest (ms)
+const pendingSliderChange = { delay: 500, timer: null, entry: null };
+
+// Last state read out by the screen reader announcer, and its debounced update
+let announcedSnapshot = null;
+let scheduleAnnouncement = () => {};
+
+/**
+ * Initialize the application
+ */
+function init() {
+    // Apply the saved or browser language before anything renders
+    bindLanguageControls();
+
+    // Restore parameters and toggles from a shared link
+    restoreUrlState();
+    scheduleUrlUpdate = debounce(() => UrlState.replace(state), 250);
+    scheduleAnnouncement = debounce(announceChanges, 700);
+
+    // Initialize all visualizations
+    ScaleView.init('scale-viz');
+    PlanView.init('plan-viz');
+    ProfileView.init('profile-viz');
+    CrossSectionView.init('cross-section-viz');
+    ProcessView.init('process-list', 'process-card');
+    PhaseDiagramView.init('phase-viz', 'phase-legend', handlePhaseDrag);
+    TimeSeriesView.init('timeseries-viz');
+    RatingCurveView.init('rating-viz');
+    NetworkView.init('network-viz', selectNetworkReach);
+
+    // Bind slider events
+    bindSliders();
+
+    // Bind coarse keyboard steps on the parameter sliders
+    bindSliderKeys();
+
+    // Bind reset button
+    bindResetButton();
+
+    // Bind display toggles
+    bindToggles();
+
+    // Bind physical unit inputs and reference values
+    bindUnitControls();
+
+    // Bind sonification toggle
+    bindSoundToggle();
+
+    // Bind transport formula and channel width inputs
+    bindTransportControls();
+
+    // Bind channel pattern classifier selector
+    bindPatternControls();
+
+    // Bind profile simulation controls
+    bindSimulationControls();
+
+    // Bind perturbation scenario controls
+    bindScenarioControls();
+
+    // Bind hydrograph time series controls
+    bindHydrographControls();
+
+    // Bind sediment rating curve coupling
+    bindRatingCurveControls();
+
+    // Bind river network editor
+    bindNetworkControls();
+
+    // Bind phase diagram axis and coloring selectors
+    bindPhaseDiagramControls();
+
+    // Bind before / after comparison sliders and buttons
+    bindComparisonControls();
+
+    // Bind predict-then-reveal quiz
+    bindQuizControls();
+
+    // Bind guided lesson picker and panel
+    bindLessonControls();
+
+    // Set initial previous state
+    state.previousState = { ...state };
+
+    // Bind screenshot button
+    bindScreenshotButton();
+
+    // Bind copy link button
+    bindCopyLinkButton();
+
+    // Bind SVG / PDF figure export
+    bindExportControls();
+
+    // Bind printable report buttons
+    bindReportControls();
+
+    // Bind JSON save/load controls
+    bindStateFileControls();
+
+    // Bind undo/redo toolbar, history list and keyboard shortcuts
+    bindHistoryControls();
+
+    // Bind process rules editor
+    bindRulesEditor();
+
+    // Initial update
+    updateAll();
+    recordHistory(I18n.t('history.initial'));
+
+    // Load process rules (edited, file or fallback), then refresh
+    ProcessRules.init().then(errors => {
+        refreshRulesEditor();
+        if (errors.length) {
+            showFileStatus('rules-status', [I18n.t('rules.fileIgnored'), ...errors], 'error');
+        }
+        updateAll();
+        updateComparison(0);
+    });
+
+    // Handle window resize (store reference for cleanup)
+    resizeHandler = debounce(handleResize, 250);
+    window.addEventListener('resize', resizeHandler);
+
+    // Cleanup on page unload
+    window.addEventListener('beforeunload', cleanup);
+}
+
+/**
+ * Cleanup resources before page unload
+ */
+function cleanup() {
+    // Remove resize listener
+    if (resizeHandler) {
+        window.removeEventListener('resize', resizeHandler);
+    }
+    // Stop flow animation
+    if (typeof PlanView !== 'undefined' && PlanView.stopFlowAnimation) {
+        PlanView.stopFlowAnimation();
+    }
+    stopComparisonViews();
+    // Release the sonification audio context
+    if (typeof Sonification !== 'undefined') {
+        Sonification.close();
+    }
+    // Stop process schematic animation
+    if (typeof ProcessCardView !== 'undefined') {
+        ProcessCardView.stop();
+    }
+    // Stop profile simulation
+    if (typeof Simulation !== 'undefined') {
+        Simulation.stop();
+    }
+    // Stop scenario and hydrograph playback
+    if (typeof Scenarios !== 'undefined') {
+        Scenarios.stop();
+    }
+    if (typeof Hydrograph !== 'undefined') {
+        Hydrograph.stop();
+    }
+}
+
+/**
+ * Apply the saved or browser language and fill the language switcher
+ */
+function bindLanguageControls() {
+    I18n.setLocale(I18n.detect(), false);
+    I18n.translatePage();
+
+    const select = document.getElementById('language-select');
+    if (!select) return;
+
+    I18n.available().forEach(({ id, name }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    select.value = I18n.locale;
+    select.addEventListener('change', () => setLanguage(select.value));
+}
+
+/**
+ * Switch language and redraw everything that renders text from code
+ * @param {string} locale - Registered locale, e.g. 'de'
+ */
+function setLanguage(locale) {
+    if (!I18n.setLocale(locale)) return;
+
+    I18n.translatePage();
+    showRulesSource();
+    syncPatternControls();
+    renderNetworkTable();
+    updateScenarioUI(Scenarios.get(document.getElementById('scenario-select').value));
+    refreshQuizText();
+    if (Lessons.current()) renderLessonStep();
+    if (ProcessCardView.rule) ProcessCardView.open(ProcessCardView.rule, ProcessView.context);
+
+    // Views draw their labels on init
+    handleResize();
+    refreshSliderValues();
+    syncSliderLocks();
+    updateHydrographUI();
+    updateHistoryUI();
+    updateAll();
+}
+
+/**
+ * Bind screenshot button event
+ */
+function bindScreenshotButton() {
+    const screenshotBtn = document.getElementById('screenshot-btn');
+    if (screenshotBtn) {
+        screenshotBtn.addEventListener('click', () => {
+            const target = document.querySelector('main');
+            if (!target) {
+                console.error('Screenshot target not found');
+                return;
+            }
+
+            // Check if html2canvas is loaded
+            if (typeof html2canvas === 'undefined') {
+                console.error('html2canvas library not loaded');
+                alert(I18n.t('screenshot.unavailable'));
+                return;
+            }
+
+            html2canvas(target, {
+                scale: 2,
+                useCORS: true
+            }).then(canvas => {
+                const link = document.createElement('a');
+                link.download = 'lane-balance-screenshot.png';
+                link.href = canvas.toDataURL('image/png');
+                link.click();
+            }).catch(error => {
+                console.error('Screenshot failed:', error);
+                alert(I18n.t('screenshot.failed'));
+            });
+        });
+    }
+}
+
+/**
+ * Bind the vector figure export: the scale or plan view on its own, or
+ * both with the tendency panel and parameter table (one SVG, or one PDF
+ * page each)
+ */
+function bindExportControls() {
+    const figureSelect = document.getElementById('export-figure');
+    const svgBtn = document.getElementById('export-svg-btn');
+    const pdfBtn = document.getElementById('export-pdf-btn');
+    const selectedFigure = () => (figureSelect ? figureSelect.value : 'report');
+
+    if (svgBtn) {
+        svgBtn.addEventListener('click', () => {
+            const figure = selectedFigure();
+            const svg = figure === 'report'
+                ? VectorExport.compose(getExportReport())
+                : getExportPages(figure)[0];
+            if (svg) VectorExport.downloadSvg(svg, `lane-balance-${figure}.svg`);
+        });
+    }
+
+    if (pdfBtn) {
+        pdfBtn.addEventListener('click', () => {
+            if (!VectorExport.isPdfAvailable()) {
+                console.error('jsPDF or svg2pdf.js not loaded');
+                alert(I18n.t('export.pdfUnavailable'));
+                return;
+            }
+            const figure = selectedFigure();
+            const pages = getExportPages(figure).filter(Boolean);
+            if (!pages.length) return;
+
+            VectorExport.downloadPdf(pages, `lane-balance-${figure}.pdf`).catch(error => {
+                console.error('PDF export failed:', error);
+                alert(I18n.t('export.failed'));
+            });
+        });
+    }
+}
+
+/**
+ * Rendered SVG of the scale or plan view
+ * @param {string} view - 'scale' | 'plan'
+ * @returns {SVGSVGElement|null}
+ */
+function getViewSvg(view) {
+    return document.querySelector(`#${view}-viz svg`);
+}
+
+/**
+ * Content of the composed export figure: both views, the tendency
+ * panel text, the channel pattern and the parameter table
+ * @returns {Object} Figure for VectorExport.compose()
+ */
+function getExportReport() {
+    const text = id => {
+        const element = document.getElementById(id);
+        return element ? element.textContent : '';
+    };
+    const pattern = PatternClassifiers.getPattern(state.Qs, state.D50, state.Qw, state.S, state.balanceRatio);
+
+    return {
+        title: I18n.t('app.title'),
+        views: ['scale', 'plan'].map(getViewSvg).filter(Boolean),
+        lines: [text('tendency-label'), text('tendency-why'), text('imbalance-value'), I18n.t(`pattern.${pattern}.label`)],
+        table: [
+            [I18n.t('export.parameter'), I18n.t('export.value')],
+            ...Object.keys(PARAM_CONTROLS).map(key => [
+                I18n.t(`export.param.${key}`),
+                `${state[key]} / ${formatPhysical(key, state[key])}`
+            ]),
+            [I18n.t('condition.ratio'), I18n.formatNumber(state.balanceRatio, { maximumFractionDigits: 3 })]
+        ]
+    };
+}
+
+/**
+ * Pages for a figure: the styled view on its own, or for the report the
+ * scale with the tendency text, the plan view with its pattern, and the
+ * parameter table
+ * @param {string} figure - 'scale' | 'plan' | 'report'
+ * @returns {Array<SVGSVGElement|null>}
+ */
+function getExportPages(figure) {
+    if (figure !== 'report') {
+        const svg = getViewSvg(figure);
+        return [svg ? VectorExport.cloneWithStyles(svg) : null];
+    }
+
+    const report = getExportReport();
+    const [scale, plan] = ['scale', 'plan'].map(getViewSvg);
+    return [
+        VectorExport.compose({ title: report.title, views: scale ? [scale] : [], lines: report.lines.slice(0, 3) }),
+        VectorExport.compose({ title: I18n.t('views.plan'), views: plan ? [plan] : [], lines: report.lines.slice(3) }),
+        VectorExport.compose({ title: I18n.t('export.parameters'), table: report.table })
+    ];
+}
+
+/**
+ * Bind the report buttons: print through a hidden frame, or download
+ * the report as HTML or PDF. The scenario notes are printed above the
+ * ruled notes space.
+ */
+function bindReportControls() {
+    const printBtn = document.getElementById('report-print-btn');
+    const htmlBtn = document.getElementById('report-html-btn');
+    const pdfBtn = document.getElementById('report-pdf-btn');
+    const questionsToggle = document.getElementById('report-questions');
+    const notesEl = document.getElementById('state-notes');
+
+    const collect = () => Report.collect(state, {
+        notes: notesEl ? notesEl.value : '',
+        questions: Boolean(questionsToggle && questionsToggle.checked)
+    });
+    const buildHTML = () => {
+        const [scale, plan] = ['scale', 'plan']
+            .map(getViewSvg)
+            .map(svg => (svg ? VectorExport.cloneWithStyles(svg) : null));
+        return Report.toHTML(collect(), { scale, plan });
+    };
+
+    if (printBtn) {
+        printBtn.addEventListener('click', () => {
+            const frame = document.createElement('iframe');
+            frame.className = 'visually-hidden';
+            frame.setAttribute('aria-hidden', 'true');
+            frame.addEventListener('load', () => {
+                frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+                frame.contentWindow.focus();
+                frame.contentWindow.print();
+            });
+            frame.srcdoc = buildHTML();
+            document.body.appendChild(frame);
+        });
+    }
+
+    if (htmlBtn) {
+        htmlBtn.addEventListener('click', () => Report.download(buildHTML()));
+    }
+
+    if (pdfBtn) {
+        pdfBtn.addEventListener('click', () => {
+            if (!VectorExport.isPdfAvailable()) {
+                console.error('jsPDF or svg2pdf.js not loaded');
+                alert(I18n.t('export.pdfUnavailable'));
+                return;
+            }
+            const views = ['scale', 'plan'].map(getViewSvg).filter(Boolean);
+            VectorExport.downloadPdf(Report.toPdfPages(collect(), views), 'lane-balance-report.pdf').catch(error => {
+                console.error('PDF export failed:', error);
+                alert(I18n.t('export.failed'));
+            });
+        });
+    }
+}
+
+/**
+ * Restore parameters, display toggles and reference values from the URL
+ * query string
+ */
+function restoreUrlState() {
+    const restored = UrlState.read(window.location.search);
+
+    Object.assign(state, restored.params);
+    Object.entries(restored.references).forEach(([key, value]) => Balance.setReference(key, value));
+    Object.entries(restored.toggles).forEach(([toggleId, checked]) => {
+        const checkbox = document.getElementById(toggleId);
+        if (checkbox) checkbox.checked = checked;
+    });
+}
+
+/**
+ * Bind copy link button event
+ */
+function bindCopyLinkButton() {
+    const copyBtn = document.getElementById('copy-link-btn');
+    if (!copyBtn) return;
+
+    copyBtn.addEventListener('click', () => {
+        UrlState.copyText(UrlState.getLink(state)).then(() => {
+            copyBtn.textContent = I18n.t('display.copied');
+        }).catch(error => {
+            console.error('Copy link failed:', error);
+            copyBtn.textContent = I18n.t('display.copyFailed');
+        }).finally(() => {
+            setTimeout(() => { copyBtn.textContent = I18n.t(copyBtn.dataset.i18n); }, 1500);
+        });
+    });
+}
+
+/**
+ * Bind JSON state file save and load controls
+ */
+function bindStateFileControls() {
+    const saveBtn = document.getElementById('save-state-btn');
+    const loadBtn = document.getElementById('load-state-btn');
+    const fileInput = document.getElementById('load-state-input');
+    const notesEl = document.getElementById('state-notes');
+
+    if (saveBtn) {
+        saveBtn.addEventListener('click', () => {
+            StateFile.download(StateFile.build(state, notesEl ? notesEl.value : ''));
+            showFileStatus('state-file-status', [I18n.t('stateFile.saved')], 'success');
+        });
+    }
+
+    if (loadBtn && fileInput) {
+        loadBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+
+            file.text().then(text => {
+                const { doc, errors } = StateFile.parse(text);
+                if (!doc) {
+                    showFileStatus('state-file-status', [I18n.t('file.couldNotLoad', { name: file.name }), ...errors], 'error');
+                    return;
+                }
+                if (movesHeldParam(doc.parameters)) {
+                    showFileStatus('state-file-status', [I18n.t('file.couldNotLoad', { name: file.name }), getHeldParams().reason], 'error');
+                    return;
+                }
+                applyStateDocument(doc);
+                showFileStatus('state-file-status', [I18n.t('file.loaded', { name: file.name })], 'success');
+            }).catch(error => {
+                showFileStatus('state-file-status', [I18n.t('file.couldNotRead', { name: file.name, message: error.message })], 'error');
+            }).finally(() => {
+                // Allow loading the same file again
+                fileInput.value = '';
+            });
+        });
+    }
+}
+
+/**
+ * Apply a validated state document and update all views
+ * @param {Object} doc - Document accepted by StateFile.parse()
+ */
+function applyStateDocument(doc) {
+    stopPlayback();
+
+    const units = doc.units || { mode: 'relative' };
+    const unitsToggle = document.getElementById('toggle-units');
+    Object.keys(PARAM_CONTROLS).forEach(key => {
+        Balance.setReference(key, units.reference ? units.reference[key] : null);
+        const referenceInput = document.getElementById(PARAM_CONTROLS[key].reference);
+        if (referenceInput) referenceInput.value = roundQuantity(Balance.getReference(key));
+    });
+    if (unitsToggle) {
+        unitsToggle.checked = units.mode === 'physical';
+        unitsToggle.dispatchEvent(new Event('change'));
+    } else {
+        Balance.setUnitMode(units.mode);
+    }
+
+    if (doc.transport) {
+        const formulaSelect = document.getElementById('transport-formula');
+        const widthInput = document.getElementById('channel-width');
+        if (doc.transport.formula) state.transportFormula = doc.transport.formula;
+        state.channelWidth = doc.transport.channelWidth || null;
+        if (formulaSelect) formulaSelect.value = state.transportFormula;
+        if (widthInput) widthInput.value = state.channelWidth || '';
+    }
+
+    if (doc.pattern) {
+        if (doc.pattern.classifier) PatternClassifiers.setActive(doc.pattern.classifier);
+        if (doc.pattern.bankFrictionAngle) PatternClassifiers.setBankFrictionAngle(doc.pattern.bankFrictionAngle);
+        syncPatternControls();
+    }
+
+    if (doc.ratingCurve) {
+        RatingCurve.setCoefficients(doc.ratingCurve.a, doc.ratingCurve.b);
+        if (doc.ratingCurve.enabled !== undefined) RatingCurve.enabled = doc.ratingCurve.enabled;
+        syncRatingCurveControls();
+    }
+
+    const notesEl = document.getElementById('state-notes');
+    if (notesEl) notesEl.value = doc.notes || '';
+
+    Object.keys(PARAM_CONTROLS).forEach(key => setSliderParameter(key, doc.parameters[key]));
+    state.lastChanged = null;
+    updateAll();
+    recordHistory(I18n.t('history.loadedFile'));
+}
+
+/**
+ * Bind process rules editor: apply, reset and download
+ */
+function bindRulesEditor() {
+    const textEl = document.getElementById('rules-text');
+    const applyBtn = document.getElementById('rules-apply-btn');
+    const resetBtn = document.getElementById('rules-reset-btn');
+    const downloadBtn = document.getElementById('rules-download-btn');
+    if (!textEl) return;
+
+    if (applyBtn) {
+        applyBtn.addEventListener('click', () => {
+            const { doc, errors } = ProcessRules.parse(textEl.value);
+            if (!doc) {
+                showFileStatus('rules-status', [I18n.t('rules.notApplied'), ...errors], 'error');
+                return;
+            }
+            ProcessRules.applyEdited(doc);
+            refreshRulesEditor();
+            showFileStatus('rules-status', [I18n.t('rules.applied', { count: doc.rules.length })], 'success');
+            updateAll();
+            updateComparison(0);
+        });
+    }
+
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            ProcessRules.reset().then(errors => {
+                refreshRulesEditor();
+                showFileStatus('rules-status', errors.length ? errors : [I18n.t('rules.resetDone')], errors.length ? 'error' : 'success');
+                updateAll();
+                updateComparison(0);
+            });
+        });
+    }
+
+    if (downloadBtn) {
+        downloadBtn.addEventListener('click', () => ProcessRules.download(ProcessRules.current()));
+    }
+
+    refreshRulesEditor();
+}
+
+/**
+ * Show the active rules and their source in the editor
+ */
+function refreshRulesEditor() {
+    const textEl = document.getElementById('rules-text');
+
+    if (textEl) textEl.value = JSON.stringify(ProcessRules.current(), null, 2);
+    showRulesSource();
+}
+
+/**
+ * Show where the active rules came from
+ */
+function showRulesSource() {
+    const sourceEl = document.getElementById('rules-source');
+    const sources = {
+        'built-in': I18n.t('rules.source.builtIn', { url: ProcessRules.url }),
+        file: I18n.t('rules.source.file', { url: ProcessRules.url }),
+        edited: I18n.t('rules.source.edited')
+    };
+
+    if (sourceEl) sourceEl.textContent = sources[ProcessRules.source];
+}
+
+/**
+ * Show save/load messages in a status list
+ * @param {string} statusId - DOM element ID of the status list
+ * @param {string[]} messages - Lines to show
+ * @param {string} type - 'success' | 'error'
+ */
+function showFileStatus(statusId, messages, type) {
+    const statusEl = document.getElementById(statusId);
+    if (!statusEl) return;
+
+    statusEl.innerHTML = '';
+    messages.forEach(message => {
+        const li = document.createElement('li');
+        li.textContent = message;
+        statusEl.appendChild(li);
+    });
+    statusEl.className = `file-status ${type}`;
+}
+
+/**
+ * Bind slider input events
+ */
+function bindSliders() {
+    Object.entries(PARAM_CONTROLS).forEach(([stateKey, ids]) => {
+        const slider = document.getElementById(ids.slider);
+        const valueEl = document.getElementById(ids.output);
+        if (slider) {
+            // Set initial value
+            slider.value = state[stateKey];
+            updateSliderValue(valueEl, state[stateKey], ids.slider);
+
+            // Bind input event (fires during drag)
+            slider.addEventListener('input', (e) => {
+                stopPlayback();
+                state.lastChanged = stateKey;
+                state[stateKey] = parseInt(e.target.value, 10);
+                updateSliderValue(valueEl, state[stateKey], ids.slider);
+                updateAll();
+            });
+
+            // Record history once the drag or run of key presses ends
+            slider.addEventListener('change', () => recordSliderChange(stateKey));
+        }
+    });
+}
+
+/**
+ * Coarse keyboard steps for every slider that points at the keyboard
+ * hint: Shift+arrow and Page Up / Page Down move by 10. Plain arrows,
+ * Home and End keep their native behavior.
+ */
+function bindSliderKeys() {
+    const coarseStep = 10;
+    const shiftKeys = { ArrowUp: 1, ArrowRight: 1, ArrowDown: -1, ArrowLeft: -1 };
+    const pageKeys = { PageUp: 1, PageDown: -1 };
+
+    document.querySelectorAll('input[type="range"][aria-describedby="slider-keys-hint"]').forEach(slider => {
+        slider.addEventListener('keydown', (e) => {
+            const direction = pageKeys[e.key] || (e.shiftKey && shiftKeys[e.key]);
+            if (!direction) return;
+            e.preventDefault();
+
+            const value = clampSliderValue(parseInt(slider.value, 10) + direction * coarseStep);
+            if (value === parseInt(slider.value, 10)) return;
+
+            // Go through the slider's own handlers so history and views follow
+            slider.value = value;
+            slider.dispatchEvent(new Event('input'));
+            slider.dispatchEvent(new Event('change'));
+        });
+    });
+}
+
+/**
+ * Bind physical value inputs (typed quantities) and reference value inputs
+ */
+function bindUnitControls() {
+    Object.entries(PARAM_CONTROLS).forEach(([stateKey, ids]) => {
+        const physicalInput = document.getElementById(ids.physical);
+        if (physicalInput) {
+            physicalInput.addEventListener('change', (e) => {
+                const physicalValue = parseFloat(e.target.value);
+                if (!(physicalValue > 0)) {
+                    updateSliderValue(document.getElementById(ids.output), state[stateKey], ids.slider);
+                    return;
+                }
+                state.lastChanged = stateKey;
+                setSliderParameter(stateKey, clampSliderValue(Balance.fromPhysical(stateKey, physicalValue)));
+                updateAll();
+                recordHistory(I18n.t('history.entered', { param: stateKey }));
+            });
+        }
+
+        const referenceInput = document.getElementById(ids.reference);
+        if (referenceInput) {
+            referenceInput.value = roundQuantity(Balance.getReference(stateKey));
+            referenceInput.addEventListener('change', (e) => {
+                Balance.setReference(stateKey, parseFloat(e.target.value));
+                referenceInput.value = roundQuantity(Balance.getReference(stateKey));
+                updateAll();
+            });
+        }
+    });
+}
+
+/**
+ * Bind transport formula selector and channel width input
+ */
+function bindTransportControls() {
+    const formulaSelect = document.getElementById('transport-formula');
+    const widthInput = document.getElementById('channel-width');
+
+    if (formulaSelect) {
+        Object.entries(Transport.formulas).forEach(([id, formula]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = formula.name;
+            formulaSelect.appendChild(option);
+        });
+        formulaSelect.value = state.transportFormula;
+        formulaSelect.addEventListener('change', (e) => {
+            state.transportFormula = e.target.value;
+            updateTransportUI(state.balanceRatio);
+        });
+    }
+
+    if (widthInput) {
+        widthInput.value = state.channelWidth || '';
+        widthInput.addEventListener('change', (e) => {
+            // Empty or invalid input falls back to the hydraulic geometry width
+            const width = parseFloat(e.target.value);
+            state.channelWidth = width > 0 ? width : null;
+            widthInput.value = state.channelWidth || '';
+            updateTransportUI(state.balanceRatio);
+        });
+    }
+}
+
+/**
+ * Bind channel pattern classifier selector and Millar bank angle input
+ */
+function bindPatternControls() {
+    const select = document.getElementById('pattern-classifier');
+    const angleInput = document.getElementById('bank-friction-angle');
+
+    if (select) {
+        Object.entries(PatternClassifiers.classifiers).forEach(([id, classifier]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.dataset.i18n = `pattern.${id}.name`;
+            option.dataset.i18nAttr = `title:pattern.${id}.citation`;
+            option.textContent = I18n.t(option.dataset.i18n);
+            option.title = I18n.t(`pattern.${id}.citation`);
+            select.appendChild(option);
+        });
+        select.addEventListener('change', (e) => {
+            PatternClassifiers.setActive(e.target.value);
+            syncPatternControls();
+            updateAll();
+        });
+    }
+
+    if (angleInput) {
+        angleInput.addEventListener('change', (e) => {
+            PatternClassifiers.setBankFrictionAngle(parseFloat(e.target.value));
+            syncPatternControls();
+            updateAll();
+        });
+    }
+
+    syncPatternControls();
+}
+
+/**
+ * Reflect the active classifier and bank angle in the controls
+ */
+function syncPatternControls() {
+    const select = document.getElementById('pattern-classifier');
+    const angleInput = document.getElementById('bank-friction-angle');
+    const citation = document.getElementById('pattern-citation');
+
+    if (select) select.value = PatternClassifiers.active;
+    if (angleInput) {
+        angleInput.value = PatternClassifiers.bankFrictionAngle;
+        angleInput.disabled = PatternClassifiers.active !== 'millar';
+    }
+    if (citation) citation.textContent = I18n.t(`pattern.${PatternClassifiers.active}.citation`);
+}
+
+/**
+ * Show every classifier's pattern and threshold ratios for comparison
+ * @param {number} ratio - Balance ratio
+ */
+function updatePatternUI(ratio) {
+    const list = document.getElementById('pattern-comparison');
+    if (!list) return;
+
+    list.innerHTML = '';
+    PatternClassifiers.classifyAll(state.Qs, state.D50, state.Qw, state.S, ratio).forEach(result => {
+        const item = document.createElement('li');
+        item.className = result.id === PatternClassifiers.active ? 'active' : '';
+        const criteria = result.criteria.map(criterion => PatternClassifiers.formatCriterion(criterion)).join(', ');
+        item.textContent = `${result.name}: ${I18n.t(`pattern.${result.pattern}`)} (${criteria})`;
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Bind profile simulation play/pause, step, reset and time step controls
+ */
+function bindSimulationControls() {
+    const playBtn = document.getElementById('sim-play-btn');
+    const stepBtn = document.getElementById('sim-step-btn');
+    const resetBtn = document.getElementById('sim-reset-btn');
+    const dtSelect = document.getElementById('sim-dt');
+
+    if (playBtn) {
+        playBtn.addEventListener('click', () => {
+            if (Simulation.running) {
+                Simulation.stop();
+                recordHistory(I18n.t('history.simulation'));
+            } else {
+                Simulation.start(simulationStep);
+            }
+            updateSimulationUI();
+        });
+    }
+    if (stepBtn) {
+        stepBtn.addEventListener('click', () => {
+            simulationStep();
+            recordHistory(I18n.t('history.simulation'));
+        });
+    }
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            Simulation.reset(state.S);
+            updateAll();
+        });
+    }
+    if (dtSelect) {
+        dtSelect.value = state.simulationDt;
+        dtSelect.addEventListener('change', (e) => {
+            state.simulationDt = parseFloat(e.target.value);
+        });
+    }
+}
+
+/**
+ * Advance the profile simulation one step and feed the new reach slope
+ * back into the S slider. Playback stops once the reach is saturated at
+ * the steepest slope, where further steps change nothing.
+ */
+function simulationStep() {
+    // The simulation feeds S back into its slider
+    if (getHeldParams().keys.includes('S')) {
+        Simulation.stop();
+        updateSimulationUI();
+        return;
+    }
+
+    Simulation.step(state, getChannelWidth(), state.simulationDt);
+    const saturatedWhilePlaying = Simulation.saturated && Simulation.running;
+    if (saturatedWhilePlaying) Simulation.stop();
+
+    const sliderS = Simulation.getSliderSlope();
+    if (sliderS !== state.S) {
+        state.lastChanged = 'S';
+        setSliderParameter('S', sliderS);
+    }
+    updateAll();
+
+    if (saturatedWhilePlaying) recordHistory(I18n.t('history.simulation'));
+}
+
+/**
+ * Update simulation status readout and play button
+ */
+function updateSimulationUI() {
+    const statusEl = document.getElementById('sim-status');
+    const playBtn = document.getElementById('sim-play-btn');
+
+    if (playBtn) {
+        playBtn.textContent = I18n.t(Simulation.running ? 'controls.pause' : 'controls.play');
+        playBtn.classList.toggle('running', Simulation.running);
+    }
+    if (!statusEl || !Simulation.nodes.length) return;
+
+    const change = Simulation.getInletChange();
+    const sign = change >= 0 ? '+' : '-';
+    statusEl.textContent = I18n.t('simulation.status', {
+        time: Math.round(Simulation.time),
+        slope: formatQuantity(Simulation.getReachSlope()),
+        change: `${sign}${I18n.formatFixed(Math.abs(change), 2)}`
+    }) + (Simulation.saturated ? ` · ${I18n.t('simulation.saturated')}` : '');
+}
+
+/**
+ * Bind scenario selector and play button
+ */
+function bindScenarioControls() {
+    const select = document.getElementById('scenario-select');
+    const playBtn = document.getElementById('scenario-play-btn');
+    if (!select) return;
+
+    Scenarios.library.forEach(scenario => {
+        const option = document.createElement('option');
+        option.value = scenario.id;
+        option.dataset.i18n = `scenarios.${scenario.id}.name`;
+        option.textContent = I18n.t(option.dataset.i18n);
+        select.appendChild(option);
+    });
+
+    select.addEventListener('change', () => updateScenarioUI(Scenarios.get(select.value)));
+    if (playBtn) {
+        playBtn.addEventListener('click', () => playScenario(select.value));
+    }
+
+    updateScenarioUI(Scenarios.get(select.value));
+}
+
+/**
+ * Bind phase diagram axis and coloring selectors
+ */
+function bindPhaseDiagramControls() {
+    const xSelect = document.getElementById('phase-x');
+    const ySelect = document.getElementById('phase-y');
+    const colorSelect = document.getElementById('phase-color');
+    if (!xSelect || !ySelect || !colorSelect) return;
+
+    Object.keys(PARAM_CONTROLS).forEach(key => {
+        [xSelect, ySelect].forEach(select => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = key;
+            select.appendChild(option);
+        });
+    });
+    xSelect.value = state.phaseX;
+    ySelect.value = state.phaseY;
+    colorSelect.value = state.phaseColor;
+
+    const onAxisChange = (changed, other, previous) => {
+        // Picking the same parameter on both axes swaps them
+        if (changed.value === other.value) other.value = previous;
+        state.phaseX = xSelect.value;
+        state.phaseY = ySelect.value;
+        updatePhaseDiagram();
+    };
+    xSelect.addEventListener('change', () => onAxisChange(xSelect, ySelect, state.phaseX));
+    ySelect.addEventListener('change', () => onAxisChange(ySelect, xSelect, state.phaseY));
+    colorSelect.addEventListener('change', () => {
+        state.phaseColor = colorSelect.value;
+        updatePhaseDiagram();
+    });
+
+    PhaseDiagramView.configure(state.phaseX, state.phaseY, state.phaseColor);
+}
+
+/**
+ * Reconfigure and redraw the phase diagram
+ * @param {number} duration - Marker animation duration in ms
+ */
+function updatePhaseDiagram(duration = 0) {
+    PhaseDiagramView.configure(state.phaseX, state.phaseY, state.phaseColor);
+    PhaseDiagramView.update({ Qs: state.Qs, D50: state.D50, Qw: state.Qw, S: state.S }, duration);
+}
+
+/**
+ * Set the two swept sliders from the phase diagram marker
+ * @param {Object} values - Slider values keyed by parameter
+ * @param {boolean} ended - Whether the drag has ended
+ */
+function handlePhaseDrag(values, ended) {
+    // Held parameters stay put; the marker then only moves along the free axis
+    const { keys } = getHeldParams();
+    stopPlayback();
+    state.lastChanged = null;
+    Object.entries(values)
+        .filter(([key]) => !keys.includes(key))
+        .forEach(([key, value]) => setSliderParameter(key, value));
+    updateAll();
+
+    if (ended) {
+        recordHistory(I18n.t('history.phase', { x: state.phaseX, y: state.phaseY }));
+    }
+}
+
+/**
+ * Animate the sliders through a scenario and report the outcome
+ * @param {string} id - Scenario id
+ */
+function playScenario(id) {
+    const scenario = Scenarios.get(id);
+    if (!scenario || getHeldParams().keys.length) return;
+
+    Hydrograph.stop();
+    updateHydrographUI();
+    updateScenarioUI(scenario);
+
+    const current = { Qs: state.Qs, D50: state.D50, Qw: state.Qw, S: state.S };
+    Scenarios.play(scenario, current, values => {
+        state.lastChanged = scenario.primary;
+        Object.entries(values).forEach(([key, value]) => setSliderParameter(key, value));
+        updateAll();
+    }, () => {
+        updateScenarioUI(scenario, true);
+        recordHistory(I18n.t('history.scenario', { name: I18n.t(`scenarios.${scenario.id}.name`) }));
+    });
+}
+
+/**
+ * Show scenario narrative and expected outcome.
+ * After playback, compare the expected tendency and processes with the model.
+ * @param {Object} scenario - Scenario from the library
+ * @param {boolean} finished - Whether playback has reached the perturbed state
+ */
+function updateScenarioUI(scenario, finished = false) {
+    const narrativeEl = document.getElementById('scenario-narrative');
+    const expectedEl = document.getElementById('scenario-expected');
+    if (!scenario || !narrativeEl || !expectedEl) return;
+
+    const { tendency, processes } = scenario.expected;
+    // Scenarios name processes in English; show them in the active language
+    const expectedRules = processes.map(name =>
+        Balance.processRules.find(rule => rule.name === name) || { id: null, name });
+    const expected = I18n.t('scenarios.outcome', {
+        state: I18n.t(`state.${tendency}`),
+        processes: expectedRules.map(rule => Balance.getProcessName(rule)).join(', ')
+    });
+
+    narrativeEl.textContent = I18n.t(`scenarios.${scenario.id}.narrative`);
+    expectedEl.classList.remove('matched', 'mismatched');
+
+    if (!finished) {
+        expectedEl.textContent = I18n.t('scenarios.expected', { outcome: expected });
+        return;
+    }
+
+    const observedState = Balance.getState(state.balanceRatio);
+    const pattern = PatternClassifiers.getPattern(state.Qs, state.D50, state.Qw, state.S, state.balanceRatio);
+    const observed = Balance.getActiveProcesses(state.balanceRatio, state.Qw, state.S, pattern, state);
+    const matched = observedState === tendency
+        && expectedRules.every(rule => observed.some(process => process.id === rule.id));
+
+    expectedEl.textContent = I18n.t('scenarios.expected', { outcome: expected }) + '. '
+        + I18n.t('scenarios.model', {
+            outcome: I18n.t('scenarios.outcome', {
+                state: I18n.t(`state.${observedState}`),
+                processes: observed.map(process => process.name).join(', ')
+            })
+        });
+    expectedEl.classList.add(matched ? 'matched' : 'mismatched');
+}
+
+/**
+ * Stop scenario and hydrograph playback (e.g. when a slider is moved by hand)
+ */
+function stopPlayback() {
+    Scenarios.stop();
+    if (Hydrograph.isPlaying()) {
+        Hydrograph.stop();
+        updateHydrographUI();
+    }
+}
+
+/**
+ * Bind hydrograph series selector, CSV loading, playback and speed controls
+ */
+function bindHydrographControls() {
+    const select = document.getElementById('hydrograph-select');
+    const speedSelect = document.getElementById('hydrograph-speed');
+    const playBtn = document.getElementById('hydrograph-play-btn');
+    const rewindBtn = document.getElementById('hydrograph-rewind-btn');
+    const loadBtn = document.getElementById('hydrograph-load-btn');
+    const fileInput = document.getElementById('hydrograph-file');
+    if (!select) return;
+
+    Object.keys(Hydrograph.synthetic).forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.dataset.i18n = `hydrograph.${id}.name`;
+        option.textContent = I18n.t(option.dataset.i18n);
+        select.appendChild(option);
+    });
+    select.value = state.hydrographId;
+    select.addEventListener('change', () => {
+        if (select.value === 'csv') return;
+        state.hydrographId = select.value;
+        loadSyntheticHydrograph(select.value);
+    });
+
+    if (speedSelect) {
+        speedSelect.value = Hydrograph.stepInterval;
+        speedSelect.addEventListener('change', () => {
+            Hydrograph.stepInterval = parseInt(speedSelect.value, 10);
+            // Restart so the new interval takes effect
+            if (Hydrograph.isPlaying()) playHydrograph();
+        });
+    }
+
+    if (playBtn) {
+        playBtn.addEventListener('click', () => {
+            if (Hydrograph.isPlaying()) {
+                Hydrograph.stop();
+                updateHydrographUI();
+                recordHistory(I18n.t('history.hydrograph', { name: Hydrograph.series.name }));
+            } else {
+                playHydrograph();
+            }
+        });
+    }
+    if (rewindBtn) {
+        rewindBtn.addEventListener('click', rewindHydrograph);
+    }
+
+    if (loadBtn && fileInput) {
+        loadBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+
+            file.text().then(text => {
+                const { series, errors } = Hydrograph.parseCSV(text, file.name);
+                if (!series) {
+                    showFileStatus('hydrograph-status', [I18n.t('file.couldNotLoad', { name: file.name }), ...errors], 'error');
+                    return;
+                }
+
+                let option = select.querySelector('option[value="csv"]');
+                if (!option) {
+                    option = document.createElement('option');
+                    option.value = 'csv';
+                    select.appendChild(option);
+                }
+                option.textContent = file.name;
+                select.value = 'csv';
+                state.hydrographId = 'csv';
+
+                const descriptionEl = document.getElementById('hydrograph-description');
+                if (descriptionEl) {
+                    descriptionEl.dataset.i18n = series.hasQs ? 'hydrograph.fileQwQs' : 'hydrograph.fileQw';
+                    descriptionEl.textContent = I18n.t(descriptionEl.dataset.i18n);
+                }
+
+                loadHydrographSeries(series);
+                showFileStatus('hydrograph-status', [I18n.t('hydrograph.loaded', { count: series.points.length, name: file.name })], 'success');
+            }).catch(error => {
+                showFileStatus('hydrograph-status', [I18n.t('file.couldNotRead', { name: file.name, message: error.message })], 'error');
+            }).finally(() => {
+                // Allow loading the same file again
+                fileInput.value = '';
+            });
+        });
+    }
+
+    loadSyntheticHydrograph(state.hydrographId);
+}
+
+/**
+ * Load a synthetic hydrograph scaled to the current discharge
+ * @param {string} id - Key of Hydrograph.synthetic
+ */
+function loadSyntheticHydrograph(id) {
+    const series = Hydrograph.createSynthetic(id, Balance.toPhysical('Qw', state.Qw));
+    if (!series) return;
+
+    const descriptionEl = document.getElementById('hydrograph-description');
+    if (descriptionEl) {
+        descriptionEl.dataset.i18n = `hydrograph.${id}.description`;
+        descriptionEl.textContent = I18n.t(descriptionEl.dataset.i18n);
+    }
+    showFileStatus('hydrograph-status', [], 'success');
+    loadHydrographSeries(series);
+}
+
+/**
+ * Make a series current and reset the plot
+ * @param {Object} series - Hydrograph series
+ */
+function loadHydrographSeries(series) {
+    Hydrograph.load(series);
+    state.hydrographStart = null;
+    TimeSeriesView.setSeries(series);
+    updateHydrographUI();
+}
+
+/**
+ * Play the hydrograph from the current step
+ */
+function playHydrograph() {
+    if (!Hydrograph.series || movesHeldParam(Hydrograph.toSliders(Hydrograph.series.points[Hydrograph.index] || Hydrograph.series.points[0]))) return;
+
+    Scenarios.stop();
+    if (Hydrograph.index === 0 || Hydrograph.isFinished()) {
+        state.hydrographStart = { Qs: state.Qs, D50: state.D50, Qw: state.Qw, S: state.S };
+    }
+    if (Hydrograph.isFinished()) TimeSeriesView.update([]);
+
+    Hydrograph.start(applyHydrographPoint, () => {
+        updateHydrographUI();
+        recordHistory(I18n.t('history.hydrograph', { name: Hydrograph.series.name }));
+    });
+    updateHydrographUI();
+}
+
+/**
+ * Set the sliders from a hydrograph point and record the model result
+ * @param {Object} point - Hydrograph point
+ */
+function applyHydrographPoint(point) {
+    const values = Hydrograph.toSliders(point);
+    if (movesHeldParam(values)) {
+        Hydrograph.stop();
+        updateHydrographUI();
+        return;
+    }
+
+    state.lastChanged = 'Qw';
+    Object.entries(values).forEach(([key, value]) => setSliderParameter(key, value));
+    updateAll();
+
+    Hydrograph.record(point, state.balanceRatio);
+    TimeSeriesView.update(Hydrograph.records);
+    updateHydrographUI();
+}
+
+/**
+ * Return to the first step and restore the sliders from before playback
+ */
+function rewindHydrograph() {
+    Hydrograph.stop();
+    Hydrograph.rewind();
+    TimeSeriesView.update([]);
+
+    if (state.hydrographStart && !movesHeldParam(state.hydrographStart)) {
+        Object.entries(state.hydrographStart).forEach(([key, value]) => setSliderParameter(key, value));
+        state.hydrographStart = null;
+        state.lastChanged = null;
+        updateAll();
+    }
+    updateHydrographUI();
+}
+
+/**
+ * Update play button, step readout and time-in-tendency summary
+ */
+function updateHydrographUI() {
+    const playBtn = document.getElementById('hydrograph-play-btn');
+    const summaryEl = document.getElementById('hydrograph-summary');
+    const series = Hydrograph.series;
+
+    if (playBtn) {
+        playBtn.textContent = I18n.t(Hydrograph.isPlaying() ? 'controls.pause' : 'controls.play');
+        playBtn.classList.toggle('running', Hydrograph.isPlaying());
+    }
+    if (!summaryEl || !series) return;
+
+    summaryEl.innerHTML = '';
+    const records = Hydrograph.records;
+    const last = records[records.length - 1];
+
+    const step = document.createElement('li');
+    step.textContent = last
+        ? I18n.t('hydrograph.step', { step: records.length, count: series.points.length, label: last.label })
+        : I18n.t('hydrograph.steps', {
+            count: series.points.length,
+            days: Math.round(series.points[series.points.length - 1].time)
+        });
+    summaryEl.appendChild(step);
+
+    const totals = Hydrograph.summarize();
+    if (!totals.total) return;
+
+    ['aggradation', 'equilibrium', 'degradation'].forEach(tendency => {
+        const days = totals[tendency];
+        const li = document.createElement('li');
+        const swatch = document.createElement('span');
+        swatch.className = 'phase-swatch';
+        swatch.style.background = TimeSeriesView.colors[tendency];
+        li.appendChild(swatch);
+        li.appendChild(document.createTextNode(I18n.t('hydrograph.time', {
+            state: I18n.t(`state.${tendency}`),
+            days: Math.round(days),
+            percent: Math.round(100 * days / totals.total)
+        })));
+        summaryEl.appendChild(li);
+    });
+}
+
+/**
+ * Bind rating curve coupling toggle, coefficient inputs, fitting and reset
+ */
+function bindRatingCurveControls() {
+    const enabledToggle = document.getElementById('rating-enabled');
+    const aInput = document.getElementById('rating-a');
+    const bInput = document.getElementById('rating-b');
+    const dataEl = document.getElementById('rating-data');
+    const fitBtn = document.getElementById('rating-fit-btn');
+    const resetBtn = document.getElementById('rating-reset-btn');
+
+    RatingCurve.reset();
+
+    if (enabledToggle) {
+        enabledToggle.addEventListener('change', () => {
+            RatingCurve.enabled = enabledToggle.checked;
+            syncRatingCurveControls();
+            updateAll();
+            recordHistory(I18n.t(RatingCurve.enabled ? 'history.ratingCoupled' : 'history.ratingUncoupled'));
+        });
+    }
+
+    [aInput, bInput].forEach(input => {
+        if (!input) return;
+        input.addEventListener('change', () => {
+            RatingCurve.setCoefficients(parseFloat(aInput.value), parseFloat(bInput.value));
+            syncRatingCurveControls();
+            updateAll();
+        });
+    });
+
+    if (fitBtn && dataEl) {
+        fitBtn.addEventListener('click', () => {
+            const { pairs, errors } = RatingCurve.parsePairs(dataEl.value);
+            const result = RatingCurve.fit(pairs);
+            if (!result) {
+                showFileStatus('rating-status', [
+                    I18n.t('rating.needPairs'),
+                    ...errors
+                ], 'error');
+                return;
+            }
+
+            RatingCurve.data = pairs;
+            RatingCurve.setCoefficients(result.a, result.b);
+            syncRatingCurveControls();
+            showFileStatus('rating-status', [
+                I18n.t('rating.fitted', {
+                    count: result.n,
+                    a: formatQuantity(result.a),
+                    b: I18n.formatFixed(result.b, 2),
+                    r2: I18n.formatFixed(result.r2, 3)
+                }),
+                ...errors.map(error => I18n.t('rating.skipped', { error }))
+            ], errors.length ? 'error' : 'success');
+            updateAll();
+        });
+    }
+
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            RatingCurve.reset();
+            RatingCurve.data = [];
+            syncRatingCurveControls();
+            showFileStatus('rating-status', [], 'success');
+            updateAll();
+        });
+    }
+
+    syncRatingCurveControls();
+}
+
+/**
+ * Show the rating curve settings; lock the Qs controls while coupled
+ */
+function syncRatingCurveControls() {
+    const enabledToggle = document.getElementById('rating-enabled');
+    const aInput = document.getElementById('rating-a');
+    const bInput = document.getElementById('rating-b');
+
+    if (enabledToggle) enabledToggle.checked = RatingCurve.enabled;
+    if (aInput) aInput.value = roundQuantity(RatingCurve.a);
+    if (bInput) bInput.value = Number(RatingCurve.b.toFixed(2));
+
+    syncSliderLocks();
+}
+
+/**
+ * Parameters held fixed by the quiz (all of them while a prediction is
+ * pending) or by the current lesson step
+ * @returns {{keys: string[], reason: string}}
+ */
+function getHeldParams() {
+    if (Quiz.current() && !Quiz.isAnswered()) {
+        return { keys: Object.keys(PARAM_CONTROLS), reason: I18n.t('locks.quiz') };
+    }
+    return { keys: Lessons.getLocked(), reason: I18n.t('locks.lesson') };
+}
+
+/**
+ * Whether slider values would move a parameter the quiz or lesson holds
+ * @param {Object} values - Slider values keyed by parameter
+ * @returns {boolean}
+ */
+function movesHeldParam(values) {
+    const { keys } = getHeldParams();
+    return Object.keys(values).some(key => keys.includes(key) && values[key] !== state[key]);
+}
+
+/**
+ * Disable the parameter sliders and physical inputs that are locked:
+ * those the quiz or lesson holds, and Qs while it follows the rating
+ * curve. Buttons that move held parameters are disabled too: scenarios,
+ * reset, state loading and hydrograph rewind while anything is held,
+ * hydrograph playback while Qw or Qs is, the simulation while S is, and
+ * the rating curve toggle for the whole quiz or lesson. The phase
+ * diagram, history and network check movesHeldParam() themselves, as do
+ * the handlers behind these buttons.
+ */
+function syncSliderLocks() {
+    const held = getHeldParams();
+
+    Object.entries(PARAM_CONTROLS).forEach(([key, ids]) => {
+        let reason = '';
+        if (held.keys.includes(key)) {
+            reason = held.reason;
+        } else if (key === 'Qs' && RatingCurve.enabled) {
+            reason = I18n.t('locks.rating');
+        }
+
+        ['slider', 'physical'].forEach(control => {
+            const element = document.getElementById(ids[control]);
+            if (!element) return;
+            element.disabled = Boolean(reason);
+            element.title = reason;
+        });
+    });
+
+    const holds = (...keys) => (keys.some(key => held.keys.includes(key)) ? held.reason : '');
+    const anyHeld = holds(...Object.keys(PARAM_CONTROLS));
+    const reasons = {
+        'scenario-play-btn': anyHeld,
+        'reset-btn': anyHeld,
+        'load-state-btn': anyHeld,
+        'hydrograph-rewind-btn': anyHeld,
+        'hydrograph-play-btn': holds('Qw', 'Qs'),
+        'sim-play-btn': holds('S'),
+        'sim-step-btn': holds('S'),
+        'rating-enabled': Quiz.current() || Lessons.active ? I18n.t('locks.ratingOff') : ''
+    };
+    Object.entries(reasons).forEach(([id, reason]) => {
+        const element = document.getElementById(id);
+        if (!element) return;
+        element.disabled = Boolean(reason);
+        element.title = reason;
+    });
+}
+
+/**
+ * Update the rating curve plot and the supply- vs transport-limited explanation
+ * @param {number} duration - Marker animation duration in ms
+ */
+function updateRatingCurveUI(duration) {
+    const regimeEl = document.getElementById('rating-regime');
+    const trendEl = document.getElementById('rating-trend');
+
+    const Qw = Balance.toPhysical('Qw', state.Qw);
+    const Qs = Balance.toPhysical('Qs', state.Qs);
+    const D50 = Balance.toPhysical('D50', state.D50);
+    const S = Balance.toPhysical('S', state.S);
+    const capacityAt = (discharge, width) => Transport.calculateCapacity(
+        state.transportFormula, discharge, S, D50, width
+    ).capacity;
+    // The swept curve uses regime widths; the current point uses the
+    // adjusted width the transport panel uses, so both report the same capacity
+    const curveCapacityAt = discharge => capacityAt(discharge, state.channelWidth || HydraulicGeometry.regime(discharge).width);
+
+    RatingCurveView.update({ Qw, Qs }, Balance.getState(state.balanceRatio), RatingCurve.data, curveCapacityAt, duration);
+
+    if (regimeEl) {
+        const capacity = capacityAt(Qw, getChannelWidth());
+        const regime = RatingCurve.getRegime(Qs, capacity);
+        const key = regime === 'transport-limited' && !(capacity > 0) ? 'rating.regime.belowThreshold' : `rating.regime.${regime}`;
+        regimeEl.textContent = I18n.t(key, { capacity: formatQuantity(capacity), supply: formatQuantity(Qs) });
+        regimeEl.className = `rating-regime ${regime}`;
+    }
+
+    if (trendEl) {
+        const b = I18n.formatNumber(RatingCurve.b, { maximumFractionDigits: 2 });
+        const { tendency } = RatingCurve.getTrend(state.D50, state.Qw, state.S);
+        const prefix = I18n.t(RatingCurve.enabled ? 'rating.coupled' : 'rating.ifCoupled');
+        trendEl.textContent = `${prefix}: ${I18n.t(`rating.trend.${tendency}`, { b })}`;
+    }
+}
+
+/**
+ * Bind river network add and reset buttons and build the reach table
+ */
+function bindNetworkControls() {
+    const addBtn = document.getElementById('network-add-btn');
+    const resetBtn = document.getElementById('network-reset-btn');
+
+    // Name the default reaches in the chosen language
+    Network.reset();
+
+    if (addBtn) {
+        addBtn.addEventListener('click', () => {
+            Network.addReach();
+            renderNetworkTable();
+            updateNetwork();
+        });
+    }
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            Network.reset();
+            NetworkView.selected = null;
+            renderNetworkTable();
+            updateNetwork();
+        });
+    }
+
+    renderNetworkTable();
+}
+
+/**
+ * Rebuild the reach table rows (after adding or removing reaches)
+ */
+function renderNetworkTable() {
+    const tbody = document.getElementById('network-rows');
+    if (!tbody) return;
+
+    tbody.innerHTML = '';
+    Network.reaches.forEach((reach, index) => {
+        const row = document.createElement('tr');
+
+        const nameCell = document.createElement('td');
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'network-name';
+        nameInput.value = reach.name;
+        nameInput.setAttribute('aria-label', I18n.t('network.reachNameLabel', { number: index + 1 }));
+        nameInput.addEventListener('change', () => {
+            reach.name = nameInput.value.trim() || I18n.t('network.reachName', { number: index + 1 });
+            updateNetwork();
+        });
+        nameCell.appendChild(nameInput);
+        row.appendChild(nameCell);
+
+        // Slider-value inputs; tributary inflows may be left blank
+        ['D50', 'S', 'inflowQw', 'inflowQs'].forEach(key => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = Network.min;
+            input.max = Network.max;
+            input.step = 1;
+            input.dataset.key = key;
+            const headwater = I18n.t(index === 0 ? 'network.headwater' : 'network.tributary');
+            input.setAttribute('aria-label', key.startsWith('inflow')
+                ? `${reach.name} ${headwater} ${key.slice(6)}`
+                : `${reach.name} ${key}`);
+            if (key.startsWith('inflow') && index > 0) input.placeholder = I18n.t('network.none');
+            input.addEventListener('change', () => {
+                Network.setValue(index, key, input.value === '' ? null : parseFloat(input.value));
+                updateNetwork();
+            });
+            cell.appendChild(input);
+            row.appendChild(cell);
+        });
+
+        ['network-qw', 'network-qs-in', 'network-ratio', 'network-qs-out'].forEach(className => {
+            const cell = document.createElement('td');
+            cell.className = className;
+            row.appendChild(cell);
+        });
+
+        const actionCell = document.createElement('td');
+        const loadBtn = document.createElement('button');
+        loadBtn.type = 'button';
+        loadBtn.textContent = I18n.t('network.load');
+        loadBtn.setAttribute('aria-label', I18n.t('network.loadLabel', { name: reach.name }));
+        loadBtn.addEventListener('click', () => selectNetworkReach(index));
+        actionCell.appendChild(loadBtn);
+        if (Network.reaches.length > 1) {
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.textContent = '×';
+            removeBtn.setAttribute('aria-label', I18n.t('network.removeLabel', { name: reach.name }));
+            removeBtn.addEventListener('click', () => {
+                Network.removeReach(index);
+                NetworkView.selected = null;
+                renderNetworkTable();
+                updateNetwork();
+            });
+            actionCell.appendChild(removeBtn);
+        }
+        row.appendChild(actionCell);
+
+        tbody.appendChild(row);
+    });
+}
+
+/**
+ * Route sediment through the network and refresh the table and diagram
+ * @param {number} duration - Diagram transition duration in ms
+ */
+function updateNetwork(duration = 400) {
+    const results = Network.compute();
+    const rows = document.querySelectorAll('#network-rows tr');
+
+    results.forEach((result, index) => {
+        const row = rows[index];
+        if (!row) return;
+        const reach = Network.reaches[index];
+
+        row.classList.toggle('selected', index === NetworkView.selected);
+        row.querySelectorAll('input[type="number"]').forEach(input => {
+            const key = input.dataset.key;
+            if (key === 'D50' || key === 'S') {
+                input.value = reach[key];
+            } else {
+                input.value = reach.inflow ? reach.inflow[key.slice(6)] : '';
+            }
+        });
+
+        row.querySelector('.network-qw').textContent = formatQuantity(result.Qw);
+        row.querySelector('.network-qs-in').textContent = formatQuantity(result.QsIn);
+        const ratioCell = row.querySelector('.network-ratio');
+        ratioCell.textContent = `${I18n.formatFixed(result.ratio, 2)} (${I18n.t(`state.${result.state}`).toLowerCase()})`;
+        ratioCell.className = `network-ratio ${result.state}`;
+        row.querySelector('.network-qs-out').textContent = formatQuantity(result.QsOut);
+    });
+
+    NetworkView.update(results, Network.reaches, duration);
+}
+
+/**
+ * Load a reach into the sliders (and so the scale, plan and other views)
+ * @param {number} index - Reach index
+ */
+function selectNetworkReach(index) {
+    const result = Network.compute()[index];
+    if (!result || movesHeldParam(Network.toSliders(result))) return;
+
+    stopPlayback();
+    NetworkView.selected = index;
+    Object.entries(Network.toSliders(result)).forEach(([key, value]) => setSliderParameter(key, value));
+    state.lastChanged = null;
+    updateAll();
+    recordHistory(I18n.t('history.network', { name: result.name }));
+}
+
+/**
+ * Bind undo/redo buttons, history scrubber and keyboard shortcuts
+ * (Ctrl+Z undo, Ctrl+Shift+Z or Ctrl+Y redo)
+ */
+function bindHistoryControls() {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    const scrubber = document.getElementById('history-scrubber');
+
+    if (undoBtn) {
+        undoBtn.addEventListener('click', () => stepHistory(-1));
+    }
+    if (redoBtn) {
+        redoBtn.addEventListener('click', () => stepHistory(1));
+    }
+    if (scrubber) {
+        scrubber.addEventListener('input', (e) => {
+            goToHistoryEntry(parseInt(e.target.value, 10));
+        });
+    }
+
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey)) return;
+
+        // Leave native undo to text fields
+        if (e.target.matches && e.target.matches('textarea, input[type="number"], input[type="text"]')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            stepHistory(-1);
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            stepHistory(1);
+        }
+    });
+}
+
+/**
+ * Record the current parameters in the undo history
+ * @param {string} label - What produced this state
+ */
+function recordHistory(label) {
+    flushSliderChange();
+    ParameterHistory.record(state, Balance.getState(state.balanceRatio), label);
+    updateHistoryUI();
+}
+
+/**
+ * Record a slider change once its run of changes ends; a change to
+ * another slider records the pending one first
+ * @param {string} stateKey - Parameter that changed
+ */
+function recordSliderChange(stateKey) {
+    if (pendingSliderChange.entry && pendingSliderChange.entry.key !== stateKey) flushSliderChange();
+
+    clearTimeout(pendingSliderChange.timer);
+    pendingSliderChange.entry = {
+        key: stateKey,
+        params: { Qs: state.Qs, D50: state.D50, Qw: state.Qw, S: state.S },
+        tendency: Balance.getState(state.balanceRatio)
+    };
+    pendingSliderChange.timer = setTimeout(flushSliderChange, pendingSliderChange.delay);
+    updateHistoryUI();
+}
+
+/**
+ * Record the pending slider change now, with the values it ended on
+ */
+function flushSliderChange() {
+    const { entry } = pendingSliderChange;
+    clearTimeout(pendingSliderChange.timer);
+    pendingSliderChange.timer = null;
+    pendingSliderChange.entry = null;
+    if (!entry) return;
+
+    ParameterHistory.record(entry.params, entry.tendency, I18n.t('history.changed', { param: entry.key }));
+    updateHistoryUI();
+}
+
+/**
+ * Undo (-1) or redo (1), after recording a pending slider change
+ * @param {number} offset - Entries to move
+ */
+function stepHistory(offset) {
+    flushSliderChange();
+    goToHistoryEntry(ParameterHistory.index + offset);
+}
+
+/**
+ * Move to a history entry (undo, redo, scrubber or list) unless it
+ * would change a parameter the quiz or lesson holds
+ * @param {number} index - Entry index
+ */
+function goToHistoryEntry(index) {
+    flushSliderChange();
+    const entry = ParameterHistory.entries[index];
+    if (!entry || movesHeldParam(entry.params)) {
+        // Put the scrubber back on the current entry
+        updateHistoryUI();
+        return;
+    }
+    restoreHistoryEntry(ParameterHistory.goTo(index));
+}
+
+/**
+ * Restore a history entry without recording a new one
+ * @param {Object|null} entry - Entry returned by ParameterHistory
+ */
+function restoreHistoryEntry(entry) {
+    if (!entry) return;
+
+    stopPlayback();
+    Object.entries(entry.params).forEach(([key, value]) => setSliderParameter(key, value));
+    state.lastChanged = null;
+    updateAll();
+    updateHistoryUI();
+}
+
+/**
+ * Update undo/redo buttons, scrubber and history list
+ */
+function updateHistoryUI() {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    const scrubber = document.getElementById('history-scrubber');
+    const list = document.getElementById('history-list');
+
+    // A pending slider change counts as recorded
+    const pending = pendingSliderChange.entry !== null;
+    if (undoBtn) undoBtn.disabled = !ParameterHistory.canUndo() && !pending;
+    if (redoBtn) redoBtn.disabled = !ParameterHistory.canRedo() || pending;
+    if (scrubber) {
+        scrubber.max = Math.max(0, ParameterHistory.entries.length - 1);
+        scrubber.value = ParameterHistory.index;
+    }
+    if (!list) return;
+
+    list.innerHTML = '';
+    ParameterHistory.entries.forEach((entry, index) => {
+        const { Qs, D50, Qw, S } = entry.params;
+        const tendency = I18n.t(`state.${entry.tendency}`);
+
+        const li = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = entry.tendency;
+        button.classList.toggle('current', index === ParameterHistory.index);
+        button.classList.toggle('future', index > ParameterHistory.index);
+        button.textContent = `${index + 1}. ${entry.label}: Qs ${Qs} · D50 ${D50} · Qw ${Qw} · S ${S} → ${tendency}`;
+        if (index === ParameterHistory.index) {
+            button.setAttribute('aria-current', 'step');
+        }
+        button.addEventListener('click', () => goToHistoryEntry(index));
+
+        li.appendChild(button);
+        list.appendChild(li);
+    });
+
+    // Keep the current entry in view by scrolling the list only, not the page
+    const currentItem = list.querySelector('.current');
+    if (currentItem) {
+        const top = currentItem.offsetTop;
+        const bottom = top + currentItem.offsetHeight;
+        if (top < list.scrollTop) {
+            list.scrollTop = top;
+        } else if (bottom > list.scrollTop + list.clientHeight) {
+            list.scrollTop = bottom - list.clientHeight;
+        }
+    }
+}
+
+/**
+ * Bind reset button click event
+ */
+function bindResetButton() {
+    const resetBtn = document.getElementById('reset-btn');
+    if (resetBtn) {
+        resetBtn.addEventListener('click', resetToEquilibrium);
+    }
+}
+
+/**
+ * Bind display toggles
+ */
+function bindToggles() {
+    const tooltipToggle = document.getElementById('toggle-tooltips');
+    const numericToggle = document.getElementById('toggle-numeric');
+    const unitsToggle = document.getElementById('toggle-units');
+
+    const updateToggleState = () => {
+        document.body.classList.toggle('show-tooltips', !!tooltipToggle?.checked);
+        document.body.classList.toggle('numeric-off', !numericToggle?.checked);
+        document.body.classList.toggle('units-physical', !!unitsToggle?.checked);
+        scheduleUrlUpdate();
+    };
+
+    if (tooltipToggle) {
+        tooltipToggle.addEventListener('change', updateToggleState);
+    }
+    if (numericToggle) {
+        numericToggle.addEventListener('change', updateToggleState);
+    }
+    if (unitsToggle) {
+        unitsToggle.addEventListener('change', () => {
+            Balance.setUnitMode(unitsToggle.checked ? 'physical' : 'relative');
+            updateToggleState();
+            refreshSliderValues();
+            updateAll();
+        });
+        Balance.setUnitMode(unitsToggle.checked ? 'physical' : 'relative');
+        refreshSliderValues();
+    }
+
+    updateToggleState();
+}
+
+/**
+ * Bind the sonification toggle. Sound can only start from a user gesture,
+ * so the toggle is not restored from links or files.
+ */
+function bindSoundToggle() {
+    const soundToggle = document.getElementById('toggle-sound');
+    if (!soundToggle) return;
+
+    if (!Sonification.isSupported()) {
+        soundToggle.disabled = true;
+        soundToggle.parentElement.dataset.i18nAttr = 'title:display.soundUnavailable';
+        soundToggle.parentElement.title = I18n.t('display.soundUnavailable');
+        return;
+    }
+
+    soundToggle.addEventListener('change', () => {
+        if (!soundToggle.checked) {
+            Sonification.disable();
+            return;
+        }
+        Sonification.enable();
+        const pattern = PatternClassifiers.getPattern(state.Qs, state.D50, state.Qw, state.S, state.balanceRatio);
+        Sonification.update(state.balanceRatio, pattern);
+    });
+}
+
+/**
+ * Reset all parameters to equilibrium.
+ * Relative mode uses slider 50; physical mode uses the reference values.
+ */
+function resetToEquilibrium() {
+    const values = {};
+    Object.keys(PARAM_CONTROLS).forEach(key => {
+        values[key] = Balance.unitMode === 'physical'
+            ? clampSliderValue(Balance.fromPhysical(key, Balance.getReference(key)))
+            : 50;
+    });
+    if (movesHeldParam(values)) return;
+
+    stopPlayback();
+    Object.entries(values).forEach(([key, value]) => setSliderParameter(key, value));
+    state.lastChanged = null;
+
+    // Update visualizations
+    updateAll();
+    recordHistory(I18n.t('history.reset'));
+}
+
+/**
+ * Set a parameter in state and sync its slider and readout
+ * @param {string} key - 'Qs' | 'D50' | 'Qw' | 'S'
+ * @param {number} value - Slider value (1-100)
+ */
+function setSliderParameter(key, value) {
+    const ids = PARAM_CONTROLS[key];
+    state[key] = value;
+
+    const slider = document.getElementById(ids.slider);
+    if (slider) slider.value = value;
+    updateSliderValue(document.getElementById(ids.output), value, ids.slider);
+}
+
+/**
+ * Refresh all slider readouts (e.g. after switching unit mode)
+ */
+function refreshSliderValues() {
+    Object.entries(PARAM_CONTROLS).forEach(([key, ids]) => {
+        updateSliderValue(document.getElementById(ids.output), state[key], ids.slider);
+    });
+}
+
+/**
+ * Round and clamp a value to the 1-100 slider range
+ * @param {number} value
+ * @returns {number}
+ */
+function clampSliderValue(value) {
+    return Math.max(1, Math.min(100, Math.round(value)));
+}
+
+/**
+ * Bind the before / after comparison: per-side sliders, copy, swap and
+ * reset buttons. The comparison views are only drawn while it is open.
+ */
+function bindComparisonControls() {
+    const details = document.getElementById('comparison');
+    if (!details) return;
+
+    ['before', 'after'].forEach(side => {
+        Object.keys(Comparison.sides[side]).forEach(key => {
+            const slider = document.getElementById(`compare-${side}-${key.toLowerCase()}`);
+            if (!slider) return;
+            slider.addEventListener('input', () => {
+                Comparison.setValue(side, key, parseInt(slider.value, 10));
+                updateComparison(state.animationDuration, [side]);
+            });
+        });
+
+        const copyBtn = document.getElementById(`compare-${side}-copy-btn`);
+        if (copyBtn) {
+            copyBtn.addEventListener('click', () => {
+                Comparison.setSide(side, { Qs: state.Qs, D50: state.D50, Qw: state.Qw, S: state.S });
+                updateComparison(state.animationDuration, [side]);
+            });
+        }
+    });
+
+    const swapBtn = document.getElementById('comparison-swap-btn');
+    const resetBtn = document.getElementById('comparison-reset-btn');
+    if (swapBtn) {
+        swapBtn.addEventListener('click', () => {
+            Comparison.swap();
+            updateComparison();
+        });
+    }
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            Comparison.reset();
+            updateComparison();
+        });
+    }
+
+    details.addEventListener('toggle', () => {
+        if (details.open) {
+            initComparisonViews();
+            updateComparison(0);
+        } else {
+            stopComparisonViews();
+        }
+    });
+
+    updateComparison(0);
+}
+
+/**
+ * Whether the comparison panel is expanded
+ * @returns {boolean}
+ */
+function isComparisonOpen() {
+    const details = document.getElementById('comparison');
+    return Boolean(details && details.open);
+}
+
+/**
+ * Initialize the comparison scale, plan and process views
+ */
+function initComparisonViews() {
+    Object.entries(comparisonViews).forEach(([side, views]) => {
+        views.scale.init(`compare-${side}-scale`);
+        views.plan.init(`compare-${side}-plan`);
+        views.process.init(`compare-${side}-processes`);
+    });
+}
+
+/**
+ * Stop the comparison plan views' flow animation
+ */
+function stopComparisonViews() {
+    Object.values(comparisonViews).forEach(views => {
+        views.plan.stopFlowAnimation();
+        if (views.scale.beamGroup) views.scale.beamGroup.interrupt();
+    });
+}
+
+/**
+ * Refresh the comparison sliders, views and diff summary
+ * @param {number} duration - Animation duration in ms
+ * @param {string[]} sides - Sides whose views to redraw (the other keeps its process list)
+ */
+function updateComparison(duration = state.animationDuration, sides = ['before', 'after']) {
+    const result = Comparison.compare();
+    const open = isComparisonOpen();
+
+    sides.forEach(side => {
+        const { params, ratio, state: stateName, pattern } = result[side];
+        const views = comparisonViews[side];
+
+        Object.entries(params).forEach(([key, value]) => {
+            const id = `compare-${side}-${key.toLowerCase()}`;
+            const slider = document.getElementById(id);
+            const output = document.getElementById(`${id}-value`);
+            if (slider) slider.value = value;
+            if (output) output.textContent = value;
+        });
+
+        const summaryEl = document.getElementById(`compare-${side}-summary`);
+        if (summaryEl) {
+            summaryEl.textContent = I18n.t('comparison.summary', {
+                ratio: I18n.formatFixed(ratio, 2),
+                state: I18n.t(`state.${stateName}`).toLowerCase(),
+                pattern: I18n.t(`pattern.${pattern}`).toLowerCase()
+            });
+        }
+
+        if (!open) return;
+        views.scale.update(ratio, params, duration);
+        views.plan.update(params.Qs, params.D50, params.Qw, params.S, ratio, duration);
+        views.process.update(ratio, params.Qw, params.S, pattern, params);
+    });
+
+    const list = document.getElementById('comparison-diff');
+    if (!list) return;
+
+    const { diff } = result;
+    const signed = x => `${x >= 0 ? '+' : ''}${I18n.formatFixed(x, 2)}`;
+    const change = ({ before, after, changed }, prefix) => {
+        const from = I18n.t(`${prefix}.${before}`).toLowerCase();
+        const to = I18n.t(`${prefix}.${after}`).toLowerCase();
+        return changed ? `${from} → ${to}` : I18n.t('comparison.unchanged', { value: from });
+    };
+    const names = processes => (processes.length
+        ? processes.map(process => process.name).join(', ')
+        : I18n.t('comparison.none'));
+
+    list.innerHTML = '';
+    [
+        I18n.t('comparison.diff.ratio', {
+            before: I18n.formatFixed(diff.ratio.before, 2),
+            after: I18n.formatFixed(diff.ratio.after, 2),
+            factor: I18n.formatFixed(diff.ratio.factor, 2)
+        }),
+        I18n.t('comparison.diff.imbalance', {
+            before: signed(diff.imbalance.before),
+            after: signed(diff.imbalance.after),
+            change: signed(diff.imbalance.change)
+        }),
+        I18n.t('comparison.diff.state', { change: change(diff.state, 'state') }),
+        I18n.t('comparison.diff.pattern', { change: change(diff.pattern, 'pattern') }),
+        I18n.t('comparison.diff.added', { processes: names(diff.added) }),
+        I18n.t('comparison.diff.removed', { processes: names(diff.removed) })
+    ].forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        list.appendChild(item);
+    });
+}
 
-// Store references for cleanup
-let resizeHandler = null;
 
 /**
- * Initialize the application
+ * Bind quiz start, bank loading, answer and export controls,
+ * and load the quiz bank file
  */
-function init() {
-    // Initialize all visualizations
-    ScaleView.init('scale-viz');
-    PlanView.init('plan-viz');
-    ProcessView.init('process-list');
+function bindQuizControls() {
+    const startBtn = document.getElementById('quiz-start-btn');
+    const loadBtn = document.getElementById('quiz-load-btn');
+    const exportBtn = document.getElementById('quiz-export-btn');
+    const fileInput = document.getElementById('quiz-file');
+    const form = document.getElementById('quiz-form');
+    const nextBtn = document.getElementById('quiz-next-btn');
+    if (!form) return;
 
-    // Bind slider events
-    bindSliders();
+    const patternSelect = document.getElementById('quiz-pattern');
+    if (patternSelect) {
+        ProcessRules.patterns.forEach(pattern => {
+            const option = document.createElement('option');
+            option.value = pattern;
+            option.dataset.i18n = `pattern.${pattern}`;
+            option.textContent = I18n.t(option.dataset.i18n);
+            patternSelect.appendChild(option);
+        });
+    }
 
-    // Bind reset button
-    bindResetButton();
+    if (startBtn) startBtn.addEventListener('click', startQuiz);
 
-    // Bind display toggles
-    bindToggles();
+    if (loadBtn && fileInput) {
+        loadBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
 
-    // Set initial previous state
-    state.previousState = { ...state };
+            file.text().then(text => {
+                const { doc, errors } = Quiz.parse(text);
+                if (!doc) {
+                    showFileStatus('quiz-status', [I18n.t('file.couldNotLoad', { name: file.name }), ...errors], 'error');
+                    return;
+                }
+                Quiz.apply(doc, file.name);
+                resetQuizUI();
+                showFileStatus('quiz-status', [I18n.t('quiz.loaded', { count: doc.questions.length, name: file.name })], 'success');
+            }).catch(error => {
+                showFileStatus('quiz-status', [I18n.t('file.couldNotRead', { name: file.name, message: error.message })], 'error');
+            }).finally(() => {
+                // Allow loading the same file again
+                fileInput.value = '';
+            });
+        });
+    }
 
-    // Bind screenshot button
-    bindScreenshotButton();
+    if (exportBtn) exportBtn.addEventListener('click', () => Quiz.download());
 
-    // Initial update
-    updateAll();
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const checked = form.querySelector('input[name="quiz-state"]:checked');
+        revealQuizAnswer({
+            state: checked ? checked.value : null,
+            pattern: patternSelect ? patternSelect.value : null,
+            process: document.getElementById('quiz-process').value
+        });
+    });
 
-    // Handle window resize (store reference for cleanup)
-    resizeHandler = debounce(handleResize, 250);
-    window.addEventListener('resize', resizeHandler);
+    if (nextBtn) {
+        nextBtn.addEventListener('click', () => {
+            Quiz.next();
+            if (Quiz.isFinished()) {
+                showQuizScore();
+            } else {
+                showQuizQuestion();
+            }
+        });
+    }
 
-    // Cleanup on page unload
-    window.addEventListener('beforeunload', cleanup);
+    Quiz.init().then(errors => {
+        resetQuizUI();
+        if (errors.length) {
+            showFileStatus('quiz-status', [I18n.t('quiz.fileIgnored'), ...errors], 'error');
+        }
+    });
 }
 
 /**
- * Cleanup resources before page unload
+ * Show the active bank and clear any quiz in progress from the panel
  */
-function cleanup() {
-    // Remove resize listener
-    if (resizeHandler) {
-        window.removeEventListener('resize', resizeHandler);
+function resetQuizUI() {
+    showQuizSource();
+    syncSliderLocks();
+    document.getElementById('quiz-form').hidden = true;
+    document.getElementById('quiz-next-btn').hidden = true;
+    document.getElementById('quiz-feedback').innerHTML = '';
+    document.getElementById('quiz-progress').textContent = '';
+    document.getElementById('quiz-prompt').textContent = I18n.t('quiz.startPrompt');
+    document.getElementById('quiz-score').textContent = '';
+    document.getElementById('quiz-export-btn').disabled = true;
+}
+
+/**
+ * Show the active bank's title, size and origin
+ */
+function showQuizSource() {
+    const sourceEl = document.getElementById('quiz-source');
+    if (!sourceEl || !Quiz.bank) return;
+
+    const sources = { 'built-in': I18n.t('quiz.builtIn'), file: Quiz.url };
+    sourceEl.textContent = I18n.t('quiz.source', {
+        title: Quiz.bank.title || I18n.t('quiz.bank'),
+        count: Quiz.bank.questions.length,
+        source: sources[Quiz.source] || Quiz.source
+    });
+}
+
+/**
+ * Re-render the quiz panel text in the current language without
+ * touching the sliders or a prediction in progress
+ */
+function refreshQuizText() {
+    showQuizSource();
+    if (Quiz.isFinished()) {
+        showQuizScore();
+        return;
     }
-    // Stop flow animation
-    if (typeof PlanView !== 'undefined' && PlanView.stopFlowAnimation) {
-        PlanView.stopFlowAnimation();
+
+    const question = Quiz.current();
+    if (!question) {
+        document.getElementById('quiz-prompt').textContent = I18n.t('quiz.startPrompt');
+        return;
     }
+
+    document.getElementById('quiz-progress').textContent =
+        I18n.t('quiz.progress', { number: Quiz.index + 1, count: Quiz.bank.questions.length });
+    document.getElementById('quiz-prompt').textContent = Quiz.getPrompt(question);
+    document.getElementById('quiz-next-btn').textContent =
+        I18n.t(Quiz.index + 1 < Quiz.bank.questions.length ? 'quiz.next' : 'quiz.showScore');
+    document.querySelectorAll('#quiz-process option').forEach(option => {
+        const rule = Balance.processRules.find(candidate => candidate.id === option.value);
+        if (rule) option.textContent = Balance.getProcessName(rule);
+    });
 }
 
 /**
- * Bind screenshot button event
+ * Start the quiz at the first question; rating curve coupling is turned
+ * off so Qs only changes when a question says so
  */
-function bindScreenshotButton() {
-    const screenshotBtn = document.getElementById('screenshot-btn');
-    if (screenshotBtn) {
-        screenshotBtn.addEventListener('click', () => {
-            const target = document.querySelector('main');
-            if (!target) {
-                console.error('Screenshot target not found');
-                return;
-            }
+function startQuiz() {
+    stopPlayback();
+    if (RatingCurve.enabled) {
+        RatingCurve.enabled = false;
+        syncRatingCurveControls();
+    }
 
-            // Check if html2canvas is loaded
-            if (typeof html2canvas === 'undefined') {
-                console.error('html2canvas library not loaded');
-                alert('Screenshot feature unavailable - library failed to load');
-                return;
-            }
+    Quiz.start();
+    document.getElementById('quiz-score').textContent = '';
+    document.getElementById('quiz-export-btn').disabled = true;
+    showQuizQuestion();
+}
 
-            html2canvas(target, {
-                scale: 2,
-                useCORS: true
-            }).then(canvas => {
-                const link = document.createElement('a');
-                link.download = 'lane-balance-screenshot.png';
-                link.href = canvas.toDataURL('image/png');
-                link.click();
-            }).catch(error => {
-                console.error('Screenshot failed:', error);
-                alert('Failed to capture screenshot');
-            });
-        });
-    }
+/**
+ * Set the sliders to the current question's starting state and ask for a prediction
+ */
+function showQuizQuestion() {
+    const question = Quiz.current();
+    if (!question) return;
+
+    stopPlayback();
+    state.lastChanged = null;
+    Object.entries(Quiz.getStart(question)).forEach(([key, value]) => setSliderParameter(key, value));
+    updateAll();
+    syncSliderLocks();
+
+    document.getElementById('quiz-progress').textContent =
+        I18n.t('quiz.progress', { number: Quiz.index + 1, count: Quiz.bank.questions.length });
+    document.getElementById('quiz-prompt').textContent = Quiz.getPrompt(question);
+
+    // Process choices follow the active rules
+    const processSelect = document.getElementById('quiz-process');
+    processSelect.innerHTML = '';
+    Balance.processRules.forEach(rule => {
+        const option = document.createElement('option');
+        option.value = rule.id;
+        option.textContent = Balance.getProcessName(rule);
+        processSelect.appendChild(option);
+    });
+
+    const form = document.getElementById('quiz-form');
+    form.reset();
+    form.hidden = false;
+    document.getElementById('quiz-feedback').innerHTML = '';
+    document.getElementById('quiz-next-btn').hidden = true;
 }
 
 /**
- * Bind slider input events
+ * Grade a prediction, animate the views to the answer and show feedback
+ * @param {Object} prediction - { state, pattern, process }
  */
-function bindSliders() {
-    const sliders = {
-        'qs-slider': 'Qs',
-        'd50-slider': 'D50',
-        'qw-slider': 'Qw',
-        's-slider': 'S'
-    };
+function revealQuizAnswer(prediction) {
+    const result = Quiz.submit(prediction);
+    if (!result) return;
 
-    const sliderValues = {
-        'qs-slider': 'qs-value',
-        'd50-slider': 'd50-value',
-        'qw-slider': 'qw-value',
-        's-slider': 's-value'
+    syncSliderLocks();
+    stopPlayback();
+    const changed = Object.keys(result.end).filter(key => result.end[key] !== result.start[key]);
+    state.lastChanged = changed.length === 1 ? changed[0] : null;
+    Object.entries(result.end).forEach(([key, value]) => setSliderParameter(key, value));
+    updateAll();
+    recordHistory(I18n.t('history.quiz', { id: result.id }));
+
+    document.getElementById('quiz-form').hidden = true;
+
+    const processNames = result.answer.processes.map(process => process.name).join(', ');
+    const predictedProcess = Balance.processRules.find(rule => rule.id === result.prediction.process);
+    const answerLine = (part, prefix) => {
+        const answer = I18n.t(`${prefix}.${result.answer[part]}`);
+        return result.correct[part]
+            ? I18n.t(`quiz.answer.${part}`, { answer })
+            : I18n.t(`quiz.answer.${part}Wrong`, { answer, prediction: I18n.t(`${prefix}.${result.prediction[part]}`) });
     };
+    const lines = [
+        [result.correct.state, answerLine('state', 'state')],
+        [result.correct.pattern, answerLine('pattern', 'pattern')],
+        [result.correct.process, I18n.t(result.correct.process ? 'quiz.answer.process' : 'quiz.answer.processWrong', {
+            process: predictedProcess ? Balance.getProcessName(predictedProcess) : result.prediction.process,
+            active: processNames
+        })]
+    ];
 
-    Object.entries(sliders).forEach(([sliderId, stateKey]) => {
-        const slider = document.getElementById(sliderId);
-        const valueId = sliderValues[sliderId];
-        const valueEl = document.getElementById(valueId);
-        if (slider) {
-            // Set initial value
-            slider.value = state[stateKey];
-            updateSliderValue(valueEl, state[stateKey], sliderId);
+    const list = document.getElementById('quiz-feedback');
+    list.innerHTML = '';
+    lines.forEach(([correct, text]) => {
+        const item = document.createElement('li');
+        item.className = correct ? 'correct' : 'wrong';
+        item.textContent = `${correct ? '✓' : '✗'} ${text}`;
+        list.appendChild(item);
+    });
+    const explanation = document.createElement('li');
+    explanation.className = 'explanation';
+    explanation.textContent = result.feedback.join(' ');
+    list.appendChild(explanation);
 
-            // Bind input event (fires during drag)
-            slider.addEventListener('input', (e) => {
-                state.lastChanged = stateKey;
-                state[stateKey] = parseInt(e.target.value, 10);
-                updateSliderValue(valueEl, state[stateKey], sliderId);
-                updateAll();
+    const nextBtn = document.getElementById('quiz-next-btn');
+    nextBtn.textContent = I18n.t(Quiz.index + 1 < Quiz.bank.questions.length ? 'quiz.next' : 'quiz.showScore');
+    nextBtn.hidden = false;
+    document.getElementById('quiz-export-btn').disabled = false;
+}
+
+/**
+ * Show the final score and offer the results for export
+ */
+function showQuizScore() {
+    const { points, possible, percent, parts } = Quiz.score();
+    const total = Quiz.results.length;
+
+    document.getElementById('quiz-progress').textContent = I18n.t('quiz.complete');
+    document.getElementById('quiz-prompt').textContent = I18n.t('quiz.scoreTotal', { points, possible, percent });
+    document.getElementById('quiz-feedback').innerHTML = '';
+    document.getElementById('quiz-next-btn').hidden = true;
+    document.getElementById('quiz-score').textContent =
+        I18n.t('quiz.scoreParts', { state: parts.state, pattern: parts.pattern, process: parts.process, total });
+    document.getElementById('quiz-export-btn').disabled = false;
+    syncSliderLocks();
+}
+
+
+/**
+ * Bind the lesson picker, lesson file loading and the lesson panel
+ * buttons, and load the lessons listed in the lessons index
+ */
+function bindLessonControls() {
+    const select = document.getElementById('lesson-select');
+    const startBtn = document.getElementById('lesson-start-btn');
+    const loadBtn = document.getElementById('lesson-load-btn');
+    const fileInput = document.getElementById('lesson-file');
+    if (!select) return;
+
+    if (startBtn) startBtn.addEventListener('click', () => startLesson(select.value));
+
+    if (loadBtn && fileInput) {
+        loadBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+
+            file.text().then(text => {
+                const { doc, errors } = Lessons.parse(text, file.name);
+                if (!doc) {
+                    showFileStatus('lesson-status', [I18n.t('file.couldNotLoad', { name: file.name }), ...errors], 'error');
+                    return;
+                }
+                Lessons.add(doc);
+                renderLessonOptions(doc.id);
+                showFileStatus('lesson-status', [I18n.t('lessons.loaded', { title: doc.title, count: doc.steps.length })], 'success');
+            }).catch(error => {
+                showFileStatus('lesson-status', [I18n.t('file.couldNotRead', { name: file.name, message: error.message })], 'error');
+            }).finally(() => {
+                // Allow loading the same file again
+                fileInput.value = '';
             });
+        });
+    }
+
+    document.getElementById('lesson-exit-btn').addEventListener('click', stopLesson);
+    document.getElementById('lesson-back-btn').addEventListener('click', () => {
+        Lessons.go(-1);
+        showLessonStep();
+    });
+    document.getElementById('lesson-next-btn').addEventListener('click', () => {
+        if (Lessons.isLast()) {
+            const title = Lessons.active.title;
+            stopLesson();
+            showFileStatus('lesson-status', [I18n.t('lessons.finished', { title })], 'success');
+            return;
+        }
+        Lessons.go(1);
+        showLessonStep();
+    });
+
+    renderLessonOptions();
+    Lessons.init().then(errors => {
+        renderLessonOptions();
+        if (errors.length) {
+            showFileStatus('lesson-status', [I18n.t('lessons.filesIgnored'), ...errors], 'error');
         }
     });
 }
 
 /**
- * Bind reset button click event
+ * Fill the lesson picker
+ * @param {string} [selectedId] - Lesson to select (defaults to the current choice)
  */
-function bindResetButton() {
-    const resetBtn = document.getElementById('reset-btn');
-    if (resetBtn) {
-        resetBtn.addEventListener('click', resetToEquilibrium);
-    }
+function renderLessonOptions(selectedId) {
+    const select = document.getElementById('lesson-select');
+    if (!select) return;
+
+    const selected = selectedId || select.value;
+    select.innerHTML = '';
+    Lessons.lessons.forEach(lesson => {
+        const option = document.createElement('option');
+        option.value = lesson.id;
+        option.textContent = lesson.title;
+        select.appendChild(option);
+    });
+    if (Lessons.get(selected)) select.value = selected;
 }
 
 /**
- * Bind display toggles
+ * Start a lesson and show its first step; as for the quiz, rating curve
+ * coupling is turned off so Qs stays where a step sets or leaves it
+ * @param {string} id - Lesson id
  */
-function bindToggles() {
-    const tooltipToggle = document.getElementById('toggle-tooltips');
-    const numericToggle = document.getElementById('toggle-numeric');
+function startLesson(id) {
+    if (!Lessons.start(id)) return;
 
-    const updateToggleState = () => {
-        document.body.classList.toggle('show-tooltips', !!tooltipToggle?.checked);
-        document.body.classList.toggle('numeric-off', !numericToggle?.checked);
-    };
+    stopPlayback();
+    if (RatingCurve.enabled) {
+        RatingCurve.enabled = false;
+        syncRatingCurveControls();
+    }
+    document.getElementById('lesson-panel').hidden = false;
+    document.getElementById('lesson-title').textContent = Lessons.active.title;
+    showLessonStep();
+}
 
-    if (tooltipToggle) {
-        tooltipToggle.addEventListener('change', updateToggleState);
+/**
+ * Show the current step: set and lock sliders, highlight its elements
+ * and render its text and task
+ */
+function showLessonStep() {
+    const step = Lessons.current();
+    if (!step) return;
+
+    if (step.set) {
+        stopPlayback();
+        state.lastChanged = null;
+        Object.entries(step.set).forEach(([key, value]) => setSliderParameter(key, Math.round(value)));
+        updateAll();
+        recordHistory(I18n.t('history.lesson', { title: step.title }));
     }
-    if (numericToggle) {
-        numericToggle.addEventListener('change', updateToggleState);
+    syncSliderLocks();
+    highlightLessonElements(step.highlight || []);
+    renderLessonStep();
+}
+
+/**
+ * Render the current step's progress, text, task and buttons
+ */
+function renderLessonStep() {
+    const step = Lessons.current();
+    if (!step) return;
+
+    document.getElementById('lesson-progress').textContent =
+        I18n.t('lessons.progress', { number: Lessons.stepIndex + 1, count: Lessons.active.steps.length });
+    document.getElementById('lesson-step-title').textContent = step.title;
+
+    const textEl = document.getElementById('lesson-text');
+    textEl.innerHTML = '';
+    step.text.split(/\n\s*\n/).filter(Boolean).forEach(paragraph => {
+        const p = document.createElement('p');
+        p.textContent = paragraph.trim();
+        textEl.appendChild(p);
+    });
+
+    document.getElementById('lesson-task').hidden = !step.task && !step.goal;
+    document.getElementById('lesson-task-text').textContent = step.task || I18n.t('lessons.reachTarget');
+    document.getElementById('lesson-back-btn').disabled = Lessons.stepIndex === 0;
+    document.getElementById('lesson-next-btn').textContent = I18n.t(Lessons.isLast() ? 'lessons.finish' : 'lessons.next');
+
+    updateLessonGoal();
+}
+
+/**
+ * Check the current step's goal against the sliders; Next stays
+ * disabled until the goal is reached
+ */
+function updateLessonGoal() {
+    const step = Lessons.current();
+    if (!step) return;
+
+    const params = { Qs: state.Qs, D50: state.D50, Qw: state.Qw, S: state.S };
+    const pattern = PatternClassifiers.getPattern(state.Qs, state.D50, state.Qw, state.S, state.balanceRatio);
+    const context = Balance.getProcessContext(state.balanceRatio, state.Qw, state.S, pattern, params);
+    const met = Lessons.isGoalMet(context);
+
+    const list = document.getElementById('lesson-goal');
+    list.innerHTML = '';
+    if (step.goal) {
+        ProcessDetails.describeConditions({ when: step.goal }, context).forEach(condition => {
+            const li = document.createElement('li');
+            li.className = condition.met ? 'met' : 'unmet';
+            li.textContent = `${condition.met ? '✓' : '✗'} ${condition.text} (${I18n.t('lessons.now', { value: condition.current })})`;
+            list.appendChild(li);
+        });
     }
 
-    updateToggleState();
+    document.getElementById('lesson-task').classList.toggle('done', Boolean(step.goal) && met);
+    document.getElementById('lesson-next-btn').disabled = !met;
 }
 
 /**
- * Reset all parameters to equilibrium (50)
+ * Outline the elements a step points at and bring the first into view
+ * @param {string[]} selectors - CSS selectors
  */
-function resetToEquilibrium() {
-    state.Qs = 50;
-    state.D50 = 50;
-    state.Qw = 50;
-    state.S = 50;
-    state.lastChanged = null;
+function highlightLessonElements(selectors) {
+    document.querySelectorAll('.lesson-highlight').forEach(element => element.classList.remove('lesson-highlight'));
 
-    // Update slider positions
-    document.getElementById('qs-slider').value = 50;
-    document.getElementById('d50-slider').value = 50;
-    document.getElementById('qw-slider').value = 50;
-    document.getElementById('s-slider').value = 50;
-    updateSliderValue(document.getElementById('qs-value'), 50, 'qs-slider');
-    updateSliderValue(document.getElementById('d50-value'), 50, 'd50-slider');
-    updateSliderValue(document.getElementById('qw-value'), 50, 'qw-slider');
-    updateSliderValue(document.getElementById('s-value'), 50, 's-slider');
+    const elements = selectors.flatMap(selector => {
+        try {
+            return Array.from(document.querySelectorAll(selector));
+        } catch (error) {
+            // Invalid selector in a lesson file: nothing to highlight
+            return [];
+        }
+    });
+    elements.forEach(element => element.classList.add('lesson-highlight'));
+    if (elements.length) elements[0].scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
 
-    // Update visualizations
-    updateAll();
+/**
+ * Leave the lesson: hide the panel, clear highlights and unlock sliders
+ */
+function stopLesson() {
+    Lessons.stop();
+    highlightLessonElements([]);
+    document.getElementById('lesson-panel').hidden = true;
+    syncSliderLocks();
 }
 
+
 /**
  * Update all visualizations based on current state
  */
 function updateAll() {
+    // Keep the simulated profile consistent with externally set slopes
+    Simulation.syncSlope(state.S);
+
+    // Qs follows Qw when the rating curve is coupled (unless the quiz or lesson holds it)
+    if (RatingCurve.enabled && !getHeldParams().keys.includes('Qs')) {
+        setSliderParameter('Qs', RatingCurve.sliderQs(state.Qw));
+    }
+
     // Calculate balance ratio
     state.balanceRatio = Balance.calculateRatio(
         state.Qs,
@@ -225,17 +2644,62 @@ function updateAll() {
         Qw: state.Qw,
         S: state.S
     };
+    const pattern = PatternClassifiers.getPattern(state.Qs, state.D50, state.Qw, state.S, state.balanceRatio);
 
     // Update each visualization
     ScaleView.update(state.balanceRatio, params, state.animationDuration);
     PlanView.update(state.Qs, state.D50, state.Qw, state.S, state.balanceRatio, state.animationDuration);
-    ProcessView.update(state.balanceRatio, state.Qw, state.S);
+    ProfileView.update(state.balanceRatio, params, state.animationDuration);
+    CrossSectionView.update(state.balanceRatio, params, state.animationDuration);
+    ProcessView.update(state.balanceRatio, state.Qw, state.S, pattern, params);
+    PhaseDiagramView.update(params, state.animationDuration);
     updateTendencyUI(state.balanceRatio);
+    updateTransportUI(state.balanceRatio);
+    updatePatternUI(state.balanceRatio);
+    updateRatingCurveUI(state.animationDuration);
+    updateNetwork(state.animationDuration);
+    updateSimulationUI();
+    updateLessonGoal();
+    updateTextAlternatives(state.balanceRatio, pattern);
+    Sonification.update(state.balanceRatio, pattern);
+
+    // Keep the shareable URL and the screen reader announcement in sync
+    scheduleUrlUpdate();
+    scheduleAnnouncement();
 
     // Update previous state for next change
     state.previousState = { ...state };
 }
 
+/**
+ * Describe the scale and plan view for screen readers
+ * @param {number} ratio - Balance ratio
+ * @param {string} pattern - Channel pattern
+ */
+function updateTextAlternatives(ratio, pattern) {
+    const scaleEl = document.getElementById('scale-description');
+    const planEl = document.getElementById('plan-description');
+    if (scaleEl) scaleEl.textContent = Accessibility.describeScale(ratio);
+    if (planEl) planEl.textContent = Accessibility.describePattern(pattern);
+}
+
+/**
+ * Announce a changed tendency, channel pattern or newly active processes
+ * once the sliders settle. The first call only sets the baseline.
+ */
+function announceChanges() {
+    const params = { Qs: state.Qs, D50: state.D50, Qw: state.Qw, S: state.S };
+    const pattern = PatternClassifiers.getPattern(state.Qs, state.D50, state.Qw, state.S, state.balanceRatio);
+    const processes = Balance.getActiveProcesses(state.balanceRatio, state.Qw, state.S, pattern, params);
+    const snapshot = Accessibility.snapshot(state.balanceRatio, pattern, processes);
+
+    const message = Accessibility.getAnnouncement(announcedSnapshot, snapshot);
+    announcedSnapshot = snapshot;
+
+    const announcer = document.getElementById('announcer');
+    if (announcer && message) announcer.textContent = message;
+}
+
 /**
  * Handle window resize - reinitialize visualizations
  */
@@ -246,6 +2710,16 @@ function handleResize() {
 
     ScaleView.init('scale-viz');
     PlanView.init('plan-viz');
+    ProfileView.init('profile-viz');
+    CrossSectionView.init('cross-section-viz');
+    PhaseDiagramView.init('phase-viz', 'phase-legend', handlePhaseDrag);
+    TimeSeriesView.init('timeseries-viz');
+    RatingCurveView.init('rating-viz');
+    NetworkView.init('network-viz', selectNetworkReach);
+    if (isComparisonOpen()) {
+        stopComparisonViews();
+        initComparisonViews();
+    }
 
     const params = {
         Qs: state.Qs,
@@ -257,6 +2731,13 @@ function handleResize() {
     // Update with current state (no animation)
     ScaleView.update(state.balanceRatio, params, 0);
     PlanView.update(state.Qs, state.D50, state.Qw, state.S, state.balanceRatio, 0);
+    ProfileView.update(state.balanceRatio, params, 0);
+    CrossSectionView.update(state.balanceRatio, params, 0);
+    PhaseDiagramView.update(params, 0);
+    TimeSeriesView.update(Hydrograph.records);
+    updateRatingCurveUI(0);
+    updateNetwork(0);
+    updateComparison(0);
     updateTendencyUI(state.balanceRatio);
 }
 
@@ -280,6 +2761,8 @@ function debounce(func, wait) {
 
 /**
  * Update slider output display
+ * In physical mode the readout shows the real quantity with its unit,
+ * and the matching number input is kept in sync.
  * @param {HTMLElement} valueEl - Output element
  * @param {number} value - Slider value
  * @param {string} sliderId - ID of the slider
@@ -290,8 +2773,12 @@ function updateSliderValue(valueEl, value, sliderId) {
         valueEl.value = value;
     }
 
+    const key = Object.keys(PARAM_CONTROLS).find(k => PARAM_CONTROLS[k].slider === sliderId);
+
     let displayedValue = '';
-    if (sliderId === 'd50-slider') {
+    if (Balance.unitMode === 'physical' && key) {
+        displayedValue = `${value} / ${formatPhysical(key, value)}`;
+    } else if (sliderId === 'd50-slider') {
         displayedValue = `${value} / ${formatD50(value)}`;
     } else if (sliderId === 's-slider') {
         displayedValue = `${value} / ${formatSlope(value)}`;
@@ -299,6 +2786,65 @@ function updateSliderValue(valueEl, value, sliderId) {
         displayedValue = `${value}`;
     }
     valueEl.textContent = displayedValue;
+
+    // Screen readers read the same value the readout shows
+    const slider = document.getElementById(sliderId);
+    if (slider) slider.setAttribute('aria-valuetext', displayedValue);
+
+    const physicalInput = key && document.getElementById(PARAM_CONTROLS[key].physical);
+    if (physicalInput && document.activeElement !== physicalInput) {
+        physicalInput.value = roundQuantity(Balance.toPhysical(key, value));
+    }
+}
+
+/**
+ * Format a slider value as a physical quantity with unit
+ * @param {string} key - 'Qs' | 'D50' | 'Qw' | 'S'
+ * @param {number} value - Slider value (1-100)
+ * @returns {string}
+ */
+function formatPhysical(key, value) {
+    const quantity = Balance.toPhysical(key, value);
+    return `${formatQuantity(quantity)} ${Balance.physicalRanges[key].unit}`;
+}
+
+/**
+ * Format a physical quantity for display with ~3 significant digits and
+ * the active locale's decimal separator.
+ * Very large or small values use exponent notation (e.g. 9.33e3).
+ * @param {number} x
+ * @returns {string}
+ */
+function formatQuantity(x) {
+    if (x >= 1e4 || x < 1e-2) return I18n.formatExponential(x, 2);
+    if (x < 1) return I18n.formatNumber(x, { minimumSignificantDigits: 3, maximumSignificantDigits: 3 });
+    if (x < 10) return I18n.formatFixed(x, 2);
+    if (x < 100) return I18n.formatFixed(x, 1);
+    return I18n.formatNumber(Math.round(x), { useGrouping: false });
+}
+
+/**
+ * Round a physical quantity to ~3 significant digits for a number
+ * input, which always takes a '.' decimal point
+ * @param {number} x
+ * @returns {string}
+ */
+function roundQuantity(x) {
+    if (x >= 1e4 || x < 1e-2) return x.toExponential(2).replace('e+', 'e');
+    if (x < 1) return x.toPrecision(3);
+    if (x < 10) return x.toFixed(2);
+    if (x < 100) return x.toFixed(1);
+    return Math.round(x).toString();
+}
+
+/**
+ * Format a log-scaled display value with the active locale's decimal
+ * separator: two decimals below 1, one below 10, none above
+ * @param {number} x
+ * @returns {string}
+ */
+function formatLogScaled(x) {
+    return I18n.formatFixed(x, x < 1 ? 2 : (x < 10 ? 1 : 0));
 }
 
 /**
@@ -309,10 +2855,7 @@ function updateSliderValue(valueEl, value, sliderId) {
 function formatD50(value) {
     const ratio = (value - 1) / 99;
     const logValue = -1 + 3 * ratio;
-    const mm = Math.pow(10, logValue);
-    if (mm < 1) return mm.toFixed(2);
-    if (mm < 10) return mm.toFixed(1);
-    return Math.round(mm).toString();
+    return formatLogScaled(Math.pow(10, logValue));
 }
 
 /**
@@ -324,10 +2867,7 @@ function formatD50(value) {
 function formatSlope(value) {
     const ratio = (value - 1) / 99;
     const logValue = -1 + 3 * ratio;
-    const s = Math.pow(10, logValue);
-    if (s < 1) return s.toFixed(2);
-    if (s < 10) return s.toFixed(1);
-    return Math.round(s).toString();
+    return formatLogScaled(Math.pow(10, logValue));
 }
 
 /**
@@ -336,34 +2876,13 @@ function formatSlope(value) {
  * @returns {string}
  */
 function getWhySentence(stateName) {
-    if (stateName === 'equilibrium') {
-        return 'Sediment supply and transport capacity are balanced.';
-    }
-
     const { lastChanged, previousState } = state;
-    const stateDescription = stateName === 'aggradation'
-        ? 'Sediment supply exceeds transport capacity.'
-        : 'Transport capacity exceeds sediment supply.';
-
-    if (!lastChanged) {
-        return stateDescription;
-    }
-
-    const currentValue = state[lastChanged];
-    const previousValue = previousState[lastChanged];
-    if (currentValue === previousValue) {
-        return stateDescription;
+    if (!lastChanged || state[lastChanged] === previousState[lastChanged]) {
+        return Balance.getWhySentence(stateName);
     }
-    const direction = currentValue > previousValue ? 'increased' : 'decreased';
-
-    const paramNames = {
-        Qs: 'sediment supply (Qs)',
-        D50: 'sediment size (D50)',
-        Qw: 'water discharge (Qw)',
-        S: 'channel slope (S)'
-    };
 
-    return `${stateDescription} The ${direction} ${paramNames[lastChanged]} contributed to this.`;
+    const direction = state[lastChanged] > previousState[lastChanged] ? 'increased' : 'decreased';
+    return Balance.getWhySentence(stateName, lastChanged, direction);
 }
 
 
@@ -382,17 +2901,69 @@ function updateTendencyUI(ratio) {
     const imbalance = Math.log10(clampedRatio);
     const stateName = Balance.getState(ratio);
 
-    if (stateName === 'aggradation') {
-        labelEl.textContent = 'Tendency: Aggradation';
-    } else if (stateName === 'degradation') {
-        labelEl.textContent = 'Tendency: Degradation';
-    } else {
-        labelEl.textContent = 'Tendency: Near equilibrium';
+    labelEl.textContent = I18n.t(`tendency.${stateName}`);
+    whyEl.textContent = getWhySentence(stateName);
+    imbalanceEl.textContent = I18n.t('tendency.imbalance', { value: I18n.formatFixed(imbalance, 2) });
+}
+
+/**
+ * Channel width used by transport and simulation: the typed width,
+ * or the hydraulic geometry width for the current state
+ * @returns {number} Width (m)
+ */
+function getChannelWidth() {
+    return state.channelWidth || HydraulicGeometry.compute(state, state.balanceRatio).width;
+}
+
+/**
+ * Update the transport capacity estimate and compare it with the Lane ratio
+ * @param {number} ratio - Lane balance ratio
+ */
+function updateTransportUI(ratio) {
+    const capacityEl = document.getElementById('transport-capacity');
+    const balanceEl = document.getElementById('transport-balance');
+
+    if (!capacityEl || !balanceEl) return;
+
+    const Qs = Balance.toPhysical('Qs', state.Qs);
+    const width = getChannelWidth();
+    const { capacity } = Transport.calculateCapacity(
+        state.transportFormula,
+        Balance.toPhysical('Qw', state.Qw),
+        Balance.toPhysical('S', state.S),
+        Balance.toPhysical('D50', state.D50),
+        width
+    );
+
+    const widthInput = document.getElementById('channel-width');
+    if (widthInput) {
+        widthInput.placeholder = `${I18n.t('transport.auto')} (${I18n.formatFixed(width, 1)})`;
     }
+    const comparison = Transport.compare(Qs, capacity);
+    const formula = Transport.formulas[state.transportFormula];
 
-    whyEl.textContent = getWhySentence(stateName);
-    imbalanceEl.textContent = `Imbalance index I = ${imbalance.toFixed(2)}`;
+    const load = I18n.t(`transport.load.${formula.load}`, {}, formula.load);
+    capacityEl.textContent = capacity > 0
+        ? I18n.t('transport.capacity', { load, capacity: formatQuantity(capacity), supply: formatQuantity(Qs) })
+        : I18n.t('transport.belowThreshold', { load });
+
+    const balanceText = comparison.surplus >= 0
+        ? I18n.t('transport.surplus', { value: formatQuantity(comparison.surplus) })
+        : I18n.t('transport.deficit', { value: formatQuantity(-comparison.surplus) });
+    const laneState = Balance.getState(ratio);
+    const agrees = laneState === comparison.state;
+    const stateText = name => I18n.t(`state.${name}`).toLowerCase();
+
+    balanceEl.textContent = I18n.t('transport.index', {
+        index: I18n.formatFixed(comparison.index, 2),
+        balance: balanceText,
+        state: stateText(comparison.state)
+    }) + ' - ' + (agrees
+        ? I18n.t('transport.agrees')
+        : I18n.t('transport.disagrees', { state: stateText(laneState) }));
+    balanceEl.classList.toggle('agrees', agrees);
+    balanceEl.classList.toggle('disagrees', !agrees);
 }
 
 // Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', init);
\ No newline at end of file
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,161 @@
+/**
+ * Network - Chain of reaches with downstream sediment routing
+ *
+ * Reaches are ordered from upstream to downstream. Each has its own D50
+ * and S (slider values) and an optional inflow: for the first reach the
+ * headwater supply, for the others a tributary joining at the top of the
+ * reach. Discharge and sediment add up in physical units.
+ *
+ * Within a reach the Lane capacity is the supply that would give a
+ * ratio of 1 (as in Simulation):
+ *
+ *   Qcap = Qs_in / ratio(Qs_in, D50, Qw, S)
+ *
+ * A fraction `exchange` of the imbalance is stored in (ratio > 1) or
+ * eroded from (ratio < 1) the bed, and the rest passes downstream:
+ *
+ *   Qs_out = Qs_in + exchange · (Qcap - Qs_in)
+ */
+
+const Network = {
+    // Fraction of the supply/capacity imbalance exchanged with the bed
+    exchange: 0.5,
+
+    // Slider range for reach properties and inflows
+    min: 1,
+    max: 100,
+
+    reaches: [],
+
+    /**
+     * Default network: headwaters, two tributaries, lowland reach
+     * @returns {Object[]} Reaches { name, D50, S, inflow }
+     */
+    defaults() {
+        return [
+            { name: I18n.t('network.default.headwaters'), D50: 70, S: 75, inflow: { Qw: 45, Qs: 45 } },
+            { name: I18n.t('network.default.upperValley'), D50: 60, S: 60, inflow: { Qw: 40, Qs: 50 } },
+            { name: I18n.t('network.default.middle'), D50: 50, S: 50, inflow: null },
+            { name: I18n.t('network.default.lowland'), D50: 35, S: 40, inflow: { Qw: 35, Qs: 35 } }
+        ];
+    },
+
+    /**
+     * Restore the default network
+     */
+    reset() {
+        this.reaches = this.defaults();
+    },
+
+    /**
+     * Append a reach downstream, copying the last reach's properties
+     */
+    addReach() {
+        const last = this.reaches[this.reaches.length - 1];
+        this.reaches.push({
+            name: I18n.t('network.reachName', { number: this.reaches.length + 1 }),
+            D50: last ? last.D50 : 50,
+            S: last ? last.S : 50,
+            inflow: last ? null : { Qw: 50, Qs: 50 }
+        });
+    },
+
+    /**
+     * Remove a reach; the first reach always keeps a headwater inflow
+     * @param {number} index - Reach index
+     */
+    removeReach(index) {
+        if (this.reaches.length <= 1) return;
+        this.reaches.splice(index, 1);
+        if (!this.reaches[0].inflow) this.reaches[0].inflow = { Qw: 50, Qs: 50 };
+    },
+
+    /**
+     * Set a reach property from an input
+     * @param {number} index - Reach index
+     * @param {string} key - 'D50' | 'S' | 'inflowQw' | 'inflowQs'
+     * @param {number|null} value - Slider value, or null to remove a tributary
+     */
+    setValue(index, key, value) {
+        const reach = this.reaches[index];
+        if (!reach) return;
+
+        const clamp = v => Math.max(this.min, Math.min(this.max, Math.round(v)));
+
+        if (key === 'D50' || key === 'S') {
+            if (Number.isFinite(value)) reach[key] = clamp(value);
+            return;
+        }
+
+        const inflowKey = key === 'inflowQw' ? 'Qw' : 'Qs';
+        if (!Number.isFinite(value)) {
+            // Only tributaries can be removed; the headwater inflow is required
+            if (index > 0) reach.inflow = null;
+            return;
+        }
+        if (!reach.inflow) reach.inflow = { Qw: 30, Qs: 30 };
+        reach.inflow[inflowKey] = clamp(value);
+    },
+
+    /**
+     * Route water and sediment down the chain
+     * @returns {Object[]} Per reach { name, Qw, QsIn, capacity, QsOut, storage, ratio, state, sliders }
+     *   Qw, Qs and storage in physical units (m³/s, t/yr); storage > 0 is deposition
+     */
+    compute() {
+        const results = [];
+        let Qw = 0;
+        let Qs = 0;
+
+        this.reaches.forEach(reach => {
+            if (reach.inflow) {
+                Qw += Balance.toPhysical('Qw', reach.inflow.Qw);
+                Qs += Balance.toPhysical('Qs', reach.inflow.Qs);
+            }
+
+            const sliders = {
+                Qs: Balance.fromPhysical('Qs', Qs),
+                D50: reach.D50,
+                Qw: Balance.fromPhysical('Qw', Qw),
+                S: reach.S
+            };
+            const ratio = Balance.calculateRatio(sliders.Qs, sliders.D50, sliders.Qw, sliders.S);
+            const capacity = Qs / ratio;
+            const QsOut = Qs + this.exchange * (capacity - Qs);
+
+            results.push({
+                name: reach.name,
+                Qw,
+                QsIn: Qs,
+                capacity,
+                QsOut,
+                storage: Qs - QsOut,
+                ratio,
+                state: Balance.getState(ratio),
+                sliders
+            });
+
+            Qs = QsOut;
+        });
+
+        return results;
+    },
+
+    /**
+     * Slider values to load a reach into the main views
+     * @param {Object} result - Entry from compute()
+     * @returns {Object} { Qs, D50, Qw, S } rounded and clamped to 1-100
+     */
+    toSliders(result) {
+        const clamp = v => Math.max(this.min, Math.min(this.max, Math.round(v)));
+        const { Qs, D50, Qw, S } = result.sliders;
+        return { Qs: clamp(Qs), D50: clamp(D50), Qw: clamp(Qw), S: clamp(S) };
+    }
+};
+
+Network.reset();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Network;
+}
@@ -0,0 +1,200 @@
+/**
+ * Network View - Reach chain diagram
+ *
+ * Reaches run left (upstream) to right (downstream) as segments colored
+ * by Balance.getState, with line width growing with discharge.
+ * Tributaries join from alternating sides at the top of their reach.
+ * Clicking (or Enter / Space on) a reach reports its index.
+ */
+
+const NetworkView = {
+    svg: null,
+    width: 0,
+    height: 0,
+    margin: { top: 20, right: 30, bottom: 20, left: 30 },
+    plotGroup: null,
+    selected: null,
+
+    // Called with the reach index when a reach is clicked
+    onSelect: null,
+
+    colors: {
+        degradation: '#e74c3c',
+        equilibrium: '#27ae60',
+        aggradation: '#f39c12',
+        tributary: '#5dade2',
+        label: '#2c3e50',
+        muted: '#7f8c8d'
+    },
+
+    /**
+     * Initialize the network diagram
+     * @param {string} containerId - DOM element ID for the container
+     * @param {Function} onSelect - Called with the index of a clicked reach
+     */
+    init(containerId, onSelect) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        this.onSelect = onSelect;
+
+        // Clear existing content
+        container.innerHTML = '';
+
+        // Get container dimensions
+        const rect = container.getBoundingClientRect();
+        this.width = (rect.width || 600) - this.margin.left - this.margin.right;
+        this.height = (rect.height || 200) - this.margin.top - this.margin.bottom;
+
+        // Create SVG
+        this.svg = d3.select(`#${containerId}`)
+            .append('svg')
+            .attr('width', '100%')
+            .attr('height', '100%')
+            .attr('viewBox', `0 0 ${this.width + this.margin.left + this.margin.right} ${this.height + this.margin.top + this.margin.bottom}`)
+            .attr('preserveAspectRatio', 'xMidYMid meet')
+            .append('g')
+            .attr('transform', `translate(${this.margin.left}, ${this.margin.top})`);
+
+        this.plotGroup = this.svg.append('g').attr('class', 'network-group');
+        this.plotGroup.append('g').attr('class', 'network-tributaries');
+        this.plotGroup.append('g').attr('class', 'network-reaches');
+        this.plotGroup.append('g').attr('class', 'network-labels');
+    },
+
+    /**
+     * Redraw the network
+     * @param {Object[]} results - Network.compute() output
+     * @param {Object[]} reaches - Network.reaches (for tributaries)
+     * @param {number} duration - Transition duration in ms
+     */
+    update(results, reaches, duration = 400) {
+        if (!this.plotGroup) return;
+
+        const n = results.length;
+        const segment = this.width / Math.max(1, n);
+        const midY = this.height * 0.5;
+
+        // Gentle zigzag so junctions read as nodes
+        const nodeY = i => midY + (i % 2 ? -1 : 1) * this.height * 0.06;
+        const widthScale = d3.scaleLog()
+            .domain([Balance.physicalRanges.Qw.min, Balance.physicalRanges.Qw.max])
+            .range([3, 18])
+            .clamp(true);
+
+        const reachData = results.map((result, i) => ({
+            index: i,
+            result,
+            x1: i * segment,
+            y1: nodeY(i),
+            x2: (i + 1) * segment,
+            y2: nodeY(i + 1)
+        }));
+
+        this.plotGroup.select('.network-reaches')
+            .selectAll('line')
+            .data(reachData)
+            .join(enter => enter.append('line')
+                .attr('stroke-linecap', 'round')
+                .attr('tabindex', 0)
+                .attr('role', 'button')
+                .style('cursor', 'pointer')
+                .on('click', (event, d) => this.select(d.index))
+                .on('keydown', (event, d) => {
+                    if (event.key === 'Enter' || event.key === ' ') {
+                        event.preventDefault();
+                        this.select(d.index);
+                    }
+                }))
+            .attr('aria-label', d => `${d.result.name}: ${I18n.t(`state.${d.result.state}`)}`)
+            .attr('x1', d => d.x1)
+            .attr('y1', d => d.y1)
+            .attr('x2', d => d.x2 - 4)
+            .attr('y2', d => d.y2)
+            .transition()
+            .duration(duration)
+            .attr('stroke', d => this.colors[d.result.state])
+            .attr('stroke-width', d => widthScale(d.result.Qw))
+            .attr('opacity', d => (this.selected === null || d.index === this.selected ? 1 : 0.55));
+
+        // Tributaries (not the headwater inflow) join at the top of their reach
+        const tributaries = reaches
+            .map((reach, i) => ({ reach, i }))
+            .filter(({ reach, i }) => i > 0 && reach.inflow);
+
+        this.plotGroup.select('.network-tributaries')
+            .selectAll('line')
+            .data(tributaries)
+            .join('line')
+            .attr('x1', d => d.i * segment - segment * 0.3)
+            .attr('y1', d => (d.i % 2 ? this.height * 0.05 : this.height * 0.95))
+            .attr('x2', d => d.i * segment)
+            .attr('y2', d => nodeY(d.i))
+            .attr('stroke', this.colors.tributary)
+            .attr('stroke-linecap', 'round')
+            .attr('stroke-width', d => widthScale(Balance.toPhysical('Qw', d.reach.inflow.Qw)));
+
+        // Labels are redrawn each update
+        const labels = this.plotGroup.select('.network-labels');
+        labels.selectAll('*').remove();
+
+        reachData.forEach(d => {
+            const x = (d.x1 + d.x2) / 2;
+            const above = (d.y1 + d.y2) / 2 - 16;
+            const below = (d.y1 + d.y2) / 2 + 24;
+            const storage = d.result.storage;
+
+            labels.append('text')
+                .attr('x', x)
+                .attr('y', above)
+                .attr('text-anchor', 'middle')
+                .attr('fill', this.colors.label)
+                .attr('font-size', '11px')
+                .attr('font-weight', d.index === this.selected ? 700 : 400)
+                .text(d.result.name);
+            labels.append('text')
+                .attr('x', x)
+                .attr('y', below)
+                .attr('text-anchor', 'middle')
+                .attr('fill', this.colors.muted)
+                .attr('font-size', '10px')
+                .text(I18n.t(storage >= 0 ? 'network.stores' : 'network.erodes', {
+                    ratio: I18n.formatFixed(d.result.ratio, 2),
+                    percent: Math.round(100 * Math.abs(storage) / d.result.QsIn)
+                }));
+        });
+
+        tributaries.forEach(d => {
+            labels.append('text')
+                .attr('x', d.i * segment - segment * 0.3)
+                .attr('y', d.i % 2 ? this.height * 0.05 - 6 : this.height * 0.95 + 12)
+                .attr('text-anchor', 'middle')
+                .attr('fill', this.colors.muted)
+                .attr('font-size', '9px')
+                .text(I18n.t('network.tributary'));
+        });
+
+        labels.append('text')
+            .attr('x', 0)
+            .attr('y', this.height + 14)
+            .attr('fill', this.colors.muted)
+            .attr('font-size', '9px')
+            .text(I18n.t('network.upstream'));
+        labels.append('text')
+            .attr('x', this.width)
+            .attr('y', this.height + 14)
+            .attr('text-anchor', 'end')
+            .attr('fill', this.colors.muted)
+            .attr('font-size', '9px')
+            .text(I18n.t('network.downstream'));
+    },
+
+    /**
+     * Mark a reach as selected and report it
+     * @param {number} index - Reach index
+     */
+    select(index) {
+        this.selected = index;
+        if (this.onSelect) this.onSelect(index);
+    }
+};
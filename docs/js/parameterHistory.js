@@ -0,0 +1,88 @@
+/**
+ * Parameter History - Undo/redo stack for parameter changes
+ *
+ * Each entry stores the four slider values, the resulting tendency and a
+ * short label describing what produced it (slider change, reset,
+ * scenario, file load). Recording after an undo discards the redo branch.
+ */
+
+const ParameterHistory = {
+    entries: [],   // { params: { Qs, D50, Qw, S }, tendency, label, time }
+    index: -1,     // Position of the current entry
+    maxEntries: 100,
+
+    /**
+     * Record a new entry after the current one
+     * Consecutive entries with identical parameters are merged.
+     * @param {Object} params - { Qs, D50, Qw, S }
+     * @param {string} tendency - 'degradation' | 'equilibrium' | 'aggradation'
+     * @param {string} label - What produced this state
+     * @returns {boolean} Whether a new entry was added
+     */
+    record(params, tendency, label) {
+        const current = this.current();
+        const snapshot = { Qs: params.Qs, D50: params.D50, Qw: params.Qw, S: params.S };
+
+        if (current && this.sameParams(current.params, snapshot)) {
+            return false;
+        }
+
+        // Drop the redo branch
+        this.entries = this.entries.slice(0, this.index + 1);
+        this.entries.push({ params: snapshot, tendency, label, time: Date.now() });
+
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+        this.index = this.entries.length - 1;
+        return true;
+    },
+
+    /**
+     * Compare two parameter sets
+     * @param {Object} a - { Qs, D50, Qw, S }
+     * @param {Object} b - { Qs, D50, Qw, S }
+     * @returns {boolean}
+     */
+    sameParams(a, b) {
+        return a.Qs === b.Qs && a.D50 === b.D50 && a.Qw === b.Qw && a.S === b.S;
+    },
+
+    /**
+     * Current entry
+     * @returns {Object|null}
+     */
+    current() {
+        return this.entries[this.index] || null;
+    },
+
+    /**
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.index > 0;
+    },
+
+    /**
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.index < this.entries.length - 1;
+    },
+
+    /**
+     * Jump to an entry
+     * @param {number} index - Entry index
+     * @returns {Object|null} Entry to restore
+     */
+    goTo(index) {
+        if (index < 0 || index >= this.entries.length) return null;
+        this.index = index;
+        return this.entries[index];
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParameterHistory;
+}
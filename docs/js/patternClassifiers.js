@@ -0,0 +1,235 @@
+/**
+ * Pattern Classifiers - Channel pattern discriminants
+ *
+ * Pluggable classifiers that map the four parameters to a channel
+ * pattern. The Lane's balance heuristic (Balance.getChannelPattern) sits
+ * alongside published discriminants, which work on physical quantities
+ * (Balance.toPhysical) and the regime channel (HydraulicGeometry):
+ *
+ *   heuristic       - braiding index from Balance (default)
+ *   leopold-wolman  - S_t = 0.012 · Q^-0.44 (Leopold & Wolman, 1957)
+ *   van-den-berg    - ω = 2100 · S · √Q vs ω_t = 900 · D50^0.42 (van den Berg, 1995)
+ *   parker          - S / Fr vs h / B (Parker, 1976)
+ *   millar          - S* = 0.0002 · D50^0.61 · φ'^1.75 · Q^-0.25 (Millar, 2000)
+ *
+ * Names and citations are catalog entries (pattern.<id>.name and
+ * pattern.<id>.citation).
+ *
+ * Each classifier returns the pattern plus its criteria. A criterion is
+ * { label, value, threshold, above }: the pattern `above` applies when
+ * value > threshold, so value / threshold shows how close the reach is.
+ *
+ * The published discriminants separate meandering from braided only.
+ * Below the braiding threshold they are refined with two bands:
+ *   wandering     - gravel bed (D50 ≥ 2 mm) within wanderingBand of the threshold
+ *   anastomosing  - sand or finer, specific stream power below 10 W/m²
+ *                   (Nanson & Croke, 1992) and not degrading
+ */
+
+const PatternClassifiers = {
+    // Active classifier id
+    active: 'heuristic',
+
+    // Bank sediment friction angle φ' (degrees) for Millar's criterion.
+    // About 40° for unvegetated gravel banks, up to ~80° for dense vegetation.
+    bankFrictionAngle: 40,
+
+    // Fraction of a braiding threshold above which gravel beds wander
+    wanderingBand: 0.6,
+
+    // Gravel / sand boundary (mm)
+    gravelSize: 2,
+
+    // Specific stream power (W/m²) below which fine-grained channels anastomose
+    anastomosingStreamPower: 10,
+
+    classifiers: {
+        heuristic: {
+            classify(input) {
+                const { Qs, D50, Qw, S, ratio } = input;
+                const thresholds = Balance.patternThresholds;
+                return {
+                    pattern: Balance.getChannelPattern(Qs, D50, Qw, S, ratio),
+                    criteria: [
+                        {
+                            label: I18n.t('pattern.heuristic.discharge'),
+                            value: Qw / 100,
+                            threshold: thresholds.straightDischarge,
+                            above: 'meandering'
+                        },
+                        {
+                            label: I18n.t('pattern.heuristic.braiding'),
+                            value: Balance.getBraidingIndex(Qs, D50, Qw, S, ratio),
+                            threshold: thresholds.braidingIndex,
+                            above: 'braided'
+                        }
+                    ]
+                };
+            }
+        },
+
+        'leopold-wolman': {
+            classify(input) {
+                const { Qw, S } = input.physical;
+                const threshold = 0.012 * Math.pow(Qw, -0.44);
+                return PatternClassifiers.binary({ label: 'S / S_t', value: S, threshold, above: 'braided' }, input);
+            }
+        },
+
+        'van-den-berg': {
+            classify(input) {
+                const { D50, Qw, S } = input.physical;
+                const streamPower = 2100 * S * Math.sqrt(Qw);
+                const threshold = 900 * Math.pow(D50 / 1000, 0.42);
+                return PatternClassifiers.binary({ label: 'ω / ω_t', value: streamPower, threshold, above: 'braided' }, input);
+            }
+        },
+
+        parker: {
+            classify(input) {
+                const { D50, Qw, S } = input.physical;
+                const width = HydraulicGeometry.regime(Qw).width;
+                const { depth, velocity } = Transport.computeHydraulics(Qw, S, D50, width);
+                const froude = velocity / Math.sqrt(Transport.g * depth);
+                return PatternClassifiers.binary({
+                    label: '(S/Fr) / (h/B)',
+                    value: S / froude,
+                    threshold: depth / width,
+                    above: 'braided'
+                }, input);
+            }
+        },
+
+        millar: {
+            classify(input) {
+                const { D50, Qw, S } = input.physical;
+                const threshold = 0.0002 * Math.pow(D50 / 1000, 0.61)
+                    * Math.pow(PatternClassifiers.bankFrictionAngle, 1.75) * Math.pow(Qw, -0.25);
+                return PatternClassifiers.binary({ label: 'S / S*', value: S, threshold, above: 'braided' }, input);
+            }
+        }
+    },
+
+    /**
+     * Result for a single meandering/braided discriminant, refined into
+     * wandering and anastomosing below the threshold
+     * @param {Object} criterion - { label, value, threshold, above }
+     * @param {Object} input - Result of getInput()
+     * @returns {{pattern: string, criteria: Object[]}}
+     */
+    binary(criterion, input) {
+        const { D50, Qw, S } = input.physical;
+        const streamPower = {
+            label: 'ω / ω_a',
+            value: 2100 * S * Math.sqrt(Qw),
+            threshold: this.anastomosingStreamPower,
+            above: 'meandering'
+        };
+        const criteria = [criterion, streamPower];
+
+        if (criterion.value > criterion.threshold) {
+            return { pattern: criterion.above, criteria };
+        }
+        if (D50 >= this.gravelSize && criterion.value >= this.wanderingBand * criterion.threshold) {
+            return { pattern: 'wandering', criteria };
+        }
+        if (D50 < this.gravelSize && streamPower.value < streamPower.threshold &&
+            Balance.getState(input.ratio) !== 'degradation') {
+            return { pattern: 'anastomosing', criteria };
+        }
+        return { pattern: 'meandering', criteria };
+    },
+
+    /**
+     * Select the active classifier
+     * @param {string} id - Key of classifiers
+     */
+    setActive(id) {
+        if (this.classifiers[id]) this.active = id;
+    },
+
+    /**
+     * Set the bank friction angle for Millar's criterion
+     * @param {number} angle - φ' in degrees; non-positive values are ignored
+     */
+    setBankFrictionAngle(angle) {
+        if (angle > 0) this.bankFrictionAngle = angle;
+    },
+
+    /**
+     * Classifier input: slider values, balance ratio and physical quantities
+     * @param {number} Qs - Sediment discharge (1-100)
+     * @param {number} D50 - Sediment size (1-100)
+     * @param {number} Qw - Water discharge (1-100)
+     * @param {number} S - Slope (1-100)
+     * @param {number} ratio - Balance ratio
+     * @returns {Object}
+     */
+    getInput(Qs, D50, Qw, S, ratio) {
+        return {
+            Qs, D50, Qw, S, ratio,
+            physical: {
+                Qs: Balance.toPhysical('Qs', Qs),
+                D50: Balance.toPhysical('D50', D50),
+                Qw: Balance.toPhysical('Qw', Qw),
+                S: Balance.toPhysical('S', S)
+            }
+        };
+    },
+
+    /**
+     * Classify with a classifier (the active one by default)
+     * @param {number} Qs - Sediment discharge (1-100)
+     * @param {number} D50 - Sediment size (1-100)
+     * @param {number} Qw - Water discharge (1-100)
+     * @param {number} S - Slope (1-100)
+     * @param {number} ratio - Balance ratio
+     * @param {string} [id] - Key of classifiers
+     * @returns {{id: string, name: string, pattern: string, criteria: Object[]}}
+     */
+    classify(Qs, D50, Qw, S, ratio, id = this.active) {
+        const known = this.classifiers[id] ? id : 'heuristic';
+        const result = this.classifiers[known].classify(this.getInput(Qs, D50, Qw, S, ratio));
+        return { id, name: I18n.t(`pattern.${known}.name`), ...result };
+    },
+
+    /**
+     * Pattern from the active classifier
+     * @param {number} Qs - Sediment discharge (1-100)
+     * @param {number} D50 - Sediment size (1-100)
+     * @param {number} Qw - Water discharge (1-100)
+     * @param {number} S - Slope (1-100)
+     * @param {number} ratio - Balance ratio
+     * @returns {string} Channel pattern
+     */
+    getPattern(Qs, D50, Qw, S, ratio) {
+        return this.classify(Qs, D50, Qw, S, ratio).pattern;
+    },
+
+    /**
+     * Run every classifier
+     * @param {number} Qs - Sediment discharge (1-100)
+     * @param {number} D50 - Sediment size (1-100)
+     * @param {number} Qw - Water discharge (1-100)
+     * @param {number} S - Slope (1-100)
+     * @param {number} ratio - Balance ratio
+     * @returns {Object[]} Results of classify() in registry order
+     */
+    classifyAll(Qs, D50, Qw, S, ratio) {
+        return Object.keys(this.classifiers).map(id => this.classify(Qs, D50, Qw, S, ratio, id));
+    },
+
+    /**
+     * Short text for a criterion, e.g. "S / S_t = 0.37"
+     * @param {Object} criterion - { label, value, threshold }
+     * @returns {string}
+     */
+    formatCriterion(criterion) {
+        return `${criterion.label} = ${I18n.formatFixed(criterion.value / criterion.threshold, 2)}`;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PatternClassifiers;
+}
@@ -0,0 +1,399 @@
+/**
+ * Phase Diagram View - Two-Parameter State / Pattern Map
+ *
+ * Sweeps two of Qs, D50, Qw and S across 1-100 while holding the other
+ * two at their current values. Each cell is colored by the balance state
+ * (Balance.getState) or the channel pattern from the active classifier
+ * (PatternClassifiers.getPattern).
+ * The dashed line is the equilibrium line (ratio = 1) and the marker is
+ * the current configuration; dragging it sets both swept sliders.
+ * The map also takes keyboard focus: arrow keys move the marker by one
+ * slider step, or ten with Shift.
+ */
+
+const PhaseDiagramView = {
+    svg: null,
+    width: 0,
+    height: 0,
+    margin: { top: 10, right: 20, bottom: 34, left: 44 },
+    plotGroup: null,
+    legendId: null,
+
+    // Cells per axis (each cell spans 99 / resolution slider units)
+    resolution: 50,
+
+    // Swept parameters and coloring ('state' | 'pattern')
+    xKey: 'Qs',
+    yKey: 'S',
+    colorBy: 'state',
+
+    // Cache key of the last computed grid
+    gridKey: null,
+
+    // Marker follows the pointer without easing while dragging
+    dragging: false,
+
+    // Called with ({ [xKey]: value, [yKey]: value }, ended) while dragging
+    onChange: null,
+
+    // Parameters of the last update, moved from by the arrow keys
+    params: null,
+
+    // Arrow key moves end (one history entry) once the keys rest this long (ms)
+    keyEndDelay: 500,
+    keyTimer: null,
+
+    colors: {
+        state: {
+            degradation: '#e74c3c',
+            equilibrium: '#27ae60',
+            aggradation: '#f39c12'
+        },
+        pattern: {
+            straight: '#95a5a6',
+            meandering: '#5dade2',
+            wandering: '#b9770e',
+            braided: '#cd853f',
+            anastomosing: '#58a05c'
+        }
+    },
+
+    /**
+     * Initialize the phase diagram
+     * @param {string} containerId - DOM element ID for the container
+     * @param {string} legendId - DOM element ID for the legend list
+     * @param {Function} onChange - Called with new slider values and whether the drag ended
+     */
+    init(containerId, legendId, onChange) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        this.legendId = legendId;
+        this.onChange = onChange;
+        this.gridKey = null;
+
+        // Clear existing content
+        container.innerHTML = '';
+
+        // Get container dimensions
+        const rect = container.getBoundingClientRect();
+        this.width = (rect.width || 400) - this.margin.left - this.margin.right;
+        this.height = (rect.height || 260) - this.margin.top - this.margin.bottom;
+
+        // Create SVG
+        this.svg = d3.select(`#${containerId}`)
+            .append('svg')
+            .attr('width', '100%')
+            .attr('height', '100%')
+            .attr('viewBox', `0 0 ${this.width + this.margin.left + this.margin.right} ${this.height + this.margin.top + this.margin.bottom}`)
+            .attr('preserveAspectRatio', 'xMidYMid meet')
+            .append('g')
+            .attr('transform', `translate(${this.margin.left}, ${this.margin.top})`);
+
+        this.plotGroup = this.svg.append('g').attr('class', 'phase-group');
+
+        // Layers in drawing order
+        this.plotGroup.append('g').attr('class', 'phase-cells');
+        this.plotGroup.append('path').attr('class', 'phase-equilibrium')
+            .attr('fill', 'none')
+            .attr('stroke', '#2c3e50')
+            .attr('stroke-width', 1.5)
+            .attr('stroke-dasharray', '5,4');
+        this.plotGroup.append('g').attr('class', 'phase-axis phase-axis-x')
+            .attr('transform', `translate(0, ${this.height})`);
+        this.plotGroup.append('g').attr('class', 'phase-axis phase-axis-y');
+
+        // Transparent overlay receives drags anywhere on the map
+        this.plotGroup.append('rect')
+            .attr('class', 'phase-overlay')
+            .attr('width', this.width)
+            .attr('height', this.height)
+            .attr('fill', 'transparent')
+            .style('cursor', 'crosshair')
+            .attr('tabindex', 0)
+            .attr('role', 'slider')
+            .attr('aria-valuemin', 1)
+            .attr('aria-valuemax', 100)
+            .on('keydown', (event) => this.handleKey(event))
+            .call(d3.drag()
+                .on('start drag', (event) => this.handleDrag(event, false))
+                .on('end', (event) => this.handleDrag(event, true)));
+
+        this.plotGroup.append('circle')
+            .attr('class', 'phase-marker')
+            .attr('r', 7)
+            .attr('fill', '#ffffff')
+            .attr('stroke', '#2c3e50')
+            .attr('stroke-width', 2.5)
+            .style('pointer-events', 'none');
+    },
+
+    /**
+     * Set the swept parameters and coloring
+     * @param {string} xKey - Parameter on the horizontal axis
+     * @param {string} yKey - Parameter on the vertical axis
+     * @param {string} colorBy - 'state' | 'pattern'
+     */
+    configure(xKey, yKey, colorBy) {
+        this.xKey = xKey;
+        this.yKey = yKey;
+        this.colorBy = colorBy;
+    },
+
+    /**
+     * Slider value at the center of a cell
+     * @param {number} index - Cell index (0 = low end)
+     * @returns {number}
+     */
+    cellValue(index) {
+        return 1 + (index + 0.5) * 99 / this.resolution;
+    },
+
+    /**
+     * Compute classified cells for the current fixed parameters.
+     * Rows run from the top (high y values) down.
+     * @param {Object} params - { Qs, D50, Qw, S }
+     * @returns {Object[]} Cells { row, col, category, index }
+     */
+    computeGrid(params) {
+        const n = this.resolution;
+        const cells = [];
+
+        for (let row = 0; row < n; row++) {
+            for (let col = 0; col < n; col++) {
+                const values = { ...params };
+                values[this.xKey] = this.cellValue(col);
+                values[this.yKey] = this.cellValue(n - 1 - row);
+
+                const { Qs, D50, Qw, S } = values;
+                const ratio = Balance.calculateRatio(Qs, D50, Qw, S);
+                const category = this.colorBy === 'pattern'
+                    ? PatternClassifiers.getPattern(Qs, D50, Qw, S, ratio)
+                    : Balance.getState(ratio);
+
+                cells.push({ row, col, category, index: Balance.getImbalanceIndex(ratio) });
+            }
+        }
+
+        return cells;
+    },
+
+    /**
+     * Trace the equilibrium line (ratio = 1). The ratio is monotonic in
+     * each parameter, so each x has at most one crossing, found by bisection.
+     * @param {Object} params - { Qs, D50, Qw, S }
+     * @returns {Array<number[]|null>} [x, y] slider values, null where there is no crossing
+     */
+    computeEquilibriumLine(params) {
+        const logRatio = (x, y) => {
+            const values = { ...params };
+            values[this.xKey] = x;
+            values[this.yKey] = y;
+            return Math.log10(Balance.calculateRatio(values.Qs, values.D50, values.Qw, values.S));
+        };
+
+        return d3.range(0, 101).map(i => {
+            const x = 1 + i * 0.99;
+            let low = 1;
+            let high = 100;
+            const lowSign = Math.sign(logRatio(x, low));
+            if (lowSign === Math.sign(logRatio(x, high))) return null;
+
+            for (let iteration = 0; iteration < 30; iteration++) {
+                const mid = (low + high) / 2;
+                if (Math.sign(logRatio(x, mid)) === lowSign) {
+                    low = mid;
+                } else {
+                    high = mid;
+                }
+            }
+            return [x, (low + high) / 2];
+        });
+    },
+
+    /**
+     * Update the diagram with new parameters
+     * @param {Object} params - { Qs, D50, Qw, S }
+     * @param {number} duration - Marker animation duration in ms
+     */
+    update(params, duration = 500) {
+        if (!this.plotGroup) return;
+        this.params = params;
+
+        // Only the two fixed parameters, the axes, the unit settings and the
+        // pattern classifier change the grid
+        const fixed = Object.keys(params)
+            .filter(key => key !== this.xKey && key !== this.yKey)
+            .map(key => `${key}=${params[key]}`);
+        const gridKey = [this.xKey, this.yKey, this.colorBy, Balance.unitMode, Balance.equilibriumBand,
+            JSON.stringify(Balance.reference), PatternClassifiers.active,
+            PatternClassifiers.bankFrictionAngle, ...fixed].join('|');
+
+        if (gridKey !== this.gridKey) {
+            this.gridKey = gridKey;
+            this.drawGrid(params);
+        }
+
+        this.plotGroup.select('.phase-marker')
+            .transition()
+            .duration(this.dragging ? 0 : duration)
+            .ease(d3.easeQuadOut)
+            .attr('cx', this.xScale(params[this.xKey]))
+            .attr('cy', this.yScale(params[this.yKey]));
+
+        this.plotGroup.select('.phase-overlay')
+            .attr('aria-label', I18n.t('a11y.phaseLabel', { x: this.xKey, y: this.yKey }))
+            .attr('aria-valuenow', params[this.xKey])
+            .attr('aria-valuetext', `${this.xKey} ${params[this.xKey]}, ${this.yKey} ${params[this.yKey]}`);
+    },
+
+    /**
+     * Redraw cells, equilibrium line, axes and legend
+     * @param {Object} params - { Qs, D50, Qw, S }
+     */
+    drawGrid(params) {
+        const n = this.resolution;
+        const cellWidth = this.width / n;
+        const cellHeight = this.height / n;
+        const cells = this.computeGrid(params);
+        const palette = this.colors[this.colorBy];
+
+        // State cells fade towards equilibrium so the imbalance gradient shows
+        const opacity = d => (this.colorBy === 'state'
+            ? 0.35 + 0.65 * Math.min(1, Math.abs(d.index))
+            : 0.85);
+
+        this.plotGroup.select('.phase-cells')
+            .selectAll('rect')
+            .data(cells)
+            .join('rect')
+            .attr('x', d => d.col * cellWidth)
+            .attr('y', d => d.row * cellHeight)
+            .attr('width', cellWidth + 0.5)
+            .attr('height', cellHeight + 0.5)
+            .attr('fill', d => palette[d.category])
+            .attr('opacity', opacity);
+
+        const line = d3.line()
+            .defined(d => d !== null)
+            .x(d => this.xScale(d[0]))
+            .y(d => this.yScale(d[1]));
+        this.plotGroup.select('.phase-equilibrium')
+            .attr('d', line(this.computeEquilibriumLine(params)));
+
+        // Axes
+        const ticks = [1, 25, 50, 75, 100];
+        this.plotGroup.select('.phase-axis-x')
+            .call(d3.axisBottom(d3.scaleLinear().domain([1, 100]).range([0, this.width])).tickValues(ticks));
+        this.plotGroup.select('.phase-axis-y')
+            .call(d3.axisLeft(d3.scaleLinear().domain([1, 100]).range([this.height, 0])).tickValues(ticks));
+
+        // Axis titles are redrawn with the axes
+        this.svg.selectAll('.phase-axis-title').remove();
+        this.svg.append('text')
+            .attr('class', 'phase-axis-title')
+            .attr('x', this.width / 2)
+            .attr('y', this.height + 30)
+            .attr('text-anchor', 'middle')
+            .attr('fill', '#7f8c8d')
+            .attr('font-size', '11px')
+            .text(this.xKey);
+        this.svg.append('text')
+            .attr('class', 'phase-axis-title')
+            .attr('transform', `translate(-32, ${this.height / 2}) rotate(-90)`)
+            .attr('text-anchor', 'middle')
+            .attr('fill', '#7f8c8d')
+            .attr('font-size', '11px')
+            .text(this.yKey);
+
+        this.updateLegend();
+    },
+
+    /**
+     * Horizontal pixel position of a slider value
+     * @param {number} value - Slider value (1-100)
+     * @returns {number}
+     */
+    xScale(value) {
+        return (value - 1) / 99 * this.width;
+    },
+
+    /**
+     * Vertical pixel position of a slider value
+     * @param {number} value - Slider value (1-100)
+     * @returns {number}
+     */
+    yScale(value) {
+        return this.height - (value - 1) / 99 * this.height;
+    },
+
+    /**
+     * Convert a drag position to slider values and report them
+     * @param {Object} event - d3 drag event
+     * @param {boolean} ended - Whether the drag has ended
+     */
+    handleDrag(event, ended) {
+        if (!this.onChange) return;
+
+        const toSlider = fraction => Math.round(1 + Math.max(0, Math.min(1, fraction)) * 99);
+        const values = {};
+        values[this.xKey] = toSlider(event.x / this.width);
+        values[this.yKey] = toSlider(1 - event.y / this.height);
+
+        this.dragging = !ended;
+        this.onChange(values, ended);
+    },
+
+    /**
+     * Move the marker with the arrow keys (Shift for steps of ten).
+     * Like a drag, a run of key presses ends once, after keyEndDelay.
+     * @param {KeyboardEvent} event
+     */
+    handleKey(event) {
+        const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowDown: [0, -1], ArrowUp: [0, 1] };
+        const move = moves[event.key];
+        if (!move || !this.onChange || !this.params) return;
+        event.preventDefault();
+
+        const step = event.shiftKey ? 10 : 1;
+        const clamp = value => Math.max(1, Math.min(100, value));
+        const values = {};
+        values[this.xKey] = clamp(this.params[this.xKey] + move[0] * step);
+        values[this.yKey] = clamp(this.params[this.yKey] + move[1] * step);
+
+        this.dragging = false;
+        this.onChange(values, false);
+
+        clearTimeout(this.keyTimer);
+        this.keyTimer = setTimeout(() => {
+            this.keyTimer = null;
+            this.onChange(values, true);
+        }, this.keyEndDelay);
+    },
+
+    /**
+     * Update the color legend
+     */
+    updateLegend() {
+        const legend = document.getElementById(this.legendId);
+        if (!legend) return;
+
+        legend.innerHTML = '';
+        Object.entries(this.colors[this.colorBy]).forEach(([category, color]) => {
+            const item = document.createElement('li');
+            const swatch = document.createElement('span');
+            swatch.className = 'phase-swatch';
+            swatch.style.background = color;
+            item.appendChild(swatch);
+            item.appendChild(document.createTextNode(I18n.t(`${this.colorBy}.${category}`)));
+            legend.appendChild(item);
+        });
+
+        const line = document.createElement('li');
+        const dash = document.createElement('span');
+        dash.className = 'phase-swatch phase-swatch-line';
+        line.appendChild(dash);
+        line.appendChild(document.createTextNode(I18n.t('phase.equilibriumLine')));
+        legend.appendChild(line);
+    }
+};
@@ -2,8 +2,8 @@
  * Plan View - Channel Pattern D3 Visualization
  *
  * Displays a bird's eye view of the river channel,
- * showing different patterns (straight, meandering, braided)
- * based on sediment supply and stream power.
+ * showing different patterns (straight, meandering, wandering,
+ * braided, anastomosing) based on sediment supply and stream power.
  */
 
 const PlanView = {
@@ -19,11 +19,23 @@ const PlanView = {
     lastD50: 50,
     lastS: 50,
     currentSeed: 0,
+    channelWidth: 0,     // Channel width (m) from HydraulicGeometry
     flowAnimationId: null,
     flowAnimationRunning: false,
     flowLastTimestamp: 0,
     flowElements: [],
 
+    /**
+     * Create an independent plan view (e.g. for the comparison layout)
+     * with its own flow animation; PlanView itself remains the main instance
+     * @returns {Object} New instance, to be initialized with init()
+     */
+    create() {
+        const instance = Object.create(PlanView);
+        instance.flowElements = [];
+        return instance;
+    },
+
     /**
      * Initialize the plan view visualization
      * @param {string} containerId - DOM element ID for the container
@@ -66,9 +78,17 @@ const PlanView = {
         // Flow ->
         this.addFlowIndicator();
 
+        // Channel width at defaults (equilibrium)
+        this.channelWidth = HydraulicGeometry.compute({ Qs: 50, D50: 50, Qw: 50, S: 50 }, 1).width;
+
         // Draw initial meandering pattern (sinuosity matches update() calculation at defaults)
         const initialSinuosity = 1.1 + (50 / 100) * 0.5 - (50 / 100) * 0.2;
         this.drawMeandering(50, initialSinuosity, 50, 50);
+        this.currentPattern = 'meandering';
+        this.lastQs = 50;
+        this.lastQw = 50;
+        this.lastD50 = 50;
+        this.lastS = 50;
         this.startFlowAnimation();
     },
 
@@ -83,17 +103,27 @@ const PlanView = {
             .attr('y', arrowY)
             .attr('fill', '#7f8c8d')
             .attr('font-size', '11px')
-            .text('Flow ->');
+            .text(I18n.t('views.flow'));
+    },
+
+    /**
+     * Drawing width for the current channel width
+     * @param {number} minPx - Pixels at the smallest regime width
+     * @param {number} maxPx - Pixels at the largest regime width
+     * @returns {number}
+     */
+    getPixelWidth(minPx, maxPx) {
+        return Math.max(minPx * 0.5, HydraulicGeometry.toPixels(this.channelWidth, minPx, maxPx));
     },
 
     /**
      * Generate meandering channel path
-     * @param {number} Qw - Water discharge for width
+     * @param {number} Qw - Water discharge
      * @param {number} sinuosity - How curvy (1-2)
      * @returns {string} SVG path string
      */
     generateMeanderingPath(Qw, sinuosity = 1.3) {
-        const baseWidth = 15 + (Qw / 100) * 25;
+        const baseWidth = this.getPixelWidth(15, 40);
         const amplitude = 25 * sinuosity;
         const wavelength = this.width / 3;
 
@@ -277,7 +307,7 @@ const PlanView = {
     drawStraight(Qw) {
         this.channelGroup.selectAll('*').remove();
 
-        const baseWidth = 12 + (Qw / 100) * 20;
+        const baseWidth = this.getPixelWidth(12, 32);
         const centerY = this.height / 2;
         const seedBase = this.currentSeed + 1000;
 
@@ -328,7 +358,7 @@ const PlanView = {
     drawBraided(Qw, Qs, D50 = 50) {
         this.channelGroup.selectAll('*').remove();
 
-        const totalWidth = 60 + (Qw / 100) * 50;
+        const totalWidth = this.getPixelWidth(60, 110);
         const centerY = this.height / 2;
         const seedBase = this.currentSeed + 2000;
 
@@ -471,6 +501,234 @@ const PlanView = {
         this.braidedChannels = allChannelPaths;
     },
 
+    /**
+     * Draw wandering channel pattern - a gravel-bed main channel of low
+     * sinuosity that splits around occasional vegetated islands
+     * @param {number} Qw - Water discharge
+     * @param {number} Qs - Sediment discharge (for bar density)
+     * @param {number} D50 - Sediment size (for bar characteristics)
+     */
+    drawWandering(Qw, Qs, D50 = 50) {
+        this.channelGroup.selectAll('*').remove();
+
+        const { points, width } = this.generateMeanderingPath(Qw, 0.6);
+        const seedBase = this.currentSeed + 5000;
+
+        const lineGenerator = d3.line()
+            .x(d => d.x)
+            .y(d => d.y)
+            .curve(d3.curveCatmullRom.alpha(0.5));
+
+        const channels = [];
+
+        // Secondary channels split off around two islands
+        const islands = [0.3, 0.7].map((t, index) => {
+            const islandSeed = seedBase + index * 53;
+            const center = points[Math.floor(t * (points.length - 1))];
+            const side = this.pseudoRandom(islandSeed) > 0.5 ? 1 : -1;
+            const length = this.width * (0.12 + this.pseudoRandom(islandSeed + 1) * 0.05);
+            const offset = Math.min(width * 1.3, this.height / 2 - 25);
+
+            // Secondary channel bulges away from the main channel and rejoins it
+            const split = points.filter(p => Math.abs(p.x - center.x) <= length / 2);
+            const secondary = split.map((p, i) => {
+                const bulge = Math.sin((i / (split.length - 1)) * Math.PI);
+                return { x: p.x, y: p.y + side * offset * bulge };
+            });
+            return { side, points: split, secondary };
+        });
+
+        // Banks
+        this.channelGroup.append('path')
+            .attr('class', 'channel-bank')
+            .attr('d', lineGenerator(points))
+            .attr('fill', 'none')
+            .attr('stroke', '#8b4513')
+            .attr('stroke-width', width + 4)
+            .attr('stroke-linecap', 'round')
+            .attr('stroke-linejoin', 'round')
+            .attr('opacity', 0.3);
+
+        islands.forEach(island => {
+            this.channelGroup.append('path')
+                .attr('class', 'channel-bank')
+                .attr('d', lineGenerator(island.secondary))
+                .attr('fill', 'none')
+                .attr('stroke', '#8b4513')
+                .attr('stroke-width', width * 0.5 + 4)
+                .attr('stroke-linecap', 'round')
+                .attr('opacity', 0.3);
+        });
+
+        // Main channel
+        this.mainPathNode = this.channelGroup.append('path')
+            .attr('class', 'channel-main')
+            .attr('d', lineGenerator(points))
+            .attr('fill', 'none')
+            .attr('stroke', '#5dade2')
+            .attr('stroke-width', width)
+            .attr('stroke-linecap', 'round')
+            .attr('stroke-linejoin', 'round')
+            .attr('opacity', 0.8)
+            .node();
+        channels.push({ node: this.mainPathNode, points, width });
+
+        // Secondary channels and the vegetated islands between them
+        islands.forEach((island, index) => {
+            const node = this.channelGroup.append('path')
+                .attr('class', 'channel-secondary')
+                .attr('d', lineGenerator(island.secondary))
+                .attr('fill', 'none')
+                .attr('stroke', '#5dade2')
+                .attr('stroke-width', width * 0.5)
+                .attr('stroke-linecap', 'round')
+                .attr('opacity', 0.75)
+                .node();
+            channels.push({ node, points: island.secondary, width: width * 0.5 });
+
+            // Island fills the gap between the two channels' banks
+            const edges = island.points
+                .map((p, i) => ({
+                    x: p.x,
+                    inner: p.y + island.side * (width / 2 + 1),
+                    outer: island.secondary[i].y - island.side * (width / 4 + 1)
+                }))
+                .filter(d => island.side * (d.outer - d.inner) > 1);
+            this.addVegetatedIsland(edges, seedBase + 200 + index * 31);
+        });
+
+        // Gravel bars in the main channel
+        this.addMidChannelBars(points, width, Qs, D50);
+
+        this.drawBraidedFlowElementsNew(channels, width, this.height / 2, Qw);
+        this.mainPathNode = null;
+        this.braidedChannels = channels;
+    },
+
+    /**
+     * Draw anastomosing channel pattern - several narrow, deep, sinuous
+     * channels separated by large stable vegetated islands
+     * @param {number} Qw - Water discharge
+     */
+    drawAnastomosing(Qw) {
+        this.channelGroup.selectAll('*').remove();
+
+        const centerY = this.height / 2;
+        const seedBase = this.currentSeed + 6000;
+        const numChannels = Qw > 60 ? 3 : 2;
+        const channelWidth = Math.max(3, this.getPixelWidth(8, 20) * 0.6);
+        const beltWidth = Math.min(this.height - 30, 40 + numChannels * 18);
+
+        const lineGenerator = d3.line()
+            .x(d => d.x)
+            .y(d => d.y)
+            .curve(d3.curveCatmullRom.alpha(0.5));
+
+        // Wetland floodplain belt holding the islands
+        this.channelGroup.append('rect')
+            .attr('class', 'anastomosing-belt')
+            .attr('x', 0)
+            .attr('y', centerY - beltWidth / 2)
+            .attr('width', this.width)
+            .attr('height', beltWidth)
+            .attr('fill', '#a9c48f')
+            .attr('rx', 6);
+
+        // Trees on the islands (channels are drawn over them)
+        const numTrees = Math.floor(this.width / 6);
+        for (let i = 0; i < numTrees; i++) {
+            const treeSeed = seedBase + 500 + i * 19;
+            this.channelGroup.append('circle')
+                .attr('class', 'island-tree')
+                .attr('cx', this.pseudoRandom(treeSeed) * this.width)
+                .attr('cy', centerY + (this.pseudoRandom(treeSeed + 1) - 0.5) * (beltWidth - 6))
+                .attr('r', 1.5 + this.pseudoRandom(treeSeed + 2) * 2)
+                .attr('fill', '#5b8c51')
+                .attr('opacity', 0.7);
+        }
+
+        // Channels leave a common inlet, spread across the belt and rejoin
+        const channels = [];
+        for (let c = 0; c < numChannels; c++) {
+            const channelSeed = seedBase + c * 71;
+            const lane = ((c + 0.5) / numChannels - 0.5) * (beltWidth - channelWidth * 2);
+            const waveFreq = 3 + this.pseudoRandom(channelSeed) * 2;
+            const phase = this.pseudoRandom(channelSeed + 1) * Math.PI * 2;
+            const amplitude = Math.min(8, beltWidth / (numChannels * 4));
+
+            const points = [];
+            for (let i = 0; i <= 60; i++) {
+                const t = i / 60;
+                // Smooth ramp to the lane near both ends
+                const envelope = Math.min(1, t / 0.12, (1 - t) / 0.12);
+                const spread = envelope * envelope * (3 - 2 * envelope);
+                const y = centerY + spread * (lane + Math.sin(t * Math.PI * waveFreq + phase) * amplitude);
+                points.push({ x: t * this.width, y });
+            }
+
+            // Vegetated banks
+            this.channelGroup.append('path')
+                .attr('class', 'channel-bank')
+                .attr('d', lineGenerator(points))
+                .attr('fill', 'none')
+                .attr('stroke', '#4f7a45')
+                .attr('stroke-width', channelWidth + 3)
+                .attr('stroke-linecap', 'round')
+                .attr('opacity', 0.6);
+
+            const node = this.channelGroup.append('path')
+                .attr('class', 'anastomosing-channel')
+                .attr('d', lineGenerator(points))
+                .attr('fill', 'none')
+                .attr('stroke', '#2e86c1')
+                .attr('stroke-width', channelWidth)
+                .attr('stroke-linecap', 'round')
+                .attr('opacity', 0.85)
+                .node();
+
+            channels.push({ node, points, width: channelWidth });
+        }
+
+        this.drawBraidedFlowElementsNew(channels, beltWidth, centerY, Qw);
+        this.mainPathNode = null;
+        this.braidedChannels = channels;
+    },
+
+    /**
+     * Add a stable vegetated island with a gravel margin
+     * @param {Array<{x: number, inner: number, outer: number}>} edges - Island edges along x
+     * @param {number} seed - Seed for tree placement
+     */
+    addVegetatedIsland(edges, seed) {
+        if (edges.length < 3) return;
+
+        const outline = edges.map(d => [d.x, d.inner])
+            .concat(edges.slice().reverse().map(d => [d.x, d.outer]));
+        const islandPath = d3.line().curve(d3.curveCatmullRomClosed)(outline);
+
+        this.channelGroup.append('path')
+            .attr('class', 'vegetated-island')
+            .attr('d', islandPath)
+            .attr('fill', '#7fa66a')
+            .attr('stroke', '#cd853f')
+            .attr('stroke-width', 2)
+            .attr('stroke-opacity', 0.7);
+
+        // Trees along the island's midline
+        for (let i = 1; i < edges.length - 1; i += 2) {
+            const treeSeed = seed + i * 13;
+            const { x, inner, outer } = edges[i];
+            const halfWidth = Math.abs(outer - inner) / 2;
+            if (halfWidth < 2) continue;
+            this.channelGroup.append('circle')
+                .attr('class', 'island-tree')
+                .attr('cx', x)
+                .attr('cy', (inner + outer) / 2 + (this.pseudoRandom(treeSeed) - 0.5) * halfWidth)
+                .attr('r', Math.min(halfWidth * 0.8, 1.5 + this.pseudoRandom(treeSeed + 1) * 1.5))
+                .attr('fill', '#4f7a45');
+        }
+    },
+
     /**
      * Draw flow elements for braided channels along the water paths
      */
@@ -615,8 +873,10 @@ const PlanView = {
     update(Qs, D50, Qw, S, ratio, duration = 500) {
         if (!this.channelGroup) return;
 
-        const pattern = Balance.getChannelPattern(Qs, D50, Qw, S, ratio);
+        const classification = PatternClassifiers.classify(Qs, D50, Qw, S, ratio);
+        const pattern = classification.pattern;
         this.currentSeed = this.computeSeed(Qs, D50, Qw, S, ratio);
+        this.channelWidth = HydraulicGeometry.compute({ Qs, D50, Qw, S }, ratio).width;
 
         // Check if any parameter changed (threshold of 1 unit)
         const paramChanged = Math.abs(Qs - this.lastQs) > 1 ||
@@ -645,6 +905,10 @@ const PlanView = {
                 this.drawStraight(Qw);
             } else if (pattern === 'braided') {
                 this.drawBraided(Qw, Qs, D50);
+            } else if (pattern === 'wandering') {
+                this.drawWandering(Qw, Qs, D50);
+            } else if (pattern === 'anastomosing') {
+                this.drawAnastomosing(Qw);
             } else {
                 // Sinuosity driven by discharge (energy to erode banks) and
                 // suppressed by high sediment load (pushes toward braiding).
@@ -664,22 +928,17 @@ const PlanView = {
         }
 
         // Add pattern label
-        this.updatePatternLabel(pattern);
+        this.updatePatternLabel(classification);
     },
 
     /**
-     * Update pattern label display
-     * @param {string} pattern - Current channel pattern
+     * Update pattern label display: pattern, classifier and how close
+     * the reach is to each of its thresholds
+     * @param {Object} classification - Result of PatternClassifiers.classify()
      */
-    updatePatternLabel(pattern) {
-        const labels = {
-            straight: 'Straight Channel',
-            meandering: 'Meandering Channel',
-            braided: 'Braided Channel'
-        };
-
+    updatePatternLabel(classification) {
         // Remove existing label
-        this.svg.select('.pattern-label').remove();
+        this.svg.selectAll('.pattern-label').remove();
 
         // Add new label
         this.svg.append('text')
@@ -690,7 +949,20 @@ const PlanView = {
             .attr('fill', '#7f8c8d')
             .attr('font-size', '12px')
             .attr('font-weight', '500')
-            .text(labels[pattern]);
+            .text(I18n.t(`pattern.${classification.pattern}.label`));
+
+        const criteria = classification.criteria
+            .map(criterion => PatternClassifiers.formatCriterion(criterion))
+            .join(' · ');
+
+        this.svg.append('text')
+            .attr('class', 'pattern-label')
+            .attr('x', this.width - 10)
+            .attr('y', 34)
+            .attr('text-anchor', 'end')
+            .attr('fill', '#7f8c8d')
+            .attr('font-size', '10px')
+            .text(`${classification.name}: ${criteria}`);
     },
 
     /**
@@ -0,0 +1,479 @@
+/**
+ * Process Card View - Detail card for an active process
+ *
+ * Opened by clicking a process in the Active Processes list. Shows the
+ * definition, a small looping D3 schematic, the rule conditions checked
+ * against the current state and literature references (ProcessDetails).
+ * The close button or Escape dismisses it and hands focus back to the list.
+ */
+
+const ProcessCardView = {
+    container: null,
+    rule: null,
+    timer: null,
+    width: 240,
+    height: 110,
+    period: 4000,  // Schematic loop length (ms)
+
+    // Called with the process id when the user dismisses the card
+    onDismiss: null,
+
+    colors: {
+        sky: '#f4f8fb',
+        ground: '#e8e4d9',
+        bank: '#8b4513',
+        water: '#5dade2',
+        sediment: '#cd853f',
+        coarse: '#8d8d8d',
+        vegetation: '#7fa66a',
+        tree: '#4f7a45',
+        label: '#7f8c8d'
+    },
+
+    /**
+     * Initialize the card container
+     * @param {string} containerId - DOM element ID for the card
+     * @param {Function} [onDismiss] - Called with the process id after the user closes the card
+     */
+    init(containerId, onDismiss) {
+        this.container = document.getElementById(containerId);
+        this.onDismiss = onDismiss || null;
+        if (this.container) {
+            this.container.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape') this.dismiss();
+            });
+        }
+        this.close();
+    },
+
+    /**
+     * Open the card for a process rule
+     * @param {Object} rule - Process rule
+     * @param {Object} context - Result of Balance.getProcessContext()
+     */
+    open(rule, context) {
+        if (!this.container) return;
+
+        this.stop();
+        this.rule = rule;
+        const details = ProcessDetails.get(rule);
+
+        this.container.innerHTML = '';
+        this.container.hidden = false;
+        this.container.className = `process-card ${rule.type}`;
+
+        const header = document.createElement('div');
+        header.className = 'process-card-header';
+        const title = document.createElement('h4');
+        title.textContent = Balance.getProcessName(rule);
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'process-card-close';
+        closeBtn.setAttribute('aria-label', I18n.t('processCard.close'));
+        closeBtn.textContent = '×';
+        closeBtn.addEventListener('click', () => this.dismiss());
+        header.appendChild(title);
+        header.appendChild(closeBtn);
+        this.container.appendChild(header);
+
+        const body = document.createElement('div');
+        body.className = 'process-card-body';
+        this.container.appendChild(body);
+
+        const text = document.createElement('div');
+        text.className = 'process-card-text';
+        body.appendChild(text);
+
+        const definition = document.createElement('p');
+        definition.textContent = details.definition;
+        text.appendChild(definition);
+
+        const conditionsTitle = document.createElement('h5');
+        conditionsTitle.textContent = I18n.t('processCard.why');
+        text.appendChild(conditionsTitle);
+        const conditions = document.createElement('ul');
+        conditions.className = 'process-card-conditions';
+        text.appendChild(conditions);
+
+        if (details.references.length) {
+            const referencesTitle = document.createElement('h5');
+            referencesTitle.textContent = I18n.t('processCard.references');
+            text.appendChild(referencesTitle);
+            const references = document.createElement('ul');
+            references.className = 'process-card-references';
+            details.references.forEach(reference => {
+                const li = document.createElement('li');
+                li.textContent = reference;
+                references.appendChild(li);
+            });
+            text.appendChild(references);
+        }
+
+        if (details.schematic && this.schematics[details.schematic]) {
+            const figure = document.createElement('div');
+            figure.className = 'process-card-schematic';
+            body.insertBefore(figure, text);
+            this.startSchematic(figure, details.schematic);
+        }
+
+        this.refresh(context);
+    },
+
+    /**
+     * Update the conditions for the current state
+     * @param {Object} context - Result of Balance.getProcessContext()
+     */
+    refresh(context) {
+        if (!this.rule || !this.container) return;
+
+        const list = this.container.querySelector('.process-card-conditions');
+        if (!list) return;
+
+        list.innerHTML = '';
+        const conditions = ProcessDetails.describeConditions(this.rule, context);
+        if (!conditions.length) {
+            const li = document.createElement('li');
+            li.textContent = I18n.t('processCard.always');
+            list.appendChild(li);
+        }
+        conditions.forEach(condition => {
+            const li = document.createElement('li');
+            li.className = condition.met ? 'met' : 'unmet';
+            li.textContent = `${condition.met ? '✓' : '✗'} ${condition.text} (${I18n.t('lessons.now', { value: condition.current })})`;
+            list.appendChild(li);
+        });
+
+        const active = conditions.every(condition => condition.met);
+        this.container.classList.toggle('inactive', !active);
+    },
+
+    /**
+     * Close the card and stop its animation
+     */
+    close() {
+        this.stop();
+        this.rule = null;
+        if (!this.container) return;
+        this.container.hidden = true;
+        this.container.innerHTML = '';
+    },
+
+    /**
+     * Close the card at the user's request and report which process it showed
+     */
+    dismiss() {
+        const id = this.getOpenId();
+        this.close();
+        if (id && this.onDismiss) this.onDismiss(id);
+    },
+
+    /**
+     * Id of the process shown, or null
+     * @returns {string|null}
+     */
+    getOpenId() {
+        return this.rule ? this.rule.id : null;
+    },
+
+    /**
+     * Draw a schematic and start its loop
+     * @param {HTMLElement} figure - Container element
+     * @param {string} kind - Key of schematics
+     */
+    startSchematic(figure, kind) {
+        const svg = d3.select(figure)
+            .append('svg')
+            .attr('width', '100%')
+            .attr('viewBox', `0 0 ${this.width} ${this.height}`)
+            .attr('preserveAspectRatio', 'xMidYMid meet')
+            .attr('role', 'img')
+            .attr('aria-label', I18n.t('processCard.schematic', { name: Balance.getProcessName(this.rule) }));
+
+        svg.append('rect')
+            .attr('width', this.width)
+            .attr('height', this.height)
+            .attr('fill', this.colors.sky)
+            .attr('rx', 4);
+
+        const tick = this.schematics[kind].call(this, svg.append('g'), this.width, this.height);
+
+        // Grow over most of the loop, then hold briefly before restarting
+        this.timer = d3.timer(elapsed => {
+            const t = (elapsed % this.period) / this.period;
+            tick(d3.easeCubicInOut(Math.min(1, t / 0.8)), t);
+        });
+    },
+
+    /**
+     * Stop the schematic animation
+     */
+    stop() {
+        if (this.timer) {
+            this.timer.stop();
+            this.timer = null;
+        }
+    },
+
+    /**
+     * Add a small text label
+     * @param {Object} g - D3 selection
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {string} text - Label text
+     * @param {string} [anchor] - Text anchor
+     */
+    label(g, x, y, text, anchor = 'start') {
+        g.append('text')
+            .attr('x', x)
+            .attr('y', y)
+            .attr('text-anchor', anchor)
+            .attr('fill', this.colors.label)
+            .attr('font-size', '9px')
+            .text(text);
+    },
+
+    /**
+     * Schematic builders: (g, w, h) => tick(progress, loopFraction)
+     * progress eases from 0 to 1 and holds; loopFraction runs 0-1 linearly.
+     */
+    schematics: {
+        // Cross-section: the bed lowers below its original level
+        incision(g, w, h) {
+            const top = h * 0.35;
+            const bed0 = h * 0.6;
+            const ground = g.append('path').attr('fill', this.colors.ground).attr('stroke', this.colors.bank).attr('stroke-width', 2);
+            const water = g.append('path').attr('fill', this.colors.water).attr('opacity', 0.7);
+            g.append('line')
+                .attr('x1', w * 0.33).attr('x2', w * 0.67).attr('y1', bed0).attr('y2', bed0)
+                .attr('stroke', this.colors.label).attr('stroke-dasharray', '4,3');
+            this.label(g, w * 0.68, bed0 + 3, I18n.t('schematic.originalBed'));
+            this.label(g, 6, 12, I18n.t('schematic.crossSection'));
+
+            return progress => {
+                const bed = bed0 + progress * h * 0.25;
+                const surface = bed - h * 0.14;
+                ground.attr('d', d3.line()([[0, top], [w * 0.3, top], [w * 0.35, bed], [w * 0.65, bed], [w * 0.7, top], [w, top], [w, h], [0, h]]) + 'Z');
+                const inset = w * 0.05 * (bed - surface) / (bed - top);
+                water.attr('d', d3.line()([[w * 0.35 - inset, surface], [w * 0.35, bed], [w * 0.65, bed], [w * 0.65 + inset, surface]]) + 'Z');
+            };
+        },
+
+        // Cross-section: the outer bank retreats and blocks fall into the channel
+        'bank-erosion'(g, w, h) {
+            const top = h * 0.3;
+            const bed = h * 0.75;
+            const surface = h * 0.55;
+            const ground = g.append('path').attr('fill', this.colors.ground).attr('stroke', this.colors.bank).attr('stroke-width', 2);
+            const water = g.append('path').attr('fill', this.colors.water).attr('opacity', 0.7);
+            const block = g.append('rect').attr('width', 8).attr('height', 6).attr('fill', this.colors.sediment);
+            this.label(g, 6, 12, I18n.t('schematic.crossSection'));
+
+            return (progress, loop) => {
+                const bankX = w * 0.62 + progress * w * 0.18;
+                ground.attr('d', d3.line()([[0, top], [w * 0.3, top], [w * 0.36, bed], [bankX - 6, bed], [bankX, top], [w, top], [w, h], [0, h]]) + 'Z');
+                water.attr('d', d3.line()([[w * 0.33, surface], [w * 0.36, bed], [bankX - 6, bed], [bankX - 3, surface]]) + 'Z');
+
+                // A block falls from the bank top every half loop
+                const fall = (loop * 2) % 1;
+                block.attr('x', bankX - 10 - fall * 8)
+                    .attr('y', top + fall * (bed - top - 6))
+                    .attr('opacity', 1 - fall * 0.5);
+            };
+        },
+
+        // Long profile: a step in the bed migrates upstream
+        knickpoint(g, w, h) {
+            const water = g.append('path').attr('fill', 'none').attr('stroke', this.colors.water).attr('stroke-width', 3).attr('opacity', 0.8);
+            const bed = g.append('path').attr('fill', this.colors.ground).attr('stroke', this.colors.bank).attr('stroke-width', 2);
+            const marker = g.append('text').attr('fill', this.colors.label).attr('font-size', '9px').attr('text-anchor', 'middle').text(I18n.t('schematic.knickpoint'));
+            this.label(g, 6, 12, I18n.t('schematic.longProfile'));
+
+            const upper = x => h * 0.3 + (x / w) * h * 0.3;
+            const lower = x => upper(x) + h * 0.2;
+
+            return progress => {
+                const xk = w * (0.8 - progress * 0.55);
+                const points = [[0, upper(0)], [xk, upper(xk)], [xk + 8, lower(xk + 8)], [w, lower(w)]];
+                bed.attr('d', d3.line()(points.concat([[w, h], [0, h]])) + 'Z');
+                water.attr('d', d3.line().curve(d3.curveMonotoneX)(points.map(([x, y]) => [x, y - 5])));
+                marker.attr('x', xk + 4).attr('y', upper(xk) - 10);
+            };
+        },
+
+        // Bed surface: fine grains are washed away, coarse grains remain
+        armoring(g, w, h) {
+            const bedY = h * 0.65;
+            g.append('rect').attr('x', 0).attr('y', h * 0.3).attr('width', w).attr('height', bedY - h * 0.3)
+                .attr('fill', this.colors.water).attr('opacity', 0.35);
+            g.append('rect').attr('x', 0).attr('y', bedY).attr('width', w).attr('height', h - bedY).attr('fill', this.colors.ground);
+            this.label(g, 6, 12, I18n.t('schematic.bedSurface'));
+
+            const grains = d3.range(36).map(i => ({
+                x: (i + 0.5) * w / 36,
+                coarse: i % 3 === 0,
+                r: i % 3 === 0 ? 5 : 2.2
+            }));
+            const circles = g.selectAll('circle.grain')
+                .data(grains)
+                .join('circle')
+                .attr('class', 'grain')
+                .attr('r', d => d.r)
+                .attr('fill', d => (d.coarse ? this.colors.coarse : this.colors.sediment));
+
+            return progress => {
+                circles
+                    .attr('cx', d => (d.coarse ? d.x : d.x + progress * w * 0.7))
+                    .attr('cy', d => bedY - d.r + (d.coarse ? 0 : -progress * 8))
+                    .attr('opacity', d => (d.coarse ? 1 : 1 - progress));
+            };
+        },
+
+        // Plan view: a mid-channel bar grows and splits the flow
+        bar(g, w, h) {
+            g.append('rect').attr('x', 0).attr('y', h * 0.25).attr('width', w).attr('height', h * 0.5)
+                .attr('fill', this.colors.water).attr('opacity', 0.7);
+            const bar = g.append('ellipse').attr('cx', w * 0.5).attr('cy', h * 0.5).attr('fill', this.colors.sediment);
+            this.label(g, 6, 12, I18n.t('schematic.planView'));
+
+            return progress => {
+                bar.attr('rx', 8 + progress * w * 0.25).attr('ry', 3 + progress * h * 0.14);
+            };
+        },
+
+        // Plan view: banks move apart as the channel widens
+        widening(g, w, h) {
+            const channel = g.append('rect').attr('x', 0).attr('width', w).attr('fill', this.colors.water).attr('opacity', 0.7);
+            const banks = g.selectAll('line.bank')
+                .data([-1, 1])
+                .join('line')
+                .attr('class', 'bank')
+                .attr('x1', 0).attr('x2', w)
+                .attr('stroke', this.colors.bank).attr('stroke-width', 3);
+            const bars = g.selectAll('ellipse.bar')
+                .data([0.25, 0.6, 0.85])
+                .join('ellipse')
+                .attr('class', 'bar')
+                .attr('cx', d => d * w)
+                .attr('fill', this.colors.sediment);
+            this.label(g, 6, 12, I18n.t('schematic.planView'));
+
+            return progress => {
+                const half = h * (0.14 + progress * 0.2);
+                channel.attr('y', h / 2 - half).attr('height', half * 2);
+                banks.attr('y1', d => h / 2 + d * half).attr('y2', d => h / 2 + d * half);
+                bars.attr('cy', (d, i) => h / 2 + (i % 2 ? 1 : -1) * half * 0.4)
+                    .attr('rx', progress * 18).attr('ry', progress * 5);
+            };
+        },
+
+        // Plan view: the river breaks out into a new course
+        avulsion(g, w, h) {
+            const oldCourse = [[0, h * 0.45], [w * 0.3, h * 0.35], [w * 0.55, h * 0.45], [w * 0.8, h * 0.32], [w, h * 0.4]];
+            const newCourse = [[w * 0.3, h * 0.35], [w * 0.45, h * 0.6], [w * 0.7, h * 0.72], [w, h * 0.75]];
+            const line = d3.line().curve(d3.curveCatmullRom.alpha(0.5));
+
+            const old = g.append('path').attr('d', line(oldCourse)).attr('fill', 'none')
+                .attr('stroke', this.colors.water).attr('stroke-width', 7).attr('stroke-linecap', 'round');
+            const fresh = g.append('path').attr('d', line(newCourse)).attr('fill', 'none')
+                .attr('stroke', this.colors.water).attr('stroke-width', 7).attr('stroke-linecap', 'round');
+            const length = fresh.node().getTotalLength();
+            fresh.attr('stroke-dasharray', `${length} ${length}`);
+            this.label(g, 6, 12, I18n.t('schematic.planView'));
+
+            return progress => {
+                fresh.attr('stroke-dashoffset', length * (1 - progress));
+                old.attr('opacity', 0.9 - progress * 0.6);
+            };
+        },
+
+        // Cross-section: a flood spills over the banks and leaves a layer on the floodplain
+        overbank(g, w, h) {
+            const top = h * 0.45;
+            const bed = h * 0.8;
+            const water = g.append('path').attr('fill', this.colors.water).attr('opacity', 0.6);
+            g.append('path')
+                .attr('d', d3.line()([[0, top], [w * 0.38, top], [w * 0.42, bed], [w * 0.58, bed], [w * 0.62, top], [w, top], [w, h], [0, h]]) + 'Z')
+                .attr('fill', this.colors.ground).attr('stroke', this.colors.bank).attr('stroke-width', 2);
+            const deposits = g.selectAll('path.deposit')
+                .data([[0, w * 0.38], [w * 0.62, w]])
+                .join('path')
+                .attr('class', 'deposit')
+                .attr('fill', this.colors.sediment);
+            this.label(g, 6, 12, I18n.t('schematic.crossSection'));
+
+            return (progress, loop) => {
+                // Flood stage rises and falls each loop
+                const stage = top + h * 0.12 - Math.sin(loop * Math.PI) * h * 0.3;
+                water.attr('d', d3.line()([[0, stage], [w, stage], [w, h], [0, h]]) + 'Z');
+                const thickness = progress * 6;
+                deposits.attr('d', ([x0, x1]) => {
+                    // Thickest next to the channel (levee)
+                    const near = x0 === 0 ? x1 : x0;
+                    const far = x0 === 0 ? x0 : x1;
+                    return d3.line()([[near, top], [near, top - thickness], [far, top - thickness * 0.3], [far, top]]) + 'Z';
+                });
+            };
+        },
+
+        // Reach: as much sediment leaves as enters
+        balance(g, w, h) {
+            g.append('rect').attr('x', 0).attr('y', h * 0.35).attr('width', w).attr('height', h * 0.3)
+                .attr('fill', this.colors.water).attr('opacity', 0.5);
+            g.append('rect').attr('x', 0).attr('y', h * 0.65).attr('width', w).attr('height', h * 0.35).attr('fill', this.colors.ground);
+            this.label(g, 6, 12, I18n.t('schematic.reach'));
+            this.label(g, 6, h * 0.3, I18n.t('schematic.in'));
+            this.label(g, w - 6, h * 0.3, I18n.t('schematic.out'), 'end');
+
+            const particles = g.selectAll('circle.particle')
+                .data(d3.range(10))
+                .join('circle')
+                .attr('class', 'particle')
+                .attr('r', 3)
+                .attr('fill', this.colors.sediment);
+
+            return (progress, loop) => {
+                particles
+                    .attr('cx', i => ((loop + i / 10) % 1) * w)
+                    .attr('cy', i => h * 0.6 - (i % 3) * 4);
+            };
+        },
+
+        // Plan view: a chute cuts across the inside of a bend
+        chute(g, w, h) {
+            const line = d3.line().curve(d3.curveCatmullRom.alpha(0.5));
+            const bend = [[0, h * 0.75], [w * 0.3, h * 0.7], [w * 0.45, h * 0.25], [w * 0.6, h * 0.2], [w * 0.75, h * 0.6], [w, h * 0.72]];
+            g.append('ellipse').attr('cx', w * 0.52).attr('cy', h * 0.48).attr('rx', w * 0.14).attr('ry', h * 0.16)
+                .attr('fill', this.colors.sediment).attr('opacity', 0.8);
+            g.append('path').attr('d', line(bend)).attr('fill', 'none')
+                .attr('stroke', this.colors.water).attr('stroke-width', 8).attr('stroke-linecap', 'round');
+            const chute = g.append('path').attr('d', line([[w * 0.32, h * 0.66], [w * 0.52, h * 0.55], [w * 0.72, h * 0.6]]))
+                .attr('fill', 'none').attr('stroke', this.colors.water).attr('stroke-width', 4).attr('stroke-linecap', 'round');
+            const length = chute.node().getTotalLength();
+            chute.attr('stroke-dasharray', `${length} ${length}`);
+            this.label(g, 6, 12, I18n.t('schematic.planView'));
+
+            return progress => {
+                chute.attr('stroke-dashoffset', length * (1 - progress));
+            };
+        },
+
+        // Plan view: vegetation colonizes and fixes an island
+        island(g, w, h) {
+            g.append('rect').attr('x', 0).attr('y', h * 0.2).attr('width', w).attr('height', h * 0.6)
+                .attr('fill', this.colors.water).attr('opacity', 0.7);
+            const island = g.append('ellipse').attr('cx', w / 2).attr('cy', h / 2).attr('rx', w * 0.3).attr('ry', h * 0.18);
+            const trees = g.selectAll('circle.tree')
+                .data(d3.range(9).map(i => ({ x: w / 2 + (i - 4) * w * 0.06, y: h / 2 + ((i % 3) - 1) * h * 0.07, order: i / 9 })))
+                .join('circle')
+                .attr('class', 'tree')
+                .attr('cx', d => d.x)
+                .attr('cy', d => d.y)
+                .attr('fill', this.colors.tree);
+            this.label(g, 6, 12, I18n.t('schematic.planView'));
+
+            return progress => {
+                island.attr('fill', d3.interpolateRgb(this.colors.sediment, this.colors.vegetation)(progress));
+                trees.attr('r', d => (progress > d.order ? 4 : 0));
+            };
+        }
+    }
+};
@@ -0,0 +1,197 @@
+/**
+ * Process Details - Definitions and references for process cards
+ *
+ * Keyed by process rule id (see data/process-rules.json). Each entry has a
+ * definition, the schematic drawn by ProcessCardView and literature
+ * references. Rules added in the rules editor without an entry here
+ * fall back to the rule's own description.
+ */
+
+const ProcessDetails = {
+    entries: {
+        'bed-incision': {
+            schematic: 'incision',
+            definition: 'Lowering of the channel bed by erosion. When the flow can carry more sediment than is supplied, '
+                + 'it takes the difference from the bed, so the channel cuts down and the floodplain is left higher above the water.',
+            references: [
+                'Galay, V. J. (1983). Causes of river bed degradation. Water Resources Research, 19(5), 1057-1090.',
+                'Kondolf, G. M. (1997). Hungry water: effects of dams and gravel mining on river channels. Environmental Management, 21(4), 533-551.'
+            ]
+        },
+        'bank-erosion': {
+            schematic: 'bank-erosion',
+            definition: 'Removal of bank material by the flow (fluvial entrainment) and by collapse of undercut banks (mass failure). '
+                + 'Incision makes banks higher and steeper, so erosion often follows once stream power is high enough.',
+            references: [
+                'Thorne, C. R. (1982). Processes and mechanisms of river bank erosion. In Gravel-bed Rivers (pp. 227-271). Wiley.',
+                'Rinaldi, M., & Darby, S. E. (2007). Modelling river-bank-erosion processes and mass failure mechanisms. Developments in Earth Surface Processes, 11, 213-239.'
+            ]
+        },
+        'knickpoint-migration': {
+            schematic: 'knickpoint',
+            definition: 'A knickpoint is a sharp step in the long profile. Flow accelerates over the step and erodes it, '
+                + 'so the step moves upstream and spreads incision through the catchment.',
+            references: [
+                'Gardner, T. W. (1983). Experimental study of knickpoint and longitudinal profile evolution in cohesive, homogeneous material. GSA Bulletin, 94(5), 664-672.',
+                'Schumm, S. A., Harvey, M. D., & Watson, C. C. (1984). Incised Channels: Morphology, Dynamics and Control. Water Resources Publications.'
+            ]
+        },
+        'bed-armoring': {
+            schematic: 'armoring',
+            definition: 'Selective removal of fine grains from the bed surface leaves a coarse layer, the armor, that the flow can barely move. '
+                + 'It protects the finer bed underneath and slows further incision.',
+            references: [
+                'Parker, G., & Klingeman, P. C. (1982). On why gravel bed streams are paved. Water Resources Research, 18(5), 1409-1423.',
+                'Kondolf, G. M. (1997). Hungry water: effects of dams and gravel mining on river channels. Environmental Management, 21(4), 533-551.'
+            ]
+        },
+        'bar-formation': {
+            schematic: 'bar',
+            definition: 'Deposition of surplus sediment as bars: mid-channel, lateral or point bars. '
+                + 'Bars split and deflect the flow and are the first sign that supply exceeds transport capacity.',
+            references: [
+                'Church, M., & Jones, D. (1982). Channel bars in gravel-bed rivers. In Gravel-bed Rivers (pp. 291-338). Wiley.',
+                'Ashworth, P. J. (1996). Mid-channel bar growth and its relationship to local flow strength and direction. Earth Surface Processes and Landforms, 21(2), 103-123.'
+            ]
+        },
+        'channel-widening': {
+            schematic: 'widening',
+            definition: 'The channel becomes wider and shallower. Bars push flow against the banks, which erode, '
+                + 'and the wider section spreads the flow so even more sediment is deposited.',
+            references: [
+                'Simon, A., & Hupp, C. R. (1986). Channel evolution in modified Tennessee channels. Proceedings of the Fourth Federal Interagency Sedimentation Conference, 2, 5-71.',
+                'Schumm, S. A. (1977). The Fluvial System. Wiley.'
+            ]
+        },
+        'avulsion-risk': {
+            schematic: 'avulsion',
+            definition: 'Avulsion is the sudden abandonment of a channel for a new course across the floodplain. '
+                + 'Aggradation raises the bed above the surrounding floodplain until a flood breaks through the bank.',
+            references: [
+                'Slingerland, R., & Smith, N. D. (2004). River avulsions and their deposits. Annual Review of Earth and Planetary Sciences, 32, 257-285.',
+                'Jones, L. S., & Schumm, S. A. (1999). Causes of avulsion: an overview. In Fluvial Sedimentology VI (pp. 171-178). IAS Special Publication 28.'
+            ]
+        },
+        'overbank-deposition': {
+            schematic: 'overbank',
+            definition: 'Floods spill over the banks and lose velocity on the floodplain, '
+                + 'dropping suspended sand and silt as levees near the channel and finer layers further away.',
+            references: [
+                'Nanson, G. C., & Croke, J. C. (1992). A genetic classification of floodplains. Geomorphology, 4(6), 459-486.',
+                'Walling, D. E., & He, Q. (1998). The spatial variability of overbank sedimentation on river floodplains. Geomorphology, 24(2-3), 209-223.'
+            ]
+        },
+        'transport-balance': {
+            schematic: 'balance',
+            definition: 'Sediment supplied from upstream matches what the flow can transport, '
+                + 'so on average as much sediment leaves the reach as enters it and the bed neither rises nor falls.',
+            references: [
+                'Lane, E. W. (1955). The importance of fluvial morphology in hydraulic engineering. Proceedings of the ASCE, 81(745), 1-17.',
+                'Mackin, J. H. (1948). Concept of the graded river. GSA Bulletin, 59(5), 463-512.'
+            ]
+        },
+        'dynamic-equilibrium': {
+            schematic: 'balance',
+            definition: 'A graded river still erodes and deposits locally from flood to flood, '
+                + 'but these changes cancel out over time and the channel keeps its average form.',
+            references: [
+                'Mackin, J. H. (1948). Concept of the graded river. GSA Bulletin, 59(5), 463-512.',
+                'Schumm, S. A. (1977). The Fluvial System. Wiley.'
+            ]
+        },
+        'chute-cutoff': {
+            schematic: 'chute',
+            definition: 'Flow shortcuts across a bar or the inside of a bend through a chute channel, '
+                + 'which can grow to take over the main flow.',
+            references: [
+                'Church, M. (1983). Pattern of instability in a wandering gravel bed channel. In Modern and Ancient Fluvial Systems (pp. 169-180). IAS Special Publication 6.',
+                'Desloges, J. R., & Church, M. (1989). Wandering gravel-bed rivers. The Canadian Geographer, 33(4), 360-364.'
+            ]
+        },
+        'secondary-channel-switching': {
+            schematic: 'chute',
+            definition: 'In wandering rivers the flow divides around islands, '
+                + 'and the share carried by side channels shifts as bars grow and are eroded.',
+            references: [
+                'Desloges, J. R., & Church, M. (1989). Wandering gravel-bed rivers. The Canadian Geographer, 33(4), 360-364.'
+            ]
+        },
+        'island-stabilization': {
+            schematic: 'island',
+            definition: 'Vegetation colonizes bars and islands and binds the sediment with roots, '
+                + 'fixing the islands and the channels between them for centuries.',
+            references: [
+                'Makaske, B. (2001). Anastomosing rivers: a review of their classification, origin and sedimentary products. Earth-Science Reviews, 53(3-4), 149-196.',
+                'Gurnell, A. M., Petts, G. E., Hannah, D. M., et al. (2001). Riparian vegetation and island formation along the gravel-bed Fiume Tagliamento, Italy. Earth Surface Processes and Landforms, 26(1), 31-62.'
+            ]
+        },
+        'vertical-accretion': {
+            schematic: 'overbank',
+            definition: 'Slow upward building of the channel banks and floodplain from fine overbank sediment. '
+                + 'In anastomosing systems it keeps pace with the rising base level.',
+            references: [
+                'Nanson, G. C., & Croke, J. C. (1992). A genetic classification of floodplains. Geomorphology, 4(6), 459-486.',
+                'Makaske, B. (2001). Anastomosing rivers: a review of their classification, origin and sedimentary products. Earth-Science Reviews, 53(3-4), 149-196.'
+            ]
+        },
+        avulsion: {
+            schematic: 'avulsion',
+            definition: 'Anastomosing channels multiply by avulsion: floods cut new channels across the floodplain, '
+                + 'while cohesive, vegetated banks keep the old channels open.',
+            references: [
+                'Makaske, B. (2001). Anastomosing rivers: a review of their classification, origin and sedimentary products. Earth-Science Reviews, 53(3-4), 149-196.',
+                'Slingerland, R., & Smith, N. D. (2004). River avulsions and their deposits. Annual Review of Earth and Planetary Sciences, 32, 257-285.'
+            ]
+        }
+    },
+
+    /**
+     * Details for a process rule
+     * @param {Object} rule - Process rule
+     * @returns {{definition: string, schematic: string|null, references: string[]}}
+     */
+    get(rule) {
+        const entry = this.entries[rule.id];
+        if (entry) return entry;
+        return { definition: rule.description || '', schematic: null, references: [] };
+    },
+
+    /**
+     * Describe a rule's conditions against the current context
+     * @param {Object} rule - Process rule
+     * @param {Object} context - Result of Balance.getProcessContext()
+     * @returns {Array<{text: string, current: string, met: boolean}>}
+     */
+    describeConditions(rule, context) {
+        const format = value => (value === undefined ? '-' : I18n.formatNumber(value, { maximumFractionDigits: 2 }));
+
+        return Object.entries(rule.when || {}).map(([key, condition]) => {
+            // Condition labels are catalog entries; parameter symbols fall back to the key
+            const label = I18n.t(`condition.${key}`, {}, key);
+
+            if (key === 'state' || key === 'pattern') {
+                const allowed = Array.isArray(condition) ? condition : [condition];
+                const name = value => I18n.t(`${key}.${value}`, {}, value).toLowerCase();
+                return {
+                    text: I18n.t('condition.is', { label, values: allowed.map(name).join(I18n.t('condition.or')) }),
+                    current: context[key] ? name(context[key]) : '-',
+                    met: allowed.includes(context[key])
+                };
+            }
+
+            const bounds = [];
+            if (condition.above !== undefined) bounds.push(`> ${I18n.formatNumber(condition.above)}`);
+            if (condition.below !== undefined) bounds.push(`< ${I18n.formatNumber(condition.below)}`);
+            return {
+                text: `${label} ${bounds.join(I18n.t('condition.and'))}`,
+                current: format(context[key]),
+                met: Balance.inRange(context[key], condition)
+            };
+        });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProcessDetails;
+}
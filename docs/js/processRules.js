@@ -0,0 +1,338 @@
+/**
+ * Process Rules - Data-driven process definitions
+ *
+ * Loads the rules that decide which geomorphic processes fire from
+ * data/process-rules.json and hands them to Balance.setProcessRules.
+ *
+ * Document format (version 1):
+ * {
+ *   "format": "lane-balance-rules",
+ *   "version": 1,
+ *   "equilibriumBand": 0.05,
+ *   "rules": [
+ *     {
+ *       "id": "bank-erosion",
+ *       "name": "Bank erosion",
+ *       "type": "degradation",          // degradation | aggradation | equilibrium | pattern
+ *       "severity": "moderate",         // low | moderate | high
+ *       "description": "...",
+ *       "when": {
+ *         "state": "degradation",       // value or list
+ *         "pattern": ["braided"],       // value or list
+ *         "streamPower": { "above": 0.3 },
+ *         "ratio": { "below": 0.5 }     // also Qs, D50, Qw, S (slider values)
+ *       }
+ *     }
+ *   ]
+ * }
+ *
+ * The file is the only full set of rules. Rules edited in the app are
+ * kept in localStorage and take precedence over it; the file still
+ * loads so that unedited process text can be translated. On file://
+ * pages, where fetch is unavailable, the small fallback set in
+ * Balance.processRules is used.
+ */
+
+const ProcessRules = {
+    FORMAT: 'lane-balance-rules',
+    VERSION: 1,
+    url: 'data/process-rules.json',
+    storageKey: 'lane-balance-rules',
+
+    // Where the active rules came from: 'built-in' | 'file' | 'edited'
+    source: 'built-in',
+
+    // Fallback rules captured before anything replaces them
+    builtIn: null,
+
+    types: ['degradation', 'aggradation', 'equilibrium', 'pattern'],
+    severities: ['low', 'moderate', 'high'],
+    states: ['degradation', 'equilibrium', 'aggradation'],
+    patterns: ['straight', 'meandering', 'wandering', 'braided', 'anastomosing'],
+    rangeKeys: ['ratio', 'streamPower', 'Qs', 'D50', 'Qw', 'S'],
+
+    /**
+     * Load rules: edited rules from localStorage, else the rules file,
+     * else the fallback rules
+     * @returns {Promise<string[]>} Errors from the fetched document
+     */
+    init() {
+        this.builtIn = this.build(Balance.processRules, Balance.equilibriumBand);
+        Balance.shippedRules = this.builtIn.rules;
+
+        const stored = this.readStored();
+        if (stored && !this.validate(stored).length) {
+            this.apply(stored, 'edited');
+        } else if (stored) {
+            this.clearStored();
+        }
+
+        return this.fetchFile();
+    },
+
+    /**
+     * Fetch the rules file and apply it unless edited rules are active
+     * @returns {Promise<string[]>} Validation errors (empty if loaded or unavailable)
+     */
+    fetchFile() {
+        if (typeof fetch === 'undefined' || window.location.protocol === 'file:') {
+            return Promise.resolve([]);
+        }
+
+        return fetch(this.url)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(doc => {
+                const errors = this.validate(doc);
+                if (!errors.length) {
+                    Balance.shippedRules = doc.rules;
+                    if (this.source !== 'edited') this.apply(doc, 'file');
+                }
+                return errors.map(message => `${this.url}: ${message}`);
+            })
+            .catch(() => []);
+    },
+
+    /**
+     * Build a rules document
+     * @param {Object[]} rules - Process rules
+     * @param {number} equilibriumBand - Equilibrium band (log10 ratio)
+     * @returns {Object}
+     */
+    build(rules, equilibriumBand) {
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            equilibriumBand,
+            rules: JSON.parse(JSON.stringify(rules))
+        };
+    },
+
+    /**
+     * The active rules as a document
+     * @returns {Object}
+     */
+    current() {
+        return this.build(Balance.processRules, Balance.equilibriumBand);
+    },
+
+    /**
+     * Validate a numeric { above, below } condition
+     * @param {*} condition - Condition to check
+     * @param {string} path - Field path for messages
+     * @param {string[]} errors - Collected error messages
+     */
+    validateRange(condition, path, errors) {
+        if (typeof condition !== 'object' || condition === null || Array.isArray(condition)) {
+            errors.push(I18n.t('validate.range', { path }));
+            return;
+        }
+        Object.entries(condition).forEach(([bound, value]) => {
+            if (bound !== 'above' && bound !== 'below') {
+                errors.push(I18n.t('validate.bound', { path: `${path}.${bound}` }));
+            } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push(I18n.t('validate.rangeNumber', { path: `${path}.${bound}`, value: JSON.stringify(value) }));
+            }
+        });
+    },
+
+    /**
+     * Validate a state or pattern condition (value or list of values)
+     * @param {*} condition - Condition to check
+     * @param {string[]} options - Allowed values
+     * @param {string} path - Field path for messages
+     * @param {string[]} errors - Collected error messages
+     */
+    validateChoice(condition, options, path, errors) {
+        const values = Array.isArray(condition) ? condition : [condition];
+        values.forEach(value => {
+            if (!options.includes(value)) {
+                errors.push(I18n.t('validate.oneOf', { path, options: options.join(', '), value: JSON.stringify(value) }));
+            }
+        });
+    },
+
+    /**
+     * Validate a single rule
+     * @param {*} rule - Rule to check
+     * @param {string} path - Field path for messages
+     * @param {string[]} errors - Collected error messages
+     */
+    validateRule(rule, path, errors) {
+        if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+            errors.push(I18n.t('validate.object', { path }));
+            return;
+        }
+
+        ['id', 'name'].forEach(key => {
+            if (typeof rule[key] !== 'string' || !rule[key].trim()) {
+                errors.push(I18n.t('validate.nonEmptyString', { path: `${path}.${key}` }));
+            }
+        });
+        if (!this.types.includes(rule.type)) {
+            errors.push(I18n.t('validate.oneOf', {
+                path: `${path}.type`, options: this.types.join(', '), value: JSON.stringify(rule.type)
+            }));
+        }
+        if (rule.severity !== undefined && !this.severities.includes(rule.severity)) {
+            errors.push(I18n.t('validate.oneOf', {
+                path: `${path}.severity`, options: this.severities.join(', '), value: JSON.stringify(rule.severity)
+            }));
+        }
+        if (rule.description !== undefined && typeof rule.description !== 'string') {
+            errors.push(I18n.t('validate.string', { path: `${path}.description` }));
+        }
+
+        if (rule.when === undefined) return;
+        if (typeof rule.when !== 'object' || rule.when === null || Array.isArray(rule.when)) {
+            errors.push(I18n.t('validate.object', { path: `${path}.when` }));
+            return;
+        }
+        Object.entries(rule.when).forEach(([key, condition]) => {
+            const conditionPath = `${path}.when.${key}`;
+            if (key === 'state') {
+                this.validateChoice(condition, this.states, conditionPath, errors);
+            } else if (key === 'pattern') {
+                this.validateChoice(condition, this.patterns, conditionPath, errors);
+            } else if (this.rangeKeys.includes(key)) {
+                this.validateRange(condition, conditionPath, errors);
+            } else {
+                errors.push(I18n.t('validate.condition', { path: conditionPath, keys: this.rangeKeys.join(', ') }));
+            }
+        });
+    },
+
+    /**
+     * Validate a rules document
+     * @param {*} doc - Parsed JSON
+     * @returns {string[]} Error messages (empty if valid)
+     */
+    validate(doc) {
+        if (typeof doc !== 'object' || doc === null || Array.isArray(doc)) {
+            return [I18n.t('rules.error.notObject')];
+        }
+        if (doc.format !== this.FORMAT) {
+            return [I18n.t('rules.error.format', { format: this.FORMAT })];
+        }
+
+        const errors = [];
+        if (doc.version !== this.VERSION) {
+            errors.push(I18n.t('validate.version', { version: this.VERSION, value: JSON.stringify(doc.version) }));
+        }
+        if (typeof doc.equilibriumBand !== 'number' || !(doc.equilibriumBand >= 0)) {
+            errors.push(I18n.t('rules.error.band', { value: JSON.stringify(doc.equilibriumBand) }));
+        }
+        if (!Array.isArray(doc.rules)) {
+            errors.push(I18n.t('validate.list', { path: 'rules' }));
+            return errors;
+        }
+
+        const ids = new Set();
+        doc.rules.forEach((rule, index) => {
+            this.validateRule(rule, `rules[${index}]`, errors);
+            if (rule && ids.has(rule.id)) {
+                errors.push(I18n.t('validate.duplicate', { path: `rules[${index}].id`, id: rule.id }));
+            }
+            if (rule) ids.add(rule.id);
+        });
+
+        return errors;
+    },
+
+    /**
+     * Parse and validate rules text
+     * @param {string} text - JSON text
+     * @returns {{doc: Object|null, errors: string[]}}
+     */
+    parse(text) {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        } catch (error) {
+            return { doc: null, errors: [I18n.t('rules.error.json', { message: error.message })] };
+        }
+
+        const errors = this.validate(doc);
+        return { doc: errors.length ? null : doc, errors };
+    },
+
+    /**
+     * Make a validated document the active rules
+     * @param {Object} doc - Rules document
+     * @param {string} source - 'built-in' | 'file' | 'edited'
+     */
+    apply(doc, source) {
+        Balance.setProcessRules(doc.rules, doc.equilibriumBand);
+        this.source = source;
+    },
+
+    /**
+     * Apply edited rules and keep them in localStorage
+     * @param {Object} doc - Validated rules document
+     */
+    applyEdited(doc) {
+        this.apply(doc, 'edited');
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(doc));
+        } catch (error) {
+            // Storage may be unavailable (private mode); rules still apply for this session
+        }
+    },
+
+    /**
+     * Discard edited rules and return to the file (or fallback) rules
+     * @returns {Promise<string[]>} Errors from the rules file
+     */
+    reset() {
+        this.clearStored();
+        this.apply(this.builtIn, 'built-in');
+        return this.fetchFile();
+    },
+
+    /**
+     * Download a rules document as process-rules.json
+     * @param {Object} doc - Rules document
+     */
+    download(doc) {
+        const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.download = 'process-rules.json';
+        link.href = url;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    /**
+     * Read edited rules from localStorage
+     * @returns {Object|null}
+     */
+    readStored() {
+        try {
+            const text = localStorage.getItem(this.storageKey);
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Remove edited rules from localStorage
+     */
+    clearStored() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            // Nothing stored
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProcessRules;
+}
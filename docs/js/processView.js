@@ -2,21 +2,43 @@
  * Process View - Active Geomorphic Processes Display
  *
  * Shows a list of currently active geomorphic processes
- * based on the balance state and parameters.
+ * based on the balance state and parameters. Clicking a process
+ * opens its detail card (ProcessCardView).
  */
 
 const ProcessView = {
     container: null,
     pendingTimeouts: [],
 
+    // Values the rules were tested against in the last update
+    context: null,
+
+    // Whether items open the shared detail card (main instance only)
+    hasCard: false,
+
+    /**
+     * Create an independent, list-only process view (e.g. for the
+     * comparison layout); ProcessView itself remains the main instance
+     * @returns {Object} New instance, to be initialized with init()
+     */
+    create() {
+        const instance = Object.create(ProcessView);
+        instance.pendingTimeouts = [];
+        return instance;
+    },
+
     /**
      * Initialize the process view
      * @param {string} containerId - DOM element ID for the process list
+     * @param {string} [cardId] - DOM element ID for the process detail card
      */
-    init(containerId) {
+    init(containerId, cardId) {
         this.container = document.getElementById(containerId);
         if (!this.container) return;
 
+        this.hasCard = Boolean(cardId);
+        if (cardId) ProcessCardView.init(cardId, id => this.restoreFocus(id));
+
         // Clear and add initial state
         this.container.innerHTML = '';
         this.update(1, 50, 50); // Start at equilibrium
@@ -27,12 +49,16 @@ const ProcessView = {
      * @param {number} ratio - Balance ratio
      * @param {number} Qw - Water discharge
      * @param {number} S - Slope
+     * @param {string} [pattern] - Channel pattern
+     * @param {Object} [params] - { Qs, D50 } for rules with conditions on them
      */
-    update(ratio, Qw, S) {
+    update(ratio, Qw, S, pattern, params) {
         if (!this.container) return;
 
         // Get active processes from Balance module
-        const processes = Balance.getActiveProcesses(ratio, Qw, S);
+        const processes = Balance.getActiveProcesses(ratio, Qw, S, pattern, params);
+        this.context = Balance.getProcessContext(ratio, Qw, S, pattern, params);
+        const openId = this.hasCard ? ProcessCardView.getOpenId() : null;
 
         // Cancel pending animation timeouts from previous update
         this.pendingTimeouts.forEach(id => clearTimeout(id));
@@ -44,8 +70,25 @@ const ProcessView = {
         // Add each process as a list item
         processes.forEach((process, index) => {
             const li = document.createElement('li');
-            li.className = process.type;
+            li.className = `${process.type} severity-${process.severity || 'low'}`;
             li.textContent = process.name;
+            li.dataset.processId = process.id;
+            if (process.description) li.title = process.description;
+            if (process.id === openId) li.classList.add('selected');
+
+            // Open the detail card on click or Enter / Space
+            if (this.hasCard) {
+                li.tabIndex = 0;
+                li.setAttribute('role', 'button');
+                li.setAttribute('aria-expanded', String(process.id === openId));
+                li.addEventListener('click', () => this.select(process.id));
+                li.addEventListener('keydown', (event) => {
+                    if (event.key === 'Enter' || event.key === ' ') {
+                        event.preventDefault();
+                        this.select(process.id);
+                    }
+                });
+            }
 
             // Stagger animation
             li.style.opacity = '0';
@@ -62,10 +105,50 @@ const ProcessView = {
             this.pendingTimeouts.push(timeoutId);
         });
 
+        // Keep an open card's conditions in step with the sliders
+        if (this.hasCard) ProcessCardView.refresh(this.context);
+
         // Update section header color based on state
         this.updateHeaderColor(Balance.getState(ratio));
     },
 
+    /**
+     * Open the detail card for a process, or close it if already open
+     * @param {string} id - Process rule id
+     */
+    select(id) {
+        const rule = Balance.processRules.find(candidate => candidate.id === id);
+
+        if (!rule || ProcessCardView.getOpenId() === id) {
+            ProcessCardView.close();
+        } else {
+            ProcessCardView.open(rule, this.context);
+        }
+
+        this.markOpen(ProcessCardView.getOpenId());
+    },
+
+    /**
+     * Highlight the list item whose card is open
+     * @param {string|null} openId - Process rule id, or null
+     */
+    markOpen(openId) {
+        Array.from(this.container.children).forEach(li => {
+            li.classList.toggle('selected', li.dataset.processId === openId);
+            li.setAttribute('aria-expanded', String(li.dataset.processId === openId));
+        });
+    },
+
+    /**
+     * After the card is dismissed, return keyboard focus to its list item
+     * @param {string} id - Process rule id
+     */
+    restoreFocus(id) {
+        this.markOpen(null);
+        const item = Array.from(this.container.children).find(li => li.dataset.processId === id);
+        if (item) item.focus();
+    },
+
     /**
      * Update the section header color to match state
      * @param {string} state - Current balance state
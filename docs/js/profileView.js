@@ -0,0 +1,246 @@
+/**
+ * Profile View - Longitudinal Profile D3 Visualization
+ *
+ * Draws the reach in long section (flow left to right) with the
+ * valley slope, current bed, water surface and equilibrium grade line.
+ * Aggradation shows as a wedge of deposition above the original bed,
+ * degradation as incision below it.
+ *
+ * When the profile simulation has run, the simulated bed is drawn;
+ * otherwise a schematic bed shows the tendency towards grade.
+ */
+
+const ProfileView = {
+    svg: null,
+    width: 0,
+    height: 0,
+    margin: { top: 10, right: 20, bottom: 10, left: 20 },
+    profileGroup: null,
+    pointCount: 21,
+
+    // Fraction of the way from the original bed towards grade in schematic mode
+    schematicAdjustment: 0.6,
+
+    /**
+     * Initialize the profile view visualization
+     * @param {string} containerId - DOM element ID for the container
+     */
+    init(containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        // Clear existing content
+        container.innerHTML = '';
+
+        // Get container dimensions
+        const rect = container.getBoundingClientRect();
+        this.width = (rect.width || 600) - this.margin.left - this.margin.right;
+        this.height = (rect.height || 160) - this.margin.top - this.margin.bottom;
+
+        // Create SVG
+        this.svg = d3.select(`#${containerId}`)
+            .append('svg')
+            .attr('width', '100%')
+            .attr('height', '100%')
+            .attr('viewBox', `0 0 ${this.width + this.margin.left + this.margin.right} ${this.height + this.margin.top + this.margin.bottom}`)
+            .attr('preserveAspectRatio', 'xMidYMid meet')
+            .append('g')
+            .attr('transform', `translate(${this.margin.left}, ${this.margin.top})`);
+
+        // Background (sky)
+        this.svg.append('rect')
+            .attr('class', 'profile-background')
+            .attr('x', 0)
+            .attr('y', 0)
+            .attr('width', this.width)
+            .attr('height', this.height)
+            .attr('fill', '#f4f8fb')
+            .attr('rx', 4);
+
+        this.profileGroup = this.svg.append('g').attr('class', 'profile-group');
+
+        // Layers in drawing order; paths are updated in place so they can transition
+        const layers = [
+            ['valley-fill', '#e8e4d9', 'none'],
+            ['profile-deposition', '#cd853f', 'none'],
+            ['profile-incision', 'rgba(231, 76, 60, 0.25)', 'none'],
+            ['profile-water', 'rgba(93, 173, 226, 0.6)', 'none'],
+            ['profile-bed', 'none', '#8b4513'],
+            ['profile-valley', 'none', '#7f8c8d'],
+            ['profile-grade', 'none', '#27ae60']
+        ];
+        layers.forEach(([className, fill, stroke]) => {
+            this.profileGroup.append('path')
+                .attr('class', className)
+                .attr('fill', fill)
+                .attr('stroke', stroke)
+                .attr('stroke-width', stroke === 'none' ? 0 : 2);
+        });
+        this.profileGroup.select('.profile-valley').attr('stroke-dasharray', '5,4').attr('stroke-width', 1.5);
+        this.profileGroup.select('.profile-grade').attr('stroke-dasharray', '2,3').attr('stroke-width', 1.5);
+
+        // Flow ->
+        this.svg.append('text')
+            .attr('x', 10)
+            .attr('y', this.height - 15)
+            .attr('fill', '#7f8c8d')
+            .attr('font-size', '11px')
+            .text(I18n.t('views.flow'));
+
+        this.drawLegend();
+    },
+
+    /**
+     * Draw line legend in the upper right corner
+     */
+    drawLegend() {
+        const entries = [
+            { label: I18n.t('profile.legend.valley'), color: '#7f8c8d', dash: '5,4' },
+            { label: I18n.t('profile.legend.grade'), color: '#27ae60', dash: '2,3' },
+            { label: I18n.t('profile.legend.bed'), color: '#8b4513', dash: null }
+        ];
+
+        const legend = this.svg.append('g')
+            .attr('class', 'profile-legend')
+            .attr('transform', `translate(${this.width - 90}, 14)`);
+
+        entries.forEach((entry, i) => {
+            const row = legend.append('g').attr('transform', `translate(0, ${i * 13})`);
+            row.append('line')
+                .attr('x1', 0)
+                .attr('x2', 18)
+                .attr('y1', -3)
+                .attr('y2', -3)
+                .attr('stroke', entry.color)
+                .attr('stroke-width', 2)
+                .attr('stroke-dasharray', entry.dash);
+            row.append('text')
+                .attr('x', 24)
+                .attr('y', 0)
+                .attr('fill', '#7f8c8d')
+                .attr('font-size', '10px')
+                .text(entry.label);
+        });
+    },
+
+    /**
+     * Build profile lines in elevation units.
+     * Simulated mode uses Simulation nodes (m); schematic mode uses a
+     * relative drop derived from the slope slider.
+     * @param {number} ratio - Balance ratio
+     * @param {Object} params - { Qs, D50, Qw, S }
+     * @returns {{original: number[], bed: number[], grade: number[], x: number[], maxZ: number}}
+     */
+    buildProfile(ratio, params) {
+        const gradeS = Math.max(1, Math.min(100, Balance.getEquilibriumSlope(params.Qs, params.D50, params.Qw, params.S)));
+
+        if (typeof Simulation !== 'undefined' && Simulation.time > 0 && Simulation.nodes.length) {
+            const nodes = Simulation.nodes;
+            const length = nodes[nodes.length - 1].x;
+            const gradeSlope = Balance.toPhysical('S', gradeS);
+            const x = nodes.map(n => n.x / length);
+            const original = nodes.map(n => n.z0);
+            const bed = nodes.map(n => n.z);
+            const grade = nodes.map(n => (length - n.x) * gradeSlope);
+            const maxZ = Math.max(...original, ...bed, ...grade);
+            return { x, original, bed, grade, maxZ };
+        }
+
+        const drop = s => 0.1 + 0.6 * (s - 1) / 99;
+        const x = d3.range(this.pointCount).map(i => i / (this.pointCount - 1));
+        const original = x.map(t => drop(params.S) * (1 - t));
+        const grade = x.map(t => drop(gradeS) * (1 - t));
+        const bed = original.map((z, i) => {
+            if (Balance.getState(ratio) === 'equilibrium') return z;
+            return z + this.schematicAdjustment * (grade[i] - z);
+        });
+        return { x, original, bed, grade, maxZ: Math.max(drop(100), ...bed) };
+    },
+
+    /**
+     * Update the profile view with new parameters
+     * @param {number} ratio - Balance ratio
+     * @param {Object} params - { Qs, D50, Qw, S }
+     * @param {number} duration - Animation duration in ms
+     */
+    update(ratio, params, duration = 500) {
+        if (!this.profileGroup) return;
+
+        const profile = this.buildProfile(ratio, params);
+        const baseY = this.height - 25;
+        const topY = 40;
+
+        const xScale = d3.scaleLinear().domain([0, 1]).range([0, this.width]);
+        const yScale = d3.scaleLinear().domain([0, profile.maxZ || 1]).range([baseY, topY]);
+
+        // Water depth grows with discharge
+        const depth = 4 + (params.Qw / 100) * 10;
+
+        const points = key => profile.x.map((t, i) => ({ x: xScale(t), y: yScale(profile[key][i]) }));
+        const original = points('original');
+        const bed = points('bed');
+        const grade = points('grade');
+
+        const line = d3.line().x(d => d.x).y(d => d.y);
+        const band = (upper, lower) => d3.area()
+            .x(d => d.x)
+            .y0((d, i) => lower[i])
+            .y1((d, i) => upper[i])(bed);
+
+        // Valley fill below the lower of the original and current bed
+        const valleyTop = bed.map((d, i) => Math.max(d.y, original[i].y));
+        const valleyFill = d3.area()
+            .x(d => d.x)
+            .y0(this.height)
+            .y1((d, i) => valleyTop[i])(bed);
+
+        // Deposition above the original bed, incision below it
+        const deposition = band(bed.map((d, i) => Math.min(d.y, original[i].y)), original.map(d => d.y));
+        const incision = band(original.map((d, i) => Math.min(d.y, bed[i].y)), bed.map(d => d.y));
+        const water = band(bed.map(d => d.y - depth), bed.map(d => d.y));
+
+        const paths = {
+            'valley-fill': valleyFill,
+            'profile-deposition': deposition,
+            'profile-incision': incision,
+            'profile-water': water,
+            'profile-bed': line(bed),
+            'profile-valley': line(original),
+            'profile-grade': line(grade)
+        };
+
+        Object.entries(paths).forEach(([className, d]) => {
+            this.profileGroup.select(`.${className}`)
+                .transition()
+                .duration(duration)
+                .ease(d3.easeQuadOut)
+                .attr('d', d);
+        });
+
+        this.updateStateLabel(Balance.getState(ratio), params.S);
+    },
+
+    /**
+     * Update state label display
+     * @param {string} state - 'degradation' | 'equilibrium' | 'aggradation'
+     * @param {number} S - Slope slider value
+     */
+    updateStateLabel(state, S) {
+        const slopeText = Balance.unitMode === 'physical'
+            ? `S = ${I18n.formatExponential(Balance.toPhysical('S', S), 1)} m/m`
+            : `S = ${S}`;
+
+        // Remove existing label
+        this.svg.select('.profile-label').remove();
+
+        // Add new label
+        this.svg.append('text')
+            .attr('class', 'profile-label')
+            .attr('x', 10)
+            .attr('y', 20)
+            .attr('fill', '#7f8c8d')
+            .attr('font-size', '12px')
+            .attr('font-weight', '500')
+            .text(`${I18n.t(`profile.${state}`)} · ${slopeText}`);
+    }
+};
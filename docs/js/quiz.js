@@ -0,0 +1,434 @@
+/**
+ * Quiz - Predict-then-reveal question banks
+ *
+ * Each question starts the reach at a slider state and applies a change
+ * in physical units. Students predict the tendency, the channel pattern
+ * and one active process before the views animate to the answer. Answers
+ * are not stored in the bank: they come from the model, evaluated as in
+ * the comparison view, so edited process rules are taken into account.
+ *
+ * Bank format (version 1), as in data/quiz-bank.json:
+ * {
+ *   "format": "lane-balance-quiz",
+ *   "version": 1,
+ *   "title": "...",
+ *   "questions": [
+ *     {
+ *       "id": "wetter-climate",
+ *       "prompt": "A wetter climate sets in.",   // optional context
+ *       "start": { "Qs": 50, "Qw": 60 },         // optional slider values, default 50
+ *       "change": { "Qw": 30 },                  // percent change of the physical value
+ *       "feedback": "..."                        // optional, shown after the reveal
+ *     }
+ *   ]
+ * }
+ */
+
+const Quiz = {
+    FORMAT: 'lane-balance-quiz',
+    VERSION: 1,
+    url: 'data/quiz-bank.json',
+
+    params: ['Qs', 'D50', 'Qw', 'S'],
+
+    // Where the bank came from: 'built-in', 'file' or a loaded file name
+    source: 'built-in',
+
+    // Active bank
+    bank: null,
+
+    // Position in the bank (-1 = not started) and one result per answered question
+    index: -1,
+    results: [],
+
+    // Built-in bank, mirrored by data/quiz-bank.json
+    defaultBank: {
+        format: 'lane-balance-quiz',
+        version: 1,
+        title: 'Lane\'s balance basics',
+        questions: [
+            {
+                id: 'wetter-climate',
+                prompt: 'A wetter climate sets in.',
+                change: { Qw: 30 },
+                feedback: 'More water means more transport capacity for the same supply of sediment.'
+            },
+            {
+                id: 'landslide',
+                prompt: 'A landslide upstream delivers extra sediment to the river.',
+                change: { Qs: 200 }
+            },
+            {
+                id: 'dam',
+                prompt: 'A dam upstream traps part of the bed load.',
+                change: { Qs: -50 },
+                feedback: 'Clear water released below a dam is often called "hungry water".'
+            },
+            {
+                id: 'straightening',
+                prompt: 'The channel is straightened over the same drop in elevation.',
+                change: { S: 100 }
+            },
+            {
+                id: 'coarser-supply',
+                prompt: 'A tributary starts delivering coarser gravel.',
+                change: { D50: 100 },
+                feedback: 'Coarser grains need more stream power to move, so the same flow carries less of them.'
+            },
+            {
+                id: 'diversion',
+                prompt: 'Half of the flow is diverted for irrigation.',
+                change: { Qw: -50 }
+            }
+        ]
+    },
+
+    /**
+     * Use the built-in bank, then replace it with the bank file if one loads
+     * @returns {Promise<string[]>} Validation errors from the bank file
+     */
+    init() {
+        this.apply(this.defaultBank, 'built-in');
+        if (typeof fetch === 'undefined' || window.location.protocol === 'file:') {
+            return Promise.resolve([]);
+        }
+
+        return fetch(this.url)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(doc => {
+                const errors = this.validate(doc);
+                if (!errors.length) this.apply(doc, 'file');
+                return errors.map(message => `${this.url}: ${message}`);
+            })
+            .catch(() => []);
+    },
+
+    /**
+     * Validate a single question
+     * @param {*} question - Question to check
+     * @param {string} path - Field path for messages
+     * @param {string[]} errors - Collected error messages
+     */
+    validateQuestion(question, path, errors) {
+        if (typeof question !== 'object' || question === null || Array.isArray(question)) {
+            errors.push(I18n.t('validate.object', { path }));
+            return;
+        }
+
+        if (typeof question.id !== 'string' || !question.id.trim()) {
+            errors.push(I18n.t('validate.nonEmptyString', { path: `${path}.id` }));
+        }
+        ['prompt', 'feedback'].forEach(key => {
+            if (question[key] !== undefined && typeof question[key] !== 'string') {
+                errors.push(I18n.t('validate.string', { path: `${path}.${key}` }));
+            }
+        });
+
+        if (question.start !== undefined) {
+            if (typeof question.start !== 'object' || question.start === null || Array.isArray(question.start)) {
+                errors.push(I18n.t('validate.sliderValues', { path: `${path}.start` }));
+            } else {
+                Object.entries(question.start).forEach(([key, value]) => {
+                    if (!this.params.includes(key)) {
+                        errors.push(I18n.t('validate.param', { path: `${path}.start.${key}`, params: this.params.join(', ') }));
+                    } else if (typeof value !== 'number' || !(value >= 1 && value <= 100)) {
+                        errors.push(I18n.t('validate.sliderValue', { path: `${path}.start.${key}`, value: JSON.stringify(value) }));
+                    }
+                });
+            }
+        }
+
+        const change = question.change;
+        if (typeof change !== 'object' || change === null || Array.isArray(change) || !Object.keys(change).length) {
+            errors.push(I18n.t('quiz.error.change', { path: `${path}.change` }));
+            return;
+        }
+        Object.entries(change).forEach(([key, percent]) => {
+            if (!this.params.includes(key)) {
+                errors.push(I18n.t('validate.param', { path: `${path}.change.${key}`, params: this.params.join(', ') }));
+            } else if (typeof percent !== 'number' || !Number.isFinite(percent) || percent <= -100 || percent === 0) {
+                errors.push(I18n.t('quiz.error.percent', { path: `${path}.change.${key}`, value: JSON.stringify(percent) }));
+            }
+        });
+    },
+
+    /**
+     * Validate a quiz bank
+     * @param {*} doc - Parsed JSON
+     * @returns {string[]} Error messages (empty if valid)
+     */
+    validate(doc) {
+        if (typeof doc !== 'object' || doc === null || Array.isArray(doc)) {
+            return [I18n.t('quiz.error.notObject')];
+        }
+        if (doc.format !== this.FORMAT) {
+            return [I18n.t('quiz.error.format', { format: this.FORMAT })];
+        }
+
+        const errors = [];
+        if (doc.version !== this.VERSION) {
+            errors.push(I18n.t('validate.version', { version: this.VERSION, value: JSON.stringify(doc.version) }));
+        }
+        if (doc.title !== undefined && typeof doc.title !== 'string') {
+            errors.push(I18n.t('validate.string', { path: 'title' }));
+        }
+        if (!Array.isArray(doc.questions) || !doc.questions.length) {
+            errors.push(I18n.t('validate.nonEmptyList', { path: 'questions' }));
+            return errors;
+        }
+
+        const ids = new Set();
+        doc.questions.forEach((question, index) => {
+            this.validateQuestion(question, `questions[${index}]`, errors);
+            if (question && ids.has(question.id)) {
+                errors.push(I18n.t('validate.duplicate', { path: `questions[${index}].id`, id: question.id }));
+            }
+            if (question) ids.add(question.id);
+        });
+
+        return errors;
+    },
+
+    /**
+     * Parse and validate quiz bank text
+     * @param {string} text - JSON text
+     * @returns {{doc: Object|null, errors: string[]}}
+     */
+    parse(text) {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        } catch (error) {
+            return { doc: null, errors: [I18n.t('quiz.error.json', { message: error.message })] };
+        }
+
+        const errors = this.validate(doc);
+        return { doc: errors.length ? null : doc, errors };
+    },
+
+    /**
+     * Make a validated bank the active one; any quiz in progress ends
+     * @param {Object} doc - Quiz bank
+     * @param {string} source - 'built-in', 'file' or a file name
+     */
+    apply(doc, source) {
+        this.bank = doc;
+        this.source = source;
+        this.index = -1;
+        this.results = [];
+    },
+
+    /**
+     * Describe a change in words, e.g. "Qw increases by 30%"
+     * @param {Object} change - Percent change per parameter
+     * @returns {string}
+     */
+    describeChange(change) {
+        return Object.entries(change)
+            .map(([key, percent]) => I18n.t(percent > 0 ? 'quiz.increases' : 'quiz.decreases', {
+                param: key,
+                percent: Math.abs(percent)
+            }))
+            .join(I18n.t('quiz.and'));
+    },
+
+    /**
+     * Starting slider values of a question
+     * @param {Object} question - Quiz question
+     * @returns {Object} { Qs, D50, Qw, S }
+     */
+    getStart(question) {
+        const start = { Qs: 50, D50: 50, Qw: 50, S: 50 };
+        Object.entries(question.start || {}).forEach(([key, value]) => {
+            start[key] = Math.round(value);
+        });
+        return start;
+    },
+
+    /**
+     * Slider values after the question's change, applied to the physical values
+     * @param {Object} question - Quiz question
+     * @returns {Object} { Qs, D50, Qw, S } rounded and clamped to 1-100
+     */
+    getEnd(question) {
+        const end = this.getStart(question);
+        Object.entries(question.change).forEach(([key, percent]) => {
+            const physical = Balance.toPhysical(key, end[key]) * (1 + percent / 100);
+            end[key] = Math.max(1, Math.min(100, Math.round(Balance.fromPhysical(key, physical))));
+        });
+        return end;
+    },
+
+    /**
+     * Start (or restart) the quiz at the first question
+     */
+    start() {
+        this.index = 0;
+        this.results = [];
+    },
+
+    /**
+     * The question being asked
+     * @returns {Object|null}
+     */
+    current() {
+        if (!this.bank || this.index < 0) return null;
+        return this.bank.questions[this.index] || null;
+    },
+
+    /**
+     * Whether the current question has been answered
+     * @returns {boolean}
+     */
+    isAnswered() {
+        return this.index >= 0 && this.results.length > this.index;
+    },
+
+    /**
+     * Whether every question has been answered and the quiz moved past the last
+     * @returns {boolean}
+     */
+    isFinished() {
+        return Boolean(this.bank) && this.index >= this.bank.questions.length;
+    },
+
+    /**
+     * Grade a prediction for the current question
+     * @param {Object} prediction - { state, pattern, process } (process is a rule id)
+     * @returns {Object|null} Result { id, prompt, start, end, prediction, answer, correct, points, feedback }
+     */
+    submit(prediction) {
+        const question = this.current();
+        if (!question || this.isAnswered()) return null;
+
+        const start = this.getStart(question);
+        const end = this.getEnd(question);
+        const before = Comparison.evaluate(start);
+        const after = Comparison.evaluate(end);
+
+        const correct = {
+            state: prediction.state === after.state,
+            pattern: prediction.pattern === after.pattern,
+            process: after.processes.some(process => process.id === prediction.process)
+        };
+
+        // Name the parameter behind the answer when a single one changes
+        const keys = Object.keys(question.change);
+        const direction = question.change[keys[0]] > 0 ? 'increased' : 'decreased';
+        const feedback = [
+            keys.length === 1
+                ? Balance.getWhySentence(after.state, keys[0], direction)
+                : Balance.getWhySentence(after.state),
+            I18n.t('quiz.ratioMoves', { before: I18n.formatFixed(before.ratio, 2), after: I18n.formatFixed(after.ratio, 2) })
+        ];
+        if (question.feedback) feedback.push(question.feedback);
+
+        const result = {
+            id: question.id,
+            prompt: this.getPrompt(question),
+            start,
+            end,
+            prediction,
+            answer: { state: after.state, pattern: after.pattern, processes: after.processes },
+            correct,
+            points: Object.values(correct).filter(Boolean).length,
+            feedback
+        };
+        this.results.push(result);
+        return result;
+    },
+
+    /**
+     * Full prompt: context sentence followed by the change
+     * @param {Object} question - Quiz question
+     * @returns {string}
+     */
+    getPrompt(question) {
+        const change = `${this.describeChange(question.change)}.`;
+        return question.prompt ? `${question.prompt} ${change}` : change;
+    },
+
+    /**
+     * Move to the next question
+     * @returns {Object|null} Next question, or null at the end
+     */
+    next() {
+        if (!this.bank || this.index < 0) return null;
+        this.index = Math.min(this.index + 1, this.bank.questions.length);
+        return this.current();
+    },
+
+    /**
+     * Score over the answered questions
+     * @returns {Object} { points, possible, percent, parts: { state, pattern, process } }
+     */
+    score() {
+        const parts = { state: 0, pattern: 0, process: 0 };
+        this.results.forEach(result => {
+            Object.keys(parts).forEach(part => {
+                if (result.correct[part]) parts[part] += 1;
+            });
+        });
+
+        const points = parts.state + parts.pattern + parts.process;
+        const possible = this.results.length * 3;
+        return { points, possible, percent: possible ? Math.round(100 * points / possible) : 0, parts };
+    },
+
+    /**
+     * Results as CSV: one row per question and a total row
+     * @returns {string}
+     */
+    toCSV() {
+        const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+        const processName = id => {
+            const rule = Balance.processRules.find(candidate => candidate.id === id);
+            return rule ? Balance.getProcessName(rule) : id;
+        };
+
+        const rows = [[
+            'question', 'prompt',
+            'predicted tendency', 'tendency',
+            'predicted pattern', 'pattern',
+            'predicted process', 'active processes',
+            'points'
+        ]];
+        this.results.forEach(result => {
+            rows.push([
+                result.id, result.prompt,
+                result.prediction.state, result.answer.state,
+                result.prediction.pattern, result.answer.pattern,
+                processName(result.prediction.process), result.answer.processes.map(process => process.name).join('; '),
+                result.points
+            ]);
+        });
+
+        const { points, possible, percent } = this.score();
+        rows.push(['total', `${percent}%`, '', '', '', '', '', '', `${points}/${possible}`]);
+
+        return rows.map(row => row.map(quote).join(',')).join('\n') + '\n';
+    },
+
+    /**
+     * Download the results as quiz-results.csv
+     */
+    download() {
+        const blob = new Blob([this.toCSV()], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.download = 'quiz-results.csv';
+        link.href = url;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Quiz;
+}
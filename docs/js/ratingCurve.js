@@ -0,0 +1,170 @@
+/**
+ * Rating Curve - Sediment rating curve coupling Qs to Qw
+ *
+ *   Qs = a · Qw^b     (Qs in t/yr, Qw in m³/s)
+ *
+ * When coupling is enabled the Qs slider follows the Qw slider through
+ * the curve. Coefficients are set directly or fitted by least squares
+ * in log-log space to pasted (Qw, Qs) pairs.
+ *
+ * The default curve has b = 2 and passes through the mid-slider values,
+ * so turning coupling on at the default state keeps the reach in
+ * equilibrium.
+ */
+
+const RatingCurve = {
+    enabled: false,
+    a: null,
+    b: 2,
+
+    // [Qw, Qs] pairs the coefficients were last fitted to
+    data: [],
+
+    /**
+     * Default coefficients: exponent 2 through the mid-slider point
+     * @returns {{a: number, b: number}}
+     */
+    defaults() {
+        const b = 2;
+        const a = Balance.toPhysical('Qs', 50) / Math.pow(Balance.toPhysical('Qw', 50), b);
+        return { a, b };
+    },
+
+    /**
+     * Restore the default coefficients
+     */
+    reset() {
+        const { a, b } = this.defaults();
+        this.a = a;
+        this.b = b;
+    },
+
+    /**
+     * Set the coefficients; invalid values are ignored
+     * @param {number} a - Coefficient (> 0)
+     * @param {number} b - Exponent
+     */
+    setCoefficients(a, b) {
+        if (a > 0 && Number.isFinite(a)) this.a = a;
+        if (Number.isFinite(b)) this.b = b;
+    },
+
+    /**
+     * Sediment supply from the curve
+     * @param {number} Qw - Water discharge (m³/s)
+     * @returns {number} Qs (t/yr)
+     */
+    supply(Qw) {
+        if (this.a === null) this.reset();
+        return this.a * Math.pow(Qw, this.b);
+    },
+
+    /**
+     * Qs slider value for a Qw slider value
+     * @param {number} sliderQw - Qw slider value (1-100)
+     * @returns {number} Qs slider value (1-100, rounded)
+     */
+    sliderQs(sliderQw) {
+        const value = Balance.fromPhysical('Qs', this.supply(Balance.toPhysical('Qw', sliderQw)));
+        return Math.max(1, Math.min(100, Math.round(value)));
+    },
+
+    /**
+     * Parse pasted (Qw, Qs) pairs, one per line, separated by commas,
+     * semicolons, tabs or spaces. Non-numeric lines (headers) are skipped.
+     * @param {string} text - Pasted text
+     * @returns {{pairs: Array<number[]>, errors: string[]}}
+     */
+    parsePairs(text) {
+        const pairs = [];
+        const errors = [];
+
+        text.split(/\r?\n/).forEach((line, index) => {
+            const cells = line.trim().split(/[,;\t ]+/).filter(Boolean);
+            if (!cells.length || cells.every(cell => Number.isNaN(parseFloat(cell)))) return;
+
+            const [Qw, Qs] = cells.map(Number);
+            if (cells.length < 2 || !(Qw > 0) || !(Qs > 0)) {
+                errors.push(I18n.t('rating.error.pair', { line: index + 1, text: line.trim() }));
+                return;
+            }
+            pairs.push([Qw, Qs]);
+        });
+
+        return { pairs, errors };
+    },
+
+    /**
+     * Fit a and b by least squares on log10(Qs) = log10(a) + b · log10(Qw)
+     * @param {Array<number[]>} pairs - [Qw, Qs] pairs
+     * @returns {{a: number, b: number, r2: number, n: number}|null} Null with fewer than two distinct Qw values
+     */
+    fit(pairs) {
+        const n = pairs.length;
+        if (n < 2) return null;
+
+        const x = pairs.map(([Qw]) => Math.log10(Qw));
+        const y = pairs.map(([, Qs]) => Math.log10(Qs));
+        const meanX = x.reduce((sum, v) => sum + v, 0) / n;
+        const meanY = y.reduce((sum, v) => sum + v, 0) / n;
+
+        let sxx = 0;
+        let sxy = 0;
+        let syy = 0;
+        for (let i = 0; i < n; i++) {
+            sxx += (x[i] - meanX) * (x[i] - meanX);
+            sxy += (x[i] - meanX) * (y[i] - meanY);
+            syy += (y[i] - meanY) * (y[i] - meanY);
+        }
+        if (sxx === 0) return null;
+
+        const b = sxy / sxx;
+        const a = Math.pow(10, meanY - b * meanX);
+        const r2 = syy === 0 ? 1 : (sxy * sxy) / (sxx * syy);
+
+        return { a, b, r2, n };
+    },
+
+    /**
+     * Whether supply or transport capacity limits the sediment flux
+     * @param {number} supply - Sediment supply (t/yr)
+     * @param {number} capacity - Transport capacity (t/yr)
+     * @returns {string} 'supply-limited' | 'transport-limited' | 'balanced'
+     */
+    getRegime(supply, capacity) {
+        const regimes = {
+            degradation: 'supply-limited',
+            equilibrium: 'balanced',
+            aggradation: 'transport-limited'
+        };
+        return regimes[Transport.compare(supply, capacity).state];
+    },
+
+    /**
+     * How the balance ratio responds to a rise in Qw when Qs follows the curve
+     * @param {number} D50 - Sediment size slider (1-100)
+     * @param {number} Qw - Water discharge slider (1-100)
+     * @param {number} S - Slope slider (1-100)
+     * @returns {{slope: number, tendency: string}} d log10(ratio) / d Qw slider and the
+     *   tendency a higher Qw moves toward ('aggradation' | 'degradation' | 'none')
+     */
+    getTrend(D50, Qw, S) {
+        const logRatio = sliderQw => {
+            const Qs = Balance.fromPhysical('Qs', this.supply(Balance.toPhysical('Qw', sliderQw)));
+            return Math.log10(Balance.calculateRatio(Qs, D50, sliderQw, S));
+        };
+        const low = Math.max(1, Qw - 1);
+        const high = Math.min(100, Qw + 1);
+        const slope = (logRatio(high) - logRatio(low)) / (high - low);
+
+        let tendency = 'none';
+        if (slope > 1e-4) tendency = 'aggradation';
+        if (slope < -1e-4) tendency = 'degradation';
+        return { slope, tendency };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RatingCurve;
+}
@@ -0,0 +1,145 @@
+/**
+ * Rating Curve View - Log-log plot of sediment supply against discharge
+ *
+ * Draws the rating curve Qs = a · Qw^b, the transport capacity of the
+ * reach at each discharge (current D50 and S), any fitted data pairs and
+ * the current (Qw, Qs) point. Where the rating curve lies below the
+ * capacity curve the reach is supply-limited; above it, transport-limited.
+ */
+
+const RatingCurveView = {
+    svg: null,
+    width: 0,
+    height: 0,
+    margin: { top: 10, right: 20, bottom: 34, left: 56 },
+    plotGroup: null,
+
+    colors: {
+        curve: '#cd853f',
+        capacity: '#2980b9',
+        data: '#7f8c8d',
+        degradation: '#e74c3c',
+        equilibrium: '#27ae60',
+        aggradation: '#f39c12'
+    },
+
+    /**
+     * Initialize the rating curve plot
+     * @param {string} containerId - DOM element ID for the container
+     */
+    init(containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        // Clear existing content
+        container.innerHTML = '';
+
+        // Get container dimensions
+        const rect = container.getBoundingClientRect();
+        this.width = (rect.width || 400) - this.margin.left - this.margin.right;
+        this.height = (rect.height || 260) - this.margin.top - this.margin.bottom;
+
+        // Create SVG
+        this.svg = d3.select(`#${containerId}`)
+            .append('svg')
+            .attr('width', '100%')
+            .attr('height', '100%')
+            .attr('viewBox', `0 0 ${this.width + this.margin.left + this.margin.right} ${this.height + this.margin.top + this.margin.bottom}`)
+            .attr('preserveAspectRatio', 'xMidYMid meet')
+            .append('g')
+            .attr('transform', `translate(${this.margin.left}, ${this.margin.top})`);
+
+        this.plotGroup = this.svg.append('g').attr('class', 'rating-group');
+
+        // Axes span the full physical slider ranges
+        const ranges = Balance.physicalRanges;
+        this.xScale = d3.scaleLog().domain([ranges.Qw.min, ranges.Qw.max]).range([0, this.width]);
+        this.yScale = d3.scaleLog().domain([ranges.Qs.min, ranges.Qs.max]).range([this.height, 0]);
+
+        this.plotGroup.append('defs').append('clipPath')
+            .attr('id', 'rating-clip')
+            .append('rect')
+            .attr('width', this.width)
+            .attr('height', this.height);
+
+        this.plotGroup.append('g').attr('class', 'rating-axis rating-axis-x')
+            .attr('transform', `translate(0, ${this.height})`)
+            .call(d3.axisBottom(this.xScale).ticks(5, '~g'));
+        this.plotGroup.append('g').attr('class', 'rating-axis rating-axis-y')
+            .call(d3.axisLeft(this.yScale).ticks(6, '~s'));
+
+        const plot = this.plotGroup.append('g').attr('clip-path', 'url(#rating-clip)');
+        plot.append('path').attr('class', 'rating-capacity')
+            .attr('fill', 'none')
+            .attr('stroke', this.colors.capacity)
+            .attr('stroke-width', 1.5)
+            .attr('stroke-dasharray', '5,4');
+        plot.append('path').attr('class', 'rating-curve')
+            .attr('fill', 'none')
+            .attr('stroke', this.colors.curve)
+            .attr('stroke-width', 2.5);
+        plot.append('g').attr('class', 'rating-data');
+        plot.append('circle').attr('class', 'rating-current')
+            .attr('r', 6)
+            .attr('stroke', '#2c3e50')
+            .attr('stroke-width', 2);
+
+        // Axis titles
+        this.plotGroup.append('text')
+            .attr('x', this.width / 2)
+            .attr('y', this.height + 30)
+            .attr('text-anchor', 'middle')
+            .attr('fill', '#7f8c8d')
+            .attr('font-size', '11px')
+            .text(I18n.t('axis.qw'));
+        this.plotGroup.append('text')
+            .attr('transform', `translate(-44, ${this.height / 2}) rotate(-90)`)
+            .attr('text-anchor', 'middle')
+            .attr('fill', '#7f8c8d')
+            .attr('font-size', '11px')
+            .text(I18n.t('axis.qs'));
+    },
+
+    /**
+     * Redraw curves, data and the current point
+     * @param {Object} current - { Qw, Qs } in physical units
+     * @param {string} tendency - Current balance state
+     * @param {Array<number[]>} pairs - Fitted [Qw, Qs] data
+     * @param {Function} capacityAt - Transport capacity (t/yr) for a discharge (m³/s)
+     * @param {number} duration - Animation duration in ms
+     */
+    update(current, tendency, pairs, capacityAt, duration = 400) {
+        if (!this.plotGroup) return;
+
+        const discharges = this.xScale.ticks(60).concat(this.xScale.domain());
+        discharges.sort((a, b) => a - b);
+
+        const line = d3.line()
+            .defined(d => d[1] > 0 && Number.isFinite(d[1]))
+            .x(d => this.xScale(d[0]))
+            .y(d => this.yScale(d[1]));
+
+        this.plotGroup.select('.rating-curve')
+            .attr('d', line(discharges.map(Qw => [Qw, RatingCurve.supply(Qw)])));
+        this.plotGroup.select('.rating-capacity')
+            .attr('d', line(discharges.map(Qw => [Qw, capacityAt(Qw)])));
+
+        this.plotGroup.select('.rating-data')
+            .selectAll('circle')
+            .data(pairs)
+            .join('circle')
+            .attr('r', 3)
+            .attr('fill', this.colors.data)
+            .attr('opacity', 0.7)
+            .attr('cx', d => this.xScale(d[0]))
+            .attr('cy', d => this.yScale(d[1]));
+
+        this.plotGroup.select('.rating-current')
+            .transition()
+            .duration(duration)
+            .ease(d3.easeQuadOut)
+            .attr('cx', this.xScale(current.Qw))
+            .attr('cy', this.yScale(current.Qs))
+            .attr('fill', this.colors[tendency]);
+    }
+};
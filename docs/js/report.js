@@ -0,0 +1,255 @@
+/**
+ * Report - Printable worksheet / site report for the current state
+ *
+ * collect() gathers what the report shows: parameters (slider and
+ * physical values), ratio, imbalance index, tendency with its
+ * explanation, channel pattern and active processes, plus the user's
+ * notes. From that:
+ *
+ *   toHTML()      standalone HTML document with the scale and plan
+ *                 figures inlined as SVG and a print stylesheet (A4)
+ *   toPdfPages()  SVG pages for VectorExport.downloadPdf()
+ *
+ * Both end with ruled space for written answers and notes; worksheet
+ * questions are optional.
+ */
+
+const Report = {
+    // Ruled lines under each worksheet question and in the notes section
+    answerLines: 4,
+    noteLines: 8,
+    questionCount: 3,
+
+    styles: `
+        body { font-family: Helvetica, Arial, sans-serif; color: #2c3e50; max-width: 820px; margin: 2rem auto; padding: 0 1rem; line-height: 1.45; }
+        h1 { font-size: 1.5rem; margin: 0; }
+        h2 { font-size: 1.05rem; margin: 1.4rem 0 0.5rem; border-bottom: 2px solid #dcdde1; padding-bottom: 0.2rem; }
+        .report-meta { color: #7f8c8d; margin: 0.2rem 0 1rem; font-size: 0.9rem; }
+        .report-figures { display: flex; gap: 1rem; align-items: flex-start; }
+        .report-figures figure { flex: 1; margin: 0; }
+        .report-figures svg { width: 100%; height: auto; }
+        figcaption { font-size: 0.85rem; color: #7f8c8d; text-align: center; }
+        table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+        th, td { text-align: left; padding: 0.3rem 0.5rem; border-bottom: 1px solid #dcdde1; }
+        th { background: #f5f6fa; }
+        ul { padding-left: 1.2rem; }
+        li { margin-bottom: 0.3rem; }
+        .report-question { margin-bottom: 1rem; }
+        .report-line { border-bottom: 1px solid #95a5a6; height: 2rem; }
+        .report-prefilled { white-space: pre-wrap; }
+        @page { size: A4; margin: 15mm; }
+        @media print {
+            body { margin: 0; max-width: none; padding: 0; font-size: 10.5pt; }
+            h2 { break-after: avoid; }
+            .report-figures, table, .report-question { break-inside: avoid; }
+        }
+    `,
+
+    /**
+     * Gather the report content for an application state
+     * @param {Object} appState - { Qs, D50, Qw, S, balanceRatio }
+     * @param {Object} options
+     * @param {string} [options.notes] - Notes to print above the ruled lines
+     * @param {boolean} [options.questions] - Include the worksheet questions
+     * @returns {Object}
+     */
+    collect(appState, { notes = '', questions = true } = {}) {
+        const { Qs, D50, Qw, S, balanceRatio } = appState;
+        const pattern = PatternClassifiers.getPattern(Qs, D50, Qw, S, balanceRatio);
+        const tendency = Balance.getState(balanceRatio);
+        const questionList = questions
+            ? Array.from({ length: this.questionCount }, (_, i) => I18n.t(`report.question.${i + 1}`))
+            : [];
+
+        return {
+            created: new Date().toLocaleString(I18n.locale),
+            parameters: ['Qs', 'D50', 'Qw', 'S'].map(key => ({
+                label: I18n.t(`export.param.${key}`),
+                slider: appState[key],
+                physical: this.formatPhysical(key, appState[key])
+            })),
+            ratio: I18n.formatNumber(balanceRatio, { maximumFractionDigits: 3 }),
+            imbalanceIndex: I18n.formatNumber(Balance.getImbalanceIndex(balanceRatio), { maximumFractionDigits: 2 }),
+            tendency: I18n.t(`state.${tendency}`),
+            why: Balance.getWhySentence(tendency),
+            pattern: I18n.t(`pattern.${pattern}.label`),
+            processes: Balance.getActiveProcesses(balanceRatio, Qw, S, pattern, { Qs, D50 })
+                .map(({ name, description }) => ({ name, description: description || '' })),
+            notes: notes.trim(),
+            questions: questionList
+        };
+    },
+
+    /**
+     * Physical value with unit in the active locale, e.g. '3,16 mm'
+     * @param {string} key - 'Qs' | 'D50' | 'Qw' | 'S'
+     * @param {number} value - Slider value (1-100)
+     * @returns {string}
+     */
+    formatPhysical(key, value) {
+        const quantity = Balance.toPhysical(key, value);
+        const options = quantity >= 1e4 || quantity < 1e-2
+            ? { notation: 'scientific', maximumFractionDigits: 2 }
+            : { maximumSignificantDigits: 3 };
+        return `${I18n.formatNumber(quantity, options)} ${Balance.physicalRanges[key].unit}`;
+    },
+
+    /**
+     * Rows of the summary table
+     * @param {Object} data - Result of collect()
+     * @returns {Array<Array<string>>} [label, value]
+     */
+    summaryRows(data) {
+        return [
+            [I18n.t('report.ratio'), data.ratio],
+            [I18n.t('report.imbalance'), data.imbalanceIndex],
+            [I18n.t('report.tendency'), data.tendency],
+            [I18n.t('report.pattern'), data.pattern]
+        ];
+    },
+
+    /**
+     * Standalone HTML report
+     * @param {Object} data - Result of collect()
+     * @param {Object} figures - { scale, plan } SVG elements (styled clones)
+     * @returns {string}
+     */
+    toHTML(data, figures = {}) {
+        const esc = text => this.escape(text);
+        const lines = count => '<div class="report-line"></div>'.repeat(count);
+        const figure = (svg, caption) => (svg
+            ? `<figure>${new XMLSerializer().serializeToString(svg)}<figcaption>${esc(caption)}</figcaption></figure>`
+            : '');
+
+        const summary = this.summaryRows(data)
+            .map(([label, value]) => `<tr><th scope="row">${esc(label)}</th><td>${esc(value)}</td></tr>`)
+            .join('');
+        const parameters = data.parameters
+            .map(p => `<tr><td>${esc(p.label)}</td><td>${p.slider}</td><td>${esc(p.physical)}</td></tr>`)
+            .join('');
+        const processes = data.processes.length
+            ? `<ul>${data.processes.map(p => `<li><strong>${esc(p.name)}</strong>${p.description ? ` - ${esc(p.description)}` : ''}</li>`).join('')}</ul>`
+            : `<p>${esc(I18n.t('report.noProcesses'))}</p>`;
+        const questions = data.questions.length
+            ? `<section><h2>${esc(I18n.t('report.questionsTitle'))}</h2><ol>${data.questions
+                .map(q => `<li class="report-question"><p>${esc(q)}</p>${lines(this.answerLines)}</li>`).join('')}</ol></section>`
+            : '';
+        const notes = data.notes ? `<p class="report-prefilled">${esc(data.notes)}</p>` : '';
+
+        return `<!DOCTYPE html>
+<html lang="${esc(I18n.locale)}">
+<head>
+<meta charset="UTF-8">
+<title>${esc(I18n.t('report.heading'))}</title>
+<style>${this.styles}</style>
+</head>
+<body>
+<header>
+<h1>${esc(I18n.t('report.heading'))}</h1>
+<p class="report-meta">${esc(I18n.t('report.created', { date: data.created }))}</p>
+</header>
+<section class="report-figures">
+${figure(figures.scale, I18n.t('export.scale'))}
+${figure(figures.plan, data.pattern)}
+</section>
+<section>
+<h2>${esc(I18n.t('report.state'))}</h2>
+<table>${summary}</table>
+<p>${esc(data.why)}</p>
+</section>
+<section>
+<h2>${esc(I18n.t('export.parameters'))}</h2>
+<table>
+<thead><tr><th>${esc(I18n.t('report.parameter'))}</th><th>${esc(I18n.t('report.slider'))}</th><th>${esc(I18n.t('report.physical'))}</th></tr></thead>
+<tbody>${parameters}</tbody>
+</table>
+</section>
+<section>
+<h2>${esc(I18n.t('report.processes'))}</h2>
+${processes}
+</section>
+${questions}
+<section>
+<h2>${esc(I18n.t('report.notes'))}</h2>
+${notes}
+${lines(this.noteLines)}
+</section>
+</body>
+</html>
+`;
+    },
+
+    /**
+     * PDF pages: figures with state and parameters, then processes,
+     * then questions and notes
+     * @param {Object} data - Result of collect()
+     * @param {Array<SVGSVGElement>} views - Scale and plan SVG elements in the page
+     * @returns {Array<SVGSVGElement>}
+     */
+    toPdfPages(data, views) {
+        const table = [
+            [I18n.t('report.parameter'), `${I18n.t('report.slider')} / ${I18n.t('report.physical')}`],
+            ...data.parameters.map(p => [p.label, `${p.slider} / ${p.physical}`]),
+            ...this.summaryRows(data)
+        ];
+        const processLines = data.processes.length
+            ? data.processes.map(p => (p.description ? `${p.name} - ${p.description}` : p.name))
+            : [I18n.t('report.noProcesses')];
+        // Without questions the page title already says 'Notes'
+        const notesText = data.questions.length
+            ? [I18n.t('report.notes'), data.notes].filter(Boolean).join(': ')
+            : data.notes;
+        const writing = [
+            ...data.questions.map((q, i) => ({ text: `${i + 1}. ${q}`, ruled: this.answerLines })),
+            { text: notesText, ruled: this.noteLines }
+        ];
+
+        return [
+            VectorExport.compose({
+                title: I18n.t('report.heading'),
+                views,
+                lines: [I18n.t('report.created', { date: data.created }), data.why],
+                table
+            }),
+            VectorExport.compose({ title: I18n.t('report.processes'), lines: processLines }),
+            VectorExport.compose({
+                title: data.questions.length ? I18n.t('report.questionsTitle') : I18n.t('report.notes'),
+                lines: writing
+            })
+        ];
+    },
+
+    /**
+     * Download an HTML report as lane-balance-report.html
+     * @param {string} html - Result of toHTML()
+     */
+    download(html) {
+        const blob = new Blob([html], { type: 'text/html' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.download = 'lane-balance-report.html';
+        link.href = url;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    /**
+     * Escape text for HTML
+     * @param {*} text
+     * @returns {string}
+     */
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Report;
+}
@@ -31,6 +31,17 @@ const ScaleView = {
     // Current parameter values for dynamic updates
     currentParams: { Qs: 50, D50: 50, Qw: 50, S: 50 },
 
+    /**
+     * Create an independent scale (e.g. for the comparison layout);
+     * ScaleView itself remains the main instance
+     * @returns {Object} New instance, to be initialized with init()
+     */
+    create() {
+        const instance = Object.create(ScaleView);
+        instance.currentParams = { Qs: 50, D50: 50, Qw: 50, S: 50 };
+        return instance;
+    },
+
     /**
      * Initialize the scale visualization
      * @param {string} containerId - DOM element ID for the container
@@ -149,7 +160,7 @@ const ScaleView = {
             .attr('fill', '#c0392b')
             .attr('font-size', '10px')
             .attr('font-weight', 'bold')
-            .text('DEGRAD.');
+            .text(I18n.t('scale.degradation'));
 
         this.arrowGroup.append('text')
             .attr('x', arcWidth/2 + 10)
@@ -158,7 +169,7 @@ const ScaleView = {
             .attr('fill', '#d68910')
             .attr('font-size', '10px')
             .attr('font-weight', 'bold')
-            .text('AGGR.');
+            .text(I18n.t('scale.aggradation'));
     },
 
     /**
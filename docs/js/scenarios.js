@@ -0,0 +1,157 @@
+/**
+ * Scenarios - Perturbation Scenario Library
+ *
+ * Named "what happens if..." perturbations. Each scenario animates the
+ * four sliders from a baseline to a perturbed state and carries the
+ * expected tendency and processes. Names and narratives are catalog
+ * entries: scenarios.<id>.name and scenarios.<id>.narrative.
+ *
+ * Parameter values are slider positions (1-100).
+ */
+
+const Scenarios = {
+    library: [
+        {
+            id: 'dam-closure',
+            primary: 'Qs',
+            baseline: { Qs: 50, D50: 50, Qw: 50, S: 50 },
+            perturbed: { Qs: 20, D50: 55, Qw: 45, S: 50 },
+            expected: {
+                tendency: 'degradation',
+                processes: ['Bed incision', 'Bed armoring']
+            }
+        },
+        {
+            id: 'gravel-mining',
+            primary: 'Qs',
+            baseline: { Qs: 50, D50: 50, Qw: 50, S: 50 },
+            perturbed: { Qs: 35, D50: 40, Qw: 50, S: 50 },
+            expected: {
+                tendency: 'degradation',
+                processes: ['Bed incision', 'Bed armoring']
+            }
+        },
+        {
+            id: 'urbanization',
+            primary: 'Qw',
+            baseline: { Qs: 50, D50: 50, Qw: 50, S: 50 },
+            perturbed: { Qs: 50, D50: 50, Qw: 70, S: 50 },
+            expected: {
+                tendency: 'degradation',
+                processes: ['Bed incision', 'Bank erosion', 'Bed armoring']
+            }
+        },
+        {
+            id: 'channel-straightening',
+            primary: 'S',
+            baseline: { Qs: 50, D50: 50, Qw: 50, S: 50 },
+            perturbed: { Qs: 50, D50: 50, Qw: 50, S: 70 },
+            expected: {
+                tendency: 'degradation',
+                processes: ['Bed incision', 'Bank erosion', 'Bed armoring']
+            }
+        },
+        {
+            id: 'wildfire',
+            primary: 'Qs',
+            baseline: { Qs: 50, D50: 50, Qw: 50, S: 50 },
+            perturbed: { Qs: 80, D50: 45, Qw: 50, S: 50 },
+            expected: {
+                tendency: 'aggradation',
+                processes: ['Bar formation', 'Channel widening', 'Avulsion risk', 'Overbank deposition']
+            }
+        }
+    ],
+
+    // Animation timing (ms)
+    baselineDuration: 600,
+    holdDuration: 700,
+    perturbDuration: 2500,
+
+    timer: null,
+    holdTimeout: null,
+
+    /**
+     * Find a scenario by id
+     * @param {string} id - Scenario id
+     * @returns {Object|undefined}
+     */
+    get(id) {
+        return this.library.find(scenario => scenario.id === id);
+    },
+
+    /**
+     * Play a scenario: move to the baseline, hold, then animate to the perturbed state
+     * @param {Object} scenario - Scenario from the library
+     * @param {Object} current - Current { Qs, D50, Qw, S }
+     * @param {Function} onFrame - Called with interpolated slider values (rounded)
+     * @param {Function} onEnd - Called when the perturbed state is reached
+     */
+    play(scenario, current, onFrame, onEnd) {
+        this.stop();
+
+        this.animate(current, scenario.baseline, this.baselineDuration, onFrame, () => {
+            this.holdTimeout = setTimeout(() => {
+                this.holdTimeout = null;
+                this.animate(scenario.baseline, scenario.perturbed, this.perturbDuration, onFrame, onEnd);
+            }, this.holdDuration);
+        });
+    },
+
+    /**
+     * Interpolate slider values between two states
+     * @param {Object} from - Start { Qs, D50, Qw, S }
+     * @param {Object} to - End { Qs, D50, Qw, S }
+     * @param {number} duration - Duration in ms
+     * @param {Function} onFrame - Called with rounded values when they change
+     * @param {Function} onEnd - Called after the final frame
+     */
+    animate(from, to, duration, onFrame, onEnd) {
+        const keys = ['Qs', 'D50', 'Qw', 'S'];
+        const ease = d3.easeCubicInOut;
+        let lastKey = '';
+
+        this.timer = d3.timer(elapsed => {
+            const t = Math.min(1, elapsed / duration);
+            const values = {};
+            keys.forEach(key => {
+                values[key] = Math.round(from[key] + (to[key] - from[key]) * ease(t));
+            });
+
+            // Only report frames where a slider actually moves
+            const frameKey = keys.map(key => values[key]).join(',');
+            if (frameKey !== lastKey) {
+                lastKey = frameKey;
+                onFrame(values);
+            }
+
+            if (t >= 1) {
+                this.timer.stop();
+                this.timer = null;
+                if (onEnd) onEnd();
+            }
+        });
+    },
+
+    /**
+     * Stop any running scenario animation
+     */
+    stop() {
+        if (this.timer) {
+            this.timer.stop();
+            this.timer = null;
+        }
+        if (this.holdTimeout) {
+            clearTimeout(this.holdTimeout);
+            this.holdTimeout = null;
+        }
+    },
+
+    /**
+     * Whether a scenario animation is in progress
+     * @returns {boolean}
+     */
+    isPlaying() {
+        return this.timer !== null || this.holdTimeout !== null;
+    }
+};
@@ -0,0 +1,199 @@
+/**
+ * Simulation - 1-D Longitudinal Profile Evolution (Exner equation)
+ *
+ * The reach is split into equally spaced nodes. Bed elevation changes
+ * through sediment continuity:
+ *
+ *   (1 - λp) · W · ∂z/∂t = -∂Qs/∂x
+ *
+ * Sediment enters the upstream node at the supplied Qs. The flux leaving
+ * each node is the Lane transport capacity for the local slope, i.e. the
+ * supply that would give Balance.calculateRatio() = 1 at that slope:
+ *
+ *   Qcap = Qs / ratio(Qs, D50, Qw, S_local)
+ *
+ * Excess supply aggrades the bed and steepens the reach; a deficit
+ * degrades it and flattens the reach, until the ratio returns to 1.
+ * The downstream node is a fixed base level. Local slopes are capped at
+ * the top of the S range: a reach that steep is saturated, and supply
+ * it still cannot carry passes through instead of raising the bed.
+ */
+
+const Simulation = {
+    nodeCount: 21,
+    reachLength: 10000,    // m
+    porosity: 0.4,
+    sedimentDensity: 2.65, // t/m³
+    maxSubsteps: 2000,     // per step, keeps the UI responsive
+
+    nodes: [],             // { x, z, z0 } in m
+    time: 0,               // elapsed years
+    saturated: false,      // whether the whole reach is at the slope cap
+    animationId: null,
+    running: false,
+    lastTimestamp: 0,
+    stepInterval: 250,     // ms between steps while playing
+
+    /**
+     * Build a straight initial profile with the given slope
+     * @param {number} sliderS - Slope slider value (1-100)
+     */
+    reset(sliderS) {
+        const slope = Balance.toPhysical('S', sliderS);
+        const dx = this.reachLength / (this.nodeCount - 1);
+
+        this.nodes = [];
+        for (let i = 0; i < this.nodeCount; i++) {
+            const x = i * dx;
+            const z = (this.reachLength - x) * slope;
+            this.nodes.push({ x, z, z0: z });
+        }
+        this.time = 0;
+        this.saturated = false;
+    },
+
+    /**
+     * Reset the profile if the slope was changed outside the simulation
+     * (slider drag, reset button, typed value)
+     * @param {number} sliderS - Current slope slider value (1-100)
+     */
+    syncSlope(sliderS) {
+        if (!this.nodes.length || this.getSliderSlope() !== sliderS) {
+            this.reset(sliderS);
+        }
+    },
+
+    /**
+     * Mean slope of the reach (inlet to outlet)
+     * @returns {number} Slope (m/m)
+     */
+    getReachSlope() {
+        const first = this.nodes[0];
+        const last = this.nodes[this.nodes.length - 1];
+        return (first.z - last.z) / (last.x - first.x);
+    },
+
+    /**
+     * Reach slope expressed as a slider value (rounded, 1-100)
+     * @returns {number}
+     */
+    getSliderSlope() {
+        const slope = Math.max(this.getReachSlope(), Balance.physicalRanges.S.min);
+        const value = Math.round(Balance.fromPhysical('S', slope));
+        return Math.max(1, Math.min(100, value));
+    },
+
+    /**
+     * Bed elevation change at the inlet since the last reset
+     * @returns {number} m (positive = aggradation)
+     */
+    getInletChange() {
+        const inlet = this.nodes[0];
+        return inlet ? inlet.z - inlet.z0 : 0;
+    },
+
+    /**
+     * Lane transport capacity for a local slope
+     * @param {Object} params - { Qs, D50, Qw } slider values
+     * @param {number} localSlope - Slope (m/m)
+     * @param {number} supply - Sediment supply (m³/yr)
+     * @returns {number} Capacity (m³/yr)
+     */
+    capacityAt(params, localSlope, supply) {
+        if (localSlope <= 0) return 0;
+        const sliderS = Balance.fromPhysical('S', localSlope);
+        const ratio = Balance.calculateRatio(params.Qs, params.D50, params.Qw, sliderS);
+        return supply / ratio;
+    },
+
+    /**
+     * Advance the profile by dtYears (split into stable substeps)
+     * @param {Object} params - { Qs, D50, Qw } slider values
+     * @param {number} width - Channel width (m)
+     * @param {number} dtYears - Time step (years)
+     * @returns {number} Years actually simulated
+     */
+    step(params, width, dtYears) {
+        if (!this.nodes.length) return 0;
+
+        const n = this.nodes.length;
+        const dx = this.reachLength / (n - 1);
+        const maxSlope = Balance.physicalRanges.S.max;
+        let capped = false;
+        const supply = Balance.toPhysical('Qs', params.Qs) / this.sedimentDensity;
+        const storage = (1 - this.porosity) * width * dx;
+
+        // Explicit scheme is diffusive: dt < dx² / (2K), K ≈ Qcap / (S (1-λp) W)
+        const minSlope = Balance.physicalRanges.S.min;
+        let maxConveyance = 0;
+        for (let i = 0; i < n - 1; i++) {
+            const localSlope = Math.max((this.nodes[i].z - this.nodes[i + 1].z) / dx, minSlope);
+            maxConveyance = Math.max(maxConveyance, this.capacityAt(params, localSlope, supply) / localSlope);
+        }
+        const diffusivity = maxConveyance / ((1 - this.porosity) * width);
+        const dtStable = 0.4 * dx * dx / diffusivity;
+        const substeps = Math.min(this.maxSubsteps, Math.max(1, Math.ceil(dtYears / dtStable)));
+        const dt = Math.min(dtYears / substeps, dtStable);
+
+        const fluxOut = new Array(n).fill(0);
+        for (let s = 0; s < substeps; s++) {
+            for (let i = 0; i < n - 1; i++) {
+                const localSlope = (this.nodes[i].z - this.nodes[i + 1].z) / dx;
+                fluxOut[i] = this.capacityAt(params, localSlope, supply);
+            }
+            // Outlet node is a fixed base level
+            for (let i = 0; i < n - 1; i++) {
+                const fluxIn = i === 0 ? supply : fluxOut[i - 1];
+                this.nodes[i].z += dt * (fluxIn - fluxOut[i]) / storage;
+            }
+            // Cap slopes, working up from the base level
+            for (let i = n - 2; i >= 0; i--) {
+                const cap = this.nodes[i + 1].z + maxSlope * dx;
+                if (this.nodes[i].z > cap) {
+                    this.nodes[i].z = cap;
+                    capped = true;
+                }
+            }
+        }
+
+        const elapsed = dt * substeps;
+        this.time += elapsed;
+        this.saturated = capped && this.getSliderSlope() === 100;
+        return elapsed;
+    },
+
+    /**
+     * Start stepping repeatedly
+     * @param {Function} onStep - Called on each tick; performs the step and redraws
+     */
+    start(onStep) {
+        this.stop();
+        this.running = true;
+        this.lastTimestamp = 0;
+        const loop = (timestamp) => {
+            if (!this.running) return;
+            if (timestamp - this.lastTimestamp >= this.stepInterval) {
+                this.lastTimestamp = timestamp;
+                onStep();
+            }
+            this.animationId = requestAnimationFrame(loop);
+        };
+        this.animationId = requestAnimationFrame(loop);
+    },
+
+    /**
+     * Stop stepping
+     */
+    stop() {
+        this.running = false;
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Simulation;
+}
@@ -0,0 +1,266 @@
+/**
+ * Sonification - The balance state as sound (Web Audio)
+ *
+ * A continuous tone follows the imbalance index I = log10(ratio)
+ * (Balance.getImbalanceIndex): pitch rises by one octave per unit of I
+ * and the tone pans right towards aggradation, left towards degradation,
+ * the same way the scale's dial turns. The channel pattern sets the
+ * texture:
+ *
+ *   straight      plain tone
+ *   meandering    slow vibrato
+ *   wandering     light vibrato and sparse grains
+ *   braided       granular noise
+ *   anastomosing  a second voice a fifth above
+ *
+ * Crossing into or out of the equilibrium band plays a short cue:
+ * a rising chime on entering it, a falling one on leaving.
+ *
+ * The audio graph is built on the first enable(), which has to run
+ * from a user gesture for browsers to allow sound.
+ */
+
+const Sonification = {
+    enabled: false,
+    context: null,
+    nodes: null,
+
+    // Balance state at the last update, for detecting band crossings
+    lastState: null,
+    lastCueTime: 0,
+
+    // Mapping
+    baseFrequency: 220,      // Hz at equilibrium (I = 0)
+    octavesPerUnit: 1,       // Pitch change per unit of imbalance index
+    maxIndex: 2,             // |I| is clamped here (ratio 0.01-100)
+    maxPan: 0.9,             // Stereo position at |I| >= 1
+    volume: 0.15,            // Master gain while enabled
+    smoothing: 0.05,         // Parameter glide time constant (s)
+    cueGap: 0.15,            // Minimum time between cues (s)
+
+    // Texture per channel pattern: oscillator wave, vibrato depth (cents),
+    // grain level and level of the voice a fifth above
+    textures: {
+        straight: { wave: 'sine', vibrato: 0, grains: 0, harmony: 0 },
+        meandering: { wave: 'sine', vibrato: 30, grains: 0, harmony: 0 },
+        wandering: { wave: 'triangle', vibrato: 15, grains: 0.15, harmony: 0 },
+        braided: { wave: 'triangle', vibrato: 0, grains: 0.4, harmony: 0 },
+        anastomosing: { wave: 'sine', vibrato: 0, grains: 0, harmony: 0.4 }
+    },
+
+    /**
+     * Whether this browser has Web Audio
+     * @returns {boolean}
+     */
+    isSupported() {
+        return typeof window !== 'undefined' && Boolean(window.AudioContext || window.webkitAudioContext);
+    },
+
+    /**
+     * Tone frequency for an imbalance index
+     * @param {number} index - log10 balance ratio
+     * @returns {number} Hz
+     */
+    getFrequency(index) {
+        const clamped = Math.max(-this.maxIndex, Math.min(this.maxIndex, index));
+        return this.baseFrequency * Math.pow(2, clamped * this.octavesPerUnit);
+    },
+
+    /**
+     * Stereo position for an imbalance index
+     * @param {number} index - log10 balance ratio
+     * @returns {number} -1 (left, degradation) to 1 (right, aggradation)
+     */
+    getPan(index) {
+        return Math.max(-1, Math.min(1, index)) * this.maxPan;
+    },
+
+    /**
+     * Texture settings for a channel pattern
+     * @param {string} pattern - Channel pattern
+     * @returns {Object}
+     */
+    getTexture(pattern) {
+        return this.textures[pattern] || this.textures.straight;
+    },
+
+    /**
+     * Start sound, building the audio graph on first use
+     * @returns {boolean} False if Web Audio is unavailable
+     */
+    enable() {
+        if (!this.isSupported()) return false;
+
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.context = new AudioContextClass();
+            this.nodes = this.buildGraph();
+        }
+        this.context.resume();
+
+        this.enabled = true;
+        this.lastState = null;
+        this.nodes.master.gain.setTargetAtTime(this.volume, this.context.currentTime, this.smoothing);
+        return true;
+    },
+
+    /**
+     * Fade out and suspend the audio context
+     */
+    disable() {
+        this.enabled = false;
+        if (!this.context) return;
+
+        this.nodes.master.gain.setTargetAtTime(0, this.context.currentTime, this.smoothing);
+        const context = this.context;
+        setTimeout(() => {
+            if (!this.enabled) context.suspend();
+        }, 300);
+    },
+
+    /**
+     * Create the oscillators, grain source, panner and gains
+     * @returns {Object} Audio nodes by role
+     */
+    buildGraph() {
+        const ctx = this.context;
+
+        const master = ctx.createGain();
+        master.gain.value = 0;
+        master.connect(ctx.destination);
+
+        const panner = ctx.createStereoPanner();
+        panner.connect(master);
+
+        const tone = ctx.createOscillator();
+        const toneGain = ctx.createGain();
+        toneGain.gain.value = 0.5;
+        tone.connect(toneGain).connect(panner);
+
+        const harmony = ctx.createOscillator();
+        const harmonyGain = ctx.createGain();
+        harmonyGain.gain.value = 0;
+        harmony.connect(harmonyGain).connect(panner);
+
+        // Slow LFO on both voices' detune gives the vibrato
+        const vibrato = ctx.createOscillator();
+        vibrato.frequency.value = 0.6;
+        const vibratoDepth = ctx.createGain();
+        vibratoDepth.gain.value = 0;
+        vibrato.connect(vibratoDepth);
+        vibratoDepth.connect(tone.detune);
+        vibratoDepth.connect(harmony.detune);
+
+        const grains = ctx.createBufferSource();
+        grains.buffer = this.createGrainBuffer();
+        grains.loop = true;
+        const grainFilter = ctx.createBiquadFilter();
+        grainFilter.type = 'bandpass';
+        grainFilter.Q.value = 1.2;
+        const grainGain = ctx.createGain();
+        grainGain.gain.value = 0;
+        grains.connect(grainFilter).connect(grainGain).connect(panner);
+
+        [tone, harmony, vibrato, grains].forEach(node => node.start());
+
+        return { master, panner, tone, toneGain, harmony, harmonyGain, vibratoDepth, grainFilter, grainGain };
+    },
+
+    /**
+     * Two seconds of sparse noise bursts (5-15 ms grains, ~40 per second),
+     * looped under the tone for the braided texture
+     * @returns {AudioBuffer}
+     */
+    createGrainBuffer() {
+        const rate = this.context.sampleRate;
+        const buffer = this.context.createBuffer(1, rate * 2, rate);
+        const data = buffer.getChannelData(0);
+
+        const grainCount = 80;
+        for (let g = 0; g < grainCount; g++) {
+            const start = Math.floor(Math.random() * data.length);
+            const length = Math.floor(rate * (0.005 + Math.random() * 0.01));
+            const amplitude = 0.4 + Math.random() * 0.6;
+            for (let i = 0; i < length && start + i < data.length; i++) {
+                // Hann envelope keeps the grains click-free
+                const envelope = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / length);
+                data[start + i] += (Math.random() * 2 - 1) * envelope * amplitude;
+            }
+        }
+        return buffer;
+    },
+
+    /**
+     * Follow the current balance ratio and channel pattern
+     * @param {number} ratio - Balance ratio
+     * @param {string} pattern - Channel pattern
+     */
+    update(ratio, pattern) {
+        if (!this.enabled || !this.nodes) return;
+
+        const now = this.context.currentTime;
+        const index = Balance.getImbalanceIndex(ratio);
+        const frequency = this.getFrequency(index);
+        const texture = this.getTexture(pattern);
+        const glide = (param, value) => param.setTargetAtTime(value, now, this.smoothing);
+
+        glide(this.nodes.tone.frequency, frequency);
+        glide(this.nodes.harmony.frequency, frequency * 1.5);
+        glide(this.nodes.panner.pan, this.getPan(index));
+        glide(this.nodes.harmonyGain.gain, texture.harmony);
+        glide(this.nodes.vibratoDepth.gain, texture.vibrato);
+        glide(this.nodes.grainGain.gain, texture.grains);
+        glide(this.nodes.grainFilter.frequency, frequency * 4);
+        this.nodes.tone.type = texture.wave;
+        this.nodes.harmony.type = texture.wave;
+
+        const stateName = Balance.getState(ratio);
+        if (this.lastState && stateName !== this.lastState) {
+            this.playCue(stateName === 'equilibrium' ? 'enter' : 'leave');
+        }
+        this.lastState = stateName;
+    },
+
+    /**
+     * Play the equilibrium band cue: a rising chime on entering the band,
+     * a falling one on leaving it
+     * @param {string} kind - 'enter' | 'leave'
+     */
+    playCue(kind) {
+        const now = this.context.currentTime;
+        if (now - this.lastCueTime < this.cueGap) return;
+        this.lastCueTime = now;
+
+        const notes = kind === 'enter' ? [880, 1320] : [1320, 880];
+        notes.forEach((frequency, i) => {
+            const start = now + i * 0.09;
+            const osc = this.context.createOscillator();
+            const gain = this.context.createGain();
+            osc.type = 'sine';
+            osc.frequency.value = frequency;
+            gain.gain.setValueAtTime(0, start);
+            gain.gain.linearRampToValueAtTime(0.35, start + 0.01);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + 0.25);
+
+            // Bypass the panner so the cue stays centered
+            osc.connect(gain).connect(this.nodes.master);
+            osc.start(start);
+            osc.stop(start + 0.3);
+        });
+    },
+
+    /**
+     * Release the audio context (page unload)
+     */
+    close() {
+        this.enabled = false;
+        if (this.context) this.context.close();
+        this.context = null;
+        this.nodes = null;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Sonification;
+}
@@ -0,0 +1,247 @@
+/**
+ * State File - Save and load application state as JSON
+ *
+ * Document format (version 1):
+ * {
+ *   "format": "lane-balance-state",
+ *   "version": 1,
+ *   "timestamp": "2024-01-01T12:00:00.000Z",
+ *   "parameters": { "Qs": 50, "D50": 50, "Qw": 50, "S": 50 },
+ *   "units": { "mode": "relative", "reference": { "Qs": null, ... } },
+ *   "transport": { "formula": "mpm", "channelWidth": null },
+ *   "pattern": { "classifier": "heuristic", "bankFrictionAngle": 40 },
+ *   "ratingCurve": { "enabled": false, "a": 10.4, "b": 2 },
+ *   "derived": { "ratio", "imbalanceIndex", "tendency", "channelPattern", "activeProcesses" },
+ *   "notes": ""
+ * }
+ *
+ * Derived values are written for the record; on import they are
+ * recomputed from the parameters rather than trusted.
+ */
+
+const StateFile = {
+    FORMAT: 'lane-balance-state',
+    VERSION: 1,
+
+    // Field rules: type, required, and range/options where relevant;
+    // strict objects reject fields not listed
+    schema: {
+        format: { type: 'string', required: true },
+        version: { type: 'integer', required: true, min: 1, max: 1 },
+        timestamp: { type: 'string', required: false },
+        parameters: {
+            type: 'object',
+            required: true,
+            strict: true,
+            fields: {
+                Qs: { type: 'integer', required: true, min: 1, max: 100 },
+                D50: { type: 'integer', required: true, min: 1, max: 100 },
+                Qw: { type: 'integer', required: true, min: 1, max: 100 },
+                S: { type: 'integer', required: true, min: 1, max: 100 }
+            }
+        },
+        units: {
+            type: 'object',
+            required: false,
+            fields: {
+                mode: { type: 'string', required: true, options: ['relative', 'physical'] },
+                reference: {
+                    type: 'object',
+                    required: false,
+                    fields: {
+                        Qs: { type: 'number', required: false, nullable: true, exclusiveMin: 0 },
+                        D50: { type: 'number', required: false, nullable: true, exclusiveMin: 0 },
+                        Qw: { type: 'number', required: false, nullable: true, exclusiveMin: 0 },
+                        S: { type: 'number', required: false, nullable: true, exclusiveMin: 0 }
+                    }
+                }
+            }
+        },
+        transport: {
+            type: 'object',
+            required: false,
+            fields: {
+                formula: { type: 'string', required: false, options: ['mpm', 'wilcock', 'engelund', 'parker'] },
+                channelWidth: { type: 'number', required: false, nullable: true, exclusiveMin: 0 }
+            }
+        },
+        pattern: {
+            type: 'object',
+            required: false,
+            fields: {
+                classifier: {
+                    type: 'string',
+                    required: false,
+                    options: ['heuristic', 'leopold-wolman', 'van-den-berg', 'parker', 'millar']
+                },
+                bankFrictionAngle: { type: 'number', required: false, exclusiveMin: 0 }
+            }
+        },
+        ratingCurve: {
+            type: 'object',
+            required: false,
+            fields: {
+                enabled: { type: 'boolean', required: false },
+                a: { type: 'number', required: true, exclusiveMin: 0 },
+                b: { type: 'number', required: true }
+            }
+        },
+        derived: { type: 'object', required: false },
+        notes: { type: 'string', required: false }
+    },
+
+    /**
+     * Build a state document
+     * @param {Object} appState - Application state ({ Qs, D50, Qw, S, balanceRatio, transportFormula, channelWidth })
+     * @param {string} notes - Free-text notes
+     * @returns {Object}
+     */
+    build(appState, notes) {
+        const { Qs, D50, Qw, S, balanceRatio } = appState;
+        const pattern = PatternClassifiers.getPattern(Qs, D50, Qw, S, balanceRatio);
+
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            timestamp: new Date().toISOString(),
+            parameters: { Qs, D50, Qw, S },
+            units: {
+                mode: Balance.unitMode,
+                reference: { ...Balance.reference }
+            },
+            transport: {
+                formula: appState.transportFormula,
+                channelWidth: appState.channelWidth
+            },
+            pattern: {
+                classifier: PatternClassifiers.active,
+                bankFrictionAngle: PatternClassifiers.bankFrictionAngle
+            },
+            ratingCurve: {
+                enabled: RatingCurve.enabled,
+                a: RatingCurve.a,
+                b: RatingCurve.b
+            },
+            derived: {
+                ratio: balanceRatio,
+                imbalanceIndex: Balance.getImbalanceIndex(balanceRatio),
+                tendency: Balance.getState(balanceRatio),
+                channelPattern: pattern,
+                activeProcesses: Balance.getActiveProcesses(balanceRatio, Qw, S, pattern, { Qs, D50 }).map(p => p.name)
+            },
+            notes: notes || ''
+        };
+    },
+
+    /**
+     * Validate a value against a schema rule
+     * @param {*} value - Value to check
+     * @param {Object} rule - Schema rule
+     * @param {string} path - Field path for messages
+     * @param {string[]} errors - Collected error messages
+     */
+    validateField(value, rule, path, errors) {
+        if (value === undefined) {
+            if (rule.required) errors.push(I18n.t('validate.missing', { path }));
+            return;
+        }
+        if (value === null) {
+            if (!rule.nullable) errors.push(I18n.t('validate.notNull', { path }));
+            return;
+        }
+
+        const isObject = typeof value === 'object' && !Array.isArray(value);
+        const typeChecks = {
+            string: typeof value === 'string',
+            number: typeof value === 'number' && Number.isFinite(value),
+            integer: Number.isInteger(value),
+            boolean: typeof value === 'boolean',
+            object: isObject
+        };
+        if (!typeChecks[rule.type]) {
+            errors.push(I18n.t(`validate.type.${rule.type}`, { path, value: JSON.stringify(value) }));
+            return;
+        }
+
+        if (rule.min !== undefined && rule.max !== undefined && (value < rule.min || value > rule.max)) {
+            errors.push(I18n.t('validate.between', { path, min: rule.min, max: rule.max, value }));
+        }
+        if (rule.exclusiveMin !== undefined && value <= rule.exclusiveMin) {
+            errors.push(I18n.t('validate.greaterThan', { path, min: rule.exclusiveMin, value }));
+        }
+        if (rule.options && !rule.options.includes(value)) {
+            errors.push(I18n.t('validate.oneOf', { path, options: rule.options.join(', '), value: JSON.stringify(value) }));
+        }
+        if (rule.fields) {
+            Object.entries(rule.fields).forEach(([key, fieldRule]) => {
+                this.validateField(value[key], fieldRule, `${path}.${key}`, errors);
+            });
+        }
+        if (rule.strict) {
+            Object.keys(value)
+                .filter(key => !(key in rule.fields))
+                .forEach(key => errors.push(I18n.t('validate.unknownField', { path: `${path}.${key}` })));
+        }
+    },
+
+    /**
+     * Validate a parsed document
+     * @param {Object} doc - Parsed JSON
+     * @returns {string[]} Error messages (empty if valid)
+     */
+    validate(doc) {
+        const errors = [];
+
+        if (typeof doc !== 'object' || doc === null || Array.isArray(doc)) {
+            return [I18n.t('stateFile.error.notObject')];
+        }
+        if (doc.format !== this.FORMAT) {
+            return [I18n.t('stateFile.error.format', { format: this.FORMAT })];
+        }
+
+        Object.entries(this.schema).forEach(([key, rule]) => {
+            this.validateField(doc[key], rule, key, errors);
+        });
+
+        return errors;
+    },
+
+    /**
+     * Parse and validate file contents
+     * @param {string} text - File contents
+     * @returns {{doc: Object|null, errors: string[]}}
+     */
+    parse(text) {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        } catch (error) {
+            return { doc: null, errors: [I18n.t('stateFile.error.json', { message: error.message })] };
+        }
+
+        const errors = this.validate(doc);
+        return { doc: errors.length ? null : doc, errors };
+    },
+
+    /**
+     * Download a document as a .json file
+     * @param {Object} doc - State document
+     */
+    download(doc) {
+        const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const stamp = doc.timestamp.slice(0, 19).replace(/[:T]/g, '-');
+
+        const link = document.createElement('a');
+        link.download = `lane-balance-${stamp}.json`;
+        link.href = url;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StateFile;
+}
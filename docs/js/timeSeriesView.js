@@ -0,0 +1,214 @@
+/**
+ * Time Series View - Hydrograph playback plot
+ *
+ * Top panel: the hydrograph (Qw), faint for the whole series and solid
+ * for the part already played. Middle strip: tendency at each played
+ * step. Bottom panel: log10 of the balance ratio with the equilibrium band.
+ * A cursor marks the current step in both panels.
+ */
+
+const TimeSeriesView = {
+    svg: null,
+    width: 0,
+    height: 0,
+    margin: { top: 10, right: 20, bottom: 30, left: 52 },
+    plotGroup: null,
+    series: null,
+
+    // Panel layout (fractions of the plot height)
+    flowFraction: 0.42,
+    stripHeight: 8,
+    gap: 8,
+
+    colors: {
+        flow: '#2980b9',
+        sediment: '#cd853f',
+        ratio: '#2c3e50',
+        band: 'rgba(39, 174, 96, 0.15)',
+        degradation: '#e74c3c',
+        equilibrium: '#27ae60',
+        aggradation: '#f39c12'
+    },
+
+    /**
+     * Initialize the time series plot
+     * @param {string} containerId - DOM element ID for the container
+     */
+    init(containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        // Clear existing content
+        container.innerHTML = '';
+
+        // Get container dimensions
+        const rect = container.getBoundingClientRect();
+        this.width = (rect.width || 500) - this.margin.left - this.margin.right;
+        this.height = (rect.height || 240) - this.margin.top - this.margin.bottom;
+
+        // Create SVG
+        this.svg = d3.select(`#${containerId}`)
+            .append('svg')
+            .attr('width', '100%')
+            .attr('height', '100%')
+            .attr('viewBox', `0 0 ${this.width + this.margin.left + this.margin.right} ${this.height + this.margin.top + this.margin.bottom}`)
+            .attr('preserveAspectRatio', 'xMidYMid meet')
+            .append('g')
+            .attr('transform', `translate(${this.margin.left}, ${this.margin.top})`);
+
+        this.plotGroup = this.svg.append('g').attr('class', 'timeseries-group');
+
+        // Panel geometry
+        this.flowHeight = this.height * this.flowFraction;
+        this.stripTop = this.flowHeight + this.gap;
+        this.ratioTop = this.stripTop + this.stripHeight + this.gap;
+        this.ratioHeight = this.height - this.ratioTop;
+
+        // Layers in drawing order
+        const flow = this.plotGroup.append('g').attr('class', 'ts-flow');
+        flow.append('path').attr('class', 'ts-flow-all')
+            .attr('fill', this.colors.flow).attr('opacity', 0.15);
+        flow.append('path').attr('class', 'ts-flow-played')
+            .attr('fill', 'none').attr('stroke', this.colors.flow).attr('stroke-width', 1.5);
+        flow.append('path').attr('class', 'ts-sediment')
+            .attr('fill', 'none').attr('stroke', this.colors.sediment).attr('stroke-width', 1.5)
+            .attr('stroke-dasharray', '4,2');
+        flow.append('g').attr('class', 'ts-axis ts-axis-flow');
+
+        this.plotGroup.append('g').attr('class', 'ts-strip')
+            .attr('transform', `translate(0, ${this.stripTop})`);
+
+        const ratio = this.plotGroup.append('g').attr('class', 'ts-ratio')
+            .attr('transform', `translate(0, ${this.ratioTop})`);
+        ratio.append('rect').attr('class', 'ts-band')
+            .attr('width', this.width).attr('fill', this.colors.band);
+        ratio.append('path').attr('class', 'ts-ratio-line')
+            .attr('fill', 'none').attr('stroke', this.colors.ratio).attr('stroke-width', 1.5);
+        ratio.append('g').attr('class', 'ts-axis ts-axis-ratio');
+        ratio.append('g').attr('class', 'ts-axis ts-axis-time')
+            .attr('transform', `translate(0, ${this.ratioHeight})`);
+
+        this.plotGroup.append('line').attr('class', 'ts-cursor')
+            .attr('y1', 0).attr('y2', this.height)
+            .attr('stroke', '#7f8c8d').attr('stroke-dasharray', '3,3')
+            .attr('opacity', 0);
+
+        // Axis titles
+        this.plotGroup.append('text')
+            .attr('class', 'ts-axis-title')
+            .attr('transform', `translate(-40, ${this.flowHeight / 2}) rotate(-90)`)
+            .attr('text-anchor', 'middle')
+            .attr('fill', '#7f8c8d')
+            .attr('font-size', '10px')
+            .text(I18n.t('axis.qw'));
+        this.plotGroup.append('text')
+            .attr('class', 'ts-axis-title')
+            .attr('transform', `translate(-40, ${this.ratioTop + this.ratioHeight / 2}) rotate(-90)`)
+            .attr('text-anchor', 'middle')
+            .attr('fill', '#7f8c8d')
+            .attr('font-size', '10px')
+            .text(I18n.t('axis.logRatio'));
+        this.plotGroup.append('text')
+            .attr('class', 'ts-axis-title')
+            .attr('x', this.width / 2)
+            .attr('y', this.height + 26)
+            .attr('text-anchor', 'middle')
+            .attr('fill', '#7f8c8d')
+            .attr('font-size', '10px')
+            .text(I18n.t('axis.timeDays'));
+
+        if (this.series) this.setSeries(this.series);
+    },
+
+    /**
+     * Show a new hydrograph and clear played data
+     * @param {Object} series - { name, points, hasQs } from Hydrograph
+     */
+    setSeries(series) {
+        this.series = series;
+        if (!this.plotGroup || !series) return;
+
+        const points = series.points;
+        this.xScale = d3.scaleLinear()
+            .domain(d3.extent(points, d => d.time))
+            .range([0, this.width]);
+        this.flowScale = d3.scaleLinear()
+            .domain([0, d3.max(points, d => d.Qw) * 1.05])
+            .range([this.flowHeight, 0]);
+
+        this.plotGroup.select('.ts-flow-all')
+            .attr('d', d3.area()
+                .x(d => this.xScale(d.time))
+                .y0(this.flowHeight)
+                .y1(d => this.flowScale(d.Qw))(points));
+
+        this.plotGroup.select('.ts-axis-flow')
+            .call(d3.axisLeft(this.flowScale).ticks(4, '~s'));
+        this.plotGroup.select('.ts-axis-time')
+            .call(d3.axisBottom(this.xScale).ticks(6));
+
+        this.update([]);
+    },
+
+    /**
+     * Draw played records up to the current step
+     * @param {Object[]} records - Hydrograph.records
+     */
+    update(records) {
+        if (!this.plotGroup || !this.series) return;
+
+        const played = this.series.points.slice(0, records.length);
+
+        // Hydrograph and, when the series has one, the sediment load (own scale)
+        const flowLine = d3.line()
+            .x(d => this.xScale(d.time))
+            .y(d => this.flowScale(d.Qw));
+        this.plotGroup.select('.ts-flow-played').attr('d', flowLine(played));
+
+        if (this.series.hasQs) {
+            const sedimentScale = d3.scaleLinear()
+                .domain([0, d3.max(this.series.points, d => d.Qs) * 1.05])
+                .range([this.flowHeight, 0]);
+            this.plotGroup.select('.ts-sediment').attr('d', d3.line()
+                .x(d => this.xScale(d.time))
+                .y(d => sedimentScale(d.Qs))(played));
+        } else {
+            this.plotGroup.select('.ts-sediment').attr('d', null);
+        }
+
+        // Ratio panel: symmetric log scale, at least ±0.5
+        const logRatio = d => Math.log10(d.ratio);
+        const extent = Math.max(0.5, d3.max(records, d => Math.abs(logRatio(d))) || 0);
+        const ratioScale = d3.scaleLinear()
+            .domain([-extent, extent])
+            .range([this.ratioHeight, 0]);
+
+        this.plotGroup.select('.ts-band')
+            .attr('y', ratioScale(Balance.equilibriumBand))
+            .attr('height', Math.max(0, ratioScale(-Balance.equilibriumBand) - ratioScale(Balance.equilibriumBand)));
+        this.plotGroup.select('.ts-ratio-line').attr('d', d3.line()
+            .x(d => this.xScale(d.time))
+            .y(d => ratioScale(logRatio(d)))(records));
+        this.plotGroup.select('.ts-axis-ratio')
+            .call(d3.axisLeft(ratioScale).ticks(4));
+
+        // Tendency strip: one cell per record, lasting until the next point
+        const points = this.series.points;
+        const end = this.xScale.domain()[1];
+        this.plotGroup.select('.ts-strip')
+            .selectAll('rect')
+            .data(records)
+            .join('rect')
+            .attr('x', d => this.xScale(d.time))
+            .attr('width', (d, i) => Math.max(0.5, this.xScale(points[i + 1] ? points[i + 1].time : end) - this.xScale(d.time)))
+            .attr('height', this.stripHeight)
+            .attr('fill', d => this.colors[d.state]);
+
+        // Cursor at the latest step
+        const last = records[records.length - 1];
+        this.plotGroup.select('.ts-cursor')
+            .attr('opacity', last ? 1 : 0)
+            .attr('x1', last ? this.xScale(last.time) : 0)
+            .attr('x2', last ? this.xScale(last.time) : 0);
+    }
+};
@@ -0,0 +1,146 @@
+/**
+ * Transport - Bedload Transport Capacity Calculators
+ *
+ * Estimates the sediment transport capacity of a reach from physical
+ * quantities, so the Lane's Balance proportionality can be compared
+ * with a physically based estimate.
+ *
+ * Hydraulics assume a wide rectangular channel (hydraulic radius ≈ depth)
+ * with Manning-Strickler flow resistance based on D50.
+ *
+ * Formulas (single grain size = D50):
+ *   mpm       - Meyer-Peter & Müller (1948), bedload
+ *   wilcock   - Wilcock & Crowe (2003), surface-based bedload
+ *   engelund  - Engelund & Hansen (1967), total load
+ *   parker    - Parker (1979) gravel bedload approximation
+ */
+
+const Transport = {
+    // Physical constants (SI)
+    g: 9.81,
+    rhoWater: 1000,      // kg/m³
+    rhoSediment: 2650,   // kg/m³
+    secondsPerYear: 31557600,
+
+    // Available formulas
+    formulas: {
+        mpm: { name: 'Meyer-Peter–Müller', load: 'bedload' },
+        wilcock: { name: 'Wilcock–Crowe', load: 'bedload' },
+        engelund: { name: 'Engelund–Hansen', load: 'total load' },
+        parker: { name: 'Parker', load: 'bedload' }
+    },
+
+    /**
+     * Submerged specific gravity of sediment
+     * @returns {number}
+     */
+    submergedDensity() {
+        return (this.rhoSediment - this.rhoWater) / this.rhoWater;
+    },
+
+    /**
+     * Compute uniform-flow hydraulics for a wide rectangular channel
+     * @param {number} Qw - Water discharge (m³/s)
+     * @param {number} S - Slope (m/m)
+     * @param {number} D50 - Median grain size (mm)
+     * @param {number} width - Channel width (m)
+     * @returns {Object} { depth, velocity, shearStress, shearVelocity, shieldsStress, frictionCoefficient }
+     */
+    computeHydraulics(Qw, S, D50, width) {
+        const D = D50 / 1000;
+        const R = this.submergedDensity();
+
+        // Manning-Strickler roughness from grain size
+        const n = Math.pow(D, 1 / 6) / 21.1;
+
+        // Manning: Q = W h (h^(2/3) S^(1/2) / n)  =>  h = (Q n / (W S^(1/2)))^(3/5)
+        const depth = Math.pow((Qw * n) / (width * Math.sqrt(S)), 3 / 5);
+        const velocity = Qw / (width * depth);
+        const shearStress = this.rhoWater * this.g * depth * S;
+        const shearVelocity = Math.sqrt(this.g * depth * S);
+        const shieldsStress = shearStress / ((this.rhoSediment - this.rhoWater) * this.g * D);
+        const frictionCoefficient = Math.pow(shearVelocity / velocity, 2);
+
+        return { depth, velocity, shearStress, shearVelocity, shieldsStress, frictionCoefficient, R, D };
+    },
+
+    /**
+     * Volumetric transport rate per unit width (m²/s) for a formula
+     * @param {string} formulaId - Key of Transport.formulas
+     * @param {Object} hydraulics - Result of computeHydraulics()
+     * @returns {number}
+     */
+    unitTransportRate(formulaId, hydraulics) {
+        const { shieldsStress, shearVelocity, frictionCoefficient, R, D } = hydraulics;
+        const einsteinScale = Math.sqrt(R * this.g * D) * D;
+
+        switch (formulaId) {
+            case 'wilcock': {
+                // Reference stress for a unimodal mixture; gravel with a
+                // little sand unless D50 itself is sand-sized.
+                const sandFraction = D < 0.002 ? 1 : 0.1;
+                const referenceShields = 0.021 + 0.015 * Math.exp(-20 * sandFraction);
+                const phi = shieldsStress / referenceShields;
+                const W = phi < 1.35
+                    ? 0.002 * Math.pow(phi, 7.5)
+                    : 14 * Math.pow(1 - 0.894 / Math.sqrt(phi), 4.5);
+                return W * Math.pow(shearVelocity, 3) / (R * this.g);
+            }
+            case 'engelund': {
+                const qStar = (0.05 / frictionCoefficient) * Math.pow(shieldsStress, 2.5);
+                return qStar * einsteinScale;
+            }
+            case 'parker': {
+                if (shieldsStress <= 0.03) return 0;
+                const qStar = 11.2 * Math.pow(shieldsStress - 0.03, 4.5) / Math.pow(shieldsStress, 3);
+                return qStar * einsteinScale;
+            }
+            case 'mpm':
+            default: {
+                if (shieldsStress <= 0.047) return 0;
+                const qStar = 8 * Math.pow(shieldsStress - 0.047, 1.5);
+                return qStar * einsteinScale;
+            }
+        }
+    },
+
+    /**
+     * Calculate transport capacity of the reach
+     * @param {string} formulaId - Key of Transport.formulas
+     * @param {number} Qw - Water discharge (m³/s)
+     * @param {number} S - Slope (m/m)
+     * @param {number} D50 - Median grain size (mm)
+     * @param {number} width - Channel width (m)
+     * @returns {{capacity: number, hydraulics: Object}} Capacity in t/yr
+     */
+    calculateCapacity(formulaId, Qw, S, D50, width) {
+        const hydraulics = this.computeHydraulics(Qw, S, D50, width);
+        const q = this.unitTransportRate(formulaId, hydraulics);
+
+        // m²/s -> m³/s -> t/yr
+        const capacity = q * width * (this.rhoSediment / 1000) * this.secondsPerYear;
+        return { capacity, hydraulics };
+    },
+
+    /**
+     * Compare sediment supply with transport capacity
+     * @param {number} Qs - Sediment supply (t/yr)
+     * @param {number} capacity - Transport capacity (t/yr)
+     * @returns {{ratio: number, surplus: number, index: number, state: string}}
+     *   ratio > 1 and positive surplus mean supply exceeds capacity (aggradation)
+     */
+    compare(Qs, capacity) {
+        const ratio = capacity > 0 ? Qs / capacity : Infinity;
+        return {
+            ratio,
+            surplus: Qs - capacity,
+            index: Balance.getImbalanceIndex(ratio),
+            state: Balance.getState(ratio)
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Transport;
+}
@@ -0,0 +1,144 @@
+/**
+ * URL State - Shareable links
+ *
+ * Encodes the four parameters, the display toggles and any custom
+ * reference values (the physical units mode reads the sliders against
+ * them) in the URL query string, e.g.
+ * ?qs=70&d50=50&qw=50&s=50&tips=1&num=1&units=1&refqw=120
+ *
+ * The URL is updated with history.replaceState, so moving sliders does
+ * not add browser history entries.
+ */
+
+const UrlState = {
+    // Query key -> state key
+    params: { qs: 'Qs', d50: 'D50', qw: 'Qw', s: 'S' },
+
+    // Query key -> checkbox ID
+    toggles: { tips: 'toggle-tooltips', num: 'toggle-numeric', units: 'toggle-units' },
+
+    // Query key -> state key of a reference value (physical units)
+    references: { refqs: 'Qs', refd50: 'D50', refqw: 'Qw', refs: 'S' },
+
+    /**
+     * Parse state from a query string. Invalid or missing values are omitted.
+     * @param {string} search - e.g. window.location.search
+     * @returns {{params: Object, toggles: Object, references: Object}} params and
+     *     references by state key, toggles by checkbox ID
+     */
+    read(search) {
+        const query = new URLSearchParams(search);
+        const result = { params: {}, toggles: {}, references: {} };
+
+        Object.entries(this.params).forEach(([queryKey, stateKey]) => {
+            const value = parseInt(query.get(queryKey), 10);
+            if (Number.isInteger(value) && value >= 1 && value <= 100) {
+                result.params[stateKey] = value;
+            }
+        });
+
+        Object.entries(this.toggles).forEach(([queryKey, toggleId]) => {
+            const value = query.get(queryKey);
+            if (value === '1' || value === '0') {
+                result.toggles[toggleId] = value === '1';
+            }
+        });
+
+        Object.entries(this.references).forEach(([queryKey, stateKey]) => {
+            const value = Number(query.get(queryKey));
+            if (query.has(queryKey) && Number.isFinite(value) && value > 0) {
+                result.references[stateKey] = value;
+            }
+        });
+
+        return result;
+    },
+
+    /**
+     * Build a query string for the given state
+     * @param {Object} params - { Qs, D50, Qw, S }
+     * @param {Object} toggles - Checked state by checkbox ID
+     * @param {Object} [references] - Reference values by state key; null for the default
+     * @returns {string} Query string including the leading '?'
+     */
+    build(params, toggles, references = {}) {
+        const query = new URLSearchParams();
+
+        Object.entries(this.params).forEach(([queryKey, stateKey]) => {
+            query.set(queryKey, params[stateKey]);
+        });
+        Object.entries(this.toggles).forEach(([queryKey, toggleId]) => {
+            if (toggleId in toggles) {
+                query.set(queryKey, toggles[toggleId] ? '1' : '0');
+            }
+        });
+        Object.entries(this.references).forEach(([queryKey, stateKey]) => {
+            if (references[stateKey] > 0) query.set(queryKey, references[stateKey]);
+        });
+
+        return `?${query.toString()}`;
+    },
+
+    /**
+     * Read the checked state of all toggles from the DOM
+     * @returns {Object} Checked state by checkbox ID
+     */
+    readToggles() {
+        const result = {};
+        Object.values(this.toggles).forEach(toggleId => {
+            const checkbox = document.getElementById(toggleId);
+            if (checkbox) result[toggleId] = checkbox.checked;
+        });
+        return result;
+    },
+
+    /**
+     * Replace the current URL without adding a history entry
+     * @param {Object} params - { Qs, D50, Qw, S }
+     */
+    replace(params) {
+        const search = this.build(params, this.readToggles(), Balance.reference);
+        if (search === window.location.search) return;
+        const url = `${window.location.pathname}${search}${window.location.hash}`;
+        window.history.replaceState(null, '', url);
+    },
+
+    /**
+     * Full shareable URL for the given state
+     * @param {Object} params - { Qs, D50, Qw, S }
+     * @returns {string}
+     */
+    getLink(params) {
+        const base = window.location.href.split(/[?#]/)[0];
+        return `${base}${this.build(params, this.readToggles(), Balance.reference)}${window.location.hash}`;
+    },
+
+    /**
+     * Copy text to the clipboard, falling back to a temporary text field
+     * where the Clipboard API is unavailable (e.g. file:// pages)
+     * @param {string} text
+     * @returns {Promise<void>}
+     */
+    copyText(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            return navigator.clipboard.writeText(text);
+        }
+
+        return new Promise((resolve, reject) => {
+            const field = document.createElement('textarea');
+            field.value = text;
+            field.setAttribute('readonly', '');
+            field.style.position = 'fixed';
+            field.style.opacity = '0';
+            document.body.appendChild(field);
+            field.select();
+            const ok = document.execCommand('copy');
+            document.body.removeChild(field);
+            if (ok) {
+                resolve();
+            } else {
+                reject(new Error('Copy command failed'));
+            }
+        });
+    }
+};
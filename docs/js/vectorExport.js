@@ -0,0 +1,377 @@
+/**
+ * Vector Export - SVG and PDF figures of the D3 views
+ *
+ * The views are styled partly by style.css, which a saved SVG would
+ * lose, so cloneWithStyles() copies a view's <svg> and writes each
+ * element's computed presentation properties into its style attribute.
+ * compose() lays out several views with text lines and a two-column
+ * table as one figure. XMLSerializer adds the SVG namespace on output.
+ *
+ * PDF output draws the same SVGs through jsPDF and svg2pdf.js (loaded
+ * from a CDN), one figure per page. The standard PDF fonts cover Latin-1
+ * only; when a page has other text (Czech ě, ř, ů...) DejaVu Sans, a
+ * subset shipped in fonts/, is embedded for all PDF text instead.
+ */
+
+const VectorExport = {
+    SVG_NS: 'http://www.w3.org/2000/svg',
+
+    // Computed properties copied inline; everything else keeps its default
+    styleProperties: [
+        'fill', 'fill-opacity', 'fill-rule',
+        'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+        'stroke-linecap', 'stroke-linejoin',
+        'opacity', 'visibility', 'display',
+        'font-family', 'font-size', 'font-weight', 'font-style',
+        'text-anchor', 'dominant-baseline', 'letter-spacing'
+    ],
+
+    // Unicode font embedded in PDFs whose text the standard fonts can't show
+    pdfFont: {
+        family: 'DejaVuSans',
+        files: {
+            normal: 'fonts/DejaVuSans.ttf',
+            bold: 'fonts/DejaVuSans-Bold.ttf'
+        }
+    },
+    pdfFontData: null, // Promise of { normal, bold } base64 TTF data, once fetched
+
+    // Composed figure layout (px, also pt in the PDF)
+    layout: {
+        width: 800,
+        margin: 24,
+        gap: 20,
+        titleSize: 18,
+        textSize: 13,
+        lineHeight: 20,
+        tableLabelWidth: 260,
+        fontFamily: 'Helvetica, Arial, sans-serif',
+        color: '#2c3e50',
+        rule: '#dcdde1'
+    },
+
+    /**
+     * Copy of a rendered SVG with its computed styles inlined and a fixed
+     * pixel size taken from the viewBox
+     * @param {SVGSVGElement} svg - SVG element in the page
+     * @returns {SVGSVGElement}
+     */
+    cloneWithStyles(svg) {
+        const clone = svg.cloneNode(true);
+        const sources = [svg, ...svg.querySelectorAll('*')];
+        const targets = [clone, ...clone.querySelectorAll('*')];
+
+        sources.forEach((source, i) => {
+            const computed = window.getComputedStyle(source);
+            const declarations = this.styleProperties
+                .map(property => [property, computed.getPropertyValue(property)])
+                .filter(([, value]) => value !== '')
+                .map(([property, value]) => `${property}: ${value}`);
+            targets[i].setAttribute('style', declarations.join('; '));
+        });
+
+        const { width, height } = this.getSize(svg);
+        clone.setAttribute('width', width);
+        clone.setAttribute('height', height);
+        if (!clone.getAttribute('viewBox')) {
+            clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        }
+        return clone;
+    },
+
+    /**
+     * Intrinsic size of an SVG: its viewBox, or its size on screen
+     * @param {SVGSVGElement} svg
+     * @returns {{width: number, height: number}}
+     */
+    getSize(svg) {
+        const viewBox = svg.viewBox && svg.viewBox.baseVal;
+        if (viewBox && viewBox.width && viewBox.height) {
+            return { width: viewBox.width, height: viewBox.height };
+        }
+        const rect = svg.getBoundingClientRect();
+        return { width: Math.round(rect.width) || 400, height: Math.round(rect.height) || 300 };
+    },
+
+    /**
+     * Lay out a figure: title, views side by side, text lines, then a
+     * two-column table. Views are cloned with cloneWithStyles(). A line
+     * given as { text, ruled } is followed by that many blank ruled lines
+     * to write on.
+     * @param {Object} figure
+     * @param {string} [figure.title]
+     * @param {Array<SVGSVGElement>} [figure.views] - SVG elements in the page
+     * @param {Array<string|Object>} [figure.lines] - Paragraphs, wrapped to the figure width
+     * @param {Array<Array<string>>} [figure.table] - [label, value] rows
+     * @returns {SVGSVGElement}
+     */
+    compose({ title, views = [], lines = [], table = [] }) {
+        const { width, margin, gap, titleSize, textSize, lineHeight, tableLabelWidth } = this.layout;
+        const contentWidth = width - 2 * margin;
+        const svg = this.createElement('svg', { width });
+        const background = this.createElement('rect', { width: '100%', height: '100%', fill: '#ffffff' });
+        svg.appendChild(background);
+
+        let y = margin;
+        if (title) {
+            svg.appendChild(this.createText(title, margin, y + titleSize, { 'font-size': titleSize, 'font-weight': 'bold' }));
+            y += titleSize + gap;
+        }
+
+        if (views.length) {
+            const columnWidth = (contentWidth - gap * (views.length - 1)) / views.length;
+            let rowHeight = 0;
+            views.forEach((view, i) => {
+                const size = this.getSize(view);
+                const height = columnWidth * size.height / size.width;
+                const clone = this.cloneWithStyles(view);
+                clone.setAttribute('x', margin + i * (columnWidth + gap));
+                clone.setAttribute('y', y);
+                clone.setAttribute('width', columnWidth);
+                clone.setAttribute('height', height);
+                svg.appendChild(clone);
+                rowHeight = Math.max(rowHeight, height);
+            });
+            y += rowHeight + gap;
+        }
+
+        // About 0.55 em per character for a sans-serif face
+        const maxChars = Math.floor(contentWidth / (textSize * 0.55));
+        lines.forEach(line => {
+            const { text, ruled = 0 } = typeof line === 'string' ? { text: line } : line;
+            this.wrap(text, maxChars).forEach(part => {
+                svg.appendChild(this.createText(part, margin, y + textSize, { 'font-size': textSize }));
+                y += lineHeight;
+            });
+            for (let i = 0; i < ruled; i++) {
+                y += lineHeight * 1.4;
+                svg.appendChild(this.createElement('line', {
+                    x1: margin, x2: width - margin, y1: y, y2: y,
+                    stroke: this.layout.rule, 'stroke-width': 1
+                }));
+            }
+            y += lineHeight / 3 + (ruled ? lineHeight / 2 : 0);
+        });
+
+        if (table.length) {
+            if (lines.length) y += gap / 2;
+            table.forEach(([label, value], i) => {
+                const weight = i === 0 ? 'bold' : 'normal';
+                svg.appendChild(this.createText(label, margin, y + textSize, { 'font-size': textSize, 'font-weight': weight }));
+                svg.appendChild(this.createText(value, margin + tableLabelWidth, y + textSize, { 'font-size': textSize, 'font-weight': weight }));
+                y += lineHeight;
+                svg.appendChild(this.createElement('line', {
+                    x1: margin, x2: width - margin, y1: y - 4, y2: y - 4,
+                    stroke: this.layout.rule, 'stroke-width': 1
+                }));
+            });
+        }
+
+        const height = Math.ceil(y + margin - gap / 2);
+        svg.setAttribute('height', height);
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        return svg;
+    },
+
+    /**
+     * Break a paragraph into lines of at most maxChars characters
+     * @param {string} text
+     * @param {number} maxChars
+     * @returns {Array<string>}
+     */
+    wrap(text, maxChars) {
+        const lines = [];
+        let current = '';
+        text.split(/\s+/).filter(Boolean).forEach(word => {
+            if (current && current.length + 1 + word.length > maxChars) {
+                lines.push(current);
+                current = word;
+            } else {
+                current = current ? `${current} ${word}` : word;
+            }
+        });
+        if (current) lines.push(current);
+        return lines;
+    },
+
+    /**
+     * Create an SVG element with attributes
+     * @param {string} name - Tag name
+     * @param {Object} attributes
+     * @returns {SVGElement}
+     */
+    createElement(name, attributes = {}) {
+        const element = document.createElementNS(this.SVG_NS, name);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+        return element;
+    },
+
+    /**
+     * Create a text element in the figure font
+     * @param {string} content
+     * @param {number} x
+     * @param {number} y - Baseline
+     * @param {Object} attributes - Extra attributes (font-size, font-weight)
+     * @returns {SVGTextElement}
+     */
+    createText(content, x, y, attributes = {}) {
+        const text = this.createElement('text', {
+            x, y,
+            fill: this.layout.color,
+            'font-family': this.layout.fontFamily,
+            ...attributes
+        });
+        text.textContent = content;
+        return text;
+    },
+
+    /**
+     * Serialize an SVG element as a standalone file
+     * @param {SVGSVGElement} svg
+     * @returns {string}
+     */
+    serialize(svg) {
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg);
+    },
+
+    /**
+     * Download an SVG element as a .svg file
+     * @param {SVGSVGElement} svg
+     * @param {string} filename
+     */
+    downloadSvg(svg, filename) {
+        const blob = new Blob([this.serialize(svg)], { type: 'image/svg+xml' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    /**
+     * Whether jsPDF and the svg2pdf.js plugin are loaded
+     * @returns {boolean}
+     */
+    isPdfAvailable() {
+        return typeof window !== 'undefined' && Boolean(window.jspdf && window.jspdf.jsPDF &&
+            typeof window.jspdf.jsPDF.API.svg === 'function');
+    },
+
+    /**
+     * Whether any page has text outside Latin-1, which the standard PDF
+     * fonts can't show
+     * @param {Array<SVGSVGElement>} pages
+     * @returns {boolean}
+     */
+    needsUnicodeFont(pages) {
+        return pages.some(page => /[^\u0000-\u00ff]/.test(page.textContent));
+    },
+
+    /**
+     * Fetch the Unicode PDF font (regular and bold) as base64, once
+     * @returns {Promise<{normal: string, bold: string}>}
+     */
+    loadPdfFont() {
+        if (!this.pdfFontData) {
+            const fetchFile = url => fetch(url).then(response => {
+                if (!response.ok) throw new Error(`Could not load ${url} (${response.status})`);
+                return response.arrayBuffer();
+            }).then(buffer => this.toBase64(buffer));
+
+            const styles = Object.keys(this.pdfFont.files);
+            this.pdfFontData = Promise.all(styles.map(style => fetchFile(this.pdfFont.files[style])))
+                .then(files => Object.fromEntries(styles.map((style, i) => [style, files[i]])))
+                .catch(error => {
+                    // Let a later export try again
+                    this.pdfFontData = null;
+                    throw error;
+                });
+        }
+        return this.pdfFontData;
+    },
+
+    /**
+     * Base64 encode binary data
+     * @param {ArrayBuffer} buffer
+     * @returns {string}
+     */
+    toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const chunk = 0x8000;
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += chunk) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+        }
+        return btoa(binary);
+    },
+
+    /**
+     * Register the Unicode font with a jsPDF document and set it on all
+     * text in the pages, so svg2pdf draws the text with it
+     * @param {Object} doc - jsPDF document
+     * @param {Array<SVGSVGElement>} pages
+     * @param {{normal: string, bold: string}} fontData - Result of loadPdfFont()
+     */
+    usePdfFont(doc, pages, fontData) {
+        const { family } = this.pdfFont;
+        Object.entries(fontData).forEach(([style, data]) => {
+            const file = `${family}-${style}.ttf`;
+            doc.addFileToVFS(file, data);
+            doc.addFont(file, family, style);
+        });
+        pages.forEach(page => {
+            page.querySelectorAll('text, tspan').forEach(text => {
+                text.style.fontFamily = family;
+            });
+        });
+    },
+
+    /**
+     * Draw SVG figures into a PDF, one page each sized to the figure,
+     * and download it. Text outside Latin-1 is drawn in the embedded
+     * Unicode font.
+     * @param {Array<SVGSVGElement>} pages - Standalone SVGs (cloneWithStyles() or compose())
+     * @param {string} filename
+     * @returns {Promise<void>}
+     */
+    async downloadPdf(pages, filename) {
+        const { jsPDF } = window.jspdf;
+        const fontData = this.needsUnicodeFont(pages) ? await this.loadPdfFont() : null;
+        let doc = null;
+
+        // svg2pdf reads styles from the live DOM, so each page is attached off-screen while drawn
+        const host = document.createElement('div');
+        host.style.position = 'absolute';
+        host.style.left = '-10000px';
+        document.body.appendChild(host);
+
+        try {
+            for (const page of pages) {
+                const width = Number(page.getAttribute('width'));
+                const height = Number(page.getAttribute('height'));
+                const orientation = width > height ? 'landscape' : 'portrait';
+                if (doc) {
+                    doc.addPage([width, height], orientation);
+                } else {
+                    doc = new jsPDF({ unit: 'pt', format: [width, height], orientation });
+                    if (fontData) this.usePdfFont(doc, pages, fontData);
+                }
+
+                host.appendChild(page);
+                await doc.svg(page, { x: 0, y: 0, width, height });
+                host.removeChild(page);
+            }
+            doc.save(filename);
+        } finally {
+            host.remove();
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VectorExport;
+}